@@ -17,6 +17,12 @@ import { locationChanged } from './ui/components/astronomical.js';
 import { showLoading, hideLoading, hideError, displayWeatherWithAlerts, showError } from './ui/core.js';
 import { getNowcastSource, getNowcastMode, getWeatherProvider } from './ui/controls/settings.js';
 import { log, warn } from './utils/logger.js';
+import { validateWeatherData, getWeatherDataViolations } from './standardWeatherFormat.js';
+import { applyDerivedMetrics } from './utils/derivedMetrics.js';
+import { readCachedWeather, storeCachedWeather, isCacheFullyFresh } from './utils/weatherCache.js';
+import { trackAlerts, getEndedAlerts } from './utils/alertLifecycle.js';
+import { recordForecast } from './utils/forecastVerification.js';
+import { recordProviderSuccess, recordProviderFailure, isProviderAvailable } from './api/providerHealth.js';
 
 //==============================================================================
 // API PROVIDER IMPORTS
@@ -29,6 +35,24 @@ import { API_METADATA as openMeteoMetadata, fetchOpenMeteoWeather, fetchOpenMete
 // Pirate Weather API
 import { API_METADATA as pirateMetadata, fetchPirateWeather, fetchPirateWeatherNowcastOnly } from './api/pirateWeatherApi.js';
 
+// National Weather Service API (US only)
+import { API_METADATA as nwsMetadata, fetchNWSWeather } from './api/nwsApi.js';
+
+// OpenWeatherMap API
+import { API_METADATA as openWeatherMapMetadata, fetchOpenWeatherMapWeather } from './api/openWeatherMapApi.js';
+
+// Consensus of all available providers
+import { API_METADATA as consensusMetadata, fetchConsensusWeather } from './api/consensusApi.js';
+
+// User-defined providers from JSON definitions
+import {
+    loadCustomProviderDefinitions,
+    saveCustomProviderDefinition,
+    removeCustomProviderDefinition,
+    validateCustomProviderDefinition,
+    createCustomProvider
+} from './api/customProviders.js';
+
 //==============================================================================
 // 2. API PROVIDER REGISTRY
 //==============================================================================
@@ -43,8 +67,10 @@ const API_REGISTRY = {
 /**
  * Register an API provider with the registry
  * @param {Object} providerMetadata - Metadata about the provider
- * @param {Function} fetchFunction - The provider's main weather fetch function
- * @param {Function} [nowcastFunction] - Optional nowcast fetch function
+ * @param {Function} fetchFunction - The provider's main weather fetch function,
+ *   called as (lat, lon, locationName, returnData, signal)
+ * @param {Function} [nowcastFunction] - Optional nowcast fetch function,
+ *   called as (lat, lon, timezone, signal)
  */
 export function registerApiProvider(providerMetadata, fetchFunction, nowcastFunction = null) {
     // Validate the provider has required fields
@@ -58,21 +84,33 @@ export function registerApiProvider(providerMetadata, fetchFunction, nowcastFunc
         return;
     }
 
+    // Aggregates (consensus) only call other providers, so only real upstreams are tracked
+    const track = (fn, isValid) => providerMetadata.isAggregate ? fn : trackProviderHealth(providerMetadata, fn, isValid);
+
     // Create the complete provider entry
     const provider = {
         ...providerMetadata,
-        fetchWeather: fetchFunction,
-        fetchNowcast: nowcastFunction,
+        fetchWeather: track(fetchFunction, validateWeatherData),
+        fetchNowcast: nowcastFunction ? track(nowcastFunction) : null,
 
         // Add helper methods to verify API key status
         hasApiKey: function () {
             if (!this.requiresApiKey) return true;
 
             // Check for API key in localStorage
-            const storageKey = this.apiKeyStorageKey || `weather_app_${this.id}_api_key`;
+            const keyConfig = this.apiKeyConfig || {};
+            const storageKey = keyConfig.storageKey || this.apiKeyStorageKey || `weather_app_${this.id}_api_key`;
             const apiKey = localStorage.getItem(storageKey);
 
-            return apiKey && apiKey !== (this.defaultApiKey || '*insert-your-api-key-here*') && apiKey !== '';
+            if (!apiKey || apiKey === (this.defaultApiKey || '*insert-your-api-key-here*')) return false;
+            if (keyConfig.invalidValues?.includes(apiKey)) return false;
+
+            // Only count keys that pass the provider's own format check
+            if (typeof keyConfig.validator === 'function') {
+                return keyConfig.validator(apiKey);
+            }
+
+            return true;
         },
 
         // Helper to determine if this provider can handle a specific region
@@ -84,6 +122,11 @@ export function registerApiProvider(providerMetadata, fetchFunction, nowcastFunc
         // Helper to check if this provider supports nowcast
         supportsNowcast: function () {
             return typeof this.fetchNowcast === 'function';
+        },
+
+        // Helper to check whether the circuit breaker currently allows calls
+        isAvailable: function () {
+            return isProviderAvailable(this.id);
         }
     };
 
@@ -108,6 +151,53 @@ export function registerApiProvider(providerMetadata, fetchFunction, nowcastFunc
     }
 }
 
+/**
+ * Wrap a provider fetch function so every call feeds the provider health stats.
+ * Calls that don't return a promise (UI mode) and aborted calls aren't recorded.
+ * Data rejected by the validator counts as a failure, so a provider that keeps
+ * returning malformed data trips its circuit like one that keeps erroring.
+ * @param {Object} providerMetadata - Provider metadata (id and name)
+ * @param {Function} fn - Fetch function to wrap
+ * @param {Function} [isValid] - Returns false for unusable data
+ * @returns {Function} Wrapped function with the same signature
+ */
+function trackProviderHealth(providerMetadata, fn, isValid = null) {
+    const providerId = providerMetadata.id;
+
+    return function (...args) {
+        const startTime = performance.now();
+        const result = fn(...args);
+
+        if (!result || typeof result.then !== 'function') return result;
+
+        return result.then(
+            data => {
+                if (isValid && !isValid(data)) {
+                    const error = new Error(`Invalid weather data received from ${providerMetadata.name}`);
+                    recordProviderFailure(providerId, error, performance.now() - startTime);
+                    throw error;
+                }
+                recordProviderSuccess(providerId, performance.now() - startTime);
+                return data;
+            },
+            error => {
+                if (error?.name !== 'AbortError') {
+                    recordProviderFailure(providerId, error, performance.now() - startTime);
+                }
+                throw error;
+            }
+        );
+    };
+}
+
+/**
+ * Remove a provider from the registry (used when custom providers are replaced or deleted)
+ * @param {string} providerId - Provider ID
+ */
+function unregisterApiProvider(providerId) {
+    API_REGISTRY.providers = API_REGISTRY.providers.filter(p => p.id !== providerId);
+}
+
 /**
  * Get all registered API providers
  * @returns {Array} Array of provider objects
@@ -216,6 +306,60 @@ export function hasRegionSpecificProviders(region) {
     );
 }
 
+/**
+ * Get the provider that "automatic" resolves to for a specific region.
+ * The first registered region-specific provider that works without an API key wins.
+ * @param {string} region - Region code (e.g., 'us')
+ * @returns {Object|null} Provider object, or null if the region has no dedicated keyless provider
+ */
+export function getAutomaticProviderForRegion(region) {
+    if (!region || region === 'global') return null;
+
+    const regionLower = region.toLowerCase();
+    return API_REGISTRY.providers.find(provider =>
+        provider.regions?.includes(regionLower) &&
+        !provider.regions.includes('global') &&
+        !provider.requiresApiKey
+    ) || null;
+}
+
+/**
+ * Get the ordered fallback chain of providers for a region.
+ * Dedicated keyless regional providers come first, then Open-Meteo, then any
+ * other global providers the user has configured an API key for. Aggregate
+ * providers (consensus) are never part of a chain.
+ * @param {string} region - Region code (e.g., 'us'), or 'global'
+ * @returns {Array} Ordered array of provider objects
+ */
+export function getProviderChainForRegion(region) {
+    const regionLower = (region || 'global').toLowerCase();
+    const chain = [];
+
+    const addToChain = provider => {
+        if (!provider || chain.includes(provider)) return;
+        if (provider.isAggregate) return; // Aggregates like consensus are built from the chain itself
+        if (provider.requiresApiKey && !provider.hasApiKey()) return;
+        chain.push(provider);
+    };
+
+    // Region-specific providers first (e.g. NWS for the US)
+    if (regionLower !== 'global') {
+        API_REGISTRY.providers
+            .filter(provider => provider.regions?.includes(regionLower) && !provider.regions.includes('global'))
+            .forEach(addToChain);
+    }
+
+    // Open-Meteo is the keyless global default
+    addToChain(getProviderById('open-meteo'));
+
+    // Remaining global providers, in registration order
+    API_REGISTRY.providers
+        .filter(provider => provider.supportsRegion(regionLower))
+        .forEach(addToChain);
+
+    return chain;
+}
+
 //==============================================================================
 // 3. PROVIDER REGISTRATION
 //==============================================================================
@@ -233,15 +377,80 @@ registerApiProvider(
     fetchPirateWeatherNowcastOnly
 );
 
+registerApiProvider(
+    nwsMetadata,
+    fetchNWSWeather
+);
+
+registerApiProvider(
+    openWeatherMapMetadata,
+    fetchOpenWeatherMapWeather
+);
+
+registerApiProvider(
+    consensusMetadata,
+    fetchConsensusWeather
+);
+
+// Register the user's custom providers saved from earlier sessions
+loadCustomProviderDefinitions().forEach(definition => {
+    if (validateCustomProviderDefinition(definition).length > 0) {
+        warn(`Skipping invalid custom provider "${definition?.id}"`);
+        return;
+    }
+    const { metadata, fetchFunction } = createCustomProvider(definition);
+    registerApiProvider(metadata, fetchFunction);
+});
+
+/**
+ * Validate, save and register a custom provider from its JSON definition.
+ * An existing custom provider with the same ID is replaced.
+ * @param {Object} definition - Parsed provider definition
+ * @returns {Array<string>} Problems with the definition (empty on success)
+ */
+export function addCustomProvider(definition) {
+    const errors = validateCustomProviderDefinition(definition);
+    const existing = getProviderById(definition?.id);
+    if (existing && !existing.isCustom) {
+        errors.push(`"id" "${definition.id}" is already used by a built-in source`);
+    }
+    if (errors.length > 0) return errors;
+
+    if (existing) {
+        unregisterApiProvider(existing.id);
+    }
+
+    saveCustomProviderDefinition(definition);
+    const { metadata, fetchFunction } = createCustomProvider(definition);
+    registerApiProvider(metadata, fetchFunction);
+    log(`Registered custom provider ${definition.name}`);
+    return [];
+}
+
+/**
+ * Remove a custom provider and forget its saved definition
+ * @param {string} providerId - ID of the custom provider
+ */
+export function removeCustomProvider(providerId) {
+    const provider = getProviderById(providerId);
+    if (!provider || !provider.isCustom) return;
+
+    unregisterApiProvider(providerId);
+    removeCustomProviderDefinition(providerId);
+}
+
 //==============================================================================
 // 4. WEATHER FETCHING FUNCTIONS
 //==============================================================================
 
+// Controller for the in-flight fetchWeather call, aborted when a newer one starts
+let activeWeatherRequest = null;
+
 /**
  * Read and parse the cached location metadata from localStorage exactly once.
  * Returns an object with normalized fields, or {} if nothing usable is stored.
  */
-function readLocationMetadata() {
+export function readLocationMetadata() {
     try {
         const raw = localStorage.getItem('weather_location_metadata');
         if (!raw) return {};
@@ -259,12 +468,31 @@ function readLocationMetadata() {
 
 /**
  * Main fetch weather function - entry point for weather data retrieval
+ *
+ * Starting a new fetch aborts the previous one, so a slow response for an old
+ * location can never overwrite the current one.
+ *
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude 
  * @param {string} locationName - Optional location name
- * @returns {Promise} Promise that resolves when weather is fetched and displayed
+ * @param {AbortSignal} [signal] - Optional signal to cancel this fetch from outside
+ * @returns {Promise} Promise that resolves with the displayed weather data,
+ *   or null if the fetch was superseded or cancelled
  */
-export function fetchWeather(lat, lon, locationName) {
+export function fetchWeather(lat, lon, locationName, signal = null) {
+    // Cancel whatever request is still in flight for the previous location
+    if (activeWeatherRequest) {
+        activeWeatherRequest.abort();
+    }
+    const controller = new AbortController();
+    activeWeatherRequest = controller;
+
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        else signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+    const requestSignal = controller.signal;
+
     // Reset the last update time whenever we fetch new weather data
     resetLastUpdateTime();
 
@@ -286,29 +514,107 @@ export function fetchWeather(lat, lon, locationName) {
             // Get nowcast source preference
             const nowcastProviderId = getNowcastSource();
 
-            // Find the selected provider in our registry
-            let selectedProvider = getProviderById(selectedProviderId);
+            // Build the fallback chain with the user's selection in front
+            const providerChain = buildProviderChain(selectedProviderId, locationMetadata.countryCode);
+            const cacheProviderId = providerChain[0]?.id;
 
-            // If provider not found or requires API key we don't have, use open-meteo
-            if (!selectedProvider || (selectedProvider.requiresApiKey && !selectedProvider.hasApiKey())) {
-                selectedProvider = getProviderById('open-meteo');
-            }
+            // Check the forecast cache before going to the network
+            readCachedWeather(cacheProviderId, lat, lon)
+                .then(cached => {
+                    if (requestSignal.aborted) {
+                        resolve(null);
+                        return null;
+                    }
 
-            // Fetch the weather data
-            const weatherPromise = selectedProvider.fetchWeather(lat, lon, locationName, true);
+                    if (cached) {
+                        // Render cached data right away
+                        displayWeatherWithAlerts(cached.data, locationName);
+                        hideLoading();
+                        hideError();
 
-            // Process the weather data
-            processWeatherData(weatherPromise, nowcastProviderId, lat, lon, locationName, locationMetadata)
-                .then(weatherData => {
-                    // Display the weather data and resolve the promise
-                    displayWeatherWithAlerts(weatherData, locationName);
-                    hideLoading();
-                    hideError();
-                    resolve(weatherData);
+                        if (isCacheFullyFresh(cached)) {
+                            log('Using cached weather data for', cacheProviderId);
+                            resolve(cached.data);
+                            return null;
+                        }
+                    }
+
+                    // Revalidate: reuse whichever cached sections are still fresh
+                    const mainFresh = !!cached && cached.fresh.currently && cached.fresh.hourly;
+                    const weatherPromise = mainFresh
+                        ? Promise.resolve(cached.data)
+                        : fetchFromProviderChain(providerChain, lat, lon, locationName, requestSignal);
+
+                    const reuse = {
+                        alerts: mainFresh && cached.fresh.alerts,
+                        nowcast: mainFresh && cached.fresh.nowcast,
+                        airQuality: mainFresh && cached.fresh.airQuality,
+                        pollen: mainFresh && cached.fresh.pollen,
+                        marine: mainFresh && cached.fresh.marine
+                    };
+
+                    return processWeatherData(weatherPromise, nowcastProviderId, lat, lon, locationName, locationMetadata, reuse, requestSignal)
+                        .then(weatherData => {
+                            // A newer request owns the screen now, drop this result
+                            if (requestSignal.aborted) {
+                                log('Discarding weather data for superseded request');
+                                resolve(null);
+                                return null;
+                            }
+
+                            // Display the weather data and resolve the promise
+                            displayWeatherWithAlerts(weatherData, locationName);
+                            hideLoading();
+                            hideError();
+                            resolve(weatherData);
+
+                            // Keep the timestamps of any sections we reused
+                            const sectionTimes = {};
+                            if (mainFresh) {
+                                sectionTimes.currently = cached.sectionTimes.currently;
+                                sectionTimes.hourly = cached.sectionTimes.hourly;
+                                if (reuse.alerts) sectionTimes.alerts = cached.sectionTimes.alerts;
+                                if (reuse.nowcast) sectionTimes.nowcast = cached.sectionTimes.nowcast;
+                                if (reuse.airQuality) sectionTimes.airQuality = cached.sectionTimes.airQuality;
+                                if (reuse.pollen) sectionTimes.pollen = cached.sectionTimes.pollen;
+                                if (reuse.marine) sectionTimes.marine = cached.sectionTimes.marine;
+                            }
+
+                            const servedBy = weatherData.providerStatus?.servedBy || cacheProviderId;
+
+                            // Log new forecasts for the accuracy scoreboard (reused ones are already logged)
+                            if (!mainFresh) {
+                                recordForecast(servedBy, lat, lon, weatherData);
+                            }
+
+                            // Cache under the chain's head, where the next read looks, even
+                            // when a fallback served the data (providerStatus says which)
+                            return storeCachedWeather(cacheProviderId, lat, lon, weatherData, sectionTimes);
+                        })
+                        .catch(error => {
+                            // Cancelled requests fail quietly, the newer request handles the UI
+                            if (requestSignal.aborted) {
+                                resolve(null);
+                                return;
+                            }
+
+                            console.error('Error fetching weather data:', error);
+                            hideLoading();
+
+                            // If cached data is already on screen, keep showing it
+                            if (cached) {
+                                warn('Revalidation failed, keeping cached weather data');
+                                resolve(cached.data);
+                                return;
+                            }
+
+                            showError(error.message || 'Error fetching weather data. Please try again later.');
+                            reject(error);
+                        });
                 })
                 .catch(error => {
-                    console.error('Error fetching weather data:', error);
-                    showError(error.message || 'Error fetching weather data. Please try again later.');
+                    console.error('Unexpected error while rendering weather data:', error);
+                    showError('An unexpected error occurred. Please try again later.');
                     hideLoading();
                     reject(error);
                 });
@@ -361,9 +667,11 @@ function selectProviderForLocation(metadata) {
     if (!selectedProviderId) {
         selectedProviderId = getWeatherProvider();
 
-        // If global is automatic, use open-meteo
+        // If global is automatic, prefer a dedicated regional provider (e.g. NWS in the US),
+        // otherwise use open-meteo
         if (selectedProviderId === 'automatic') {
-            selectedProviderId = 'open-meteo';
+            const regionalProvider = getAutomaticProviderForRegion(countryCode);
+            selectedProviderId = regionalProvider ? regionalProvider.id : 'open-meteo';
         } else if (countryCode) {
             // Check if the selected global provider supports the region
             const globalProviderObj = getProviderById(selectedProviderId);
@@ -382,6 +690,99 @@ function selectProviderForLocation(metadata) {
     return selectedProviderId;
 }
 
+/**
+ * Build the ordered list of providers to try for this fetch.
+ * The selected provider goes first, followed by the region's fallback chain.
+ * Providers that need an API key we don't have are left out.
+ *
+ * @param {string} selectedProviderId - Provider picked by selectProviderForLocation
+ * @param {string|null} countryCode - Lowercased country code from the location metadata
+ * @returns {Array} Ordered array of provider objects
+ */
+function buildProviderChain(selectedProviderId, countryCode) {
+    const chain = [];
+    const selectedProvider = getProviderById(selectedProviderId);
+
+    if (selectedProvider && (!selectedProvider.requiresApiKey || selectedProvider.hasApiKey())) {
+        chain.push(selectedProvider);
+    }
+
+    getProviderChainForRegion(countryCode || 'global').forEach(provider => {
+        if (!chain.includes(provider)) {
+            chain.push(provider);
+        }
+    });
+
+    return chain;
+}
+
+/**
+ * Try each provider in order until one returns valid weather data.
+ * The returned data records which provider served it and which ones failed.
+ *
+ * @param {Array} providerChain - Ordered array of provider objects
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} locationName - Location name
+ * @param {AbortSignal} [signal] - Signal that cancels the whole chain
+ * @returns {Promise<Object>} Weather data in the standard format
+ */
+async function fetchFromProviderChain(providerChain, lat, lon, locationName, signal = null) {
+    const failedProviders = [];
+
+    // Skip providers whose circuit breaker is open, unless that would leave nothing to try
+    let providersToTry = providerChain.filter(provider => provider.isAvailable());
+    if (providersToTry.length === 0) {
+        providersToTry = providerChain;
+    } else {
+        providerChain
+            .filter(provider => !providersToTry.includes(provider))
+            .forEach(provider => failedProviders.push({
+                id: provider.id,
+                name: provider.name,
+                reason: 'Temporarily paused after repeated failures'
+            }));
+    }
+
+    for (const provider of providersToTry) {
+        try {
+            const weatherData = await provider.fetchWeather(lat, lon, locationName, true, signal);
+
+            // Tracked providers already reject invalid data; aggregates aren't tracked
+            if (!validateWeatherData(weatherData)) {
+                throw new Error(`Invalid weather data received from ${provider.name}`);
+            }
+
+            weatherData.providerStatus = {
+                servedBy: provider.id,
+                servedByName: provider.name,
+                failed: failedProviders
+            };
+
+            if (failedProviders.length > 0) {
+                log(`Weather served by ${provider.name} after ${failedProviders.map(p => p.name).join(', ')} failed`);
+            }
+
+            return weatherData;
+        } catch (error) {
+            // An aborted request isn't a provider failure, don't fall through the chain
+            if (signal?.aborted) throw error;
+
+            warn(`Weather provider ${provider.name} failed:`, error);
+            failedProviders.push({
+                id: provider.id,
+                name: provider.name,
+                reason: error?.message || String(error)
+            });
+        }
+    }
+
+    const lastFailure = failedProviders[failedProviders.length - 1];
+    throw new Error(lastFailure
+        ? `All weather providers failed. Last error: ${lastFailure.reason}`
+        : 'No weather providers available');
+}
+
 /**
  * Update UI components when fetching new weather data
  * @param {number} lat - Latitude
@@ -411,41 +812,106 @@ function updateUIComponents(lat, lon) {
  * @param {number} lon - Longitude
  * @param {string} locationName - Location name
  * @param {{countryCode?: string|null}} metadata - Pre-parsed location metadata
+ * @param {{alerts?: boolean, nowcast?: boolean, airQuality?: boolean, pollen?: boolean, marine?: boolean}} [reuse] - Sections to keep from cached data instead of refetching
+ * @param {AbortSignal} [signal] - Signal passed on to the alert, air quality, pollen, marine, METAR and nowcast fetches
  * @returns {Promise} Promise for the complete weather data
  */
-async function processWeatherData(weatherPromise, nowcastProviderId, lat, lon, locationName, metadata = {}) {
+async function processWeatherData(weatherPromise, nowcastProviderId, lat, lon, locationName, metadata = {}, reuse = {}, signal = null) {
     try {
         // Wait for the main weather data
         const weatherData = await weatherPromise;
 
         const countryCode = metadata.countryCode || null;
 
-        // Fetch alerts from the unified alert system
-        try {
-            const { fetchAlerts } = await import('./api/alerts/alertsApi.js');
-            const alerts = await fetchAlerts(lat, lon, { countryCode });
+        // Air quality, pollen and marine data come from Open-Meteo for every
+        // provider; start them now so they run alongside the alert fetch.
+        // Air quality and pollen share one request.
+        const airQualityPromise = reuse.airQuality && reuse.pollen
+            ? null
+            : import('./api/airQualityApi.js')
+                .then(({ fetchAirQualityAndPollen }) => fetchAirQualityAndPollen(lat, lon, { signal }))
+                .catch(error => {
+                    warn('Error fetching air quality and pollen:', error);
+                    return null;
+                });
+
+        const marinePromise = reuse.marine
+            ? null
+            : import('./api/marineApi.js')
+                .then(({ fetchMarine }) => fetchMarine(lat, lon, { signal }))
+                .catch(error => {
+                    warn('Error fetching marine forecast:', error);
+                    return null;
+                });
+
+        // Providers without station observations get the nearest airport's METAR
+        const metarPromise = weatherData.stationInfo?.display && !weatherData.stationInfo.isForecastData
+            ? null
+            : import('./api/metarApi.js')
+                .then(({ fetchNearestMetar }) => fetchNearestMetar(lat, lon, { signal }))
+                .catch(error => {
+                    warn('Error fetching airport observations:', error);
+                    return null;
+                });
+
+        // Fetch alerts from the unified alert system, unless cached alerts are still fresh
+        if (!reuse.alerts) {
+            try {
+                const { fetchAlerts } = await import('./api/alerts/alertsApi.js');
+                const alerts = await fetchAlerts(lat, lon, { countryCode, signal });
+
+                if (alerts && Array.isArray(alerts)) {
+                    weatherData.alerts = trackAlerts(lat, lon, alerts);
+                }
+                weatherData.endedAlerts = getEndedAlerts(lat, lon);
+            } catch (error) {
+                warn('Error fetching alerts:', error);
+                // Continue without alerts if there's an error
+            }
+        }
 
-            if (alerts && Array.isArray(alerts)) {
-                weatherData.alerts = alerts;
+        if (airQualityPromise) {
+            const result = await airQualityPromise;
+            // Keep whichever section is still fresh from the cache, so its
+            // timestamp stays true
+            if (result && !reuse.airQuality) {
+                weatherData.airQuality = result.airQuality;
+            }
+            if (result && !reuse.pollen) {
+                weatherData.pollen = result.pollen;
+            }
+        }
+
+        if (marinePromise) {
+            const marine = await marinePromise;
+            if (marine) {
+                weatherData.marine = marine;
+            }
+        }
+
+        if (metarPromise) {
+            const observation = await metarPromise;
+            if (observation) {
+                const { applyMetarObservation } = await import('./api/metarApi.js');
+                applyMetarObservation(weatherData, observation);
             }
-        } catch (error) {
-            warn('Error fetching alerts:', error);
-            // Continue without alerts if there's an error
         }
 
         // Determine nowcast mode: derived (1-min interpolated) or provider-based
         const nowcastMode = getNowcastMode();
 
-        if (nowcastMode === 'derived') {
+        if (reuse.nowcast) {
+            // Cached nowcast is still fresh, keep it as-is
+        } else if (nowcastMode === 'derived') {
             // Use Open-Meteo 15-minute data interpolated to 1-minute resolution
             try {
-                const derivedNowcast = await fetchOpenMeteoDerivedNowcast(lat, lon);
+                const derivedNowcast = await fetchOpenMeteoDerivedNowcast(lat, lon, signal);
 
                 // Also fetch standard 15-min nowcast for extended coverage beyond 1 hour
                 const openMeteoProvider = getProviderById('open-meteo');
                 if (openMeteoProvider && typeof openMeteoProvider.fetchNowcast === 'function') {
                     try {
-                        const extendedData = await openMeteoProvider.fetchNowcast(lat, lon, weatherData.timezone);
+                        const extendedData = await openMeteoProvider.fetchNowcast(lat, lon, weatherData.timezone, signal);
 
                         // Merge: keep all 60 derived points, append extended 15-min after
                         if (derivedNowcast && derivedNowcast.data && derivedNowcast.data.length > 0
@@ -514,7 +980,7 @@ async function processWeatherData(weatherPromise, nowcastProviderId, lat, lon, l
                     try {
                         // Check if the provider has a fetchNowcast method
                         if (typeof nowcastProvider.fetchNowcast === 'function') {
-                            const nowcastData = await nowcastProvider.fetchNowcast(lat, lon, weatherData.timezone);
+                            const nowcastData = await nowcastProvider.fetchNowcast(lat, lon, weatherData.timezone, signal);
 
                             // If using Pirate Weather, also fetch Open-Meteo for extended forecast
                             // and merge the two datasets into a unified timeline
@@ -522,7 +988,7 @@ async function processWeatherData(weatherPromise, nowcastProviderId, lat, lon, l
                                 const openMeteoProvider = getProviderById('open-meteo');
                                 if (openMeteoProvider && typeof openMeteoProvider.fetchNowcast === 'function') {
                                     try {
-                                        const extendedData = await openMeteoProvider.fetchNowcast(lat, lon, weatherData.timezone);
+                                        const extendedData = await openMeteoProvider.fetchNowcast(lat, lon, weatherData.timezone, signal);
                                         weatherData.nowcast = mergeNowcastData(nowcastData, extendedData);
                                     } catch (extendedError) {
                                         warn('Failed to fetch extended forecast from Open-Meteo:', extendedError);
@@ -558,7 +1024,7 @@ async function processWeatherData(weatherPromise, nowcastProviderId, lat, lon, l
                 const openMeteoProvider = getProviderById('open-meteo');
                 if (openMeteoProvider && typeof openMeteoProvider.fetchNowcast === 'function') {
                     try {
-                        const nowcastData = await openMeteoProvider.fetchNowcast(lat, lon, weatherData.timezone);
+                        const nowcastData = await openMeteoProvider.fetchNowcast(lat, lon, weatherData.timezone, signal);
                         weatherData.nowcast = nowcastData;
                     } catch (err) {
                         console.error('Failed to fetch nowcast from Open-Meteo fallback:', err);
@@ -571,6 +1037,17 @@ async function processWeatherData(weatherPromise, nowcastProviderId, lat, lon, l
             }
         }
 
+        // Compute feels-like, dew point and the like wherever the provider left them out
+        applyDerivedMetrics(weatherData);
+
+        // Check the finished object against the full schema; problems are
+        // logged and shown in the debug view, they never block rendering
+        const violations = getWeatherDataViolations(weatherData);
+        weatherData.diagnostics = { violations, checkedAt: Date.now() };
+        if (violations.length > 0) {
+            log(`Schema check for ${weatherData.source}: ${violations.length} problem(s)`, violations);
+        }
+
         return weatherData;
     } catch (error) {
         console.error('Error processing weather data:', error);
@@ -0,0 +1,230 @@
+/**
+ * Air Quality — Open-Meteo Air Quality API
+ *
+ * Fetches current and hourly air quality for a point and returns the
+ * standard format's airQuality section. Works for any location and needs
+ * no API key, so it runs alongside whichever weather provider served the
+ * forecast (like alerts do). Pollen comes from the same endpoint, so the
+ * same request asks for the pollen variables too (see pollenApi.js).
+ *
+ * Also holds the US AQI categories and health guidance used by the UI.
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { createEmptyWeatherData } from '../standardWeatherFormat.js';
+import { fetchResource } from '../utils/network.js';
+import { POLLEN_VARIABLES, processPollen } from './pollenApi.js';
+
+const AIR_QUALITY_ENDPOINT = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+// Open-Meteo variable names for each standard field
+const POLLUTANT_VARIABLES = {
+    usAqi: 'us_aqi',
+    europeanAqi: 'european_aqi',
+    pm2_5: 'pm2_5',
+    pm10: 'pm10',
+    ozone: 'ozone',
+    nitrogenDioxide: 'nitrogen_dioxide'
+};
+
+// Per-pollutant US AQI sub-indices, used to find the dominant pollutant
+const SUB_INDEX_VARIABLES = {
+    pm2_5: 'us_aqi_pm2_5',
+    pm10: 'us_aqi_pm10',
+    ozone: 'us_aqi_ozone',
+    nitrogenDioxide: 'us_aqi_nitrogen_dioxide'
+};
+
+// Hours of hourly data to keep (the UI shows the next 24)
+const FORECAST_HOURS = 48;
+
+// Days requested; the pollen outlook reaches four days out
+const FORECAST_DAYS = 4;
+
+/**
+ * US EPA AQI categories with health guidance.
+ * max is the upper bound of the category (inclusive).
+ */
+export const AQI_CATEGORIES = [
+    {
+        id: 'good',
+        label: 'Good',
+        max: 50,
+        color: '#00e400',
+        guidance: 'Air quality is satisfactory. Enjoy your usual outdoor activities.'
+    },
+    {
+        id: 'moderate',
+        label: 'Moderate',
+        max: 100,
+        color: '#ffff00',
+        guidance: 'Air quality is acceptable. Unusually sensitive people should consider reducing prolonged or heavy outdoor exertion.'
+    },
+    {
+        id: 'sensitive',
+        label: 'Unhealthy for Sensitive Groups',
+        max: 150,
+        color: '#ff7e00',
+        guidance: 'People with heart or lung disease, older adults, children and teens should reduce prolonged or heavy outdoor exertion.'
+    },
+    {
+        id: 'unhealthy',
+        label: 'Unhealthy',
+        max: 200,
+        color: '#ff0000',
+        guidance: 'Everyone should reduce prolonged or heavy outdoor exertion. Sensitive groups should avoid it.'
+    },
+    {
+        id: 'very-unhealthy',
+        label: 'Very Unhealthy',
+        max: 300,
+        color: '#8f3f97',
+        guidance: 'Everyone should avoid prolonged or heavy outdoor exertion. Sensitive groups should stay indoors.'
+    },
+    {
+        id: 'hazardous',
+        label: 'Hazardous',
+        max: Infinity,
+        color: '#7e0023',
+        guidance: 'Health warning of emergency conditions. Everyone should avoid all outdoor physical activity.'
+    }
+];
+
+// Display names for the dominant pollutant
+export const POLLUTANT_NAMES = {
+    pm2_5: 'PM2.5',
+    pm10: 'PM10',
+    ozone: 'Ozone (O₃)',
+    nitrogenDioxide: 'Nitrogen Dioxide (NO₂)'
+};
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Fetch air quality and pollen for a point location in one request.
+ * Pass options.signal (AbortSignal) to cancel the request.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<{airQuality: Object, pollen: Object}>} airQuality and pollen
+ *   sections (each available: false if nothing could be fetched, and pollen
+ *   outside the modelled region)
+ */
+export async function fetchAirQualityAndPollen(lat, lon, options = {}) {
+    try {
+        const variables = [
+            ...Object.values(POLLUTANT_VARIABLES),
+            ...Object.values(SUB_INDEX_VARIABLES)
+        ].join(',');
+        const pollenVariables = Object.values(POLLEN_VARIABLES).join(',');
+
+        // timezone=auto adds the UTC offset pollen needs for its daily peaks
+        const url = `${AIR_QUALITY_ENDPOINT}?` +
+            `latitude=${parseFloat(lat).toFixed(4)}&longitude=${parseFloat(lon).toFixed(4)}` +
+            `&current=${variables}&hourly=${variables},${pollenVariables}` +
+            `&timeformat=unixtime&timezone=auto&forecast_days=${FORECAST_DAYS}`;
+
+        const response = await fetchResource(url, { signal: options.signal || null });
+
+        if (!response.ok) {
+            throw new Error(`Open-Meteo air quality responded with status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return { airQuality: processAirQuality(data), pollen: processPollen(data) };
+    } catch (error) {
+        // Superseded request, the caller has already moved on
+        if (error.name !== 'AbortError') {
+            console.error('Error fetching air quality from Open-Meteo:', error);
+        }
+        const empty = createEmptyWeatherData();
+        return { airQuality: empty.airQuality, pollen: empty.pollen };
+    }
+}
+
+/**
+ * Get the US AQI category for a value
+ * @param {number} aqi - US AQI value
+ * @returns {Object|null} Entry from AQI_CATEGORIES, or null if aqi isn't a number
+ */
+export function getAqiCategory(aqi) {
+    if (typeof aqi !== 'number' || Number.isNaN(aqi)) return null;
+    return AQI_CATEGORIES.find(category => aqi <= category.max);
+}
+
+//==============================================================================
+// 3. DATA PROCESSING
+//==============================================================================
+
+/**
+ * Convert an Open-Meteo air quality response into the standard section
+ * @param {Object} data - Open-Meteo response
+ * @returns {Object} airQuality section
+ */
+function processAirQuality(data) {
+    const airQuality = createEmptyWeatherData().airQuality;
+
+    const current = data.current || {};
+    airQuality.current = {
+        time: current.time ?? null,
+        ...mapPollutants(name => current[name]),
+        dominantPollutant: findDominantPollutant(name => current[name])
+    };
+
+    // Hourly series, starting at the current hour
+    const hourly = data.hourly || {};
+    const times = Array.isArray(hourly.time) ? hourly.time : [];
+    const nowHour = Math.floor(Date.now() / 1000 / 3600) * 3600;
+
+    airQuality.hourly = times
+        .map((time, i) => ({
+            time,
+            ...mapPollutants(name => hourly[name]?.[i]),
+            dominantPollutant: findDominantPollutant(name => hourly[name]?.[i])
+        }))
+        .filter(hour => hour.time >= nowHour)
+        .slice(0, FORECAST_HOURS);
+
+    airQuality.available = airQuality.current.usAqi != null || airQuality.hourly.length > 0;
+    return airQuality;
+}
+
+/**
+ * Read every standard pollutant field through a lookup function
+ * @param {Function} read - Maps an Open-Meteo variable name to its value
+ * @returns {Object} Standard pollutant fields (null when missing)
+ */
+function mapPollutants(read) {
+    const values = {};
+    Object.entries(POLLUTANT_VARIABLES).forEach(([field, variable]) => {
+        const value = read(variable);
+        values[field] = typeof value === 'number' ? value : null;
+    });
+    return values;
+}
+
+/**
+ * The pollutant with the highest US AQI sub-index
+ * @param {Function} read - Maps an Open-Meteo variable name to its value
+ * @returns {string|null} Key of POLLUTANT_NAMES, or null if no sub-index is available
+ */
+function findDominantPollutant(read) {
+    let dominant = null;
+    let highest = -Infinity;
+
+    Object.entries(SUB_INDEX_VARIABLES).forEach(([pollutant, variable]) => {
+        const value = read(variable);
+        if (typeof value === 'number' && value > highest) {
+            highest = value;
+            dominant = pollutant;
+        }
+    });
+
+    return dominant;
+}
@@ -0,0 +1,149 @@
+/**
+ * Alert Rules — shared by the page and the service worker
+ *
+ * How a LibreWRX alert gets its ID, event name and 5-tier severity, and when
+ * two coordinates are the same place. The background alert check in sw.js
+ * must agree with the page on all of these, or an alert notified by one is
+ * notified again by the other.
+ *
+ * sw.js is a classic worker, so this is a plain script rather than an ES
+ * module: sw.js loads it with importScripts() and the page's modules import
+ * it for its side effect. Either way it defines globalThis.AlertRules.
+ */
+
+(function (root) {
+  'use strict';
+
+  // Most to least severe; a notification threshold includes everything before it
+  const SEVERITY_ORDER = Object.freeze(['emergency', 'extreme', 'severe', 'moderate', 'minor']);
+
+  // Coordinates closer than this (degrees) are the same place
+  const SAME_PLACE = 0.01;
+
+  /**
+   * Stable ID for an alert, so the same alert keeps its ID across refreshes
+   * (notifications are de-duplicated by ID). Alerts without a URI get one
+   * built from their expiry and headline.
+   *
+   * @param {Object} props - Feature properties
+   * @returns {string}
+   */
+  function alertId(props) {
+    if (props.uri) return props.uri;
+
+    const slug = (props.title || 'alert').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `librewxr-alert-${props.expires || 0}-${slug}`;
+  }
+
+  /**
+   * Extract the raw event type from a LibreWRX headline.
+   *
+   * LibreWRX titles follow the pattern:
+   *   "EventType issued Month Day at Time [by Source]"
+   *
+   * e.g. "Tornado Watch issued May 7 at 12:15AM CDT by NWS Birmingham AL"
+   *   → "Tornado Watch"
+   *
+   * @param {string} title - Full alert headline
+   * @returns {string} - Extracted event type
+   */
+  function eventFromTitle(title) {
+    const issuedIdx = title.toLowerCase().indexOf(' issued ');
+    if (issuedIdx !== -1) {
+      return title.substring(0, issuedIdx);
+    }
+    return title;
+  }
+
+  /**
+   * Classify an alert into our 5-tier system based on event type and content.
+   *
+   *   emergency – immediate, catastrophic, life-saving action required
+   *   extreme   – imminent threat to life and property
+   *   severe    – significant threat (most warnings)
+   *   moderate  – possible threat (most watches, plus freeze warnings)
+   *   minor     – low-impact advisories/statements
+   *
+   * @param {string} event       - Raw event type (e.g. "Tornado Watch")
+   * @param {string} title       - Full headline text
+   * @param {string} description - Full alert description
+   * @returns {string} Severity level (an ALERT_SEVERITY value)
+   */
+  function alertSeverity(event, title, description) {
+    const e = event.toLowerCase();
+    const combined = `${title} ${description}`.toLowerCase();
+
+    // 1. Emergency
+    if (
+      e.includes('extreme wind warning') ||
+      combined.includes('tornado emergency') ||
+      combined.includes('flash flood emergency') ||
+      combined.includes('particularly dangerous situation')
+    ) {
+      return 'emergency';
+    }
+
+    // 2. Extreme — imminent threat warnings.
+    if (
+      e.includes('tornado warning') ||
+      e.includes('hurricane warning') ||
+      e.includes('flash flood warning') ||
+      e.includes('tsunami warning') ||
+      e.includes('storm surge warning')
+    ) {
+      return 'extreme';
+    }
+
+    // 3. Freeze Warning → Moderate (southern offices issue these for any sub-32°F night)
+    if (e.includes('freeze warning')) {
+      return 'moderate';
+    }
+
+    //    Storm Surge Watch → Severe (promoted from watch)
+    if (e.includes('storm surge watch')) {
+      return 'severe';
+    }
+
+    // 4. Minor — advisories, statements, outlooks.
+    if (
+      e.includes('special weather statement') ||
+      e.includes('hazardous weather outlook') ||
+      e.includes('air quality alert') ||
+      e.includes('hydrologic outlook') ||
+      e.includes('beach hazards statement') ||
+      e.includes('urban and small stream') ||
+      e.includes('lake wind advisory') ||
+      e.includes('short term forecast') ||
+      e.includes('advisory') ||
+      e.includes('statement')
+    ) {
+      return 'minor';
+    }
+
+    // 5. Severe — every other warning.
+    if (e.includes('warning')) {
+      return 'severe';
+    }
+
+    // 6. Moderate — every other watch, and anything else.
+    return 'moderate';
+  }
+
+  /**
+   * Whether two locations are the same place
+   * @param {{lat: number, lon: number}} a
+   * @param {{lat: number, lon: number}} b
+   * @returns {boolean}
+   */
+  function isSamePlace(a, b) {
+    return Math.abs(a.lat - b.lat) < SAME_PLACE && Math.abs(a.lon - b.lon) < SAME_PLACE;
+  }
+
+  root.AlertRules = Object.freeze({
+    SEVERITY_ORDER,
+    alertId,
+    eventFromTitle,
+    alertSeverity,
+    isSamePlace
+  });
+})(globalThis);
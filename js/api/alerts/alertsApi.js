@@ -5,11 +5,14 @@
  * aggregates WMO CAP alerts worldwide plus NWS for US coverage.
  *
  * Returns the standardized alert format that alertsDisplay.js and radar.js
- * already expect. Contains the central 5-tier severity classifier and
- * hazard detection shared by all alert consumers.
+ * already expect. IDs and the 5-tier severity classifier come from
+ * alertRules.js, which the service worker shares; hazard detection lives here.
  */
 
-import { ALERT_SEVERITY } from '../../standardWeatherFormat.js';
+import './alertRules.js';
+import { fetchResource } from '../../utils/network.js';
+
+const { alertId, eventFromTitle, alertSeverity } = globalThis.AlertRules;
 
 const ALERTS_ENDPOINT = 'https://api.librewxr.net/v2/alerts';
 
@@ -23,7 +26,7 @@ const ALERTS_ENDPOINT = 'https://api.librewxr.net/v2/alerts';
  */
 export async function fetchAllAlerts() {
   try {
-    const response = await fetch(ALERTS_ENDPOINT);
+    const response = await fetchResource(ALERTS_ENDPOINT);
 
     if (!response.ok) {
       throw new Error(`LibreWRX alerts responded with status: ${response.status}`);
@@ -39,11 +42,14 @@ export async function fetchAllAlerts() {
 
 /**
  * Fetch alerts for a point location.
+ * Pass options.signal (AbortSignal) to cancel the request.
+ * Resolves to null, not an empty list, when the request fails or is
+ * cancelled, so a failed refresh isn't mistaken for every alert ending.
  */
 export async function fetchAlerts(lat, lon, options = {}) {
   try {
     const url = `${ALERTS_ENDPOINT}?lat=${lat}&lon=${lon}`;
-    const response = await fetch(url);
+    const response = await fetchResource(url, { signal: options.signal || null });
 
     if (!response.ok) {
       throw new Error(`LibreWRX alerts responded with status: ${response.status}`);
@@ -52,8 +58,10 @@ export async function fetchAlerts(lat, lon, options = {}) {
     const data = await response.json();
     return processAlerts(data.features, false);
   } catch (error) {
+    // Superseded request, the caller has already moved on
+    if (error.name === 'AbortError') return null;
     console.error('Error fetching alerts from LibreWRX:', error);
-    return [];
+    return null;
   }
 }
 
@@ -64,7 +72,7 @@ export async function fetchMapAreaAlerts(bounds, options = {}) {
   try {
     const { west, south, east, north } = bounds;
     const url = `${ALERTS_ENDPOINT}?bbox=${west},${south},${east},${north}`;
-    const response = await fetch(url);
+    const response = await fetchResource(url);
 
     if (!response.ok) {
       throw new Error(`LibreWRX alerts responded with status: ${response.status}`);
@@ -96,14 +104,14 @@ function processAlerts(features, includeGeometry) {
     if (!feature || !feature.properties) return null;
 
     const props = feature.properties;
-    const event = extractEventFromTitle(props.title || 'Weather Alert');
+    const event = eventFromTitle(props.title || 'Weather Alert');
 
     const standardAlert = {
-      id: props.uri || `librewxr-alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      id: alertId(props),
       title: event,
       description: props.title || '',
       fullText: props.description || '',
-      severity: determineAlertSeverity(event, props.title || '', props.description || ''),
+      severity: alertSeverity(event, props.title || '', props.description || ''),
       urgency: deriveUrgency(event),
       expires: props.expires ? new Date(props.expires * 1000) : null,
       hazardTypes: identifyAlertHazards(props.title || '', props.description || ''),
@@ -120,113 +128,7 @@ function processAlerts(features, includeGeometry) {
 }
 
 //==============================================================================
-// 3. TITLE PARSING
-//==============================================================================
-
-/**
- * Extract the raw event type from a LibreWRX headline.
- *
- * LibreWRX titles follow the pattern:
- *   "EventType issued Month Day at Time [by Source]"
- *
- * e.g. "Tornado Watch issued May 7 at 12:15AM CDT by NWS Birmingham AL"
- *   → "Tornado Watch"
- *
- * @param {string} title - Full alert headline
- * @returns {string} - Extracted event type
- */
-function extractEventFromTitle(title) {
-  const issuedIdx = title.toLowerCase().indexOf(' issued ');
-  if (issuedIdx !== -1) {
-    return title.substring(0, issuedIdx);
-  }
-  return title;
-}
-
-//==============================================================================
-// 4. FIVE-TIER SEVERITY CLASSIFICATION
-//==============================================================================
-
-/**
- * Classify an alert into our 5-tier system based on event type and content.
- *
- *   emergency – immediate, catastrophic, life-saving action required
- *   extreme   – imminent threat to life and property
- *   severe    – significant threat (most warnings)
- *   moderate  – possible threat (most watches, plus freeze warnings)
- *   minor     – low-impact advisories/statements
- *
- * @param {string} event       - Raw event type (e.g. "Tornado Watch")
- * @param {string} title       - Full headline text
- * @param {string} description - Full alert description
- * @returns {string} Standardized severity level
- */
-function determineAlertSeverity(event, title, description) {
-  const e = event.toLowerCase();
-  const combined = `${title} ${description}`.toLowerCase();
-
-  // 1. Emergency
-  if (
-    e.includes('extreme wind warning') ||
-    combined.includes('tornado emergency') ||
-    combined.includes('flash flood emergency') ||
-    combined.includes('particularly dangerous situation')
-  ) {
-    return ALERT_SEVERITY.EMERGENCY;
-  }
-
-  // 2. Extreme — imminent threat warnings.
-  if (
-    e.includes('tornado warning') ||
-    e.includes('hurricane warning') ||
-    e.includes('flash flood warning') ||
-    e.includes('tsunami warning') ||
-    e.includes('storm surge warning')
-  ) {
-    return ALERT_SEVERITY.EXTREME;
-  }
-
-  // 3. Freeze Warning → Moderate (southern offices issue these for any sub-32°F night)
-  if (e.includes('freeze warning')) {
-    return ALERT_SEVERITY.MODERATE;
-  }
-
-  //    Storm Surge Watch → Severe (promoted from watch)
-  if (e.includes('storm surge watch')) {
-    return ALERT_SEVERITY.SEVERE;
-  }
-
-  // 4. Minor — advisories, statements, outlooks.
-  if (
-    e.includes('special weather statement') ||
-    e.includes('hazardous weather outlook') ||
-    e.includes('air quality alert') ||
-    e.includes('hydrologic outlook') ||
-    e.includes('beach hazards statement') ||
-    e.includes('urban and small stream') ||
-    e.includes('lake wind advisory') ||
-    e.includes('short term forecast') ||
-    e.includes('advisory') ||
-    e.includes('statement')
-  ) {
-    return ALERT_SEVERITY.MINOR;
-  }
-
-  // 5. Severe — every other warning.
-  if (e.includes('warning')) {
-    return ALERT_SEVERITY.SEVERE;
-  }
-
-  // 6. Moderate — every other watch.
-  if (e.includes('watch')) {
-    return ALERT_SEVERITY.MODERATE;
-  }
-
-  return ALERT_SEVERITY.MODERATE;
-}
-
-//==============================================================================
-// 5. URGENCY DERIVATION
+// 3. URGENCY DERIVATION
 //==============================================================================
 
 /**
@@ -244,7 +146,7 @@ function deriveUrgency(event) {
 }
 
 //==============================================================================
-// 6. HAZARD DETECTION
+// 4. HAZARD DETECTION
 //==============================================================================
 
 /**
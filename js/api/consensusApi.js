@@ -0,0 +1,271 @@
+/**
+ * Consensus (Multi-Provider Ensemble) Implementation
+ *
+ * Fetches weather from every registered provider that is usable for the
+ * current location, aligns their hourly and daily series by timestamp and
+ * combines them into a single standardized object. Temperature and
+ * precipitation chance use the median across providers, with the min/max
+ * spread kept alongside so the UI can show how much the sources disagree.
+ *
+ * Current conditions, station info and nowcast come from the highest-priority
+ * provider that answered (the first one in the region's fallback chain).
+ */
+
+//==============================================================================
+// 1. IMPORTS AND DEPENDENCIES
+//==============================================================================
+
+import { displayWeatherWithAlerts, showError, hideLoading, hideError } from '../ui/core.js';
+import { getProviderChainForRegion, readLocationMetadata } from '../api.js';
+import { validateWeatherData } from '../standardWeatherFormat.js';
+import { log, warn } from '../utils/logger.js';
+
+//==============================================================================
+// 2. API METADATA
+//==============================================================================
+
+/**
+ * Metadata for the consensus provider
+ * This information is used by the API registry system
+ */
+export const API_METADATA = {
+    id: 'consensus',
+    name: 'Consensus (all available sources)',
+    regions: ['global'],
+    requiresApiKey: false,
+    isAggregate: true, // Built from other providers, never part of a fallback chain
+    description: 'Median of every available provider, with the spread between them',
+    attribution: {
+        name: 'Consensus',
+        url: '#'
+    },
+    supportsNowcast: false
+};
+
+//==============================================================================
+// 3. PUBLIC API FUNCTIONS
+//==============================================================================
+
+/**
+ * Fetch weather from all available providers and combine it
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} locationName - Optional location name
+ * @param {boolean} returnData - If true, return data instead of updating UI
+ * @param {AbortSignal} [signal] - Optional signal to cancel every member request
+ * @returns {Promise} - Promise that resolves to weather data or rejects with an error
+ */
+export function fetchConsensusWeather(lat, lon, locationName = null, returnData = false, signal = null) {
+    const { countryCode } = readLocationMetadata();
+    // Leave out providers the circuit breaker has paused, unless that leaves none
+    const chain = getProviderChainForRegion(countryCode || 'global');
+    const available = chain.filter(provider => provider.isAvailable());
+    const members = available.length > 0 ? available : chain;
+
+    const promise = Promise.allSettled(
+        members.map(provider => provider.fetchWeather(lat, lon, locationName, true, signal))
+    ).then(results => {
+        const memberData = [];
+        const failed = [];
+
+        results.forEach((result, i) => {
+            const provider = members[i];
+            if (result.status === 'fulfilled' && validateWeatherData(result.value)) {
+                memberData.push({ provider, data: result.value });
+            } else {
+                const reason = result.status === 'rejected'
+                    ? (result.reason?.message || String(result.reason))
+                    : 'Invalid weather data';
+                warn(`Consensus member ${provider.name} failed:`, reason);
+                failed.push({ id: provider.id, name: provider.name, reason });
+            }
+        });
+
+        if (memberData.length === 0) {
+            throw new Error('No providers returned weather data for the consensus forecast');
+        }
+
+        log(`Consensus built from ${memberData.map(m => m.provider.name).join(', ')}`);
+        return buildConsensusData(memberData, failed);
+    });
+
+    if (returnData) {
+        return promise;
+    }
+
+    return promise
+        .then(weatherData => {
+            displayWeatherWithAlerts(weatherData, locationName);
+            hideLoading();
+            hideError();
+        })
+        .catch(error => {
+            console.error('Error fetching consensus weather data:', error);
+            showError(error.message || 'Error fetching weather data. Please try again later.');
+            hideLoading();
+        });
+}
+
+//==============================================================================
+// 4. DATA PROCESSING FUNCTIONS
+//==============================================================================
+
+/**
+ * Combine the member datasets into one standardized weather object
+ * @param {Array<{provider: Object, data: Object}>} memberData - Successful members, in priority order
+ * @param {Array} failed - Members that failed
+ * @returns {Object} - Combined weather data in standardized format
+ */
+function buildConsensusData(memberData, failed) {
+    // The highest-priority member supplies everything we don't combine
+    const base = memberData[0].data;
+    const timezone = (base.timezone && base.timezone !== 'auto') ? base.timezone : undefined;
+
+    const weatherData = {
+        ...base,
+        hourly: {
+            ...base.hourly,
+            data: combineSeries(memberData, 'hourly', hour => hourKey(hour.time), combineHour)
+        },
+        daily: {
+            ...base.daily,
+            data: combineSeries(memberData, 'daily', day => dayKey(day.time, timezone), combineDay)
+        },
+        consensus: {
+            members: memberData.map(m => m.provider.id),
+            failed
+        },
+        source: 'consensus',
+        attribution: {
+            name: `Consensus of ${memberData.map(m => m.provider.name).join(', ')}`,
+            url: base.attribution?.url || '#',
+            sources: memberData.map(m => m.data.attribution).filter(Boolean)
+        },
+        lastUpdated: Date.now()
+    };
+
+    return weatherData;
+}
+
+/**
+ * Align one series (hourly or daily) across members and combine each slot
+ * @param {Array} memberData - Successful members, in priority order
+ * @param {string} section - 'hourly' or 'daily'
+ * @param {Function} keyFn - Maps an item to its alignment key
+ * @param {Function} combineFn - Combines (baseItem, matchingItems) into one item
+ * @returns {Array} - Combined series following the base member's timeline
+ */
+function combineSeries(memberData, section, keyFn, combineFn) {
+    // Index every member's series by alignment key
+    const indexes = memberData.map(({ data }) => {
+        const index = new Map();
+        (data[section]?.data || []).forEach(item => {
+            const key = keyFn(item);
+            if (key != null && !index.has(key)) index.set(key, item);
+        });
+        return index;
+    });
+
+    const baseSeries = memberData[0].data[section]?.data || [];
+    return baseSeries.map(baseItem => {
+        const key = keyFn(baseItem);
+        const matches = indexes.map(index => index.get(key)).filter(Boolean);
+        return combineFn(baseItem, matches);
+    });
+}
+
+/**
+ * Combine matching hours from each member
+ * @param {Object} baseHour - Hour from the base member
+ * @param {Array} hours - Matching hours from every member (including the base)
+ * @returns {Object} - Combined hour
+ */
+function combineHour(baseHour, hours) {
+    const temperature = summarize(hours.map(h => h.temperature));
+    const precipChance = summarize(hours.map(h => h.precipChance));
+
+    return {
+        ...baseHour,
+        temperature: temperature ? temperature.median : baseHour.temperature,
+        precipChance: precipChance ? Math.round(precipChance.median) : baseHour.precipChance,
+        temperatureSpread: temperature ? { min: temperature.min, max: temperature.max } : null,
+        precipChanceSpread: precipChance ? { min: precipChance.min, max: precipChance.max } : null,
+        memberCount: hours.length
+    };
+}
+
+/**
+ * Combine matching days from each member
+ * @param {Object} baseDay - Day from the base member
+ * @param {Array} days - Matching days from every member (including the base)
+ * @returns {Object} - Combined day
+ */
+function combineDay(baseDay, days) {
+    const high = summarize(days.map(d => d.temperatureHigh));
+    const low = summarize(days.map(d => d.temperatureLow));
+    const precipChance = summarize(days.map(d => d.precipChance));
+
+    return {
+        ...baseDay,
+        temperatureHigh: high ? high.median : baseDay.temperatureHigh,
+        temperatureLow: low ? low.median : baseDay.temperatureLow,
+        precipChance: precipChance ? Math.round(precipChance.median) : baseDay.precipChance,
+        temperatureHighSpread: high ? { min: high.min, max: high.max } : null,
+        temperatureLowSpread: low ? { min: low.min, max: low.max } : null,
+        precipChanceSpread: precipChance ? { min: precipChance.min, max: precipChance.max } : null,
+        memberCount: days.length
+    };
+}
+
+//==============================================================================
+// 5. HELPER FUNCTIONS
+//==============================================================================
+
+/**
+ * Median, min and max of the numeric values in a list
+ * @param {Array} values - Values to summarize (non-numbers are ignored)
+ * @returns {{median: number, min: number, max: number}|null} - null if no numbers
+ */
+function summarize(values) {
+    const numbers = values
+        .filter(v => typeof v === 'number' && !Number.isNaN(v))
+        .sort((a, b) => a - b);
+    if (numbers.length === 0) return null;
+
+    const mid = Math.floor(numbers.length / 2);
+    const median = numbers.length % 2 === 0
+        ? (numbers[mid - 1] + numbers[mid]) / 2
+        : numbers[mid];
+
+    return { median, min: numbers[0], max: numbers[numbers.length - 1] };
+}
+
+/**
+ * Alignment key for hourly items: the start of the UTC hour
+ * @param {number} time - Unix timestamp in seconds
+ * @returns {number|null}
+ */
+function hourKey(time) {
+    if (typeof time !== 'number') return null;
+    return Math.floor(time / 3600) * 3600;
+}
+
+/**
+ * Alignment key for daily items: the calendar date in the location's timezone.
+ * Providers anchor days differently (local midnight, 6 AM period start, UTC
+ * midnight), so comparing raw timestamps would never line up.
+ * @param {number} time - Unix timestamp in seconds
+ * @param {string} [timezone] - IANA timezone of the location
+ * @returns {string|null} - Date as YYYY-MM-DD
+ */
+function dayKey(time, timezone) {
+    if (typeof time !== 'number') return null;
+    const opts = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    if (timezone) opts.timeZone = timezone;
+    try {
+        return new Date(time * 1000).toLocaleDateString('en-CA', opts);
+    } catch (e) {
+        return new Date(time * 1000).toLocaleDateString('en-CA');
+    }
+}
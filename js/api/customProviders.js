@@ -0,0 +1,703 @@
+/**
+ * Declarative Custom Providers
+ *
+ * Lets users add a weather source from a JSON definition instead of writing a
+ * provider module. A definition gives a URL template, JSONPath-style field
+ * mappings into the standard weather format, the units the API reports in and
+ * an icon-code table. Definitions are kept in localStorage and turned into a
+ * regular provider (metadata + fetch function) that api.js registers at runtime.
+ *
+ * Example definition:
+ *
+ * {
+ *   "id": "my-station",
+ *   "name": "My Weather Station",
+ *   "regions": ["global"],
+ *   "url": "https://example.com/forecast?lat={lat}&lon={lon}&appid={key}",
+ *   "requiresApiKey": true,
+ *   "attribution": { "name": "Example Weather", "url": "https://example.com" },
+ *   "units": { "temperature": "C", "windSpeed": "m/s", "time": "unix" },
+ *   "mapping": {
+ *     "timezone": "$.timezone",
+ *     "currently": { "temperature": "$.current.temp", "icon": "$.current.weather[0].id" },
+ *     "hourly": { "path": "$.hourly", "fields": { "time": "$.dt", "temperature": "$.temp" } },
+ *     "daily": { "path": "$.daily", "fields": { "time": "$.dt", "temperatureHigh": "$.temp.max" } }
+ *   },
+ *   "icons": { "800": "clear-day", "200-299": "thunderstorm", "default": "cloudy" }
+ * }
+ *
+ * Mapping values starting with "$" are paths; anything else is used as a
+ * literal. Hourly/daily paths are relative to each item, unless the section
+ * sets "columns": true, in which case every field path points at a parallel
+ * array on the response root (Open-Meteo style).
+ */
+
+//==============================================================================
+// 1. IMPORTS AND DEPENDENCIES
+//==============================================================================
+
+import { displayWeatherWithAlerts, showError, hideLoading, hideError } from '../ui/core.js';
+import { isDaytime } from '../utils/geo.js';
+import { getSimpleHourString } from '../utils/time.js';
+import { createEmptyWeatherData, WEATHER_ICONS } from '../standardWeatherFormat.js';
+import { fetchResource } from '../utils/network.js';
+import { createHttpError } from './providerHealth.js';
+
+//==============================================================================
+// 2. CONFIGURATION
+//==============================================================================
+
+const CUSTOM_PROVIDERS_STORAGE = 'weather_app_custom_providers';
+
+// Conversions into the standard format's units (°F, mph, hPa, miles, mm, Unix seconds)
+const UNIT_CONVERSIONS = {
+    temperature: {
+        F: v => v,
+        C: v => v * 9 / 5 + 32,
+        K: v => (v - 273.15) * 9 / 5 + 32
+    },
+    windSpeed: {
+        'mph': v => v,
+        'km/h': v => v / 1.60934,
+        'm/s': v => v * 2.23694,
+        'kn': v => v * 1.15078
+    },
+    pressure: {
+        'hPa': v => v,
+        'kPa': v => v * 10,
+        'inHg': v => v * 33.8639,
+        'mmHg': v => v * 1.33322
+    },
+    visibility: {
+        'mi': v => v,
+        'km': v => v / 1.60934,
+        'm': v => v / 1609.34
+    },
+    precipitation: {
+        'mm': v => v,
+        'cm': v => v * 10,
+        'in': v => v * 25.4
+    },
+    humidity: {
+        'fraction': v => v,
+        'percent': v => v / 100
+    },
+    precipChance: {
+        'percent': v => v,
+        'fraction': v => v * 100
+    },
+    time: {
+        'unix': v => v,
+        'unix-ms': v => Math.floor(v / 1000),
+        'iso': v => Math.floor(Date.parse(v) / 1000)
+    }
+};
+
+// Units assumed when a definition doesn't declare one
+const DEFAULT_UNITS = {
+    temperature: 'F',
+    windSpeed: 'mph',
+    pressure: 'hPa',
+    visibility: 'mi',
+    precipitation: 'mm',
+    humidity: 'fraction',
+    precipChance: 'percent',
+    time: 'unix'
+};
+
+// Which unit family each standard field belongs to
+const FIELD_UNIT_TYPES = {
+    temperature: 'temperature',
+    apparentTemperature: 'temperature',
+    temperatureHigh: 'temperature',
+    temperatureLow: 'temperature',
+    apparentTemperatureHigh: 'temperature',
+    apparentTemperatureLow: 'temperature',
+    dewPoint: 'temperature',
+    windSpeed: 'windSpeed',
+    windGust: 'windSpeed',
+    windMax: 'windSpeed',
+    windGustsMax: 'windSpeed',
+    pressure: 'pressure',
+    visibility: 'visibility',
+    precipSum: 'precipitation',
+    precipIntensity: 'precipitation',
+    humidity: 'humidity',
+    precipChance: 'precipChance',
+    time: 'time',
+    sunrise: 'time',
+    sunset: 'time'
+};
+
+// Standard fields a definition may map in each section. Anything else
+// (internal fields like derived or isDaytime, or unknown names) is rejected.
+const SHARED_FIELDS = [
+    'icon', 'summary', 'temperature', 'apparentTemperature', 'dewPoint', 'humidity', 'pressure',
+    'windSpeed', 'windGust', 'windDirection', 'visibility', 'cloudCover', 'uvIndex', 'precipIntensity'
+];
+const MAPPABLE_FIELDS = {
+    currently: SHARED_FIELDS,
+    hourly: ['time', 'precipChance', ...SHARED_FIELDS],
+    daily: [
+        'time', 'icon', 'summary', 'temperatureHigh', 'temperatureLow', 'apparentTemperatureHigh',
+        'apparentTemperatureLow', 'precipChance', 'precipSum', 'snowfallSum', 'iceSum', 'precipHours',
+        'precipProbabilityMean', 'sunrise', 'sunset', 'windMax', 'windGustsMax', 'windDirection',
+        'uvIndex', 'cloudCover', 'humidity', 'dewPoint', 'visibility'
+    ]
+};
+
+// Identifiers already used by the built-in providers
+const RESERVED_IDS = ['open-meteo', 'pirate', 'nws', 'openweathermap', 'consensus', 'automatic'];
+
+//==============================================================================
+// 3. DEFINITION STORAGE
+//==============================================================================
+
+/**
+ * Load every saved custom provider definition
+ * @returns {Array<Object>} Saved definitions (invalid JSON yields an empty list)
+ */
+export function loadCustomProviderDefinitions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_PROVIDERS_STORAGE) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        console.error('Error reading custom providers:', e);
+        return [];
+    }
+}
+
+/**
+ * Save a definition, replacing any existing one with the same ID
+ * @param {Object} definition - Validated provider definition
+ */
+export function saveCustomProviderDefinition(definition) {
+    const definitions = loadCustomProviderDefinitions().filter(d => d.id !== definition.id);
+    definitions.push(definition);
+    localStorage.setItem(CUSTOM_PROVIDERS_STORAGE, JSON.stringify(definitions));
+}
+
+/**
+ * Remove a saved definition and its API key
+ * @param {string} providerId - ID of the custom provider
+ */
+export function removeCustomProviderDefinition(providerId) {
+    const definitions = loadCustomProviderDefinitions().filter(d => d.id !== providerId);
+    localStorage.setItem(CUSTOM_PROVIDERS_STORAGE, JSON.stringify(definitions));
+    localStorage.removeItem(getApiKeyStorageKey(providerId));
+}
+
+//==============================================================================
+// 4. DEFINITION VALIDATION
+//==============================================================================
+
+/**
+ * Check a definition for problems before it is saved or registered
+ * @param {Object} definition - Parsed JSON definition
+ * @returns {Array<string>} Human-readable problems (empty if the definition is usable)
+ */
+export function validateCustomProviderDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Definition must be a JSON object'];
+    }
+
+    if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) {
+        errors.push('"id" must use lowercase letters, numbers and dashes');
+    } else if (RESERVED_IDS.includes(definition.id)) {
+        errors.push(`"id" "${definition.id}" is already used by a built-in source`);
+    }
+
+    if (typeof definition.name !== 'string' || !definition.name.trim()) {
+        errors.push('"name" is required');
+    }
+
+    if (typeof definition.url !== 'string' || !/^https?:\/\//.test(definition.url)) {
+        errors.push('"url" must be an http(s) URL template');
+    } else {
+        if (!definition.url.includes('{lat}') || !definition.url.includes('{lon}')) {
+            errors.push('"url" must contain {lat} and {lon}');
+        }
+        if (definition.requiresApiKey && !definition.url.includes('{key}')) {
+            errors.push('"url" must contain {key} when "requiresApiKey" is true');
+        }
+    }
+
+    if (definition.regions !== undefined &&
+        (!Array.isArray(definition.regions) || definition.regions.some(r => typeof r !== 'string'))) {
+        errors.push('"regions" must be an array of region codes');
+    }
+
+    if (definition.keyPattern !== undefined) {
+        if (typeof definition.keyPattern !== 'string') {
+            errors.push('"keyPattern" must be a regular expression string');
+        } else {
+            try {
+                new RegExp(definition.keyPattern);
+            } catch (e) {
+                errors.push(`"keyPattern" is not a valid regular expression: ${e.message}`);
+            }
+        }
+    }
+
+    if (definition.attribution !== undefined) {
+        const attribution = definition.attribution;
+        if (!attribution || typeof attribution !== 'object' || Array.isArray(attribution)) {
+            errors.push('"attribution" must be an object');
+        } else if (attribution.url !== undefined &&
+            (typeof attribution.url !== 'string' || !/^https?:\/\//.test(attribution.url))) {
+            errors.push('"attribution.url" must be an http(s) URL');
+        }
+    }
+
+    // Units must be ones we know how to convert
+    Object.entries(definition.units || {}).forEach(([type, unit]) => {
+        if (!UNIT_CONVERSIONS[type]) {
+            errors.push(`Unknown unit type "${type}"`);
+        } else if (!UNIT_CONVERSIONS[type][unit]) {
+            errors.push(`Unknown ${type} unit "${unit}" (expected one of ${Object.keys(UNIT_CONVERSIONS[type]).join(', ')})`);
+        }
+    });
+
+    // Icon table values must be standard icon codes
+    const iconCodes = Object.values(WEATHER_ICONS);
+    Object.entries(definition.icons || {}).forEach(([code, icon]) => {
+        if (!iconCodes.includes(icon)) {
+            errors.push(`Icon mapping "${code}" uses unknown icon "${icon}"`);
+        }
+    });
+
+    const mapping = definition.mapping;
+    if (!mapping || typeof mapping !== 'object') {
+        errors.push('"mapping" is required');
+        return errors;
+    }
+
+    if (!mapping.currently || typeof mapping.currently !== 'object') {
+        errors.push('"mapping.currently" is required');
+    } else {
+        if (mapping.currently.temperature === undefined) {
+            errors.push('"mapping.currently.temperature" is required');
+        }
+        findUnknownFields(mapping.currently, 'currently').forEach(field => {
+            errors.push(`"mapping.currently.${field}" is not a standard field`);
+        });
+    }
+
+    ['hourly', 'daily'].forEach(section => {
+        const sectionMapping = mapping[section];
+        if (sectionMapping === undefined) return;
+
+        if (!sectionMapping || typeof sectionMapping !== 'object' || Array.isArray(sectionMapping)) {
+            errors.push(`"mapping.${section}" must be an object`);
+            return;
+        }
+
+        if (!sectionMapping.fields || typeof sectionMapping.fields !== 'object') {
+            errors.push(`"mapping.${section}.fields" is required`);
+        } else {
+            if (sectionMapping.fields.time === undefined) {
+                errors.push(`"mapping.${section}.fields.time" is required`);
+            }
+            findUnknownFields(sectionMapping.fields, section).forEach(field => {
+                errors.push(`"mapping.${section}.fields.${field}" is not a standard field`);
+            });
+        }
+        if (!sectionMapping.columns && typeof sectionMapping.path !== 'string') {
+            errors.push(`"mapping.${section}.path" is required unless "columns" is true`);
+        }
+    });
+
+    // Every path must parse
+    collectPaths(mapping).forEach(path => {
+        if (!parsePath(path)) {
+            errors.push(`Invalid path "${path}"`);
+        }
+    });
+
+    return errors;
+}
+
+//==============================================================================
+// 5. PROVIDER FACTORY
+//==============================================================================
+
+/**
+ * Build registry metadata and a fetch function from a definition
+ * @param {Object} definition - Validated provider definition
+ * @returns {{metadata: Object, fetchFunction: Function}}
+ */
+export function createCustomProvider(definition) {
+    const storageKey = getApiKeyStorageKey(definition.id);
+    const attribution = {
+        name: definition.attribution?.name || definition.name,
+        url: definition.attribution?.url || new URL(definition.url.replace(/\{\w+\}/g, '0')).origin
+    };
+
+    const metadata = {
+        id: definition.id,
+        name: definition.name,
+        regions: definition.regions?.length ? definition.regions.map(r => r.toLowerCase()) : ['global'],
+        regionNames: definition.regionNames || [],
+        requiresApiKey: !!definition.requiresApiKey,
+        description: definition.description || `Custom source: ${definition.name}`,
+        apiKeyUrl: definition.apiKeyUrl,
+        isCustom: true,
+        attribution,
+        supportsNowcast: false
+    };
+
+    if (metadata.requiresApiKey) {
+        const keyPattern = definition.keyPattern ? new RegExp(definition.keyPattern) : null;
+        metadata.apiKeyConfig = {
+            storageKey,
+            updateFn: key => localStorage.setItem(storageKey, key),
+            resetFn: () => localStorage.removeItem(storageKey),
+            validator: keyPattern ? key => keyPattern.test(key) : undefined,
+            invalidValues: ['']
+        };
+    }
+
+    /**
+     * Fetch weather from the custom provider
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {string} locationName - Optional location name
+     * @param {boolean} returnData - If true, return data instead of updating UI
+     * @param {AbortSignal} [signal] - Optional signal to cancel the request
+     * @returns {Promise} - Promise that resolves to weather data (or undefined in UI mode)
+     */
+    function fetchCustomWeather(lat, lon, locationName = null, returnData = false, signal = null) {
+        const apiKey = localStorage.getItem(storageKey) || '';
+
+        const promise = (metadata.requiresApiKey && !apiKey)
+            ? Promise.reject(new Error(`${definition.name} API key required`))
+            : fetchResource(fillUrlTemplate(definition.url, lat, lon, apiKey), { signal })
+                .then(response => {
+                    if (!response.ok) {
+                        throw createHttpError(response, `${definition.name} returned ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(json => processCustomData(definition, json, lat, lon, attribution));
+
+        if (returnData) {
+            return promise;
+        }
+
+        return promise
+            .then(weatherData => {
+                displayWeatherWithAlerts(weatherData, locationName);
+                hideLoading();
+                hideError();
+            })
+            .catch(error => {
+                console.error(`Error fetching ${definition.name} data:`, error);
+                showError(error.message || 'Error fetching weather data. Please try again later.');
+                hideLoading();
+            });
+    }
+
+    return { metadata, fetchFunction: fetchCustomWeather };
+}
+
+//==============================================================================
+// 6. DATA PROCESSING FUNCTIONS
+//==============================================================================
+
+/**
+ * Map an API response into the standard weather format
+ * @param {Object} definition - Provider definition
+ * @param {Object} json - Parsed API response
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} attribution - Attribution to attach
+ * @returns {Object} - Weather data in standardized format
+ */
+function processCustomData(definition, json, lat, lon, attribution) {
+    const weatherData = createEmptyWeatherData();
+    const units = { ...DEFAULT_UNITS, ...(definition.units || {}) };
+    const mapping = definition.mapping;
+    const latNum = parseFloat(lat);
+    const lonNum = parseFloat(lon);
+
+    weatherData.source = definition.id;
+    weatherData.attribution = attribution;
+
+    const timezone = mapValue(json, mapping.timezone);
+    if (typeof timezone === 'string' && timezone) {
+        weatherData.timezone = timezone;
+    } else if (typeof window.tzlookup === 'function') {
+        weatherData.timezone = window.tzlookup(latNum, lonNum);
+    }
+
+    // Current conditions
+    mappedFields(mapping.currently, 'currently').forEach(([field, path]) => {
+        const value = convertField(field, mapValue(json, path), units, definition.icons);
+        if (value !== undefined) {
+            weatherData.currently[field] = value;
+        }
+    });
+    weatherData.currently.isDaytime = isDaytime(latNum, lonNum);
+
+    // Hourly forecast
+    if (mapping.hourly) {
+        weatherData.hourly.data = mapSeries(json, mapping.hourly, 'hourly', units, definition.icons).map(hour => ({
+            formattedTime: getSimpleHourString(hour.time),
+            isDaytime: isDaytime(latNum, lonNum, new Date(hour.time * 1000)),
+            precipChance: 0,
+            summary: '',
+            ...hour
+        }));
+    }
+
+    // Daily forecast
+    if (mapping.daily) {
+        weatherData.daily.data = mapSeries(json, mapping.daily, 'daily', units, definition.icons).map(day => ({
+            precipChance: 0,
+            summary: '',
+            ...day
+        }));
+    }
+
+    // Fill in a daily high/low from the hourly series when the API has no daily data
+    if (weatherData.daily.data.length === 0 && weatherData.hourly.data.length > 0) {
+        weatherData.daily.data = buildDailyFromHourly(weatherData.hourly.data, weatherData.timezone);
+    }
+
+    return weatherData;
+}
+
+/**
+ * Map an hourly or daily series
+ * @param {Object} json - Parsed API response
+ * @param {Object} sectionMapping - { path, columns, fields }
+ * @param {string} section - 'hourly' or 'daily'
+ * @param {Object} units - Resolved unit declarations
+ * @param {Object} [icons] - Icon-code table
+ * @returns {Array<Object>} Mapped items with a numeric time, sorted by time
+ */
+function mapSeries(json, sectionMapping, section, units, icons) {
+    const fields = mappedFields(sectionMapping.fields, section);
+    let items;
+
+    if (sectionMapping.columns) {
+        // Parallel arrays on the response root, indexed together
+        const columns = fields.map(([field, path]) => [field, mapValue(json, path)]);
+        const times = columns.find(([field]) => field === 'time')[1];
+        items = (Array.isArray(times) ? times : []).map((_, i) => {
+            const item = {};
+            columns.forEach(([field, column]) => {
+                const raw = Array.isArray(column) ? column[i] : column;
+                const value = convertField(field, raw, units, icons);
+                if (value !== undefined) item[field] = value;
+            });
+            return item;
+        });
+    } else {
+        const source = mapValue(json, sectionMapping.path);
+        items = (Array.isArray(source) ? source : []).map(entry => {
+            const item = {};
+            fields.forEach(([field, path]) => {
+                const value = convertField(field, mapValue(entry, path), units, icons);
+                if (value !== undefined) item[field] = value;
+            });
+            return item;
+        });
+    }
+
+    return items
+        .filter(item => typeof item.time === 'number' && !Number.isNaN(item.time))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Summarize hourly data into daily highs and lows
+ * @param {Array} hours - Standardized hourly items
+ * @param {string} timezone - IANA timezone of the location
+ * @returns {Array} Standardized daily items
+ */
+function buildDailyFromHourly(hours, timezone) {
+    const days = new Map();
+    const opts = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+
+    hours.forEach(hour => {
+        const key = new Date(hour.time * 1000).toLocaleDateString('en-CA', opts);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(hour);
+    });
+
+    return [...days.values()].map(dayHours => {
+        const temps = dayHours.map(h => h.temperature).filter(t => typeof t === 'number');
+        // The middle hour of the day stands in for the day's icon and summary
+        const middayHour = dayHours[Math.min(Math.floor(dayHours.length / 2), dayHours.length - 1)];
+        return {
+            time: dayHours[0].time,
+            icon: middayHour.icon || WEATHER_ICONS.CLOUDY,
+            temperatureHigh: temps.length ? Math.max(...temps) : null,
+            temperatureLow: temps.length ? Math.min(...temps) : null,
+            summary: middayHour.summary || '',
+            precipChance: Math.max(0, ...dayHours.map(h => h.precipChance || 0))
+        };
+    });
+}
+
+//==============================================================================
+// 7. HELPER FUNCTIONS
+//==============================================================================
+
+/**
+ * localStorage key for a custom provider's API key
+ * @param {string} providerId - Custom provider ID
+ * @returns {string}
+ */
+function getApiKeyStorageKey(providerId) {
+    return `weather_app_custom_${providerId}_api_key`;
+}
+
+/**
+ * Fill {lat}, {lon} and {key} in a URL template
+ * @param {string} template - URL template
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} apiKey - API key (may be empty)
+ * @returns {string}
+ */
+function fillUrlTemplate(template, lat, lon, apiKey) {
+    return template
+        .replace(/\{lat\}/g, encodeURIComponent(parseFloat(lat).toFixed(4)))
+        .replace(/\{lon\}/g, encodeURIComponent(parseFloat(lon).toFixed(4)))
+        .replace(/\{key\}/g, encodeURIComponent(apiKey));
+}
+
+/**
+ * Resolve a mapping value: "$..." strings are paths, anything else is a literal
+ * @param {*} root - Object the path is relative to
+ * @param {*} mappingValue - Path or literal
+ * @returns {*} Resolved value, or undefined if the path doesn't exist
+ */
+function mapValue(root, mappingValue) {
+    if (typeof mappingValue !== 'string' || !mappingValue.startsWith('$')) {
+        return mappingValue;
+    }
+
+    const segments = parsePath(mappingValue);
+    if (!segments) return undefined;
+
+    return segments.reduce((value, segment) => {
+        if (value === undefined || value === null) return undefined;
+        if (typeof segment === 'number' && Array.isArray(value)) {
+            return value[segment < 0 ? value.length + segment : segment];
+        }
+        return value[segment];
+    }, root);
+}
+
+/**
+ * Split a JSONPath-style string into property/index segments.
+ * Supports $.a.b, $['a b'], $.list[0] and $.list[-1].
+ * @param {string} path - Path starting with "$"
+ * @returns {Array<string|number>|null} Segments, or null if the path is malformed
+ */
+function parsePath(path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) return null;
+
+    const segments = [];
+    const pattern = /\.([A-Za-z_$][\w$-]*)|\[(-?\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+    pattern.lastIndex = 1;
+
+    while (pattern.lastIndex < path.length) {
+        const match = pattern.exec(path);
+        if (!match) return null;
+
+        if (match[1] !== undefined) segments.push(match[1]);
+        else if (match[2] !== undefined) segments.push(parseInt(match[2], 10));
+        else segments.push(match[3] !== undefined ? match[3] : match[4]);
+    }
+
+    return segments;
+}
+
+/**
+ * Gather every path string in a mapping (for validation)
+ * @param {*} node - Mapping object or value
+ * @returns {Array<string>}
+ */
+function collectPaths(node) {
+    if (typeof node === 'string') return node.startsWith('$') ? [node] : [];
+    if (!node || typeof node !== 'object') return [];
+    return Object.values(node).flatMap(collectPaths);
+}
+
+/**
+ * Mapped fields that aren't standard fields for a section
+ * @param {Object} fields - Field mapping
+ * @param {string} section - 'currently', 'hourly' or 'daily'
+ * @returns {Array<string>} Unknown field names
+ */
+function findUnknownFields(fields, section) {
+    return Object.keys(fields).filter(field => !MAPPABLE_FIELDS[section].includes(field));
+}
+
+/**
+ * Entries of a field mapping, limited to the section's standard fields
+ * @param {Object} fields - Field mapping
+ * @param {string} section - 'currently', 'hourly' or 'daily'
+ * @returns {Array<[string, *]>} [field, path] pairs
+ */
+function mappedFields(fields, section) {
+    return Object.entries(fields).filter(([field]) => MAPPABLE_FIELDS[section].includes(field));
+}
+
+/**
+ * Convert a raw value for a standard field into standard units
+ * @param {string} field - Standard field name
+ * @param {*} raw - Raw value from the API
+ * @param {Object} units - Resolved unit declarations
+ * @param {Object} [icons] - Icon-code table
+ * @returns {*} Converted value, or undefined if there was nothing to map
+ */
+function convertField(field, raw, units, icons) {
+    if (raw === undefined || raw === null) return undefined;
+
+    if (field === 'icon') return mapIconCode(raw, icons);
+
+    const unitType = FIELD_UNIT_TYPES[field];
+    if (!unitType) return raw;
+
+    // ISO timestamps are strings; everything else should be numeric
+    const value = (unitType === 'time' && units.time === 'iso') ? raw : Number(raw);
+    if (typeof value === 'number' && Number.isNaN(value)) return undefined;
+
+    const converted = UNIT_CONVERSIONS[unitType][units[unitType]](value);
+    return Number.isNaN(converted) ? undefined : converted;
+}
+
+/**
+ * Map a provider icon/condition code through the definition's icon table.
+ * Keys can be exact codes ("800") or numeric ranges ("200-299").
+ * @param {*} code - Provider code
+ * @param {Object} [icons] - Icon-code table
+ * @returns {string} Standard icon code
+ */
+function mapIconCode(code, icons = {}) {
+    const key = String(code);
+    if (icons[key]) return icons[key];
+
+    const numeric = Number(code);
+    if (!Number.isNaN(numeric)) {
+        for (const [range, icon] of Object.entries(icons)) {
+            const match = /^(-?\d+(?:\.\d+)?)-(-?\d+(?:\.\d+)?)$/.exec(range);
+            if (match && numeric >= parseFloat(match[1]) && numeric <= parseFloat(match[2])) {
+                return icon;
+            }
+        }
+    }
+
+    // Codes that are already standard icon names pass straight through
+    if (Object.values(WEATHER_ICONS).includes(key)) return key;
+
+    return icons.default || WEATHER_ICONS.CLOUDY;
+}
@@ -0,0 +1,184 @@
+/**
+ * Marine — Open-Meteo Marine API
+ *
+ * Fetches waves, swell and sea surface temperature for a point and returns
+ * the standard format's marine section. The model only covers the sea, so
+ * inland locations come back with no data and the section is marked
+ * unavailable; the card and radar arrows then stay hidden.
+ *
+ * Also fetches a coarse grid of current wave directions for the radar map.
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { createEmptyWeatherData } from '../standardWeatherFormat.js';
+import { log } from '../utils/logger.js';
+import { fetchResource } from '../utils/network.js';
+
+const MARINE_ENDPOINT = 'https://marine-api.open-meteo.com/v1/marine';
+
+// Open-Meteo variable names for each standard field
+const MARINE_VARIABLES = {
+    waveHeight: 'wave_height',
+    waveDirection: 'wave_direction',
+    wavePeriod: 'wave_period',
+    swellHeight: 'swell_wave_height',
+    swellDirection: 'swell_wave_direction',
+    swellPeriod: 'swell_wave_period',
+    windWaveHeight: 'wind_wave_height',
+    windWaveDirection: 'wind_wave_direction',
+    windWavePeriod: 'wind_wave_period',
+    seaSurfaceTemperature: 'sea_surface_temperature'
+};
+
+const FORECAST_DAYS = 3;
+
+// Points per side of the radar wave direction grid
+const WAVE_GRID_SIZE = 5;
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Fetch the marine forecast for a point location.
+ * Pass options.signal (AbortSignal) to cancel the request.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<Object>} marine section (available: false inland or on failure)
+ */
+export async function fetchMarine(lat, lon, options = {}) {
+    try {
+        const variables = Object.values(MARINE_VARIABLES).join(',');
+
+        const url = `${MARINE_ENDPOINT}?` +
+            `latitude=${parseFloat(lat).toFixed(4)}&longitude=${parseFloat(lon).toFixed(4)}` +
+            `&current=${variables}&hourly=${variables}` +
+            `&timeformat=unixtime&forecast_days=${FORECAST_DAYS}`;
+
+        const response = await fetchResource(url, { signal: options.signal || null });
+
+        // The marine API answers 400 for points it has no sea grid cell for
+        if (response.status === 400) {
+            log('No marine data for this location');
+            return createEmptyWeatherData().marine;
+        }
+
+        if (!response.ok) {
+            throw new Error(`Open-Meteo marine responded with status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return processMarine(data);
+    } catch (error) {
+        // Superseded request, the caller has already moved on
+        if (error.name !== 'AbortError') {
+            console.error('Error fetching marine forecast from Open-Meteo:', error);
+        }
+        return createEmptyWeatherData().marine;
+    }
+}
+
+/**
+ * Fetch current wave height and direction on a grid covering a map view
+ * @param {{north: number, south: number, east: number, west: number}} bounds - Area to cover
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<Array<{lat: number, lon: number, waveHeight: number, waveDirection: number}>>}
+ *   Grid points over water (points on land are left out)
+ */
+export async function fetchWaveField(bounds, options = {}) {
+    const points = [];
+    for (let row = 0; row < WAVE_GRID_SIZE; row++) {
+        for (let col = 0; col < WAVE_GRID_SIZE; col++) {
+            // Cell centres, so no arrow sits on the map edge
+            points.push({
+                lat: bounds.south + (bounds.north - bounds.south) * (row + 0.5) / WAVE_GRID_SIZE,
+                lon: bounds.west + (bounds.east - bounds.west) * (col + 0.5) / WAVE_GRID_SIZE
+            });
+        }
+    }
+
+    const url = `${MARINE_ENDPOINT}?` +
+        `latitude=${points.map(p => p.lat.toFixed(3)).join(',')}` +
+        `&longitude=${points.map(p => p.lon.toFixed(3)).join(',')}` +
+        `&current=wave_height,wave_direction`;
+
+    const response = await fetchResource(url, { signal: options.signal || null });
+    if (!response.ok) {
+        throw new Error(`Open-Meteo marine responded with status: ${response.status}`);
+    }
+
+    // Several coordinates come back as an array, one result per point
+    const data = await response.json();
+    const results = Array.isArray(data) ? data : [data];
+
+    return results
+        .map((result, i) => ({
+            lat: points[i].lat,
+            lon: points[i].lon,
+            waveHeight: result?.current?.wave_height,
+            waveDirection: result?.current?.wave_direction
+        }))
+        .filter(point => typeof point.waveHeight === 'number' && typeof point.waveDirection === 'number');
+}
+
+//==============================================================================
+// 3. DATA PROCESSING
+//==============================================================================
+
+/**
+ * Convert an Open-Meteo marine response into the standard section
+ * @param {Object} data - Open-Meteo response
+ * @returns {Object} marine section
+ */
+function processMarine(data) {
+    const marine = createEmptyWeatherData().marine;
+
+    const current = data.current || {};
+    marine.current = {
+        time: current.time ?? null,
+        ...mapMarineFields(name => current[name])
+    };
+
+    const hourly = data.hourly || {};
+    const times = Array.isArray(hourly.time) ? hourly.time : [];
+    const nowHour = Math.floor(Date.now() / 1000 / 3600) * 3600;
+
+    marine.hourly = times
+        .map((time, i) => ({
+            time,
+            ...mapMarineFields(name => hourly[name]?.[i])
+        }))
+        .filter(hour => hour.time >= nowHour);
+
+    // Land cells come back as all-null series
+    marine.available = marine.current.waveHeight !== null ||
+        marine.hourly.some(hour => hour.waveHeight !== null);
+
+    return marine;
+}
+
+/**
+ * Read every standard marine field through a lookup function
+ * @param {Function} read - Maps an Open-Meteo variable name to its value
+ * @returns {Object} Standard marine fields (null when missing)
+ */
+function mapMarineFields(read) {
+    const values = {};
+    Object.entries(MARINE_VARIABLES).forEach(([field, variable]) => {
+        const value = read(variable);
+        values[field] = typeof value === 'number' ? value : null;
+    });
+
+    // The standard format keeps temperatures in Fahrenheit
+    if (values.seaSurfaceTemperature !== null) {
+        values.seaSurfaceTemperature = values.seaSurfaceTemperature * 9 / 5 + 32;
+    }
+
+    return values;
+}
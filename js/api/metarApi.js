@@ -0,0 +1,250 @@
+/**
+ * Airport observations — aviationweather.gov METAR/TAF
+ *
+ * Finds the nearest airport reporting a recent METAR and fetches its TAF,
+ * then decodes both with utils/metar.js. api.js uses this to fill current
+ * conditions and station info for providers that have no observations of
+ * their own (everything except NWS, and NWS when its stations are down).
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { calculateDistance } from '../utils/geo.js';
+import { calculateRelativeHumidity } from '../utils/derivedMetrics.js';
+import { parseMetar, parseTaf, getMetarSummary, getMetarIcon } from '../utils/metar.js';
+import { log } from '../utils/logger.js';
+import { fetchResource } from '../utils/network.js';
+
+const METAR_ENDPOINT = 'https://aviationweather.gov/api/data/metar';
+const TAF_ENDPOINT = 'https://aviationweather.gov/api/data/taf';
+
+// Half-width of the box searched for stations (degrees)
+const SEARCH_RADIUS_DEG = 1;
+
+// Stations further away than this don't describe the location
+const MAX_STATION_DISTANCE_KM = 75;
+
+// Reports older than this are ignored (hours)
+const MAX_OBSERVATION_AGE_HOURS = 2;
+
+const KT_TO_MPH = 1.15078;
+
+// Fields an observation replaces, including derived ones that have to be
+// recomputed from the observed values
+const STALE_DERIVED_FIELDS = ['apparentTemperature', 'heatIndex', 'windChill', 'humidex', 'wetBulb', 'cloudBase'];
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Fetch and decode the latest report from the nearest airport station.
+ * Pass options.signal (AbortSignal) to cancel the request.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<Object|null>} { station: { id, name, lat, lon, distance (km) },
+ *   rawMetar, rawTaf, metar, taf }, or null if no station is close enough
+ */
+export async function fetchNearestMetar(lat, lon, options = {}) {
+    try {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lon);
+        const bbox = [
+            latitude - SEARCH_RADIUS_DEG,
+            longitude - SEARCH_RADIUS_DEG,
+            latitude + SEARCH_RADIUS_DEG,
+            longitude + SEARCH_RADIUS_DEG
+        ].map(value => value.toFixed(2)).join(',');
+
+        const response = await fetchResource(
+            `${METAR_ENDPOINT}?bbox=${bbox}&format=json&hours=${MAX_OBSERVATION_AGE_HOURS}`,
+            { signal: options.signal || null }
+        );
+
+        // 204 means no station in the box reported recently
+        if (response.status === 204) {
+            log('No airport observations near this location');
+            return null;
+        }
+
+        if (!response.ok) {
+            throw new Error(`aviationweather.gov METAR responded with status: ${response.status}`);
+        }
+
+        const reports = await response.json();
+        const nearest = findNearestReport(Array.isArray(reports) ? reports : [], latitude, longitude);
+        if (!nearest) {
+            log('No airport observations near this location');
+            return null;
+        }
+
+        const observedAt = typeof nearest.obsTime === 'number' ? new Date(nearest.obsTime * 1000) : new Date();
+        const metar = parseMetar(nearest.rawOb, observedAt);
+        if (!metar) {
+            log(`Could not decode METAR from ${nearest.icaoId}: ${nearest.rawOb}`);
+            return null;
+        }
+
+        const rawTaf = await fetchTaf(nearest.icaoId, options.signal);
+
+        return {
+            station: {
+                id: nearest.icaoId,
+                name: nearest.name || nearest.icaoId,
+                lat: nearest.lat,
+                lon: nearest.lon,
+                distance: nearest.distance
+            },
+            rawMetar: metar.raw,
+            rawTaf,
+            metar,
+            taf: rawTaf ? parseTaf(rawTaf, observedAt) : null
+        };
+    } catch (error) {
+        // Superseded request, the caller has already moved on
+        if (error.name !== 'AbortError') {
+            console.error('Error fetching airport observations from aviationweather.gov:', error);
+        }
+        return null;
+    }
+}
+
+/**
+ * Replace the current conditions with an airport observation and record the
+ * station in stationInfo. Fields the report leaves out keep the forecast value.
+ * @param {Object} weatherData - Standardized weather data (updated in place)
+ * @param {Object} observation - Result of fetchNearestMetar()
+ * @returns {Object} The same weather data
+ */
+export function applyMetarObservation(weatherData, observation) {
+    const metar = observation?.metar;
+    if (!weatherData?.currently || !metar) return weatherData;
+
+    // An empty report would otherwise replace the forecast with "Clear"
+    const hasSky = metar.clouds.length > 0 || metar.clear || metar.cavok || metar.weather.length > 0;
+    if (metar.temperature === null && !metar.wind && !hasSky) return weatherData;
+
+    const currently = weatherData.currently;
+
+    if (metar.temperature !== null) {
+        currently.temperature = celsiusToFahrenheit(metar.temperature);
+    }
+    if (metar.dewPoint !== null) {
+        currently.dewPoint = celsiusToFahrenheit(metar.dewPoint);
+    }
+    if (metar.temperature !== null && metar.dewPoint !== null) {
+        currently.humidity = calculateRelativeHumidity(currently.temperature, currently.dewPoint);
+    }
+
+    if (metar.wind) {
+        currently.windSpeed = metar.wind.speed * KT_TO_MPH;
+        currently.windGust = metar.wind.gust !== null ? metar.wind.gust * KT_TO_MPH : null;
+        if (metar.wind.direction !== null) {
+            currently.windDirection = metar.wind.direction;
+        }
+    }
+
+    if (metar.visibility?.miles != null) {
+        currently.visibility = metar.visibility.miles;
+    }
+    if (metar.altimeter !== null) {
+        currently.pressure = metar.altimeter;
+    }
+
+    if (hasSky) {
+        currently.summary = getMetarSummary(metar);
+        currently.icon = getMetarIcon(metar, currently.isDaytime !== false);
+    }
+
+    // Let applyDerivedMetrics work these out again from the observed values,
+    // except cloud base, which the report measures directly
+    STALE_DERIVED_FIELDS.forEach(field => { currently[field] = null; });
+    currently.derived = [];
+    const lowestLayer = metar.clouds.find(layer => layer.base !== null);
+    if (lowestLayer) {
+        currently.cloudBase = lowestLayer.base;
+    }
+
+    weatherData.stationInfo = {
+        display: true,
+        stationName: `${observation.station.name} (${observation.station.id})`,
+        stationDistance: observation.station.distance,
+        observationTime: metar.time,
+        usingForecastDescription: false,
+        descriptionAdjusted: false,
+        isForecastData: false,
+        source: 'metar',
+        stationId: observation.station.id,
+        rawMetar: observation.rawMetar,
+        rawTaf: observation.rawTaf
+    };
+
+    return weatherData;
+}
+
+//==============================================================================
+// 3. HELPER FUNCTIONS
+//==============================================================================
+
+/**
+ * Pick the closest station's latest report within range
+ * @param {Array} reports - aviationweather.gov METAR JSON records
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object|null} The report with its distance (km) added
+ */
+function findNearestReport(reports, lat, lon) {
+    let nearest = null;
+
+    reports.forEach(report => {
+        if (!report?.rawOb || typeof report.lat !== 'number' || typeof report.lon !== 'number') return;
+
+        const distance = calculateDistance(lat, lon, report.lat, report.lon);
+        if (distance > MAX_STATION_DISTANCE_KM) return;
+
+        const closer = !nearest || distance < nearest.distance;
+        // A station appears once per report; keep its latest
+        const newer = nearest && report.icaoId === nearest.icaoId && report.obsTime > nearest.obsTime;
+        if (closer || newer) {
+            nearest = { ...report, distance };
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Fetch a station's current TAF. Many smaller airports issue none.
+ * @param {string} stationId - ICAO identifier
+ * @param {AbortSignal} [signal] - Signal to cancel the request
+ * @returns {Promise<string|null>} Raw TAF, or null if there is none
+ */
+async function fetchTaf(stationId, signal) {
+    try {
+        const response = await fetchResource(
+            `${TAF_ENDPOINT}?ids=${encodeURIComponent(stationId)}&format=json`,
+            { signal: signal || null }
+        );
+        if (!response.ok || response.status === 204) return null;
+
+        const forecasts = await response.json();
+        return Array.isArray(forecasts) && forecasts[0]?.rawTAF ? forecasts[0].rawTAF : null;
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        log(`No TAF for ${stationId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Convert Celsius to Fahrenheit
+ * @param {number} celsius - Temperature (°C)
+ * @returns {number} Temperature (°F)
+ */
+function celsiusToFahrenheit(celsius) {
+    return celsius * 9 / 5 + 32;
+}
@@ -14,7 +14,11 @@ import { calculateDistance, isDaytime } from '../utils/geo.js';
 import { formatLocationName } from '../utils/formatting.js';
 import { fetchOpenMeteoWeather } from './openMeteoApi.js';
 import { setApiAttribution } from '../api.js';
+import { rememberForecastOffice } from './nwsProductsApi.js';
+import { mergeGridpoints } from '../utils/nwsGridpoints.js';
 import { createEmptyWeatherData, ALERT_SEVERITY, WEATHER_ICONS, PRECIP_INTENSITY } from '../standardWeatherFormat.js';
+import { fetchResource } from '../utils/network.js';
+import { createHttpError } from './providerHealth.js';
 
 //==============================================================================
 // 2. API ENDPOINTS AND CONFIGURATION
@@ -69,9 +73,10 @@ export const API_METADATA = {
  * @param {number} lon - Longitude
  * @param {string} locationName - Optional location name
  * @param {boolean} returnData - If true, return the data instead of updating UI
+ * @param {AbortSignal} [signal] - Optional signal to cancel the request
  * @returns {Promise} - Promise that resolves to weather data or rejects with an error
  */
-export function fetchNWSWeather(lat, lon, locationName = null, returnData = false) {
+export function fetchNWSWeather(lat, lon, locationName = null, returnData = false, signal = null) {
     // Always return a Promise to ensure consistent behavior
     return new Promise((resolve, reject) => {
         try {
@@ -80,18 +85,30 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
             const formattedLon = parseFloat(lon).toFixed(3);
 
             const pointsUrl = `${NWS_ENDPOINTS.POINTS}/${formattedLat},${formattedLon}`;
-            const requestOptions = createNWSRequestOptions();
+            const requestOptions = { ...createNWSRequestOptions(), signal };
 
-            fetch(pointsUrl, requestOptions)
+            fetchResource(pointsUrl, requestOptions)
                 .then(response => {
                     if (!response.ok) {
-                        throw new Error('Unable to get weather data from NWS. Falling back to Open-Meteo.');
+                        throw createHttpError(response, 'Unable to get weather data from NWS. Falling back to Open-Meteo.');
                     }
                     return response.json();
                 })
                 .then(pointData => {
                     // Extract grid information
-                    const { gridId, gridX, gridY, relativeLocation } = pointData.properties;
+                    const { gridId, gridX, gridY, relativeLocation, timeZone } = pointData.properties;
+
+                    // The forecaster discussion panel needs the same office
+                    rememberForecastOffice(formattedLat, formattedLon, gridId);
+
+                    // Raw forecast grids (snow and ice amounts, thunder, gusts...) fill
+                    // in what the text forecasts leave out; the forecast works without them
+                    const gridpointsPromise = fetchResource(`${NWS_ENDPOINTS.GRIDPOINTS}/${gridId}/${gridX},${gridY}`, requestOptions)
+                        .then(response => response.ok ? response.json() : null)
+                        .catch(error => {
+                            console.warn('Error fetching NWS gridpoint data:', error);
+                            return null;
+                        });
 
                     // Get observation stations URL from the response
                     const observationStationsUrl = pointData.properties.observationStations;
@@ -104,10 +121,10 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
                     }
 
                     // First, get nearby observation stations
-                    return fetch(observationStationsUrl, requestOptions)
+                    return fetchResource(observationStationsUrl, requestOptions)
                         .then(response => {
                             if (!response.ok) {
-                                throw new Error('Unable to get observation stations from NWS.');
+                                throw createHttpError(response, 'Unable to get observation stations from NWS.');
                             }
                             return response.json();
                         })
@@ -118,22 +135,23 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
                                     // Now get forecast, hourly forecast, and alerts in parallel
                                     return Promise.all([
                                         // Get forecast
-                                        fetch(`${NWS_ENDPOINTS.GRIDPOINTS}/${gridId}/${gridX},${gridY}/forecast`, requestOptions),
+                                        fetchResource(`${NWS_ENDPOINTS.GRIDPOINTS}/${gridId}/${gridX},${gridY}/forecast`, requestOptions),
                                         // Get hourly forecast
-                                        fetch(`${NWS_ENDPOINTS.GRIDPOINTS}/${gridId}/${gridX},${gridY}/forecast/hourly`, requestOptions),
+                                        fetchResource(`${NWS_ENDPOINTS.GRIDPOINTS}/${gridId}/${gridX},${gridY}/forecast/hourly`, requestOptions),
                                         // Get alerts
-                                        fetch(`${NWS_ENDPOINTS.ALERTS}?point=${formattedLat},${formattedLon}`, requestOptions)
+                                        fetchResource(`${NWS_ENDPOINTS.ALERTS}?point=${formattedLat},${formattedLon}`, requestOptions)
                                     ])
                                         .then(responses => {
                                             // Check if all responses are ok
-                                            if (!responses.every(response => response.ok)) {
-                                                throw new Error('Unable to get complete weather data from NWS. Falling back to Open Meteo.');
+                                            const failedResponse = responses.find(response => !response.ok);
+                                            if (failedResponse) {
+                                                throw createHttpError(failedResponse, 'Unable to get complete weather data from NWS. Falling back to Open Meteo.');
                                             }
 
                                             // Parse all responses as JSON
-                                            return Promise.all(responses.map(response => response.json()));
+                                            return Promise.all([...responses.map(response => response.json()), gridpointsPromise]);
                                         })
-                                        .then(([forecastData, hourlyData, alertsData]) => {
+                                        .then(([forecastData, hourlyData, alertsData, gridData]) => {
                                             // Process the NWS data
                                             const weatherData = processNWSData(
                                                 forecastData,
@@ -146,6 +164,10 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
                                                 formattedLon
                                             );
 
+                                            if (gridData) {
+                                                mergeGridpoints(weatherData, gridData, timeZone);
+                                            }
+
                                             if (returnData) {
                                                 // Return processed data
                                                 setApiAttribution('nws');
@@ -162,11 +184,8 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
                                         .catch(error => {
                                             console.error('Error fetching NWS weather data:', error);
                                             if (returnData) {
-                                                // Fall back to Open Meteo API with returnData = true
-                                                console.log('Falling back to Open-Meteo API');
-                                                fetchOpenMeteoWeather(lat, lon, locationName, true)
-                                                    .then(data => resolve(data))
-                                                    .catch(fallbackError => reject(fallbackError));
+                                                // Let the coordinator's provider chain decide what to fall back to
+                                                reject(error);
                                             } else {
                                                 // Fall back to Open Meteo API
                                                 console.log('Falling back to Open-Meteo API');
@@ -178,11 +197,8 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
                                 .catch(error => {
                                     console.error('Error fetching station observations:', error);
                                     if (returnData) {
-                                        // Fall back to Open Meteo API with returnData = true
-                                        console.log('Falling back to Open-Meteo API due to station observation error');
-                                        fetchOpenMeteoWeather(lat, lon, locationName, true)
-                                            .then(data => resolve(data))
-                                            .catch(fallbackError => reject(fallbackError));
+                                        // Let the coordinator's provider chain decide what to fall back to
+                                        reject(error);
                                     } else {
                                         // Fall back to Open Meteo API
                                         console.log('Falling back to Open-Meteo API due to station observation error');
@@ -194,11 +210,8 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
                         .catch(error => {
                             console.error('Error fetching NWS observation stations:', error);
                             if (returnData) {
-                                // Fall back to Open Meteo API with returnData = true
-                                console.log('Falling back to Open-Meteo API');
-                                fetchOpenMeteoWeather(lat, lon, locationName, true)
-                                    .then(data => resolve(data))
-                                    .catch(fallbackError => reject(fallbackError));
+                                // Let the coordinator's provider chain decide what to fall back to
+                                reject(error);
                             } else {
                                 // Fall back to Open Meteo API
                                 console.log('Falling back to Open-Meteo API');
@@ -210,11 +223,8 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
                 .catch(error => {
                     console.error('Error fetching NWS points data:', error);
                     if (returnData) {
-                        // Fall back to Open Meteo API with returnData = true
-                        console.log('Falling back to Open-Meteo API');
-                        fetchOpenMeteoWeather(lat, lon, locationName, true)
-                            .then(data => resolve(data))
-                            .catch(fallbackError => reject(fallbackError));
+                        // Let the coordinator's provider chain decide what to fall back to
+                        reject(error);
                     } else {
                         // Fall back to Open Meteo API
                         console.log('Falling back to Open-Meteo API');
@@ -225,11 +235,8 @@ export function fetchNWSWeather(lat, lon, locationName = null, returnData = fals
         } catch (error) {
             console.error('Unexpected error in fetchNWSWeather:', error);
             if (returnData) {
-                // Fall back to Open Meteo API with returnData = true
-                console.log('Falling back to Open-Meteo API due to unexpected error');
-                fetchOpenMeteoWeather(lat, lon, locationName, true)
-                    .then(data => resolve(data))
-                    .catch(fallbackError => reject(fallbackError));
+                // Let the coordinator's provider chain decide what to fall back to
+                reject(error);
             } else {
                 // Fall back to Open Meteo API
                 console.log('Falling back to Open-Meteo API due to unexpected error');
@@ -432,9 +439,10 @@ function mapNWSIconToGeneric(nwsIconUrl) {
  * @param {Array} stations - Array of station objects with ids
  * @param {number} lat - User's requested latitude
  * @param {number} lon - User's requested longitude
+ * @param {Object} [requestOptions] - fetch options (headers, abort signal)
  * @returns {Promise<Object>} - Promise resolving to valid observation data or null
  */
-async function fetchStationObservationsSequentially(stations, lat, lon) {
+async function fetchStationObservationsSequentially(stations, lat, lon, requestOptions = {}) {
     // Sort stations by distance if coordinates are available
     const stationsWithDistance = stations.map(station => {
         let distance = null;
@@ -493,7 +501,7 @@ async function fetchStationObservationsSequentially(stations, lat, lon) {
             };
 
             // Fetch observation data
-            const response = await fetch(`${station.id}/observations/latest`);
+            const response = await fetchResource(`${station.id}/observations/latest`, requestOptions);
 
             // Check if response is OK
             if (!response.ok) {
@@ -549,6 +557,8 @@ async function fetchStationObservationsSequentially(stations, lat, lon) {
                 console.warn(`Station ${stationMetadata.name} missing temperature data`);
             }
         } catch (error) {
+            // A cancelled request means nobody wants the result, so stop trying stations
+            if (error.name === 'AbortError') throw error;
             console.warn(`Error fetching from station:`, error);
         }
     }
@@ -726,6 +736,16 @@ function processNWSData(forecastData, hourlyData, alertsData, observationData, c
             weatherData.currently.humidity = forecastData.properties.periods[0].relativeHumidity.value / 100;
         }
 
+        // Dew point, heat index and wind chill (the station reports them in Celsius)
+        [['dewpoint', 'dewPoint'], ['heatIndex', 'heatIndex'], ['windChill', 'windChill']].forEach(([source, field]) => {
+            const reading = currentObservation[source];
+            if (reading && reading.value !== null && reading.value !== undefined) {
+                weatherData.currently[field] = reading.unitCode === 'wmoUnit:degC'
+                    ? (reading.value * 9 / 5) + 32
+                    : reading.value;
+            }
+        });
+
         // Pressure
         if (currentObservation.barometricPressure && currentObservation.barometricPressure.value !== null) {
             if (currentObservation.barometricPressure.unitCode === 'wmoUnit:Pa') {
@@ -868,7 +888,12 @@ function processDailyForecast(weatherData, forecastPeriods) {
             temperatureHigh: dayPeriod ? dayPeriod.temperature : 70,
             temperatureLow: nightPeriod ? nightPeriod.temperature : 50,
             summary: dayPeriod ? dayPeriod.shortForecast : 'Forecast unavailable',
-            precipChance: precipChance
+            precipChance: precipChance,
+            // Forecaster-written text for each half of the day
+            narrative: {
+                day: dayPeriod?.detailedForecast || null,
+                night: nightPeriod?.detailedForecast || null
+            }
         });
     });
 
@@ -877,6 +902,7 @@ function processDailyForecast(weatherData, forecastPeriods) {
         const lastDay = weatherData.daily.data[weatherData.daily.data.length - 1];
         const nextDay = { ...lastDay };
         nextDay.time = lastDay.time + 86400; // Add one day in seconds
+        nextDay.narrative = null; // The copied text describes a different day
         weatherData.daily.data.push(nextDay);
     }
 }
@@ -887,8 +913,8 @@ function processDailyForecast(weatherData, forecastPeriods) {
  * @param {Array} hourlyPeriods - NWS hourly forecast periods
  */
 function processHourlyForecast(weatherData, hourlyPeriods) {
-    // Take first 12 periods (or all if less than 12)
-    const periodsToUse = Math.min(12, hourlyPeriods.length);
+    // Take the next 48 hours (or all if fewer); renderers slice the window they need
+    const periodsToUse = Math.min(49, hourlyPeriods.length);
 
     for (let i = 1; i < periodsToUse; i++) {
         const period = hourlyPeriods[i];
@@ -918,7 +944,11 @@ function processHourlyForecast(weatherData, hourlyPeriods) {
             icon: mapNWSIconToGeneric(period.icon),
             summary: period.shortForecast,
             precipChance: precipChance,
-            isDaytime: period.isDaytime // Include isDaytime flag for proper icon selection
+            isDaytime: period.isDaytime, // Include isDaytime flag for proper icon selection
+            // Detail fields the hourly NWS forecast carries
+            humidity: period.relativeHumidity?.value != null ? period.relativeHumidity.value / 100 : null,
+            dewPoint: period.dewpoint?.value != null ? (period.dewpoint.value * 9 / 5) + 32 : null, // °C → °F
+            windSpeed: extractWindSpeed(period.windSpeed) // mph
         });
     }
 }
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * NWS text products — api.weather.gov products endpoints
+ *
+ * Looks up the forecast office for a point and fetches the text products it
+ * issues: the Area Forecast Discussion, Hazardous Weather Outlook and the
+ * rest of the office's product list. US locations only.
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { createNWSRequestOptions } from './nwsApi.js';
+import { fetchResource } from '../utils/network.js';
+
+const POINTS_ENDPOINT = 'https://api.weather.gov/points';
+const PRODUCTS_ENDPOINT = 'https://api.weather.gov/products';
+
+// Forecast office per point, filled by lookups here and by fetchNWSWeather,
+// which already asks for the point
+const officeCache = new Map();
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Record the forecast office for a point so later lookups skip the request
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} office - Office ID (the points response's gridId, e.g. 'OKX')
+ */
+export function rememberForecastOffice(lat, lon, office) {
+    if (office) officeCache.set(pointKey(lat, lon), office);
+}
+
+/**
+ * Find the NWS forecast office responsible for a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<string>} Office ID
+ */
+export async function getForecastOffice(lat, lon, options = {}) {
+    const key = pointKey(lat, lon);
+    if (officeCache.has(key)) return officeCache.get(key);
+
+    const data = await fetchNWSJson(`${POINTS_ENDPOINT}/${key}`, options.signal);
+    const office = data?.properties?.gridId;
+    if (!office) {
+        throw new Error('NWS did not return a forecast office for this location');
+    }
+
+    officeCache.set(key, office);
+    return office;
+}
+
+/**
+ * List the product types an office issues
+ * @param {string} office - Office ID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<Array<{code: string, name: string}>>}
+ */
+export async function fetchProductTypes(office, options = {}) {
+    const data = await fetchNWSJson(`${PRODUCTS_ENDPOINT}/locations/${encodeURIComponent(office)}/types`, options.signal);
+
+    return (data?.['@graph'] || [])
+        .filter(type => type?.productCode)
+        .map(type => ({ code: type.productCode, name: type.productName || type.productCode }));
+}
+
+/**
+ * Look up the newest issuance of a product without downloading its text
+ * @param {string} office - Office ID
+ * @param {string} productCode - Product type (e.g. 'AFD')
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<{id: string, issuanceTime: string}|null>} null if the office has none
+ */
+export async function fetchLatestIssuance(office, productCode, options = {}) {
+    const data = await fetchNWSJson(
+        `${PRODUCTS_ENDPOINT}/types/${encodeURIComponent(productCode)}/locations/${encodeURIComponent(office)}`,
+        options.signal
+    );
+
+    const latest = data?.['@graph']?.[0];
+    return latest ? { id: latest.id, issuanceTime: latest.issuanceTime } : null;
+}
+
+/**
+ * Fetch the newest issuance of a product with its text
+ * @param {string} office - Office ID
+ * @param {string} productCode - Product type (e.g. 'AFD')
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<{id: string, code: string, name: string, issuanceTime: string, text: string}>}
+ */
+export async function fetchLatestProduct(office, productCode, options = {}) {
+    const data = await fetchNWSJson(
+        `${PRODUCTS_ENDPOINT}/types/${encodeURIComponent(productCode)}/locations/${encodeURIComponent(office)}/latest`,
+        options.signal
+    );
+
+    if (!data?.productText) {
+        throw new Error(`No ${productCode} available from ${office}`);
+    }
+
+    return {
+        id: data.id,
+        code: data.productCode || productCode,
+        name: data.productName || productCode,
+        issuanceTime: data.issuanceTime,
+        text: data.productText
+    };
+}
+
+//==============================================================================
+// 3. HELPER FUNCTIONS
+//==============================================================================
+
+function pointKey(lat, lon) {
+    return `${parseFloat(lat).toFixed(3)},${parseFloat(lon).toFixed(3)}`;
+}
+
+/**
+ * GET an api.weather.gov resource with the NWS request headers
+ * @param {string} url - Resource URL
+ * @param {AbortSignal} [signal] - Signal to cancel the request
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchNWSJson(url, signal) {
+    const response = await fetchResource(url, { ...createNWSRequestOptions(), signal: signal || null });
+    if (!response.ok) {
+        throw Object.assign(new Error(`NWS responded with status: ${response.status}`), { status: response.status });
+    }
+    return response.json();
+}
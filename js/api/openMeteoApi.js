@@ -17,8 +17,11 @@
 
 import { displayWeatherWithAlerts, hideLoading, hideError, showError } from '../ui/core.js';
 import { isDaytime } from '../utils/geo.js';
+import { getForecastDays } from '../ui/controls/settings.js';
 import { setApiAttribution } from '../api.js';
 import { createEmptyWeatherData, WEATHER_ICONS, PRECIP_INTENSITY } from '../standardWeatherFormat.js';
+import { fetchResource } from '../utils/network.js';
+import { createHttpError } from './providerHealth.js';
 
 //==============================================================================
 // 2. API ENDPOINTS AND CONFIGURATION
@@ -55,9 +58,10 @@ export const API_METADATA = {
  * @param {number} lon - Longitude
  * @param {string} locationName - Optional location name
  * @param {boolean} returnData - If true, return the data instead of updating UI
+ * @param {AbortSignal} [signal] - Optional signal to cancel the request
  * @returns {Promise|undefined} - Promise with the data if returnData is true
  */
-export function fetchOpenMeteoWeather(lat, lon, locationName = null, returnData = false) {
+export function fetchOpenMeteoWeather(lat, lon, locationName = null, returnData = false, signal = null) {
     // Format coordinates to appropriate precision
     const formattedLat = parseFloat(lat).toFixed(4);
     const formattedLon = parseFloat(lon).toFixed(4);
@@ -98,6 +102,8 @@ export function fetchOpenMeteoWeather(lat, lon, locationName = null, returnData
         'wind_speed_10m',
         'wind_direction_10m',
         'wind_gusts_10m',
+        'dew_point_2m',
+        'uv_index',
         'is_day'
     ];
 
@@ -139,15 +145,16 @@ export function fetchOpenMeteoWeather(lat, lon, locationName = null, returnData
         `current=${currentParams.join(',')}&` +
         `hourly=${hourlyParams.join(',')}&` +
         `daily=${dailyParams.join(',')}&` +
+        `forecast_days=${getForecastDays()}&` +
         `timezone=auto`;
 
     // Return a promise if returnData is true
     if (returnData) {
         return new Promise((resolve, reject) => {
-            fetch(url)
+            fetchResource(url, { signal })
                 .then(response => {
                     if (!response.ok) {
-                        throw new Error(`Open-Meteo API error: ${response.status} ${response.statusText}`);
+                        throw createHttpError(response, `Open-Meteo API error: ${response.status} ${response.statusText}`);
                     }
                     return response.json();
                 })
@@ -168,10 +175,10 @@ export function fetchOpenMeteoWeather(lat, lon, locationName = null, returnData
         });
     } else {
         // Make a single API request and update the UI
-        fetch(url)
+        fetchResource(url, { signal })
             .then(response => {
                 if (!response.ok) {
-                    throw new Error(`Open-Meteo API error: ${response.status} ${response.statusText}`);
+                    throw createHttpError(response, `Open-Meteo API error: ${response.status} ${response.statusText}`);
                 }
                 return response.json();
             })
@@ -201,9 +208,11 @@ export function fetchOpenMeteoWeather(lat, lon, locationName = null, returnData
  * Simplified function to fetch only nowcast data from Open-Meteo
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {string} [timezone] - Unused, Open-Meteo resolves the timezone itself
+ * @param {AbortSignal} [signal] - Optional signal to cancel the request
  * @returns {Promise<Object>} - Promise that resolves to nowcast data
  */
-export function fetchOpenMeteoNowcastOnly(lat, lon) {
+export function fetchOpenMeteoNowcastOnly(lat, lon, timezone = null, signal = null) {
     return new Promise((resolve, reject) => {
         // Format coordinates to appropriate precision
         const formattedLat = parseFloat(lat).toFixed(4);
@@ -216,10 +225,10 @@ export function fetchOpenMeteoNowcastOnly(lat, lon) {
             `minutely_15=precipitation,precipitation_probability,snowfall&forecast_minutely_15=24&past_minutely_15=0&` +
             `timezone=auto`;  // Let the API handle the timezone
 
-        fetch(url)
+        fetchResource(url, { signal })
             .then(response => {
                 if (!response.ok) {
-                    throw new Error(`Open-Meteo API error: ${response.status} ${response.statusText}`);
+                    throw createHttpError(response, `Open-Meteo API error: ${response.status} ${response.statusText}`);
                 }
                 return response.json();
             })
@@ -276,6 +285,11 @@ function processOpenMeteoData(data, lat, lon, locationName) {
     // Wind speed (convert from km/h to mph)
     weatherData.currently.windSpeed = current.wind_speed_10m * 0.621371;
 
+    // Feels-like temperature (convert from Celsius to Fahrenheit)
+    if (typeof current.apparent_temperature === 'number') {
+        weatherData.currently.apparentTemperature = (current.apparent_temperature * 9 / 5) + 32;
+    }
+
     // Wind direction (already in degrees)
     weatherData.currently.windDirection = current.wind_direction_10m;
 
@@ -619,11 +633,40 @@ function processHourlyForecast(weatherData, data, current) {
             precipChance: hourly.precipitation_probability ?
                 (hourly.precipitation_probability[dataIndex] || 0) : 0,
             precipIntensity: hourly.precipitation?.[dataIndex] ?? null, // mm/h
-            isDaytime: hourIsDay
+            isDaytime: hourIsDay,
+            ...processHourlyDetails(hourly, dataIndex)
         });
     }
 }
 
+/**
+ * Convert the optional hourly detail fields for one hour to standard units
+ * @param {Object} hourly - Hourly arrays from Open-Meteo
+ * @param {number} i - Index of the hour
+ * @returns {Object} Detail fields (null where Open-Meteo has no value)
+ */
+function processHourlyDetails(hourly, i) {
+    const value = (name) => hourly[name]?.[i] ?? null;
+    const celsiusToF = (c) => c != null ? (c * 9 / 5) + 32 : null;
+    const kmhToMph = (kmh) => kmh != null ? kmh * 0.621371 : null;
+
+    const humidityPct = value('relative_humidity_2m');
+    const visibilityM = value('visibility');
+
+    return {
+        apparentTemperature: celsiusToF(value('apparent_temperature')), // °F
+        humidity: humidityPct != null ? humidityPct / 100 : null, // 0-1
+        dewPoint: celsiusToF(value('dew_point_2m')), // °F
+        windSpeed: kmhToMph(value('wind_speed_10m')), // mph
+        windGust: kmhToMph(value('wind_gusts_10m')), // mph
+        windDirection: value('wind_direction_10m'), // degrees
+        pressure: value('pressure_msl'), // hPa
+        cloudCover: value('cloud_cover'), // 0-100
+        uvIndex: value('uv_index'),
+        visibility: visibilityM != null ? visibilityM * 0.000621371 : null // m → mi
+    };
+}
+
 /**
  * Map Open-Meteo weather code to our icon system
  * Based on WMO codes: https://open-meteo.com/en/docs
@@ -754,9 +797,10 @@ function getWeatherDescription(code) {
  *
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {AbortSignal} [signal] - Optional signal to cancel the request
  * @returns {Promise<Object>} - Promise resolving to a standard nowcast object
  */
-export function fetchOpenMeteoDerivedNowcast(lat, lon) {
+export function fetchOpenMeteoDerivedNowcast(lat, lon, signal = null) {
     return new Promise((resolve, reject) => {
         const formattedLat = parseFloat(lat).toFixed(4);
         const formattedLon = parseFloat(lon).toFixed(4);
@@ -768,10 +812,10 @@ export function fetchOpenMeteoDerivedNowcast(lat, lon) {
             `forecast_minutely_15=4&past_minutely_15=1&` +
             `timezone=auto`;
 
-        fetch(url)
+        fetchResource(url, { signal })
             .then(response => {
                 if (!response.ok) {
-                    throw new Error(`Open-Meteo API error: ${response.status} ${response.statusText}`);
+                    throw createHttpError(response, `Open-Meteo API error: ${response.status} ${response.statusText}`);
                 }
                 return response.json();
             })
@@ -13,6 +13,8 @@ import { displayWeatherWithAlerts, showError, hideLoading, hideError } from '../
 import { isDaytime } from '../utils/geo.js';
 import { setApiAttribution } from '../api.js';
 import { createEmptyWeatherData, WEATHER_ICONS, PRECIP_INTENSITY } from '../standardWeatherFormat.js';
+import { fetchResource } from '../utils/network.js';
+import { createHttpError } from './providerHealth.js';
 
 //==============================================================================
 // 2. API ENDPOINTS AND CONFIGURATION
@@ -138,9 +140,10 @@ export const API_METADATA = {
  * @param {number} lon - Longitude
  * @param {string} locationName - Optional location name
  * @param {boolean} returnData - If true, return data instead of updating UI
+ * @param {AbortSignal} [signal] - Optional signal to cancel the request
  * @returns {Promise|undefined} - Promise with the data if returnData is true
  */
-export function fetchOpenWeatherMapWeather(lat, lon, locationName = null, returnData = false) {
+export function fetchOpenWeatherMapWeather(lat, lon, locationName = null, returnData = false, signal = null) {
     // Get the API key
     const apiKey = getOpenWeatherMapApiKey();
     
@@ -167,21 +170,24 @@ export function fetchOpenWeatherMapWeather(lat, lon, locationName = null, return
             // We need to fetch both current weather and forecast
             Promise.all([
                 // Current weather
-                fetch(`${OPENWEATHERMAP_ENDPOINTS.CURRENT}?lat=${formattedLat}&lon=${formattedLon}&appid=${apiKey}&units=imperial`),
+                fetchResource(`${OPENWEATHERMAP_ENDPOINTS.CURRENT}?lat=${formattedLat}&lon=${formattedLon}&appid=${apiKey}&units=imperial`, { signal }),
                 // 5-day forecast
-                fetch(`${OPENWEATHERMAP_ENDPOINTS.FORECAST}?lat=${formattedLat}&lon=${formattedLon}&appid=${apiKey}&units=imperial`)
+                fetchResource(`${OPENWEATHERMAP_ENDPOINTS.FORECAST}?lat=${formattedLat}&lon=${formattedLon}&appid=${apiKey}&units=imperial`, { signal })
             ])
             .then(responses => {
                 // Check if responses are OK
                 if (!responses[0].ok || !responses[1].ok) {
                     let errorMsg = 'Unable to fetch weather data from OpenWeatherMap.';
+                    const failedResponse = responses[0].ok ? responses[1] : responses[0];
                     
                     // Check for specific error conditions
                     if (responses[0].status === 401 || responses[1].status === 401) {
                         errorMsg = 'Invalid OpenWeatherMap API key. Please check your API key in Settings.';
+                    } else if (failedResponse.status === 429) {
+                        errorMsg = 'OpenWeatherMap rate limit reached. Please try again later.';
                     }
                     
-                    throw new Error(errorMsg);
+                    throw createHttpError(failedResponse, errorMsg);
                 }
                 
                 // Parse the JSON responses
@@ -254,7 +260,8 @@ function processOpenWeatherMapData(currentData, forecastData, lat, lon, location
     
     // Set source and timezone
     weatherData.source = 'openweathermap';
-    weatherData.timezone = currentData.timezone || 'UTC';
+    // OpenWeatherMap only reports a UTC offset, so look up the IANA zone ourselves
+    weatherData.timezone = typeof window.tzlookup === 'function' ? window.tzlookup(parseFloat(lat), parseFloat(lon)) : 'UTC';
     
     // Process current weather
     processCurrentWeather(weatherData, currentData, lat, lon);
@@ -306,14 +313,17 @@ function processCurrentWeather(weatherData, currentData, lat, lon) {
         // Weather description
         weatherData.currently.summary = currentData.weather[0].description;
         
-        // Wind speed (convert from m/s to mph)
-        weatherData.currently.windSpeed = currentData.wind.speed * 2.237;
+        // Wind speed is already in mph (units=imperial)
+        weatherData.currently.windSpeed = currentData.wind.speed;
         
         // Wind direction (already in degrees)
         weatherData.currently.windDirection = currentData.wind.deg;
         
         // Humidity (convert from percentage to decimal)
         weatherData.currently.humidity = currentData.main.humidity / 100;
+
+        // Feels-like temperature (already in Fahrenheit)
+        weatherData.currently.apparentTemperature = currentData.main.feels_like ?? null;
         
         // Pressure (already in hPa)
         weatherData.currently.pressure = currentData.main.pressure;
@@ -384,8 +394,8 @@ function processDailyForecast(weatherData, forecastData) {
  */
 function processHourlyForecast(weatherData, forecastData) {
     try {
-        // Take first 12 hours of forecast
-        const hoursToInclude = Math.min(12, forecastData.list.length);
+        // Take every 3-hour step (5 days); renderers slice the window they need
+        const hoursToInclude = forecastData.list.length;
         
         for (let i = 0; i < hoursToInclude; i++) {
             const hour = forecastData.list[i];
@@ -404,7 +414,18 @@ function processHourlyForecast(weatherData, forecastData) {
                 icon: mapOpenWeatherMapCodeToIcon(hour.weather[0].id),
                 summary: hour.weather[0].description,
                 precipChance: hour.pop ? hour.pop * 100 : 0,
-                isDaytime: hour.weather[0].icon.includes('d')
+                // 3-hour rain/snow totals (mm) spread over the step as mm/h
+                precipIntensity: ((hour.rain?.['3h'] || 0) + (hour.snow?.['3h'] || 0)) / 3,
+                isDaytime: hour.weather[0].icon.includes('d'),
+                // Detail fields, already in °F / mph / hPa (units=imperial)
+                apparentTemperature: hour.main.feels_like ?? null,
+                humidity: hour.main.humidity != null ? hour.main.humidity / 100 : null,
+                windSpeed: hour.wind?.speed ?? null,
+                windGust: hour.wind?.gust ?? null,
+                windDirection: hour.wind?.deg ?? null,
+                pressure: hour.main.pressure ?? null,
+                cloudCover: hour.clouds?.all ?? null,
+                visibility: hour.visibility != null ? hour.visibility * 0.000621371 : null // m → mi
             });
         }
         
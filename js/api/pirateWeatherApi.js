@@ -13,6 +13,8 @@ import { displayWeatherWithAlerts, showError, hideLoading, hideError } from '../
 import { isDaytime } from '../utils/geo.js';
 import { setApiAttribution } from '../api.js';
 import { createEmptyWeatherData, WEATHER_ICONS, PRECIP_INTENSITY } from '../standardWeatherFormat.js';
+import { fetchResource } from '../utils/network.js';
+import { createHttpError } from './providerHealth.js';
 
 //==============================================================================
 // 2. API ENDPOINTS AND CONFIGURATION
@@ -119,9 +121,10 @@ export const API_METADATA = {
  * @param {number} lon - Longitude
  * @param {string} locationName - Optional location name
  * @param {boolean} returnData - If true, return data instead of updating UI
+ * @param {AbortSignal} [signal] - Optional signal to cancel the request
  * @returns {Promise|undefined} - Promise with data if returnData is true
  */
-export function fetchPirateWeather(lat, lon, locationName = null, returnData = false) {
+export function fetchPirateWeather(lat, lon, locationName = null, returnData = false, signal = null) {
     // Get the API key
     const apiKey = getPirateWeatherApiKey();
 
@@ -153,14 +156,10 @@ export function fetchPirateWeather(lat, lon, locationName = null, returnData = f
 
     if (returnData) {
         return new Promise((resolve, reject) => {
-            fetch(url)
+            fetchResource(url, { signal })
                 .then(response => {
                     if (!response.ok) {
-                        // Check if we get a 401 or 403 (auth errors)
-                        if (response.status === 401 || response.status === 403) {
-                            throw new Error('Invalid Pirate Weather API key. Please check your API key in Settings.');
-                        }
-                        throw new Error('Weather data not available');
+                        throw createPirateWeatherError(response);
                     }
                     return response.json();
                 })
@@ -177,14 +176,10 @@ export function fetchPirateWeather(lat, lon, locationName = null, returnData = f
                 });
         });
     } else {
-        fetch(url)
+        fetchResource(url, { signal })
             .then(response => {
                 if (!response.ok) {
-                    // Check if we get a 401 or 403 (auth errors)
-                    if (response.status === 401 || response.status === 403) {
-                        throw new Error('Invalid Pirate Weather API key. Please check your API key in Settings.');
-                    }
-                    throw new Error('Weather data not available');
+                    throw createPirateWeatherError(response);
                 }
                 return response.json();
             })
@@ -211,9 +206,11 @@ export function fetchPirateWeather(lat, lon, locationName = null, returnData = f
  * Fetch only nowcast data from Pirate Weather
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {string} [timezone] - Unused, Pirate Weather returns the timezone itself
+ * @param {AbortSignal} [signal] - Optional signal to cancel the request
  * @returns {Promise<Object>} - Promise that resolves to nowcast data
  */
-export function fetchPirateWeatherNowcastOnly(lat, lon) {
+export function fetchPirateWeatherNowcastOnly(lat, lon, timezone = null, signal = null) {
     return new Promise((resolve, reject) => {
         // Get the API key
         const apiKey = getPirateWeatherApiKey();
@@ -228,14 +225,10 @@ export function fetchPirateWeatherNowcastOnly(lat, lon) {
         // Instead of excluding timezone info, let's just exclude longer forecast data
         const url = `${PIRATE_WEATHER_ENDPOINT}/${apiKey}/${lat},${lon}?exclude=hourly,daily,alerts`;
 
-        fetch(url)
+        fetchResource(url, { signal })
             .then(response => {
                 if (!response.ok) {
-                    // Check if we get a 401 or 403 (auth errors)
-                    if (response.status === 401 || response.status === 403) {
-                        throw new Error('Invalid Pirate Weather API key. Please check your API key in Settings.');
-                    }
-                    throw new Error('Weather data not available');
+                    throw createPirateWeatherError(response);
                 }
                 return response.json();
             })
@@ -305,6 +298,8 @@ function processPirateWeatherData(data, lat, lon) {
         weatherData.currently.humidity = data.currently.humidity;
         weatherData.currently.pressure = data.currently.pressure;
         weatherData.currently.visibility = data.currently.visibility;
+        weatherData.currently.apparentTemperature = data.currently.apparentTemperature ?? null;
+        weatherData.currently.dewPoint = data.currently.dewPoint ?? null;
         weatherData.currently.isDaytime = isDaylight;
     }
 
@@ -367,7 +362,18 @@ function processPirateWeatherData(data, lat, lon) {
                 precipChance: hour.precipProbability ? Math.round(hour.precipProbability * 100) : 0,
                 // Pirate returns precipIntensity in inches/hour; normalize to mm/h to match Open-Meteo
                 precipIntensity: hour.precipIntensity != null ? hour.precipIntensity * 25.4 : null,
-                isDaytime: hourIsDaytime
+                isDaytime: hourIsDaytime,
+                // Detail fields, already in °F / mph / mi / hPa (units=us)
+                apparentTemperature: hour.apparentTemperature ?? null,
+                humidity: hour.humidity ?? null, // already 0-1
+                dewPoint: hour.dewPoint ?? null,
+                windSpeed: hour.windSpeed ?? null,
+                windGust: hour.windGust ?? null,
+                windDirection: hour.windBearing ?? null,
+                pressure: hour.pressure ?? null,
+                cloudCover: hour.cloudCover != null ? hour.cloudCover * 100 : null, // 0-1 → 0-100
+                uvIndex: hour.uvIndex ?? null,
+                visibility: hour.visibility ?? null
             });
         }
     }
@@ -779,3 +785,21 @@ function getPrecipIntensityLabel(intensity) {
     if (intensity < 50) return PRECIP_INTENSITY.HEAVY;
     return PRECIP_INTENSITY.VIOLENT;
 }
+
+/**
+ * Build an Error for a failed Pirate Weather response
+ * @param {Response} response - The failed fetch response
+ * @returns {Error} - Error with status and optional retryAfter (seconds)
+ */
+function createPirateWeatherError(response) {
+    let message = 'Weather data not available';
+
+    // Check if we get a 401 or 403 (auth errors), or a 429 (rate limited)
+    if (response.status === 401 || response.status === 403) {
+        message = 'Invalid Pirate Weather API key. Please check your API key in Settings.';
+    } else if (response.status === 429) {
+        message = 'Pirate Weather rate limit reached. Please try again later.';
+    }
+
+    return createHttpError(response, message);
+}
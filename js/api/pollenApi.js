@@ -0,0 +1,171 @@
+/**
+ * Pollen — Open-Meteo Air Quality API (pollen variables)
+ *
+ * Hourly pollen counts for six species come back with the air quality
+ * request (see airQualityApi.js); this module turns them into the standard
+ * format's pollen section, with per-day peaks worked out from the hourly
+ * series. Open-Meteo only models pollen for Europe; elsewhere every value
+ * comes back null and the section is marked unavailable.
+ *
+ * Also holds the level thresholds used by the UI.
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { createEmptyWeatherData } from '../standardWeatherFormat.js';
+
+// Open-Meteo variable names for each standard species field
+export const POLLEN_VARIABLES = {
+    alder: 'alder_pollen',
+    birch: 'birch_pollen',
+    grass: 'grass_pollen',
+    mugwort: 'mugwort_pollen',
+    olive: 'olive_pollen',
+    ragweed: 'ragweed_pollen'
+};
+
+export const POLLEN_SPECIES = {
+    alder: 'Alder',
+    birch: 'Birch',
+    grass: 'Grass',
+    mugwort: 'Mugwort',
+    olive: 'Olive',
+    ragweed: 'Ragweed'
+};
+
+/**
+ * Pollen levels, from lowest to highest
+ */
+export const POLLEN_LEVELS = [
+    { id: 'none', label: 'None', color: 'rgba(255, 255, 255, 0.3)' },
+    { id: 'low', label: 'Low', color: '#66bb6a' },
+    { id: 'moderate', label: 'Moderate', color: '#ffca28' },
+    { id: 'high', label: 'High', color: '#ff7043' },
+    { id: 'very-high', label: 'Very High', color: '#d32f2f' }
+];
+
+/**
+ * Upper bounds (grains/m³) of the low, moderate and high levels per species.
+ * Grass and weeds trigger symptoms at much lower counts than tree pollen.
+ */
+const LEVEL_THRESHOLDS = {
+    alder: [10, 50, 200],
+    birch: [10, 50, 200],
+    olive: [10, 50, 200],
+    grass: [5, 30, 100],
+    mugwort: [5, 15, 50],
+    ragweed: [5, 15, 50]
+};
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Get the level of a pollen count for one species
+ * @param {string} species - Key of POLLEN_SPECIES
+ * @param {number|null} value - Count in grains/m³
+ * @returns {Object|null} Entry from POLLEN_LEVELS with its index, or null if value isn't a number
+ */
+export function getPollenLevel(species, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return null;
+
+    const thresholds = LEVEL_THRESHOLDS[species] || LEVEL_THRESHOLDS.grass;
+    let index;
+    if (value < 1) {
+        index = 0;
+    } else {
+        const band = thresholds.findIndex(max => value <= max);
+        index = band === -1 ? POLLEN_LEVELS.length - 1 : band + 1;
+    }
+
+    return { ...POLLEN_LEVELS[index], index };
+}
+
+//==============================================================================
+// 3. DATA PROCESSING
+//==============================================================================
+
+/**
+ * Convert an Open-Meteo air quality response with the pollen variables
+ * into the standard section
+ * @param {Object} data - Open-Meteo response (requested with timezone=auto)
+ * @returns {Object} pollen section
+ */
+export function processPollen(data) {
+    const pollen = createEmptyWeatherData().pollen;
+
+    const hourlyData = data.hourly || {};
+    const times = Array.isArray(hourlyData.time) ? hourlyData.time : [];
+    const offset = data.utc_offset_seconds || 0;
+    const nowHour = Math.floor(Date.now() / 1000 / 3600) * 3600;
+
+    const hourly = times.map((time, i) => {
+        const hour = { time };
+        Object.entries(POLLEN_VARIABLES).forEach(([species, variable]) => {
+            const value = hourlyData[variable]?.[i];
+            hour[species] = typeof value === 'number' ? value : null;
+        });
+        return hour;
+    });
+
+    // Outside Europe every count is null
+    const hasData = hourly.some(hour =>
+        Object.keys(POLLEN_VARIABLES).some(species => hour[species] !== null));
+    if (!hasData) return pollen;
+
+    // Group by local calendar day (from today) and keep each species' peak
+    const days = new Map();
+    hourly.forEach(hour => {
+        const dayIndex = Math.floor((hour.time + offset) / 86400);
+        if (!days.has(dayIndex)) days.set(dayIndex, []);
+        days.get(dayIndex).push(hour);
+    });
+
+    const today = Math.floor((Date.now() / 1000 + offset) / 86400);
+    pollen.daily = [...days.entries()]
+        .filter(([dayIndex]) => dayIndex >= today)
+        .map(([dayIndex, hours]) => summarizeDay(dayIndex * 86400 - offset, hours));
+
+    pollen.hourly = hourly.filter(hour => hour.time >= nowHour);
+    pollen.available = true;
+    return pollen;
+}
+
+/**
+ * Peak count per species for one day, plus the hour when pollen is worst
+ * @param {number} time - Local midnight as a Unix timestamp
+ * @param {Array} hours - That day's hourly items
+ * @returns {Object} Daily pollen item
+ */
+function summarizeDay(time, hours) {
+    const day = { time, peakTime: null, peakSpecies: null };
+
+    Object.keys(POLLEN_VARIABLES).forEach(species => {
+        const values = hours.map(hour => hour[species]).filter(value => value !== null);
+        day[species] = values.length > 0 ? Math.max(...values) : null;
+    });
+
+    // The worst hour is the one with the highest level across species,
+    // ties broken by the raw count
+    let worst = null;
+    hours.forEach(hour => {
+        Object.keys(POLLEN_VARIABLES).forEach(species => {
+            const level = getPollenLevel(species, hour[species]);
+            if (!level || level.index === 0) return;
+            if (!worst || level.index > worst.index ||
+                (level.index === worst.index && hour[species] > worst.value)) {
+                worst = { index: level.index, value: hour[species], time: hour.time, species };
+            }
+        });
+    });
+
+    if (worst) {
+        day.peakTime = worst.time;
+        day.peakSpecies = worst.species;
+    }
+
+    return day;
+}
@@ -0,0 +1,224 @@
+/**
+ * Provider Health Tracking
+ *
+ * Keeps recent success/failure counts, latency and HTTP status for every
+ * registered weather provider, and runs a circuit breaker on top of them:
+ * after repeated failures (or any 429 rate-limit response) the provider is
+ * paused for a cooling-off period that doubles each time it trips again.
+ *
+ * The registry in api.js records every provider call here; the settings
+ * modal reads the stats back for its "Data source status" panel. State is
+ * persisted to localStorage so a paused provider stays paused across reloads.
+ * Providers throw createHttpError() for failed responses so the status and
+ * any Retry-After reach the circuit breaker the same way for all of them.
+ */
+
+import { warn } from '../utils/logger.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const HEALTH_STORAGE = 'weather_app_provider_health';
+
+// Consecutive failures before the circuit opens
+const FAILURE_THRESHOLD = 3;
+
+// First cooling-off period, doubled on every consecutive trip
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Weight of the newest sample in the rolling average latency
+const LATENCY_SMOOTHING = 0.3;
+
+//==============================================================================
+// 2. STATE
+//==============================================================================
+
+let healthState = loadHealthState();
+
+/**
+ * Create an empty health record
+ * @returns {Object} Fresh health stats for one provider
+ */
+function createHealthRecord() {
+    return {
+        successCount: 0,
+        failureCount: 0,
+        consecutiveFailures: 0,
+        lastStatus: null,       // Last HTTP status seen (null if unknown)
+        lastError: null,        // Last error message
+        lastLatency: null,      // Milliseconds
+        avgLatency: null,       // Rolling average, milliseconds
+        lastSuccess: null,      // Timestamp (ms)
+        lastFailure: null,      // Timestamp (ms)
+        trips: 0,               // Consecutive times the circuit has opened
+        openUntil: 0,           // Circuit stays open until this timestamp (ms)
+        rateLimited: false      // Whether the last trip was a 429
+    };
+}
+
+function loadHealthState() {
+    try {
+        return JSON.parse(localStorage.getItem(HEALTH_STORAGE) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveHealthState() {
+    try {
+        localStorage.setItem(HEALTH_STORAGE, JSON.stringify(healthState));
+    } catch (e) {
+        warn('Could not persist provider health:', e);
+    }
+}
+
+function getRecord(providerId) {
+    if (!healthState[providerId]) {
+        healthState[providerId] = createHealthRecord();
+    }
+    return healthState[providerId];
+}
+
+//==============================================================================
+// 3. PUBLIC API
+//==============================================================================
+
+/**
+ * Record a successful provider call
+ * @param {string} providerId - Provider ID
+ * @param {number} latency - Call duration in milliseconds
+ */
+export function recordProviderSuccess(providerId, latency) {
+    const record = getRecord(providerId);
+
+    record.successCount++;
+    record.consecutiveFailures = 0;
+    record.trips = 0;
+    record.openUntil = 0;
+    record.rateLimited = false;
+    record.lastStatus = 200;
+    record.lastError = null;
+    record.lastSuccess = Date.now();
+    updateLatency(record, latency);
+
+    saveHealthState();
+}
+
+/**
+ * Record a failed provider call and open the circuit if needed
+ * @param {string} providerId - Provider ID
+ * @param {Error} error - The error thrown; error.status carries the HTTP status when known
+ * @param {number} latency - Call duration in milliseconds
+ */
+export function recordProviderFailure(providerId, error, latency) {
+    const record = getRecord(providerId);
+    const status = typeof error?.status === 'number' ? error.status : null;
+
+    record.failureCount++;
+    record.consecutiveFailures++;
+    record.lastStatus = status;
+    record.lastError = error?.message || String(error);
+    record.lastFailure = Date.now();
+    updateLatency(record, latency);
+
+    // A 429 means the upstream asked us to back off, don't wait for the threshold.
+    // A failed trial call after a cooling-off period (trips > 0) reopens right away.
+    const rateLimited = status === 429;
+    if (rateLimited || record.trips > 0 || record.consecutiveFailures >= FAILURE_THRESHOLD) {
+        const backoff = Math.min(BASE_BACKOFF_MS * Math.pow(2, record.trips), MAX_BACKOFF_MS);
+        const retryAfter = typeof error?.retryAfter === 'number' ? error.retryAfter * 1000 : 0;
+
+        record.trips++;
+        record.openUntil = Date.now() + Math.max(backoff, retryAfter);
+        record.rateLimited = rateLimited;
+        record.consecutiveFailures = 0;
+
+        warn(`Pausing provider ${providerId} for ${Math.round((record.openUntil - Date.now()) / 1000)}s` +
+            (rateLimited ? ' (rate limited)' : ' after repeated failures'));
+    }
+
+    saveHealthState();
+}
+
+/**
+ * Check whether a provider may be called right now.
+ * Once the cooling-off period ends the next call is let through as a trial;
+ * if it fails the circuit reopens with a doubled backoff.
+ * @param {string} providerId - Provider ID
+ * @returns {boolean} False while the circuit is open
+ */
+export function isProviderAvailable(providerId) {
+    const record = healthState[providerId];
+    if (!record) return true;
+    return Date.now() >= record.openUntil;
+}
+
+/**
+ * Get a copy of one provider's health stats
+ * @param {string} providerId - Provider ID
+ * @returns {Object} Health record (empty stats if the provider was never called)
+ */
+export function getProviderHealth(providerId) {
+    return { ...(healthState[providerId] || createHealthRecord()) };
+}
+
+/**
+ * Forget all recorded health stats and close every circuit
+ */
+export function resetProviderHealth() {
+    healthState = {};
+    saveHealthState();
+}
+
+/**
+ * Build an Error for a failed provider response.
+ * Carries the HTTP status, and the Retry-After delay when the upstream sent
+ * one (and CORS exposes it), for recordProviderFailure().
+ * @param {Response} response - The failed fetch response
+ * @param {string} message - Error message to show
+ * @returns {Error} Error with status and optional retryAfter (seconds)
+ */
+export function createHttpError(response, message) {
+    const error = new Error(message);
+    error.status = response.status;
+
+    const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+    if (retryAfter !== null) {
+        error.retryAfter = retryAfter;
+    }
+
+    return error;
+}
+
+//==============================================================================
+// 4. HELPER FUNCTIONS
+//==============================================================================
+
+/**
+ * Parse a Retry-After header, which is either a delay in seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in seconds, or null if missing or unreadable
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+
+    return Math.max(0, Math.round((date - Date.now()) / 1000));
+}
+
+function updateLatency(record, latency) {
+    if (typeof latency !== 'number' || Number.isNaN(latency)) return;
+
+    record.lastLatency = Math.round(latency);
+    record.avgLatency = record.avgLatency == null
+        ? Math.round(latency)
+        : Math.round(record.avgLatency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING);
+}
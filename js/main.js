@@ -13,6 +13,7 @@ import { DEFAULT_COORDINATES } from './config.js';
 import { fetchWeather } from './api.js';
 import { initAutoUpdate, startLastUpdatedTimer, resetLastUpdateTime } from './utils/autoUpdate.js';
 import { log, warn, error as logError } from './utils/logger.js';
+import { initNetworkFixtures, fetchResource } from './utils/network.js';
 import {
     initUI,
     setupEventListeners,
@@ -36,6 +37,8 @@ import { initModalController } from './ui/components/radar.js';
 import { initRadarPreview } from './ui/components/radarPreview.js';
 import { initAstro, updateAstroInfo, refreshAstroDisplay } from './ui/components/astronomical.js';
 import { searchLocation } from './ui/controls/searchBar.js';
+import { openAlert } from './ui/components/alertsDisplay.js';
+import { handleDisplayedAlerts } from './utils/alertNotifications.js';
 
 //==============================================================================
 // 2. APPLICATION INITIALIZATION
@@ -111,6 +114,12 @@ function initApp() {
     // Handle ?action= launch shortcuts from the manifest's "shortcuts" list.
     // Runs after all initializers so the targeted UI is wired up.
     handleLaunchShortcut();
+
+    // Open the alert a notification was tapped for, once it's on screen
+    handleAlertLink();
+
+    // Notify about new alerts when the app is in the background
+    window.addEventListener('weather-data-updated', notifyDisplayedAlerts);
 }
 
 //==============================================================================
@@ -215,7 +224,7 @@ function determineInitialLocation() {
 async function fetchLocationData(lat, lon) {
     const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10&addressdetails=1`;
 
-    const response = await fetch(url);
+    const response = await fetchResource(url);
     if (!response.ok) {
         throw new Error('Failed to get location data');
     }
@@ -403,7 +412,7 @@ function checkLocationChange() {
 }
 
 //==============================================================================
-// 4. LAUNCH SHORTCUTS
+// 4. LAUNCH SHORTCUTS AND NOTIFICATION LINKS
 //==============================================================================
 
 /**
@@ -452,6 +461,56 @@ function handleLaunchShortcut() {
     window.history.replaceState({}, '', `${window.location.pathname}${newSearch}${window.location.hash}`);
 }
 
+/**
+ * Handle ?alert= links from alert notifications: expand that alert once the
+ * weather for its location is displayed, then strip the param like
+ * handleLaunchShortcut does. An alert that has expired in the meantime just
+ * isn't found.
+ */
+function handleAlertLink() {
+    const alertId = new URLSearchParams(window.location.search).get('alert');
+    if (!alertId) return;
+
+    log('Opening alert from notification:', alertId);
+
+    // Cached weather may be shown before the fresh data carrying the alert
+    let attempts = 2;
+    const tryOpen = () => {
+        // Let the alert list render and settle before scrolling to it
+        setTimeout(() => {
+            if (openAlert(alertId)) {
+                window.removeEventListener('weather-data-updated', tryOpen);
+            } else if (--attempts === 0) {
+                window.removeEventListener('weather-data-updated', tryOpen);
+                warn('Alert from notification is no longer active:', alertId);
+            }
+        }, 100);
+    };
+    window.addEventListener('weather-data-updated', tryOpen);
+
+    const urlParams = new URLSearchParams(window.location.search);
+    urlParams.delete('alert');
+    const remaining = urlParams.toString();
+    const newSearch = remaining ? `?${remaining}` : '';
+    window.history.replaceState({}, '', `${window.location.pathname}${newSearch}${window.location.hash}`);
+}
+
+/**
+ * Pass the displayed location's alerts to the notifier
+ */
+function notifyDisplayedAlerts() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const lat = parseFloat(urlParams.get('lat'));
+    const lon = parseFloat(urlParams.get('lon'));
+    if (isNaN(lat) || isNaN(lon)) return;
+
+    const cached = getCachedLocation();
+    const name = cached && calculateDistance(lat, lon, cached.lat, cached.lon) < 1 ? cached.locationName : null;
+
+    handleDisplayedAlerts(window.currentWeatherData?.alerts || [], { lat, lon, name })
+        .catch(err => warn('Error checking alerts for notifications:', err));
+}
+
 //==============================================================================
 // 5. GLOBAL EXPORTS AND INITIALIZATION
 //==============================================================================
@@ -462,5 +521,5 @@ window.getUserLocation = getUserLocation;
 // Make fetchWeather available globally for other modules
 window.fetchWeather = fetchWeather;
 
-// Initialize the app when DOM is loaded
-document.addEventListener('DOMContentLoaded', initApp);
\ No newline at end of file
+// Initialize the app when DOM is loaded, once any recording to replay is ready
+document.addEventListener('DOMContentLoaded', () => initNetworkFixtures().then(initApp));
\ No newline at end of file
@@ -58,12 +58,14 @@
 /**
  * Fallback chain:
  * 
- * If API calls fail, the system currently uses this fallback chain:
- * US locations: NWS -> Open-Meteo
- * Non-US locations: Open-Meteo only (with Pirate Weather as a future option)
+ * If API calls fail, or return data that fails validateWeatherData(), api.js
+ * moves on to the next provider in the region's chain:
+ * US locations: [selected provider] -> NWS -> Open-Meteo -> keyed global providers
+ * Non-US locations: [selected provider] -> Open-Meteo -> keyed global providers
  * 
- * When adding new providers, update the fallback logic in the api.js
- * to create appropriate fallback chains.
+ * Chains are built from the registry by getProviderChainForRegion() in api.js,
+ * so new providers join the chain for their regions automatically. The data
+ * that gets rendered records the outcome in its providerStatus section.
  */
 
 /**
@@ -79,7 +81,16 @@
  *     humidity: Number,               // Humidity as decimal (0-1)
  *     pressure: Number,               // Pressure in hPa/mb
  *     visibility: Number,             // Visibility in miles
- *     isDaytime: Boolean              // Whether it's daytime at the location
+ *     isDaytime: Boolean,             // Whether it's daytime at the location
+ *     // Optional fields; computed by utils/derivedMetrics.js when the provider has none:
+ *     apparentTemperature: Number,    // Feels-like temperature (°F)
+ *     dewPoint: Number,               // Dew point (°F)
+ *     heatIndex: Number,              // Heat index (°F), only from 80 °F up
+ *     windChill: Number,              // Wind chill (°F), only at 50 °F and below with wind
+ *     humidex: Number,                // Humidex (°F), only from 20 °C up
+ *     wetBulb: Number,                // Wet-bulb temperature (°F)
+ *     cloudBase: Number,              // Estimated cloud base above ground (ft)
+ *     derived: Array<String>          // Names of the fields that were computed, not reported
  *   },
  *   daily: {
  *     data: [                         // Array of daily forecasts
@@ -97,16 +108,23 @@
  *         sunset: Number,             // Sunset (Unix timestamp)
  *         precipSum: Number,          // Total precipitation (mm)
  *         snowfallSum: Number,        // Total snowfall (cm)
+ *         iceSum: Number,             // Total ice accumulation (mm)
  *         precipHours: Number,        // Hours with precipitation
  *         precipProbabilityMean: Number, // Mean precip probability (0-100)
  *         windMax: Number,            // Max wind speed (mph)
  *         windGustsMax: Number,       // Max wind gust (mph)
+ *         thunderChanceMax: Number,   // Highest hourly chance of thunder (0-100)
+ *         mixingHeightMax: Number,    // Highest mixing height (ft)
  *         windDirection: Number,      // Dominant wind direction (degrees)
  *         uvIndex: Number,            // Max UV index
  *         cloudCover: Number,         // Mean cloud cover (0-100)
  *         humidity: Number,           // Mean relative humidity (0-1)
  *         dewPoint: Number,           // Mean dew point (°F)
- *         visibility: Number          // Mean visibility (miles)
+ *         visibility: Number,         // Mean visibility (miles)
+ *         narrative: {                // Provider-written text (NWS); other sources get
+ *           day: String,              // text generated by utils/forecastNarrative.js
+ *           night: String
+ *         }
  *       },
  *       // Additional days...
  *     ]
@@ -120,7 +138,25 @@
  *         icon: String,               // Standard icon code
  *         summary: String,            // Hour forecast summary
  *         precipChance: Number,       // Precipitation chance (0-100)
- *         isDaytime: Boolean          // Whether this hour is daytime
+ *         isDaytime: Boolean,         // Whether this hour is daytime
+ *         // Optional detail fields (populated when available, otherwise null):
+ *         precipIntensity: Number,    // Precipitation amount (mm/h)
+ *         apparentTemperature: Number, // Feels-like temperature (°F)
+ *         humidity: Number,           // Relative humidity (0-1)
+ *         dewPoint: Number,           // Dew point (°F)
+ *         windSpeed: Number,          // Wind speed (mph)
+ *         windGust: Number,           // Wind gust (mph)
+ *         windDirection: Number,      // Wind direction (degrees)
+ *         pressure: Number,           // Sea-level pressure (hPa)
+ *         cloudCover: Number,         // Cloud cover (0-100)
+ *         uvIndex: Number,            // UV index
+ *         visibility: Number,         // Visibility (miles)
+ *         snowfall: Number,           // Snowfall in the hour (cm)
+ *         iceAccumulation: Number,    // Ice accumulation in the hour (mm)
+ *         thunderChance: Number,      // Chance of thunder (0-100)
+ *         mixingHeight: Number,       // Mixing height above ground (ft)
+ *         // Derived fields, as on currently (heatIndex, windChill, humidex,
+ *         // wetBulb, cloudBase) plus the derived list of computed field names
  *       },
  *       // Additional hours...
  *     ]
@@ -133,12 +169,89 @@
  *       fullText: String,             // Full alert text
  *       severity: String,             // One of: 'emergency', 'extreme', 'severe', 'moderate', 'minor'
  *       urgency: String,              // Urgency level if available
- *       expires: String|Number,       // Expiration timestamp
+ *       expires: String|Number|Date,  // Expiration timestamp
  *       hazardTypes: Array,           // Array of hazard type strings
- *       primaryHazard: String         // Primary hazard type
+ *       primaryHazard: String,        // Primary hazard type
+ *       lifecycle: {                  // Added by api.js (alertLifecycle.js) when alerts are refreshed
+ *         changes: Array,             // Any of 'new', 'upgraded', 'downgraded', 'extended', 'updated'
+ *         changedAt: Number,          // When the changes were noticed (ms), or null
+ *         previous: Object            // { title, severity, expires } before the change, or null
+ *       }
  *     },
  *     // Additional alerts...
  *   ],
+ *   endedAlerts: [                    // Added by api.js: alerts that ended in the last 48 hours
+ *     {
+ *       id, title, description, severity,
+ *       expires: Number,              // Expiry it was issued with (ms), or null
+ *       lastSeen: Number,             // Last refresh it was in force at (ms)
+ *       endedAt: Number,              // When it ended, or when it was found gone if cancelled (ms)
+ *       reason: String                // 'expired' or 'cancelled' (dropped before its expiry)
+ *     }
+ *   ],
+ *   airQuality: {                     // Added by api.js for every provider
+ *     available: Boolean,             // Whether air quality data is available
+ *     source: String,                 // Where the air quality data came from
+ *     current: {
+ *       time: Number,                 // Unix timestamp of the reading
+ *       usAqi: Number,                // US EPA AQI (0-500)
+ *       europeanAqi: Number,          // European AQI
+ *       pm2_5: Number,                // PM2.5 (µg/m³)
+ *       pm10: Number,                 // PM10 (µg/m³)
+ *       ozone: Number,                // O3 (µg/m³)
+ *       nitrogenDioxide: Number,      // NO2 (µg/m³)
+ *       dominantPollutant: String     // 'pm2_5', 'pm10', 'ozone' or 'nitrogenDioxide'
+ *     },
+ *     hourly: [                       // Same fields as current, from the current hour on
+ *       // ...
+ *     ],
+ *     attribution: Object             // { name, url, license }
+ *   },
+ *   pollen: {                         // Added by api.js for every provider (Europe only upstream)
+ *     available: Boolean,             // False where no pollen is modelled
+ *     source: String,                 // Where the pollen data came from
+ *     hourly: [                       // From the current hour on
+ *       {
+ *         time: Number,               // Unix timestamp
+ *         alder: Number,              // Counts in grains/m³ (null if not modelled)
+ *         birch: Number,
+ *         grass: Number,
+ *         mugwort: Number,
+ *         olive: Number,
+ *         ragweed: Number
+ *       }
+ *     ],
+ *     daily: [                        // From today on
+ *       {
+ *         time: Number,               // Local midnight (Unix timestamp)
+ *         alder: Number,              // ...each species holds the day's peak count
+ *         peakTime: Number,           // Hour with the worst level (null if no pollen)
+ *         peakSpecies: String         // Species responsible for it
+ *       }
+ *     ],
+ *     attribution: Object             // { name, url, license }
+ *   },
+ *   marine: {                         // Added by api.js for every provider (sea locations only upstream)
+ *     available: Boolean,             // False inland
+ *     source: String,                 // Where the marine data came from
+ *     current: {
+ *       time: Number,                 // Unix timestamp of the reading
+ *       waveHeight: Number,           // Significant wave height (m)
+ *       waveDirection: Number,        // Direction waves come from (degrees)
+ *       wavePeriod: Number,           // Seconds
+ *       swellHeight: Number,          // Primary swell height (m)
+ *       swellDirection: Number,       // Degrees
+ *       swellPeriod: Number,          // Seconds
+ *       windWaveHeight: Number,       // Wind wave height (m)
+ *       windWaveDirection: Number,    // Degrees
+ *       windWavePeriod: Number,       // Seconds
+ *       seaSurfaceTemperature: Number // °F
+ *     },
+ *     hourly: [                       // Same fields as current, from the current hour on
+ *       // ...
+ *     ],
+ *     attribution: Object             // { name, url, license }
+ *   },
  *   stationInfo: {                    // Observation station info
  *     display: Boolean,               // Whether to display station info
  *     stationName: String,            // Station name
@@ -146,7 +259,31 @@
  *     observationTime: String,        // Timestamp of observation
  *     usingForecastDescription: Boolean, // Whether using forecast for description
  *     descriptionAdjusted: Boolean,   // Whether description was adjusted
- *     isForecastData: Boolean         // Whether using forecast instead of observation
+ *     isForecastData: Boolean,        // Whether using forecast instead of observation
+ *     // Only when api.js filled current conditions from an airport (api/metarApi.js):
+ *     source: String,                 // 'metar'
+ *     stationId: String,              // ICAO identifier
+ *     rawMetar: String,               // Report the observation was decoded from
+ *     rawTaf: String                  // Station's current TAF (null if it issues none)
+ *   },
+ *   providerStatus: {                 // Outcome of the provider fallback chain
+ *     servedBy: String,               // ID of the provider that served this data
+ *     servedByName: String,           // Display name of that provider
+ *     failed: [                       // Providers tried before it, in order
+ *       { id: String, name: String, reason: String }
+ *     ]
+ *   },
+ *   consensus: {                      // Only present on consensus data
+ *     members: [String],              // IDs of the providers that were combined
+ *     failed: [                       // Providers that didn't answer
+ *       { id: String, name: String, reason: String }
+ *     ]
+ *   },
+ *   diagnostics: {                    // Set by api.js after processing
+ *     violations: [                   // Result of getWeatherDataViolations()
+ *       { path: String, message: String, severity: 'error'|'warning' }
+ *     ],
+ *     checkedAt: Number               // Timestamp of the check
  *   },
  *   source: String,                   // API source identifier
  *   timezone: String,                 // Location timezone
@@ -183,6 +320,9 @@ export function createEmptyWeatherData() {
             pressure: 1015,
             visibility: 10,
             isDaytime: true
+            // Optional: apparentTemperature, dewPoint (°F); heatIndex, windChill, humidex,
+            // wetBulb (°F) and cloudBase (ft) are filled in by utils/derivedMetrics.js,
+            // which lists the fields it computed in `derived`
         },
 
         // Daily forecast
@@ -191,20 +331,29 @@ export function createEmptyWeatherData() {
             // Each item should have: time, icon, temperatureHigh, temperatureLow, summary, precipChance
             // Optional detail fields (null when unavailable): apparentTemperatureHigh,
             // apparentTemperatureLow, sunrise, sunset, precipSum (mm), snowfallSum (cm),
-            // precipHours, precipProbabilityMean, windMax (mph), windGustsMax (mph),
+            // iceSum (mm), precipHours, precipProbabilityMean, windMax (mph), windGustsMax (mph),
+            // thunderChanceMax (0-100), mixingHeightMax (ft),
             // windDirection, uvIndex, cloudCover (0-100), humidity (0-1), dewPoint (°F),
-            // visibility (mi)
+            // visibility (mi), narrative ({day, night} provider-written text)
+            // Consensus-only fields: temperatureHighSpread, temperatureLowSpread and
+            // precipChanceSpread ({min, max}), memberCount
         },
 
         // Hourly forecast
         hourly: {
             data: []
             // Each item should have: time, formattedTime, temperature, icon, summary, precipChance
+            // Optional detail fields: precipIntensity (mm/h), apparentTemperature (°F), humidity (0-1),
+            // dewPoint (°F), windSpeed and windGust (mph), windDirection (°), pressure (hPa),
+            // cloudCover (0-100), uvIndex, visibility (mi)
+            // Derived fields: as on currently
+            // Consensus-only fields: temperatureSpread and precipChanceSpread ({min, max}), memberCount
         },
 
         // Weather alerts
         alerts: [],
         // Each alert should have: id, title, description, fullText, severity, urgency, expires, hazardTypes, primaryHazard
+        // api.js adds lifecycle to each alert, and endedAlerts alongside
 
         // Nowcast data for short-term precipitation forecasts
         nowcast: {
@@ -226,6 +375,72 @@ export function createEmptyWeatherData() {
             // snowfall: Optional - amount of snowfall in mm/h (when available)
         },
 
+        // Air quality, fetched from Open-Meteo whichever provider served the forecast
+        airQuality: {
+            available: false,           // Whether air quality data is available
+            source: 'open-meteo',       // Where the air quality data came from
+            current: {
+                time: null,             // Unix timestamp of the reading
+                usAqi: null,            // US EPA AQI (0-500)
+                europeanAqi: null,      // European AQI (0-100+)
+                pm2_5: null,            // Fine particulates in µg/m³
+                pm10: null,             // Coarse particulates in µg/m³
+                ozone: null,            // O3 in µg/m³
+                nitrogenDioxide: null,  // NO2 in µg/m³
+                dominantPollutant: null // 'pm2_5', 'pm10', 'ozone' or 'nitrogenDioxide' (highest US AQI sub-index)
+            },
+            hourly: [],
+            // Each item has the same fields as current, starting at the current hour
+            attribution: {
+                name: 'Open-Meteo Air Quality',
+                url: 'https://open-meteo.com/en/docs/air-quality-api',
+                license: 'CC BY 4.0'
+            }
+        },
+
+        // Pollen forecast, fetched from Open-Meteo (Europe only)
+        pollen: {
+            available: false,           // Whether pollen data is available for this location
+            source: 'open-meteo',       // Where the pollen data came from
+            hourly: [],
+            // Each item has: time, alder, birch, grass, mugwort, olive, ragweed
+            // (counts in grains/m³, null when not modelled), starting at the current hour
+            daily: [],
+            // Each item has: time (local midnight), the species fields holding that
+            // day's peak count, peakTime (hour with the worst level) and peakSpecies
+            attribution: {
+                name: 'Open-Meteo Air Quality (CAMS)',
+                url: 'https://open-meteo.com/en/docs/air-quality-api',
+                license: 'CC BY 4.0'
+            }
+        },
+
+        // Marine forecast, fetched from Open-Meteo (coastal and offshore locations only)
+        marine: {
+            available: false,           // Whether marine data is available for this location
+            source: 'open-meteo',       // Where the marine data came from
+            current: {
+                time: null,             // Unix timestamp of the reading
+                waveHeight: null,       // Significant wave height in m (swell and wind waves combined)
+                waveDirection: null,    // Direction waves come from, in degrees
+                wavePeriod: null,       // Seconds
+                swellHeight: null,      // Primary swell height in m
+                swellDirection: null,   // Degrees
+                swellPeriod: null,      // Seconds
+                windWaveHeight: null,   // Locally generated wind waves in m
+                windWaveDirection: null,// Degrees
+                windWavePeriod: null,   // Seconds
+                seaSurfaceTemperature: null // °F
+            },
+            hourly: [],
+            // Each item has the same fields as current, starting at the current hour
+            attribution: {
+                name: 'Open-Meteo Marine',
+                url: 'https://open-meteo.com/en/docs/marine-weather-api',
+                license: 'CC BY 4.0'
+            }
+        },
+
         // Attribution information for the data source
         attribution: {
             name: '',      // Display name of the API provider (e.g., 'National Weather Service')
@@ -244,6 +459,13 @@ export function createEmptyWeatherData() {
             isForecastData: false
         },
 
+        // Which provider served this data, and which ones failed before it
+        providerStatus: {
+            servedBy: '',
+            servedByName: '',
+            failed: []
+        },
+
         // Metadata
         source: '',  // API source identifier (e.g., 'nws', 'open-meteo')
         timezone: 'auto',
@@ -254,7 +476,10 @@ export function createEmptyWeatherData() {
 }
 
 /**
- * Validate a weather data object against the standard format
+ * Validate a weather data object against the standard format.
+ * This is the minimal check that decides whether data can be rendered at all
+ * (and whether the fallback chain moves on); see getWeatherDataViolations()
+ * for the full field-by-field report.
  * @param {Object} data - The weather data object to validate
  * @returns {boolean} True if valid, false otherwise
  */
@@ -316,4 +541,425 @@ export const WEATHER_ICONS = {
     PARTLY_CLOUDY_DAY: 'partly-cloudy-day',
     PARTLY_CLOUDY_NIGHT: 'partly-cloudy-night',
     THUNDERSTORM: 'thunderstorm'
-};
\ No newline at end of file
+};
+//==============================================================================
+// 3. SCHEMA VALIDATION
+//==============================================================================
+
+/**
+ * Field rules for the documented standard format.
+ * type: expected typeof (or list of them); required: must be present;
+ * nullable: null allowed; min/max: plausible range in the standard unit;
+ * values: allowed values; unit: shown in range violations.
+ */
+const CURRENTLY_SCHEMA = {
+    temperature: { type: 'number', required: true, min: -130, max: 140, unit: '°F' },
+    icon: { type: 'string', required: true, values: () => Object.values(WEATHER_ICONS) },
+    summary: { type: 'string', required: true },
+    windSpeed: { type: 'number', required: true, min: 0, max: 300, unit: 'mph' },
+    windDirection: { type: ['number', 'string'], nullable: true, min: 0, max: 360, unit: '°' },
+    humidity: { type: 'number', required: true, min: 0, max: 1 },
+    pressure: { type: 'number', nullable: true, min: 850, max: 1090, unit: 'hPa' },
+    visibility: { type: 'number', nullable: true, min: 0, max: 100, unit: 'mi' },
+    isDaytime: { type: 'boolean' },
+    apparentTemperature: { type: 'number', nullable: true, min: -150, max: 170, unit: '°F' },
+    dewPoint: { type: 'number', nullable: true, min: -130, max: 100, unit: '°F' },
+    heatIndex: { type: 'number', nullable: true, min: 70, max: 200, unit: '°F' },
+    windChill: { type: 'number', nullable: true, min: -150, max: 50, unit: '°F' },
+    humidex: { type: 'number', nullable: true, min: 50, max: 200, unit: '°F' },
+    wetBulb: { type: 'number', nullable: true, min: -130, max: 100, unit: '°F' },
+    cloudBase: { type: 'number', nullable: true, min: 0, max: 50000, unit: 'ft' },
+    derived: { type: 'array' }
+};
+
+const DAILY_SCHEMA = {
+    time: { type: 'number', required: true },
+    icon: { type: 'string', required: true, values: () => Object.values(WEATHER_ICONS) },
+    temperatureHigh: { type: 'number', required: true, nullable: true, min: -130, max: 140, unit: '°F' },
+    temperatureLow: { type: 'number', required: true, nullable: true, min: -130, max: 140, unit: '°F' },
+    summary: { type: 'string', required: true },
+    precipChance: { type: 'number', required: true, min: 0, max: 100 },
+    apparentTemperatureHigh: { type: 'number', nullable: true, min: -150, max: 170, unit: '°F' },
+    apparentTemperatureLow: { type: 'number', nullable: true, min: -150, max: 170, unit: '°F' },
+    sunrise: { type: 'number', nullable: true },
+    sunset: { type: 'number', nullable: true },
+    precipSum: { type: 'number', nullable: true, min: 0, max: 1000, unit: 'mm' },
+    snowfallSum: { type: 'number', nullable: true, min: 0, max: 500, unit: 'cm' },
+    iceSum: { type: 'number', nullable: true, min: 0, max: 200, unit: 'mm' },
+    precipHours: { type: 'number', nullable: true, min: 0, max: 24 },
+    precipProbabilityMean: { type: 'number', nullable: true, min: 0, max: 100 },
+    windMax: { type: 'number', nullable: true, min: 0, max: 300, unit: 'mph' },
+    windGustsMax: { type: 'number', nullable: true, min: 0, max: 350, unit: 'mph' },
+    thunderChanceMax: { type: 'number', nullable: true, min: 0, max: 100 },
+    mixingHeightMax: { type: 'number', nullable: true, min: 0, max: 30000, unit: 'ft' },
+    windDirection: { type: 'number', nullable: true, min: 0, max: 360, unit: '°' },
+    uvIndex: { type: 'number', nullable: true, min: 0, max: 20 },
+    cloudCover: { type: 'number', nullable: true, min: 0, max: 100 },
+    humidity: { type: 'number', nullable: true, min: 0, max: 1 },
+    dewPoint: { type: 'number', nullable: true, min: -130, max: 100, unit: '°F' },
+    visibility: { type: 'number', nullable: true, min: 0, max: 100, unit: 'mi' },
+    narrative: { type: 'object', nullable: true }
+};
+
+const HOURLY_SCHEMA = {
+    time: { type: 'number', required: true },
+    formattedTime: { type: 'string', required: true },
+    temperature: { type: 'number', required: true, min: -130, max: 140, unit: '°F' },
+    icon: { type: 'string', required: true, values: () => Object.values(WEATHER_ICONS) },
+    summary: { type: 'string', required: true },
+    precipChance: { type: 'number', required: true, min: 0, max: 100 },
+    precipIntensity: { type: 'number', nullable: true, min: 0, max: 500, unit: 'mm/h' },
+    isDaytime: { type: 'boolean' },
+    apparentTemperature: { type: 'number', nullable: true, min: -150, max: 170, unit: '°F' },
+    humidity: { type: 'number', nullable: true, min: 0, max: 1 },
+    dewPoint: { type: 'number', nullable: true, min: -130, max: 100, unit: '°F' },
+    windSpeed: { type: 'number', nullable: true, min: 0, max: 300, unit: 'mph' },
+    windGust: { type: 'number', nullable: true, min: 0, max: 350, unit: 'mph' },
+    windDirection: { type: 'number', nullable: true, min: 0, max: 360, unit: '°' },
+    pressure: { type: 'number', nullable: true, min: 850, max: 1090, unit: 'hPa' },
+    cloudCover: { type: 'number', nullable: true, min: 0, max: 100 },
+    uvIndex: { type: 'number', nullable: true, min: 0, max: 20 },
+    visibility: { type: 'number', nullable: true, min: 0, max: 100, unit: 'mi' },
+    snowfall: { type: 'number', nullable: true, min: 0, max: 100, unit: 'cm' },
+    iceAccumulation: { type: 'number', nullable: true, min: 0, max: 50, unit: 'mm' },
+    thunderChance: { type: 'number', nullable: true, min: 0, max: 100 },
+    mixingHeight: { type: 'number', nullable: true, min: 0, max: 30000, unit: 'ft' },
+    heatIndex: { type: 'number', nullable: true, min: 70, max: 200, unit: '°F' },
+    windChill: { type: 'number', nullable: true, min: -150, max: 50, unit: '°F' },
+    humidex: { type: 'number', nullable: true, min: 50, max: 200, unit: '°F' },
+    wetBulb: { type: 'number', nullable: true, min: -130, max: 100, unit: '°F' },
+    cloudBase: { type: 'number', nullable: true, min: 0, max: 50000, unit: 'ft' },
+    derived: { type: 'array' }
+};
+
+const NOWCAST_POINT_SCHEMA = {
+    time: { type: 'number', required: true },
+    formattedTime: { type: 'string' },
+    precipIntensity: { type: 'number', required: true, min: 0, max: 500, unit: 'mm/h' },
+    precipProbability: { type: 'number', nullable: true, min: 0, max: 1 },
+    precipType: { type: 'string', values: ['rain', 'snow', 'mix', 'sleet', 'none'] },
+    intensityLabel: { type: 'string', values: () => Object.values(PRECIP_INTENSITY) },
+    snowfall: { type: 'number', nullable: true, min: 0, max: 500, unit: 'mm/h' }
+};
+
+const ALERT_SCHEMA = {
+    id: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    fullText: { type: 'string' },
+    severity: { type: 'string', required: true, values: () => Object.values(ALERT_SEVERITY) },
+    urgency: { type: 'string', nullable: true },
+    expires: { type: ['string', 'number', 'date'], nullable: true },
+    hazardTypes: { type: 'array' },
+    primaryHazard: { type: 'string', nullable: true },
+    lifecycle: { type: 'object', nullable: true }
+};
+
+const AIR_QUALITY_SCHEMA = {
+    time: { type: 'number', nullable: true },
+    usAqi: { type: 'number', nullable: true, min: 0, max: 500 },
+    europeanAqi: { type: 'number', nullable: true, min: 0, max: 500 },
+    pm2_5: { type: 'number', nullable: true, min: 0, max: 1000, unit: 'µg/m³' },
+    pm10: { type: 'number', nullable: true, min: 0, max: 2000, unit: 'µg/m³' },
+    ozone: { type: 'number', nullable: true, min: 0, max: 1000, unit: 'µg/m³' },
+    nitrogenDioxide: { type: 'number', nullable: true, min: 0, max: 1000, unit: 'µg/m³' },
+    dominantPollutant: { type: 'string', nullable: true, values: ['pm2_5', 'pm10', 'ozone', 'nitrogenDioxide'] }
+};
+
+const MARINE_SCHEMA = {
+    time: { type: 'number', nullable: true },
+    waveHeight: { type: 'number', nullable: true, min: 0, max: 30, unit: 'm' },
+    waveDirection: { type: 'number', nullable: true, min: 0, max: 360, unit: '°' },
+    wavePeriod: { type: 'number', nullable: true, min: 0, max: 30, unit: 's' },
+    swellHeight: { type: 'number', nullable: true, min: 0, max: 30, unit: 'm' },
+    swellDirection: { type: 'number', nullable: true, min: 0, max: 360, unit: '°' },
+    swellPeriod: { type: 'number', nullable: true, min: 0, max: 30, unit: 's' },
+    windWaveHeight: { type: 'number', nullable: true, min: 0, max: 30, unit: 'm' },
+    windWaveDirection: { type: 'number', nullable: true, min: 0, max: 360, unit: '°' },
+    windWavePeriod: { type: 'number', nullable: true, min: 0, max: 30, unit: 's' },
+    seaSurfaceTemperature: { type: 'number', nullable: true, min: 25, max: 100, unit: '°F' }
+};
+
+const POLLEN_SPECIES_FIELDS = ['alder', 'birch', 'grass', 'mugwort', 'olive', 'ragweed'];
+
+const POLLEN_HOUR_SCHEMA = {
+    time: { type: 'number', required: true },
+    ...Object.fromEntries(POLLEN_SPECIES_FIELDS.map(species =>
+        [species, { type: 'number', nullable: true, min: 0, max: 50000, unit: 'grains/m³' }]))
+};
+
+const POLLEN_DAY_SCHEMA = {
+    ...POLLEN_HOUR_SCHEMA,
+    peakTime: { type: 'number', nullable: true },
+    peakSpecies: { type: 'string', nullable: true, values: POLLEN_SPECIES_FIELDS }
+};
+
+// Current temperature this far from the nearest hourly one suggests mixed units
+const UNIT_MISMATCH_THRESHOLD_F = 25;
+
+/**
+ * Check a weather data object against every documented field of the standard format.
+ * Unlike validateWeatherData(), which only decides whether data is usable at all,
+ * this reports each problem so provider authors can find mapping bugs.
+ *
+ * @param {Object} data - Weather data in the standard format
+ * @returns {Array<{path: string, message: string, severity: string}>} Violations;
+ *   severity is 'error' for wrong or missing fields and 'warning' for implausible values
+ */
+export function getWeatherDataViolations(data) {
+    const violations = [];
+
+    if (!data || typeof data !== 'object') {
+        return [{ path: '', message: 'Weather data is not an object', severity: 'error' }];
+    }
+
+    // Current conditions
+    if (checkObject(data.currently, 'currently', violations)) {
+        checkFields(data.currently, CURRENTLY_SCHEMA, 'currently', violations);
+    }
+
+    // Daily and hourly series
+    const daily = checkSeries(data.daily, 'daily', DAILY_SCHEMA, violations);
+    daily.forEach((day, i) => {
+        if (isNumber(day.temperatureHigh) && isNumber(day.temperatureLow) &&
+            day.temperatureHigh < day.temperatureLow) {
+            addViolation(violations, `daily.data[${i}]`, 'temperatureHigh is below temperatureLow', 'warning');
+        }
+    });
+
+    const hourly = checkSeries(data.hourly, 'hourly', HOURLY_SCHEMA, violations);
+
+    // Nowcast
+    if (checkObject(data.nowcast, 'nowcast', violations)) {
+        const nowcast = data.nowcast;
+        checkFields(nowcast, {
+            available: { type: 'boolean', required: true },
+            source: { type: 'string' },
+            startTime: { type: 'number', nullable: true },
+            endTime: { type: 'number', nullable: true },
+            description: { type: 'string' }
+        }, 'nowcast', violations);
+
+        if (nowcast.data !== undefined && !Array.isArray(nowcast.data)) {
+            addViolation(violations, 'nowcast.data', 'must be an array', 'error');
+        } else if (nowcast.available && Array.isArray(nowcast.data)) {
+            nowcast.data.forEach((point, i) => {
+                checkFields(point, NOWCAST_POINT_SCHEMA, `nowcast.data[${i}]`, violations);
+            });
+            checkMonotonic(nowcast.data, 'nowcast.data', violations);
+        }
+    }
+
+    // Alerts
+    if (!Array.isArray(data.alerts)) {
+        addViolation(violations, 'alerts', 'must be an array', 'error');
+    } else {
+        data.alerts.forEach((alert, i) => {
+            checkFields(alert, ALERT_SCHEMA, `alerts[${i}]`, violations);
+        });
+    }
+
+    // Ended alerts (optional, added by api.js)
+    if (data.endedAlerts !== undefined && !Array.isArray(data.endedAlerts)) {
+        addViolation(violations, 'endedAlerts', 'must be an array', 'error');
+    }
+
+    // Air quality (optional, older cached data won't have it)
+    if (data.airQuality !== undefined && checkObject(data.airQuality, 'airQuality', violations)) {
+        const airQuality = data.airQuality;
+        checkFields(airQuality, {
+            available: { type: 'boolean', required: true },
+            source: { type: 'string' }
+        }, 'airQuality', violations);
+
+        if (airQuality.available) {
+            checkFields(airQuality.current, AIR_QUALITY_SCHEMA, 'airQuality.current', violations);
+            if (!Array.isArray(airQuality.hourly)) {
+                addViolation(violations, 'airQuality.hourly', 'must be an array', 'error');
+            } else {
+                airQuality.hourly.forEach((hour, i) => {
+                    checkFields(hour, AIR_QUALITY_SCHEMA, `airQuality.hourly[${i}]`, violations);
+                });
+                checkMonotonic(airQuality.hourly, 'airQuality.hourly', violations);
+            }
+        }
+    }
+
+    // Pollen (optional, like air quality)
+    if (data.pollen !== undefined && checkObject(data.pollen, 'pollen', violations)) {
+        const pollen = data.pollen;
+        checkFields(pollen, {
+            available: { type: 'boolean', required: true },
+            source: { type: 'string' }
+        }, 'pollen', violations);
+
+        if (pollen.available) {
+            [['hourly', POLLEN_HOUR_SCHEMA], ['daily', POLLEN_DAY_SCHEMA]].forEach(([series, schema]) => {
+                if (!Array.isArray(pollen[series])) {
+                    addViolation(violations, `pollen.${series}`, 'must be an array', 'error');
+                    return;
+                }
+                pollen[series].forEach((item, i) => {
+                    checkFields(item, schema, `pollen.${series}[${i}]`, violations);
+                });
+                checkMonotonic(pollen[series], `pollen.${series}`, violations);
+            });
+        }
+    }
+
+    // Marine (optional, like air quality)
+    if (data.marine !== undefined && checkObject(data.marine, 'marine', violations)) {
+        const marine = data.marine;
+        checkFields(marine, {
+            available: { type: 'boolean', required: true },
+            source: { type: 'string' }
+        }, 'marine', violations);
+
+        if (marine.available) {
+            checkFields(marine.current, MARINE_SCHEMA, 'marine.current', violations);
+            if (!Array.isArray(marine.hourly)) {
+                addViolation(violations, 'marine.hourly', 'must be an array', 'error');
+            } else {
+                marine.hourly.forEach((hour, i) => {
+                    checkFields(hour, MARINE_SCHEMA, `marine.hourly[${i}]`, violations);
+                });
+                checkMonotonic(marine.hourly, 'marine.hourly', violations);
+            }
+        }
+    }
+
+    // Metadata
+    checkFields(data, {
+        source: { type: 'string', required: true },
+        timezone: { type: 'string', required: true },
+        lastUpdated: { type: 'number' }
+    }, '', violations);
+
+    // Celsius leaking into the Fahrenheit fields usually shows up as a current
+    // temperature that disagrees with the hourly forecast for the same time
+    if (isNumber(data.currently?.temperature) && hourly.length > 0) {
+        const now = Date.now() / 1000;
+        const nearest = hourly
+            .filter(hour => isNumber(hour.time) && isNumber(hour.temperature))
+            .reduce((best, hour) =>
+                !best || Math.abs(hour.time - now) < Math.abs(best.time - now) ? hour : best, null);
+
+        if (nearest && Math.abs(nearest.time - now) <= 2 * 3600 &&
+            Math.abs(nearest.temperature - data.currently.temperature) > UNIT_MISMATCH_THRESHOLD_F) {
+            addViolation(violations, 'currently.temperature',
+                `${Math.round(data.currently.temperature)}°F differs from the hourly forecast ` +
+                `(${Math.round(nearest.temperature)}°F) by more than ${UNIT_MISMATCH_THRESHOLD_F}°F, possible unit mismatch`,
+                'warning');
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Record a violation
+ */
+function addViolation(violations, path, message, severity) {
+    violations.push({ path, message, severity });
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
+
+/**
+ * Check that a section exists and is an object
+ * @returns {boolean} True if the section can be inspected further
+ */
+function checkObject(value, path, violations) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        addViolation(violations, path, 'is missing or not an object', 'error');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check a { data: [...] } series section and each of its items
+ * @returns {Array} The items, or an empty array if the section is malformed
+ */
+function checkSeries(section, path, schema, violations) {
+    if (!checkObject(section, path, violations)) return [];
+    if (!Array.isArray(section.data)) {
+        addViolation(violations, `${path}.data`, 'must be an array', 'error');
+        return [];
+    }
+
+    section.data.forEach((item, i) => {
+        checkFields(item, schema, `${path}.data[${i}]`, violations);
+    });
+    checkMonotonic(section.data, `${path}.data`, violations);
+
+    return section.data.filter(item => item && typeof item === 'object');
+}
+
+/**
+ * Check that item timestamps strictly increase
+ */
+function checkMonotonic(items, path, violations) {
+    for (let i = 1; i < items.length; i++) {
+        const previous = items[i - 1]?.time;
+        const current = items[i]?.time;
+        if (isNumber(previous) && isNumber(current) && current <= previous) {
+            addViolation(violations, `${path}[${i}].time`, 'timestamps must increase', 'error');
+            return; // One report per series is enough
+        }
+    }
+}
+
+/**
+ * Check every field of an object against its rules
+ */
+function checkFields(obj, schema, path, violations) {
+    const prefix = path ? `${path}.` : '';
+
+    if (!obj || typeof obj !== 'object') {
+        addViolation(violations, path, 'is not an object', 'error');
+        return;
+    }
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const fieldPath = `${prefix}${field}`;
+        const value = obj[field];
+
+        if (value === undefined) {
+            if (rule.required) addViolation(violations, fieldPath, 'is required', 'error');
+            return;
+        }
+        if (value === null) {
+            if (!rule.nullable) addViolation(violations, fieldPath, 'must not be null', 'error');
+            return;
+        }
+
+        const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+        const actualType = Array.isArray(value) ? 'array'
+            : value instanceof Date ? 'date'
+            : typeof value;
+        if (!types.includes(actualType)) {
+            addViolation(violations, fieldPath, `must be ${types.join(' or ')}, got ${actualType}`, 'error');
+            return;
+        }
+        if (actualType === 'number' && Number.isNaN(value)) {
+            addViolation(violations, fieldPath, 'is NaN', 'error');
+            return;
+        }
+
+        if (rule.values) {
+            const allowed = typeof rule.values === 'function' ? rule.values() : rule.values;
+            if (!allowed.includes(value)) {
+                addViolation(violations, fieldPath, `"${value}" is not one of ${allowed.join(', ')}`, 'warning');
+            }
+        }
+
+        if (actualType === 'number' && (value < rule.min || value > rule.max)) {
+            const unit = rule.unit ? ` ${rule.unit}` : '';
+            addViolation(violations, fieldPath,
+                `${Math.round(value * 100) / 100}${unit} is outside ${rule.min}–${rule.max}${unit}`, 'warning');
+        }
+    });
+}
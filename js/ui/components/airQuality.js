@@ -0,0 +1,160 @@
+/**
+ * Air Quality UI Component
+ * Shows the current US AQI with its health guidance, the pollutant readings
+ * and a 24-hour AQI trend
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { loadComponentCSS } from '../../utils/cssLoader.js';
+import { getAqiCategory, POLLUTANT_NAMES } from '../../api/airQualityApi.js';
+
+// Hours shown in the trend chart
+const TREND_HOURS = 24;
+
+// Pollutant readings shown under the AQI, in display order
+const POLLUTANT_ROWS = [
+    { field: 'pm2_5', label: 'PM2.5' },
+    { field: 'pm10', label: 'PM10' },
+    { field: 'ozone', label: 'O₃' },
+    { field: 'nitrogenDioxide', label: 'NO₂' }
+];
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Display air quality data in the UI
+ * @param {Object} airQuality - airQuality section of the standardized weather data
+ * @param {string} [timezone] - IANA timezone of the location, for trend labels
+ */
+export function displayAirQuality(airQuality, timezone) {
+    const container = document.getElementById('air-quality-container');
+    if (!container) return;
+
+    // Older cached data and failed fetches have no air quality, hide the card
+    if (!airQuality || !airQuality.available || typeof airQuality.current?.usAqi !== 'number') {
+        container.style.display = 'none';
+        return;
+    }
+
+    loadComponentCSS('./styles/airQuality.css').catch(error => console.warn('Failed to load air quality styles:', error));
+
+    const current = airQuality.current;
+    const category = getAqiCategory(current.usAqi);
+    const dominant = POLLUTANT_NAMES[current.dominantPollutant];
+
+    const pollutants = POLLUTANT_ROWS.map(({ field, label }) => `
+        <div class="aqi-pollutant${field === current.dominantPollutant ? ' aqi-pollutant-dominant' : ''}">
+            <span class="aqi-pollutant-label">${label}</span>
+            <span class="aqi-pollutant-value">${formatConcentration(current[field])}</span>
+        </div>
+    `).join('');
+
+    const attribution = airQuality.attribution?.name
+        ? `<div class="aqi-attribution">Air quality by <a href="${airQuality.attribution.url}" target="_blank" class="attribution-link">${airQuality.attribution.name}</a></div>`
+        : '';
+
+    container.innerHTML = `
+        <div class="air-quality-section">
+            <h3>Air Quality</h3>
+            <div class="aqi-current">
+                <div class="aqi-badge" style="--aqi-color: ${category.color}">
+                    <span class="aqi-value">${Math.round(current.usAqi)}</span>
+                    <span class="aqi-scale">US AQI</span>
+                </div>
+                <div class="aqi-summary">
+                    <div class="aqi-category">${category.label}</div>
+                    ${dominant ? `<div class="aqi-dominant">Main pollutant: ${dominant}</div>` : ''}
+                    ${typeof current.europeanAqi === 'number'
+                        ? `<div class="aqi-european">European AQI: ${Math.round(current.europeanAqi)}</div>`
+                        : ''}
+                </div>
+            </div>
+            <p class="aqi-guidance">${category.guidance}</p>
+            <div class="aqi-pollutants">${pollutants}</div>
+            <div class="aqi-trend">
+                <div class="aqi-trend-title">Next 24 hours</div>
+                <div class="aqi-trend-bars"></div>
+                <div class="aqi-trend-labels"></div>
+            </div>
+            ${attribution}
+        </div>
+    `;
+
+    renderTrend(airQuality.hourly || [], container, timezone);
+    container.style.display = 'block';
+}
+
+//==============================================================================
+// 3. PRIVATE FUNCTIONS
+//==============================================================================
+
+/**
+ * Render the 24-hour US AQI trend as a bar chart
+ * @param {Array} hourly - Hourly air quality items
+ * @param {HTMLElement} container - Air quality card
+ * @param {string} [timezone] - IANA timezone of the location
+ */
+function renderTrend(hourly, container, timezone) {
+    const trend = container.querySelector('.aqi-trend');
+    const bars = container.querySelector('.aqi-trend-bars');
+    const labels = container.querySelector('.aqi-trend-labels');
+
+    const hours = hourly
+        .filter(hour => typeof hour.usAqi === 'number')
+        .slice(0, TREND_HOURS);
+
+    if (hours.length < 2) {
+        trend.style.display = 'none';
+        return;
+    }
+
+    // Scale to the worst hour, but never below the top of "Moderate" so a
+    // clean day doesn't look alarming
+    const scaleMax = Math.max(100, ...hours.map(hour => hour.usAqi));
+
+    hours.forEach((hour, index) => {
+        const category = getAqiCategory(hour.usAqi);
+
+        const bar = document.createElement('div');
+        bar.className = 'aqi-trend-bar';
+        bar.style.height = `${Math.max(4, (hour.usAqi / scaleMax) * 100)}%`;
+        bar.style.backgroundColor = category.color;
+        bar.title = `${formatHour(hour.time, timezone)}: AQI ${Math.round(hour.usAqi)} (${category.label})`;
+        bars.appendChild(bar);
+
+        // Label every sixth hour
+        if (index % 6 === 0) {
+            const label = document.createElement('span');
+            label.className = 'aqi-trend-label';
+            label.style.left = `${(index / hours.length) * 100}%`;
+            label.textContent = formatHour(hour.time, timezone);
+            labels.appendChild(label);
+        }
+    });
+}
+
+/**
+ * Format a pollutant concentration
+ * @param {number|null} value - Concentration in µg/m³
+ * @returns {string}
+ */
+function formatConcentration(value) {
+    if (typeof value !== 'number') return '--';
+    return `${Math.round(value)} µg/m³`;
+}
+
+function formatHour(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { hour: 'numeric' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleTimeString('en-US', opts);
+    } catch (e) {
+        return date.toLocaleTimeString('en-US', { hour: 'numeric' });
+    }
+}
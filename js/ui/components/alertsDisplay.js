@@ -9,6 +9,8 @@
 //==============================================================================
 
 import { loadComponentCSS } from '../../utils/cssLoader.js';
+import { ALERT_CHANGE } from '../../utils/alertLifecycle.js';
+import { escapeHtml } from '../../utils/formatting.js';
 
 //==============================================================================
 // 2. DOM REFERENCES
@@ -35,8 +37,10 @@ export function initAlertsDisplay() {
 /**
  * Display weather alerts
  * @param {Array} alerts - Array of alert objects
+ * @param {Array} [endedAlerts] - Alerts that ended recently, listed below
+ *   (see getEndedAlerts in alertLifecycle.js)
  */
-export function displayAlerts(alerts) {
+export function displayAlerts(alerts, endedAlerts = []) {
 
     loadComponentCSS('./styles/alerts.css').catch(error => console.warn('Failed to load radar styles:', error));
 
@@ -44,8 +48,11 @@ export function displayAlerts(alerts) {
         // Clear previous alerts
         alertsContainer.innerHTML = '';
 
+        if (!Array.isArray(alerts)) alerts = [];
+        if (!Array.isArray(endedAlerts)) endedAlerts = [];
+
         // Check if alerts exist
-        if (!alerts || !Array.isArray(alerts) || alerts.length === 0) {
+        if (alerts.length === 0 && endedAlerts.length === 0) {
             alertsContainer.style.display = 'none';
             return;
         }
@@ -69,6 +76,7 @@ export function displayAlerts(alerts) {
             const alertElement = document.createElement('div');
             alertElement.className = `alert-item alert-${alert.severity}`;
             alertElement.id = `alert-${index}`;
+            alertElement.dataset.alertId = alert.id || '';
 
             // Create the collapsed view (shown by default)
             alertElement.innerHTML = `
@@ -77,6 +85,7 @@ export function displayAlerts(alerts) {
                         <div class="alert-title-severity">
                             <span class="alert-severity alert-${alert.severity}">${capitalizeFirst(alert.severity)}</span>
                             <h3 class="alert-title">${alert.title}</h3>
+                            ${buildChangeBadges(alert.lifecycle)}
                         </div>
                         <div class="alert-icon-container">
                             <img src="${getHazardIcon(alert.primaryHazard)}" alt="${alert.title} icon" class="alert-meteocon" />
@@ -95,6 +104,7 @@ export function displayAlerts(alerts) {
                         ${alert.urgency ? `<div class="alert-urgency">Urgency: ${alert.urgency}</div>` : ''}
                         ${alert.expires ? `<div class="alert-expires">Expires: ${formatDate(new Date(alert.expires))}</div>` : ''}
                         ${alert.source ? `<div class="alert-source">Source: ${getSourceName(alert.source)}</div>` : ''}
+                        ${buildChangeDetails(alert)}
                     </div>
                     <div class="alert-full-description">${formatAlertText(alert.fullText)}</div>
                 </div>
@@ -129,6 +139,10 @@ export function displayAlerts(alerts) {
             });
         });
 
+        if (endedAlerts.length > 0) {
+            alertsContainer.appendChild(buildEndedAlerts(endedAlerts));
+        }
+
         // Show alerts container
         alertsContainer.style.display = 'block';
     } catch (error) {
@@ -137,8 +151,112 @@ export function displayAlerts(alerts) {
     }
 }
 
+/**
+ * Expand an alert and scroll it into view, e.g. when opened from a notification
+ * @param {string} alertId - ID of the alert
+ * @returns {boolean} Whether the alert is on screen
+ */
+export function openAlert(alertId) {
+    const alertElement = Array.from(alertsContainer?.querySelectorAll('.alert-item') || [])
+        .find(element => element.dataset.alertId === alertId);
+    if (!alertElement) return false;
+
+    if (!alertElement.classList.contains('alert-expanded')) {
+        alertElement.querySelector('.alert-expand-btn').click();
+    }
+    alertElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+}
+
+//==============================================================================
+// 5. ALERT LIFECYCLE
+//==============================================================================
+
+const CHANGE_LABELS = {
+    [ALERT_CHANGE.NEW]: 'New',
+    [ALERT_CHANGE.UPGRADED]: 'Upgraded',
+    [ALERT_CHANGE.DOWNGRADED]: 'Downgraded',
+    [ALERT_CHANGE.EXTENDED]: 'Extended',
+    [ALERT_CHANGE.UPDATED]: 'Updated'
+};
+
+/**
+ * Badges for what changed since the alert was last seen
+ * @param {Object} [lifecycle] - The alert's lifecycle (see trackAlerts)
+ * @returns {string} HTML
+ */
+function buildChangeBadges(lifecycle) {
+    if (!lifecycle?.changes?.length) return '';
+
+    return Object.values(ALERT_CHANGE)
+        .filter(change => lifecycle.changes.includes(change))
+        .map(change => `<span class="alert-change alert-change-${change}">${CHANGE_LABELS[change]}</span>`)
+        .join('');
+}
+
+/**
+ * Spell out the changes in the expanded alert
+ * @param {Object} alert - Alert with lifecycle
+ * @returns {string} HTML
+ */
+function buildChangeDetails(alert) {
+    const { changes = [], changedAt, previous } = alert.lifecycle || {};
+    if (changes.length === 0) return '';
+
+    const details = [];
+    if (changes.includes(ALERT_CHANGE.NEW)) {
+        details.push('Issued since your last check');
+    }
+    if (previous && (changes.includes(ALERT_CHANGE.UPGRADED) || changes.includes(ALERT_CHANGE.DOWNGRADED))) {
+        const direction = changes.includes(ALERT_CHANGE.UPGRADED) ? 'Upgraded' : 'Downgraded';
+        details.push(`${direction} from ${escapeHtml(previous.title)} (${escapeHtml(previous.severity)})`);
+    } else if (previous && previous.title !== alert.title) {
+        details.push(`Replaces ${escapeHtml(previous.title)}`);
+    }
+    if (previous?.expires && changes.includes(ALERT_CHANGE.EXTENDED)) {
+        details.push(`Extended from ${formatDate(new Date(previous.expires))}`);
+    }
+    if (changes.includes(ALERT_CHANGE.UPDATED) && previous?.title === alert.title) {
+        details.push('Text updated');
+    }
+
+    const when = changedAt ? ` · noticed ${formatDate(new Date(changedAt))}` : '';
+    return `<div class="alert-changes">${details.join(' · ')}${when}</div>`;
+}
+
+/**
+ * Collapsible list of alerts that expired or were cancelled recently
+ * @param {Array} endedAlerts - Ended alerts, most recent first
+ * @returns {HTMLElement}
+ */
+function buildEndedAlerts(endedAlerts) {
+    const history = document.createElement('details');
+    history.className = 'alert-history';
+
+    const items = endedAlerts.map(alert => {
+        const status = alert.reason === 'cancelled'
+            ? `Cancelled early, was due to expire ${alert.expires ? formatDate(new Date(alert.expires)) : 'later'}. Last in force ${formatDate(new Date(alert.lastSeen))}, gone by ${formatDate(new Date(alert.endedAt))}.`
+            : `Expired ${formatDate(new Date(alert.endedAt))}.`;
+
+        return `
+            <li class="alert-history-item" data-severity="${escapeHtml(alert.severity)}">
+                <div class="alert-history-title">
+                    ${escapeHtml(alert.title)}
+                    <span class="alert-history-reason alert-history-${alert.reason}">${alert.reason === 'cancelled' ? 'Cancelled' : 'Expired'}</span>
+                </div>
+                <div class="alert-history-status">${status}</div>
+            </li>`;
+    }).join('');
+
+    history.innerHTML = `
+        <summary>Ended in the last 48 hours (${endedAlerts.length})</summary>
+        <ul class="alert-history-list">${items}</ul>`;
+
+    return history;
+}
+
 //==============================================================================
-// 5. HELPER FUNCTIONS
+// 6. HELPER FUNCTIONS
 //==============================================================================
 
 /**
@@ -253,4 +371,4 @@ function getSourceName(source) {
   }
 
 // Make displayAlerts available globally
-window.displayAlerts = displayAlerts;
\ No newline at end of file
+window.displayAlerts = displayAlerts;
@@ -8,10 +8,12 @@
 // 1. IMPORTS
 //==============================================================================
 
-import { formatTemperature, formatWindSpeed, formatPressure, formatVisibility } from '../../utils/units.js';
+import { formatTemperature, formatWindSpeed, formatPressure, formatVisibility, formatDistance, formatCloudBase } from '../../utils/units.js';
+import { isDerived } from '../../utils/derivedMetrics.js';
 import { setWeatherIcon } from '../visuals/dynamicIcons.js';
 import { setWeatherBackground } from '../visuals/dynamicBackgrounds.js';
-import { formatDate, updatePageTitle, getLocalTimeForLocation } from '../../utils/formatting.js';
+import { formatDate, updatePageTitle, getLocalTimeForLocation, escapeHtml } from '../../utils/formatting.js';
+import { parseMetar, parseTaf, describeMetar, describeTaf } from '../../utils/metar.js';
 
 //==============================================================================
 // 2. DOM REFERENCES
@@ -98,6 +100,9 @@ export function updateCurrentWeather(data, locationName) {
     pressureElement.textContent = formatPressure(current.pressure || 1015);
     visibilityElement.textContent = formatVisibility(current.visibility || 10);
 
+    // Feels like, dew point, wet bulb and cloud base (computed when the provider has none)
+    updateDerivedDetails(current);
+
     // Set weather icon with isDaytime from standardized format
     setWeatherIcon(current.icon || 'cloudy', weatherIconElement, current.isDaytime);
 
@@ -111,6 +116,19 @@ export function updateCurrentWeather(data, locationName) {
     updateLocalTimeDisplay(data);
 }
 
+/**
+ * Update the detail cards that may hold derived values. Values computed from
+ * temperature, humidity and wind rather than reported by the provider are
+ * marked as calculated.
+ * @param {Object} current - currently section of the weather data
+ */
+export function updateDerivedDetails(current) {
+    setDetailValue('feels-like', current, 'apparentTemperature', formatTemperature);
+    setDetailValue('dew-point', current, 'dewPoint', formatTemperature);
+    setDetailValue('wet-bulb', current, 'wetBulb', formatTemperature);
+    setDetailValue('cloud-base', current, 'cloudBase', formatCloudBase);
+}
+
 /**
  * Update the displayed location once an async reverse-geocode resolves.
  * Called from main.js when Nominatim returns a display name.
@@ -161,6 +179,25 @@ function formatLocationName(locationName) {
 // 5. HELPER FUNCTIONS
 //==============================================================================
 
+/**
+ * Fill one detail card value, flagging it when it was derived
+ * @param {string} elementId - Value element id
+ * @param {Object} current - currently section of the weather data
+ * @param {string} field - Field to show
+ * @param {Function} format - Formatter for the value
+ */
+function setDetailValue(elementId, current, field, format) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    const value = current[field];
+    element.textContent = typeof value === 'number' ? format(value) : 'N/A';
+
+    const derived = isDerived(current, field);
+    element.classList.toggle('derived-value', derived);
+    element.title = derived ? 'Calculated from temperature, humidity and wind' : '';
+}
+
 /**
  * Set the wind direction arrow rotation
  * @param {number|string} direction - Wind direction in degrees or cardinal direction
@@ -371,14 +408,14 @@ function updateStationInfo(data) {
             }
 
             if (data.stationInfo.stationName) {
-                stationInfo += `<span class="station-name">${data.stationInfo.stationName}</span>`;
+                stationInfo += `<span class="station-name">${escapeHtml(data.stationInfo.stationName)}</span>`;
             } else {
                 stationInfo += '<span class="station-name">Weather Station</span>';
             }
 
             if (data.stationInfo.stationDistance !== null) {
-                const distanceInMiles = (data.stationInfo.stationDistance * 0.621371).toFixed(1);
-                stationInfo += ` (${distanceInMiles} mi away)`;
+                // stationDistance is in km
+                stationInfo += ` (${formatDistance(data.stationInfo.stationDistance * 0.621371, 1)} away)`;
             }
 
             if (data.stationInfo.observationTime) {
@@ -386,6 +423,11 @@ function updateStationInfo(data) {
                 stationInfo += ` <span class="observation-time">observed ${formatObservationTime(observationTime)}</span>`;
             }
 
+            // Airport observations come with the report they were decoded from
+            if (data.stationInfo.rawMetar) {
+                stationInfo += buildStationReport(data.stationInfo);
+            }
+
             stationInfoElement.innerHTML = stationInfo;
             stationInfoElement.style.display = 'inline-block';
             stationInfoElement.classList.remove('forecast-data'); // Make sure we remove the class if it's not forecast data
@@ -399,5 +441,30 @@ function updateStationInfo(data) {
     }
 }
 
+/**
+ * Build the expandable raw and decoded METAR/TAF for an airport station
+ * @param {Object} stationInfo - Station info with rawMetar (and rawTaf if issued)
+ * @returns {string} HTML
+ */
+function buildStationReport(stationInfo) {
+    const reference = stationInfo.observationTime ? new Date(stationInfo.observationTime) : new Date();
+    const metar = parseMetar(stationInfo.rawMetar, reference);
+    const taf = stationInfo.rawTaf ? parseTaf(stationInfo.rawTaf, reference) : null;
+
+    const section = (title, raw, lines) => `
+        <div class="station-report-section">
+            <div class="station-report-title">${title}</div>
+            <code class="station-report-raw">${escapeHtml(raw)}</code>
+            ${lines.length > 0 ? `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+        </div>`;
+
+    return `
+        <details class="station-report">
+            <summary>Station report</summary>
+            ${section('METAR', stationInfo.rawMetar, metar ? describeMetar(metar) : [])}
+            ${stationInfo.rawTaf ? section('TAF', stationInfo.rawTaf, taf ? describeTaf(taf) : []) : ''}
+        </details>`;
+}
+
 // Make the update function available globally
 window.updateCurrentWeather = updateCurrentWeather;
\ No newline at end of file
@@ -1,16 +1,19 @@
 /**
  * Daily Forecast Detail Modal
  *
- * Click a 7-day forecast card to open a popup with comprehensive
+ * Click a daily forecast card to open a popup with comprehensive
  * conditions for that day (feels-like, wind, UV, humidity, sun, etc.).
  * Reads from window.currentWeatherData.daily.data — no extra API calls.
  */
 
 import { loadComponentCSS } from '../../utils/cssLoader.js';
-import { getDisplayUnits } from '../../utils/units.js';
+import { formatTemperature, formatTemperatureBare, formatWindSpeed, formatDistance, formatPrecipitation, formatCloudBase } from '../../utils/units.js';
 import { setForecastIcon } from '../visuals/dynamicIcons.js';
 import { renderHourlyCurve } from './hourlyCurve.js';
 import { log, warn, error as logError } from '../../utils/logger.js';
+import { STANDARD_FORECAST_DAYS } from '../controls/settings.js';
+import { getDayNarrative } from '../../utils/forecastNarrative.js';
+import { escapeHtml } from '../../utils/formatting.js';
 
 const MODAL_STATE_ID = 'weather_daily_detail_modal_open';
 
@@ -57,7 +60,7 @@ export function openDailyDetail(dayIndex) {
         return;
     }
 
-    contentEl.innerHTML = buildContent(day, data.timezone, dayIndex);
+    contentEl.innerHTML = buildContent(day, data, dayIndex);
     titleEl.textContent = formatTitle(day.time, data.timezone);
 
     // Render icon after innerHTML is in place
@@ -126,16 +129,54 @@ export function closeDailyDetail(fromPopState = false) {
 // CONTENT BUILDERS
 //==============================================================================
 
-function buildContent(day, timezone, dayIndex) {
+function buildContent(day, data, dayIndex) {
+    const timezone = data.timezone;
     return [
+        buildConfidenceNote(dayIndex),
         buildHero(day),
         buildTemps(day),
+        buildNarrative(day, data.hourly?.data, timezone, dayIndex),
         buildChartSlot(),
         buildDetailGrid(day),
         buildSunRow(day, timezone)
     ].filter(Boolean).join('');
 }
 
+function buildConfidenceNote(dayIndex) {
+    if (dayIndex < STANDARD_FORECAST_DAYS) return '';
+    return `
+        <div class="daily-detail-confidence">
+            <i class="bi bi-question-circle"></i>
+            Extended range forecast. More than a week out, details are likely to change.
+        </div>`;
+}
+
+/**
+ * Day and night forecast text: the source's own where it writes one (NWS),
+ * generated from the hourly forecast otherwise
+ */
+function buildNarrative(day, hourly, timezone, dayIndex) {
+    const narrative = getDayNarrative(day, hourly, timezone);
+    if (!narrative.parts.length) return '';
+
+    const weekday = formatWeekday(day.time, timezone);
+    const labels = dayIndex === 0
+        ? { day: 'Today', night: 'Tonight' }
+        : { day: weekday, night: `${weekday} Night` };
+
+    const parts = narrative.parts.map(part => `
+        <div class="daily-detail-narrative-part">
+            <div class="daily-detail-narrative-label">${labels[part.period]}</div>
+            <div class="daily-detail-narrative-text">${escapeHtml(part.text)}</div>
+        </div>`).join('');
+
+    return `
+        <div class="daily-detail-narrative">
+            ${parts}
+            ${narrative.generated ? '<div class="daily-detail-narrative-note">Generated from the forecast data</div>' : ''}
+        </div>`;
+}
+
 function buildChartSlot() {
     // Placeholder; renderHourlyCurve fills it in after innerHTML is set.
     return `<div class="daily-detail-chart-slot"></div>`;
@@ -165,9 +206,8 @@ function buildHero(day) {
 }
 
 function buildTemps(day) {
-    const metric = getDisplayUnits() === 'metric';
-    const high = formatTempBare(day.temperatureHigh, metric);
-    const low = formatTempBare(day.temperatureLow, metric);
+    const high = formatTempBare(day.temperatureHigh);
+    const low = formatTempBare(day.temperatureLow);
 
     let feelsLike = '';
     if (day.apparentTemperatureHigh != null && day.apparentTemperatureLow != null) {
@@ -175,8 +215,8 @@ function buildTemps(day) {
         const lowDiff = Math.abs(day.apparentTemperatureLow - day.temperatureLow);
         // Only show feels-like when meaningfully different
         if (highDiff >= 3 || lowDiff >= 3) {
-            const ahigh = formatTempBare(day.apparentTemperatureHigh, metric);
-            const alow = formatTempBare(day.apparentTemperatureLow, metric);
+            const ahigh = formatTempBare(day.apparentTemperatureHigh);
+            const alow = formatTempBare(day.apparentTemperatureLow);
             feelsLike = `<div class="daily-detail-feels">Feels like ${ahigh} / ${alow}</div>`;
         }
     }
@@ -193,7 +233,6 @@ function buildTemps(day) {
 }
 
 function buildDetailGrid(day) {
-    const metric = getDisplayUnits() === 'metric';
     const cells = [];
 
     // Precipitation chance — always shown to keep grid layout stable.
@@ -203,8 +242,7 @@ function buildDetailGrid(day) {
 
     // Precipitation amount
     if (day.precipSum != null && day.precipSum > 0) {
-        const value = metric ? `${day.precipSum.toFixed(1)} mm` : `${(day.precipSum * 0.0393701).toFixed(2)} in`;
-        cells.push(detailCell('bi-cloud-rain', 'Precip Amount', value));
+        cells.push(detailCell('bi-cloud-rain', 'Precip Amount', formatPrecipitation(day.precipSum)));
     }
 
     // Precip hours
@@ -214,13 +252,22 @@ function buildDetailGrid(day) {
 
     // Snowfall
     if (day.snowfallSum != null && day.snowfallSum > 0) {
-        const value = metric ? `${day.snowfallSum.toFixed(1)} cm` : `${(day.snowfallSum * 0.393701).toFixed(1)} in`;
-        cells.push(detailCell('bi-snow', 'Snowfall', value));
+        // snowfallSum is in cm
+        cells.push(detailCell('bi-snow', 'Snowfall', formatPrecipitation(day.snowfallSum * 10)));
+    }
+
+    // Ice accumulation (mm)
+    if (day.iceSum != null && day.iceSum > 0) {
+        cells.push(detailCell('bi-snow2', 'Ice Accumulation', formatPrecipitation(day.iceSum)));
+    }
+
+    if (day.thunderChanceMax != null && day.thunderChanceMax > 0) {
+        cells.push(detailCell('bi-cloud-lightning', 'Chance of Thunder', `${Math.round(day.thunderChanceMax)}%`));
     }
 
     // Wind speed + direction (combined when both available)
     if (day.windMax != null) {
-        const speed = metric ? `${Math.round(day.windMax * 1.60934)} km/h` : `${Math.round(day.windMax)} mph`;
+        const speed = formatWindSpeed(day.windMax);
         const dir = day.windDirection != null
             ? ` ${degreesToCardinal(day.windDirection)}`
             : '';
@@ -228,8 +275,7 @@ function buildDetailGrid(day) {
     }
 
     if (day.windGustsMax != null) {
-        const gusts = metric ? `${Math.round(day.windGustsMax * 1.60934)} km/h` : `${Math.round(day.windGustsMax)} mph`;
-        cells.push(detailCell('bi-wind', 'Max Gusts', gusts));
+        cells.push(detailCell('bi-wind', 'Max Gusts', formatWindSpeed(day.windGustsMax)));
     }
 
     if (day.uvIndex != null) {
@@ -241,10 +287,7 @@ function buildDetailGrid(day) {
     }
 
     if (day.dewPoint != null) {
-        const dp = metric
-            ? `${Math.round((day.dewPoint - 32) * (5 / 9))}°C`
-            : `${Math.round(day.dewPoint)}°F`;
-        cells.push(detailCell('bi-thermometer-half', 'Dew Point', dp));
+        cells.push(detailCell('bi-thermometer-half', 'Dew Point', formatTemperature(day.dewPoint)));
     }
 
     if (day.cloudCover != null) {
@@ -252,10 +295,11 @@ function buildDetailGrid(day) {
     }
 
     if (day.visibility != null) {
-        const vis = metric
-            ? `${(day.visibility * 1.60934).toFixed(1)} km`
-            : `${day.visibility.toFixed(1)} mi`;
-        cells.push(detailCell('bi-eye', 'Visibility', vis));
+        cells.push(detailCell('bi-eye', 'Visibility', formatDistance(day.visibility, 1)));
+    }
+
+    if (day.mixingHeightMax != null) {
+        cells.push(detailCell('bi-arrows-vertical', 'Mixing Height', formatCloudBase(day.mixingHeightMax)));
     }
 
     if (cells.length === 0) return '';
@@ -303,10 +347,20 @@ function buildSunRow(day, timezone) {
 // HELPERS
 //==============================================================================
 
-function formatTempBare(tempF, metric) {
+function formatTempBare(tempF) {
     if (tempF == null) return '—';
-    const value = metric ? (tempF - 32) * (5 / 9) : tempF;
-    return `${Math.round(value)}°`;
+    return formatTemperatureBare(tempF);
+}
+
+function formatWeekday(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { weekday: 'long' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleDateString('en-US', opts);
+    } catch (e) {
+        return date.toLocaleDateString('en-US', { weekday: 'long' });
+    }
 }
 
 function formatTitle(unixSeconds, timezone) {
@@ -351,12 +405,3 @@ function uvLabel(uv) {
     if (uv < 11) return 'Very High';
     return 'Extreme';
 }
-
-function escapeHtml(s) {
-    return String(s)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-}
@@ -0,0 +1,69 @@
+/**
+ * Data Diagnostics UI Component
+ * Shows standard-format schema violations under the attribution line.
+ * Only visible in debug mode (?debug=1 or setWeatherDebug(true)), where it
+ * helps provider authors spot mapping bugs such as Celsius in °F fields.
+ */
+
+//==============================================================================
+// 1. IMPORTS AND DOM ELEMENTS
+//==============================================================================
+
+import { isDebugEnabled } from '../../utils/logger.js';
+
+// Violations listed before the rest are collapsed into a count
+const MAX_LISTED_VIOLATIONS = 50;
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Display the schema check results attached to the weather data
+ * @param {Object} data - Weather data with a diagnostics section
+ */
+export function displayDataDiagnostics(data) {
+    if (!isDebugEnabled()) return;
+
+    const footer = document.querySelector('.attribution-footer');
+    if (!footer) return;
+
+    let panel = document.getElementById('data-diagnostics');
+    if (!panel) {
+        panel = document.createElement('details');
+        panel.id = 'data-diagnostics';
+        panel.className = 'data-diagnostics';
+        footer.appendChild(panel);
+    }
+
+    const violations = data?.diagnostics?.violations || [];
+    const errorCount = violations.filter(v => v.severity === 'error').length;
+    const warningCount = violations.length - errorCount;
+
+    panel.innerHTML = '';
+
+    const summary = document.createElement('summary');
+    summary.textContent = violations.length === 0
+        ? `Data check (${data?.source || 'unknown'}): no problems`
+        : `Data check (${data?.source || 'unknown'}): ${errorCount} errors, ${warningCount} warnings`;
+    panel.appendChild(summary);
+    panel.classList.toggle('has-errors', errorCount > 0);
+
+    if (violations.length === 0) return;
+
+    const list = document.createElement('ul');
+    violations.slice(0, MAX_LISTED_VIOLATIONS).forEach(violation => {
+        const item = document.createElement('li');
+        item.className = `data-diagnostics-${violation.severity}`;
+        item.textContent = `${violation.path || '(root)'}: ${violation.message}`;
+        list.appendChild(item);
+    });
+
+    if (violations.length > MAX_LISTED_VIOLATIONS) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${violations.length - MAX_LISTED_VIOLATIONS} more (see console)`;
+        list.appendChild(more);
+    }
+
+    panel.appendChild(list);
+}
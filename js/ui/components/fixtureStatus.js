@@ -0,0 +1,55 @@
+/**
+ * Fixture status banner
+ *
+ * Shown while the app records or replays network responses (?record= or
+ * ?replay=), so a frozen scenario is never mistaken for live weather.
+ */
+
+import { getRecordingInfo, downloadRecording, exitFixtureMode } from '../../utils/network.js';
+import { escapeHtml } from '../../utils/formatting.js';
+
+let bannerEl;
+
+export function initFixtureStatus() {
+    bannerEl = document.getElementById('fixture-status');
+    if (!bannerEl || !getRecordingInfo()) return;
+
+    bannerEl.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-fixture-action]')?.dataset.fixtureAction;
+        if (action === 'download') downloadRecording();
+        if (action === 'exit') exitFixtureMode();
+    });
+
+    // The response count grows while recording
+    window.addEventListener('weather-data-updated', () => renderFixtureStatus());
+
+    renderFixtureStatus();
+}
+
+function renderFixtureStatus() {
+    const info = getRecordingInfo();
+    if (!bannerEl || !info) return;
+
+    const name = `<strong>${escapeHtml(info.name)}</strong>`;
+    let message;
+    let actions = '';
+
+    if (info.missing) {
+        message = `No recording named ${name}. Showing live weather.`;
+    } else if (info.mode === 'replay') {
+        const recordedAt = new Date(info.recordedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        message = `<i class="bi bi-play-circle"></i> Replaying ${name} as of ${escapeHtml(recordedAt)}`;
+    } else {
+        message = `<i class="bi bi-record-circle"></i> Recording ${name} · ${info.responses} response${info.responses === 1 ? '' : 's'}`;
+        actions = '<button type="button" data-fixture-action="download">Download</button>';
+    }
+
+    bannerEl.className = `fixture-status ${info.missing ? 'missing' : info.mode}`;
+    bannerEl.innerHTML = `
+        <span class="fixture-status-message">${message}</span>
+        <span class="fixture-status-actions">
+            ${actions}
+            <button type="button" data-fixture-action="exit">${info.mode === 'record' ? 'Stop' : 'Exit'}</button>
+        </span>`;
+    bannerEl.style.display = '';
+}
@@ -0,0 +1,284 @@
+/**
+ * Forecaster Discussion Modal
+ *
+ * Shows the local NWS office's Area Forecast Discussion, and any other text
+ * product the office issues, split into its sections. Sections that changed
+ * since the issuance the user last read are highlighted, and forecaster
+ * jargon carries its glossary definition. US locations only.
+ */
+
+import { loadComponentCSS } from '../../utils/cssLoader.js';
+import { readLocationMetadata } from '../../api.js';
+import { getForecastOffice, fetchProductTypes, fetchLatestIssuance, fetchLatestProduct } from '../../api/nwsProductsApi.js';
+import { parseProduct, findUpdatedSections, markGlossaryTerms, getReadRecord, markProductRead } from '../../utils/nwsProducts.js';
+import { getCachedLocation } from '../../utils/geo.js';
+import { warn, error as logError } from '../../utils/logger.js';
+import { escapeHtml } from '../../utils/formatting.js';
+
+const MODAL_STATE_ID = 'weather_forecast_discussion_modal_open';
+
+const DEFAULT_PRODUCT = 'AFD';
+
+// Listed first in the product picker, in this order
+const FEATURED_PRODUCTS = [
+    { code: 'AFD', name: 'Area Forecast Discussion' },
+    { code: 'HWO', name: 'Hazardous Weather Outlook' }
+];
+
+let modalEl, backdropEl, contentEl, subtitleEl, backBtnEl, openBtnEl;
+let isOpen = false;
+let historyStateAdded = false;
+let cssLoaded = false;
+let activeController = null;
+let selectedProduct = DEFAULT_PRODUCT;
+
+export function initForecastDiscussion() {
+    modalEl = document.getElementById('forecast-discussion-modal');
+    backdropEl = document.getElementById('forecast-discussion-backdrop');
+    contentEl = document.getElementById('forecast-discussion-content');
+    subtitleEl = document.getElementById('forecast-discussion-subtitle');
+    backBtnEl = document.getElementById('forecast-discussion-back-button');
+    openBtnEl = document.getElementById('forecast-discussion-button');
+
+    if (!modalEl || !backdropEl || !contentEl) {
+        logError('Forecast discussion modal elements not found');
+        return;
+    }
+
+    if (openBtnEl) openBtnEl.addEventListener('click', () => openForecastDiscussion());
+    if (backBtnEl) backBtnEl.addEventListener('click', () => closeForecastDiscussion());
+    backdropEl.addEventListener('click', () => closeForecastDiscussion());
+
+    // Touch screens never show title tooltips, so a tap spells the term out
+    contentEl.addEventListener('click', (event) => {
+        const term = event.target.closest('.discussion-term');
+        const definitionEl = contentEl.querySelector('.discussion-definition');
+        if (!term || !definitionEl) return;
+        definitionEl.innerHTML = `<strong>${escapeHtml(term.textContent)}</strong>: ${escapeHtml(term.title)}`;
+        definitionEl.hidden = false;
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && isOpen) closeForecastDiscussion();
+    });
+
+    window.addEventListener('popstate', () => {
+        if (isOpen) closeForecastDiscussion(true);
+    });
+
+    window.addEventListener('weather-data-updated', () => updateDiscussionButton());
+}
+
+export function openForecastDiscussion() {
+    if (!cssLoaded) {
+        loadComponentCSS('./styles/forecastDiscussion.css').catch(err =>
+            warn('Failed to load forecast discussion styles:', err));
+        cssLoaded = true;
+    }
+
+    const location = getCachedLocation();
+    subtitleEl.textContent = location?.locationName || '';
+
+    if (location) {
+        loadDiscussion(location);
+    } else {
+        contentEl.innerHTML = '<div class="discussion-message">Choose a location first.</div>';
+    }
+
+    isOpen = true;
+    modalEl.style.display = 'block';
+    backdropEl.style.display = 'block';
+    document.body.classList.add('modal-open');
+
+    // Defer the class toggle one frame so the CSS transition runs
+    requestAnimationFrame(() => {
+        modalEl.classList.add('open');
+        backdropEl.classList.add('open');
+    });
+
+    try {
+        history.pushState({ modalId: MODAL_STATE_ID }, document.title, window.location.href);
+        historyStateAdded = true;
+    } catch (e) {
+        logError('Failed to push history state:', e);
+    }
+}
+
+export function closeForecastDiscussion(fromPopState = false) {
+    if (!isOpen) return;
+
+    if (historyStateAdded && !fromPopState) {
+        historyStateAdded = false;
+        history.back();
+        return;
+    }
+
+    historyStateAdded = false;
+    isOpen = false;
+
+    if (activeController) {
+        activeController.abort();
+        activeController = null;
+    }
+
+    modalEl.classList.remove('open');
+    backdropEl.classList.remove('open');
+    document.body.classList.remove('modal-open');
+
+    setTimeout(() => {
+        if (!isOpen) {
+            modalEl.style.display = 'none';
+            backdropEl.style.display = 'none';
+        }
+    }, 250);
+}
+
+//==============================================================================
+// DATA LOADING
+//==============================================================================
+
+/**
+ * Show the button for US locations and flag a discussion the user hasn't read
+ */
+async function updateDiscussionButton() {
+    if (!openBtnEl) return;
+
+    const location = getCachedLocation();
+    const isUS = readLocationMetadata().countryCode === 'us';
+    openBtnEl.style.display = location && isUS ? '' : 'none';
+    openBtnEl.classList.remove('has-unread');
+    if (!location || !isUS) return;
+
+    try {
+        const office = await getForecastOffice(location.lat, location.lon);
+        const latest = await fetchLatestIssuance(office, DEFAULT_PRODUCT);
+        const read = getReadRecord(office, DEFAULT_PRODUCT);
+        openBtnEl.classList.toggle('has-unread', !!latest && latest.id !== read?.id);
+    } catch (err) {
+        warn('Could not check for a new forecast discussion:', err);
+    }
+}
+
+/**
+ * Fetch the selected product for the location's office and render it
+ * @param {{lat: number, lon: number, locationName: string}} location
+ */
+async function loadDiscussion(location) {
+    if (activeController) activeController.abort();
+    const controller = new AbortController();
+    activeController = controller;
+    const { signal } = controller;
+
+    contentEl.innerHTML = `
+        <div class="discussion-loading">
+            <div class="discussion-spinner"></div>
+            Fetching the latest forecaster discussion...
+        </div>`;
+
+    try {
+        const office = await getForecastOffice(location.lat, location.lon, { signal });
+        subtitleEl.textContent = [location.locationName, `NWS ${office}`].filter(Boolean).join(' · ');
+
+        const [types, product] = await Promise.all([
+            fetchProductTypes(office, { signal }).catch(err => {
+                warn(`Could not list products for ${office}:`, err);
+                return [];
+            }),
+            fetchLatestProduct(office, selectedProduct, { signal })
+        ]);
+
+        if (signal.aborted) return;
+        activeController = null;
+
+        renderProduct(office, types, product, location);
+    } catch (err) {
+        if (signal.aborted) return;
+        activeController = null;
+
+        warn('Error loading forecast discussion:', err);
+        contentEl.innerHTML = `
+            <div class="discussion-message">
+                ${err.status === 404
+                    ? 'The NWS only covers US locations.'
+                    : `Could not load the ${escapeHtml(selectedProduct)} right now. Please try again later.`}
+            </div>`;
+    }
+}
+
+//==============================================================================
+// CONTENT BUILDERS
+//==============================================================================
+
+function renderProduct(office, types, product, location) {
+    const parsed = parseProduct(product.text);
+    const readRecord = getReadRecord(office, product.code);
+    const updated = findUpdatedSections(parsed, readRecord, product.id);
+    const isNew = !readRecord || readRecord.id !== product.id;
+
+    const issued = parsed.issued
+        || new Date(product.issuanceTime).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+    contentEl.innerHTML = `
+        <div class="discussion-toolbar">
+            ${buildProductPicker(types, product.code)}
+            <span class="discussion-status ${isNew ? 'new' : 'read'}">
+                ${isNew ? (readRecord ? 'New since you last read' : 'New') : 'Already read'}
+            </span>
+        </div>
+        <div class="discussion-issued">
+            ${escapeHtml(product.name)} issued ${escapeHtml(issued)}${parsed.office ? ` by ${escapeHtml(parsed.office)}` : ''}
+        </div>
+        ${parsed.sections.map(section => buildSection(section, updated.has(section.id))).join('')}
+        ${parsed.credits ? `<div class="discussion-credits">${escapeHtml(parsed.credits)}</div>` : ''}
+        <a class="discussion-source-link" target="_blank" rel="noopener"
+            href="https://forecast.weather.gov/product.php?site=${encodeURIComponent(office)}&issuedby=${encodeURIComponent(office)}&product=${encodeURIComponent(product.code)}">
+            View on weather.gov <i class="bi bi-box-arrow-up-right"></i>
+        </a>
+        <div class="discussion-definition" hidden></div>`;
+
+    const picker = contentEl.querySelector('.discussion-product-select');
+    if (picker) {
+        picker.addEventListener('change', () => {
+            selectedProduct = picker.value;
+            loadDiscussion(location);
+        });
+    }
+
+    markProductRead(office, product.code, product, parsed);
+    if (product.code === DEFAULT_PRODUCT && openBtnEl) {
+        openBtnEl.classList.remove('has-unread');
+    }
+}
+
+function buildProductPicker(types, selected) {
+    const featuredCodes = FEATURED_PRODUCTS.map(type => type.code);
+    const others = types
+        .filter(type => !featuredCodes.includes(type.code))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    // The office list doesn't always include the featured products, offer them anyway
+    const options = [...FEATURED_PRODUCTS, ...others].map(type => `
+        <option value="${escapeHtml(type.code)}"${type.code === selected ? ' selected' : ''}>
+            ${escapeHtml(type.name)} (${escapeHtml(type.code)})
+        </option>`).join('');
+
+    return `<select class="discussion-product-select" aria-label="Product">${options}</select>`;
+}
+
+function buildSection(section, isUpdated) {
+    const heading = section.name ? `
+        <h4>
+            ${escapeHtml(section.name)}
+            ${section.period ? `<span class="discussion-period">${escapeHtml(section.period)}</span>` : ''}
+            ${isUpdated ? '<span class="discussion-updated-badge">Updated</span>' : ''}
+        </h4>` : '';
+
+    const text = markGlossaryTerms(escapeHtml(section.text), (term, definition) =>
+        `<abbr class="discussion-term" title="${escapeHtml(definition)}">${term}</abbr>`);
+
+    return `
+        <section class="discussion-section${isUpdated ? ' updated' : ''}">
+            ${heading}
+            <div class="discussion-text">${text}</div>
+        </section>`;
+}
@@ -8,10 +8,14 @@
 // 1. IMPORTS
 //==============================================================================
 
-import { getDisplayUnits, formatTemperature } from '../../utils/units.js';
+import { formatTemperature, formatTemperatureBare, convertTemperature } from '../../utils/units.js';
 import { setForecastIcon } from '../visuals/dynamicIcons.js';
 import { openDailyDetail } from './dailyDetail.js';
 import { renderHourlyCurve } from './hourlyCurve.js';
+import { displayHourlyDetails } from './hourlyDetails.js';
+import { getDayNarrative } from '../../utils/forecastNarrative.js';
+import { getForecastDays, STANDARD_FORECAST_DAYS } from '../controls/settings.js';
+import { escapeHtml } from '../../utils/formatting.js';
 
 //==============================================================================
 // 2. DOM REFERENCES
@@ -66,8 +70,8 @@ export function handleForecastDisplay(data) {
             return;
         }
 
-        // Display forecast for 7 days or less if there's not enough data
-        const days = Math.min(7, forecastData.length);
+        // Display the chosen forecast length, or less if there's not enough data
+        const days = Math.min(getForecastDays(), forecastData.length);
 
         for (let i = 0; i < days; i++) {
             const day = forecastData[i];
@@ -82,6 +86,17 @@ export function handleForecastDisplay(data) {
             forecastCard.setAttribute('tabindex', '0');
             forecastCard.setAttribute('aria-label', 'Open day detail');
 
+            // Forecaster text where the source has it, generated text otherwise
+            const narrative = getDayNarrative(day, data.hourly?.data, data.timezone);
+            forecastCard.title = narrative.text;
+
+            // Beyond the first week forecasts are much less reliable
+            const isExtended = i >= STANDARD_FORECAST_DAYS;
+            if (isExtended) {
+                forecastCard.classList.add('forecast-card-extended');
+                forecastCard.title = `Extended range: lower confidence\n\n${narrative.text}`;
+            }
+
             // Day name in the location's timezone (e.g., "Mon", "Tue"). Falls
             // back to user-local if data.timezone is missing or 'auto'.
             const tz = (data.timezone && data.timezone !== 'auto') ? data.timezone : undefined;
@@ -94,26 +109,36 @@ export function handleForecastDisplay(data) {
             const lowTemp = day.temperatureLow;
 
             // Format temperatures according to current units
-            let tempDisplay;
-            if (getDisplayUnits() === 'metric') {
-                const highTempC = (highTemp - 32) * (5 / 9);
-                const lowTempC = (lowTemp - 32) * (5 / 9);
-                tempDisplay = `${Math.round(highTempC)}° / ${Math.round(lowTempC)}°`;
-            } else {
-                tempDisplay = `${Math.round(highTemp)}° / ${Math.round(lowTemp)}°`;
-            }
+            const tempDisplay = `${formatTemperatureBare(highTemp)} / ${formatTemperatureBare(lowTemp)}`;
 
             // Get precipitation chance
             const precipChance = day.precipChance !== undefined ? day.precipChance : 0;
 
+            // Consensus data carries the min/max range across providers
+            const spreadDisplay = formatDaySpread(day);
+            const precipSpread = day.precipChanceSpread && day.precipChanceSpread.max > day.precipChanceSpread.min
+                ? ` title="Providers range from ${Math.round(day.precipChanceSpread.min)}% to ${Math.round(day.precipChanceSpread.max)}%"`
+                : '';
+
+            // Past a week, the weekday alone is ambiguous, so add the date
+            const dateOpts = { month: 'short', day: 'numeric' };
+            if (tz) dateOpts.timeZone = tz;
+            const dateLabel = days > STANDARD_FORECAST_DAYS
+                ? `<div class="day-date">${date.toLocaleDateString('en-US', dateOpts)}</div>`
+                : '';
+
             forecastCard.innerHTML = `
                 <div class="day">${dayName}</div>
+                ${dateLabel}
                 <div class="forecast-icon" id="forecast-icon-${i}"></div>
                 <div class="forecast-details">
                     <div class="temp">${tempDisplay}</div>
+                    ${spreadDisplay ? `<div class="temp-spread" title="Range across providers">${spreadDisplay}</div>` : ''}
                     ${precipChance >= 5 ? 
-                        `<div class="precip-chance"><i class="bi bi-droplet-fill"></i> ${precipChance}%</div>` : 
+                        `<div class="precip-chance"${precipSpread}><i class="bi bi-droplet-fill"></i> ${precipChance}%</div>` : 
                         ''}
+                    ${isExtended ? '<div class="forecast-confidence"><i class="bi bi-question-circle"></i> Low confidence</div>' : ''}
+                    <div class="forecast-narrative">${escapeHtml(firstSentence(narrative.text))}</div>
                 </div>
             `;
 
@@ -140,6 +165,36 @@ export function handleForecastDisplay(data) {
     }
 }
 
+/**
+ * First sentence of a narrative, short enough for a forecast card
+ * @param {string} text - Narrative text
+ * @returns {string}
+ */
+function firstSentence(text) {
+    const match = (text || '').match(/^.*?\.(\s|$)/);
+    return match ? match[0].trim() : (text || '');
+}
+
+/**
+ * Format the provider spread of a consensus day, e.g. "68–74° / 50–53°"
+ * @param {Object} day - Daily forecast item
+ * @returns {string} Formatted range, or '' when the day has no spread
+ */
+function formatDaySpread(day) {
+    const high = day.temperatureHighSpread;
+    const low = day.temperatureLowSpread;
+    if (!high || !low) return '';
+
+    const toDisplay = (t) => Math.round(convertTemperature(t));
+    const range = (spread) => {
+        const min = toDisplay(spread.min);
+        const max = toDisplay(spread.max);
+        return min === max ? `${min}°` : `${min}–${max}°`;
+    };
+
+    return `${range(high)} / ${range(low)}`;
+}
+
 //==============================================================================
 // 5. HOURLY FORECAST FUNCTIONS
 //==============================================================================
@@ -178,6 +233,9 @@ export function handleHourlyForecastDisplay(data) {
             timezone: data.timezone
         });
 
+        // Scrollable 48-hour view with the selectable variables
+        displayHourlyDetails(all, data.timezone);
+
         // Re-render once on a viewport-crossing so stride switches between
         // mobile and desktop without needing a manual refresh.
         if (mobileChartMatcher && !mobileChartListenerAttached) {
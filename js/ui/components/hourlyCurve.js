@@ -4,10 +4,14 @@
  * Renders a temperature curve with precipitation bars, dots, gridlines,
  * axis labels, and an interactive hover tooltip. Shared between the main
  * page's "next 12 hours" chart and the per-day chart in the daily detail modal.
+ * Consensus data (hours carrying temperatureSpread) also gets a shaded band
+ * showing the min/max range across providers, and the provider comparison
+ * modal overlays one extra line per source.
  */
 
-import { getDisplayUnits } from '../../utils/units.js';
+import { convertTemperature, getUnitLabel } from '../../utils/units.js';
 import { setForecastIcon } from '../visuals/dynamicIcons.js';
+import { escapeHtml } from '../../utils/formatting.js';
 
 // Chart geometry — SVG viewBox is stretched to container width via
 // preserveAspectRatio="none"; vector-effect on the line keeps stroke uniform.
@@ -29,9 +33,15 @@ const X_INSET_PCT = 10;
  *                                               (required when multiple charts share a page)
  * @param {string}     [options.timezone]      - IANA timezone for hour labels;
  *                                               defaults to user's local TZ if absent
+ * @param {Array}      [options.overlays]      - extra temperature series drawn over the
+ *                                               curve, each {label, color, hours}; their
+ *                                               hours are placed by timestamp, so 3-hourly
+ *                                               series line up with hourly ones
+ * @param {string}     [options.label]         - legend label for the main series (with overlays)
+ * @param {boolean}    [options.precipBars=true] - draw the precipitation chance bars
  */
 export function renderHourlyCurve(container, hours, options = {}) {
-    const { iconStride = 1, idPrefix = 'hourly-curve', timezone } = options;
+    const { iconStride = 1, idPrefix = 'hourly-curve', timezone, overlays = [], label = '', precipBars = true } = options;
     const tzForLabels = (timezone && timezone !== 'auto') ? timezone : undefined;
 
     if (!container) return;
@@ -41,11 +51,27 @@ export function renderHourlyCurve(container, hours, options = {}) {
         return;
     }
 
-    const metric = getDisplayUnits() === 'metric';
-    const tempsDisplay = hours.map(h => metric ? (h.temperature - 32) * (5 / 9) : h.temperature);
+    const toDisplay = convertTemperature;
+    const tempsDisplay = hours.map(h => toDisplay(h.temperature));
 
-    const tMin = Math.min(...tempsDisplay);
-    const tMax = Math.max(...tempsDisplay);
+    // Provider spread (consensus mode only); hours without one collapse onto the curve
+    const spreadsDisplay = hours.map((h, i) => h.temperatureSpread
+        ? { min: toDisplay(h.temperatureSpread.min), max: toDisplay(h.temperatureSpread.max) }
+        : { min: tempsDisplay[i], max: tempsDisplay[i] });
+    const hasSpread = hours.some(h => h.temperatureSpread);
+
+    // Overlay hours inside the main series' time span, in display units
+    const firstTime = hours[0].time;
+    const lastTime = hours[hours.length - 1].time;
+    const overlaySeries = overlays.map(overlay => ({
+        ...overlay,
+        hours: (overlay.hours || []).filter(h =>
+            typeof h.temperature === 'number' && h.time >= firstTime && h.time <= lastTime)
+    })).filter(overlay => overlay.hours.length > 0);
+    const overlayTemps = overlaySeries.flatMap(overlay => overlay.hours.map(h => toDisplay(h.temperature)));
+
+    const tMin = Math.min(...spreadsDisplay.map(s => s.min), ...overlayTemps);
+    const tMax = Math.max(...spreadsDisplay.map(s => s.max), ...overlayTemps);
     let tMinPad = tMin;
     let tMaxPad = tMax;
     // Guard against a zero range (all hours rounded to the same temperature)
@@ -66,11 +92,29 @@ export function renderHourlyCurve(container, hours, options = {}) {
         y: yScale(t)
     }));
 
+    // Overlays are placed by time between the first and last main points
+    const timeToX = (time) => lastTime > firstTime
+        ? points[0].x + (time - firstTime) / (lastTime - firstTime) * (points[points.length - 1].x - points[0].x)
+        : points[0].x;
+    const overlayPaths = overlaySeries.map(overlay => ({
+        ...overlay,
+        path: smoothPath(overlay.hours.map(h => ({ x: timeToX(h.time), y: yScale(toDisplay(h.temperature)) })))
+    }));
+
     const linePath = smoothPath(points);
     const firstP = points[0];
     const lastP = points[points.length - 1];
     const areaPath = `${linePath} L ${lastP.x.toFixed(1)} ${VIEWBOX_H} L ${firstP.x.toFixed(1)} ${VIEWBOX_H} Z`;
 
+    // Band between the highest and lowest provider at each hour: trace the
+    // upper edge left-to-right, then the lower edge back.
+    let spreadPath = '';
+    if (hasSpread) {
+        const upper = spreadsDisplay.map((s, i) => ({ x: points[i].x, y: yScale(s.max) }));
+        const lower = spreadsDisplay.map((s, i) => ({ x: points[i].x, y: yScale(s.min) })).reverse();
+        spreadPath = `${smoothPath(upper)} ${smoothPath(lower).replace(/^M/, 'L')} Z`;
+    }
+
     const tMid = (tMin + tMax) / 2;
     const highYPct = (yScale(tMax) / VIEWBOX_H) * 100;
     const midYPct = (yScale(tMid) / VIEWBOX_H) * 100;
@@ -82,7 +126,7 @@ export function renderHourlyCurve(container, hours, options = {}) {
         return `<div class="hourly-curve-point" style="left: ${xPct.toFixed(2)}%; top: ${yPct.toFixed(2)}%;"></div>`;
     }).join('');
 
-    const precipBarsMarkup = hours.map((h, i) => {
+    const precipBarsMarkup = !precipBars ? '' : hours.map((h, i) => {
         const chance = h.precipChance != null ? h.precipChance : 0;
         if (chance <= 0) return '';
         const intensity = h.precipIntensity != null ? h.precipIntensity : 0;
@@ -139,6 +183,11 @@ export function renderHourlyCurve(container, hours, options = {}) {
                         </linearGradient>
                     </defs>
                     <path class="hourly-curve-area" d="${areaPath}" fill="url(#${idPrefix}-fill)" />
+                    ${hasSpread ? `<path class="hourly-curve-spread" d="${spreadPath}" fill="rgba(255, 224, 178, 0.28)" />` : ''}
+                    ${overlayPaths.map(overlay => `<path class="hourly-curve-overlay" d="${overlay.path}"
+                          fill="none" stroke="${overlay.color}" stroke-width="2"
+                          stroke-linecap="round" stroke-linejoin="round"
+                          vector-effect="non-scaling-stroke" />`).join('')}
                     <path class="hourly-curve-line" d="${linePath}"
                           fill="none" stroke="#ffa726" stroke-width="3"
                           stroke-linecap="round" stroke-linejoin="round"
@@ -151,10 +200,12 @@ export function renderHourlyCurve(container, hours, options = {}) {
                         <div class="hourly-curve-tooltip-time"></div>
                         <div class="hourly-curve-tooltip-temp"></div>
                         <div class="hourly-curve-tooltip-precip"></div>
+                        ${overlayPaths.length > 0 ? '<div class="hourly-curve-tooltip-overlays"></div>' : ''}
                     </div>
                 </div>
             </div>
             <div class="hourly-curve-columns" style="grid-template-columns: repeat(${hours.length}, 1fr); gap: ${gridGap}; padding-left: ${X_INSET_PCT}%; padding-right: ${X_INSET_PCT}%; box-sizing: border-box;">${columnsMarkup}</div>
+            ${overlayPaths.length > 0 ? buildLegend(label, overlayPaths) : ''}
         </div>`;
 
     hours.forEach((h, i) => {
@@ -163,7 +214,31 @@ export function renderHourlyCurve(container, hours, options = {}) {
         if (el) setForecastIcon(h.icon || 'cloudy', el, h.isDaytime);
     });
 
-    wireInteractions(container, hours, points, tempsDisplay, metric, tzForLabels);
+    wireInteractions(container, hours, points, tempsDisplay, getUnitLabel('temperature'), tzForLabels, hasSpread ? spreadsDisplay : null, overlaySeries);
+}
+
+function buildLegend(label, overlays) {
+    const entry = (name, color) => `
+        <span class="hourly-curve-legend-item">
+            <span class="hourly-curve-legend-swatch" style="background-color: ${color};"></span>${escapeHtml(name)}
+        </span>`;
+    return `
+        <div class="hourly-curve-legend">
+            ${entry(label || 'Forecast', '#ffa726')}
+            ${overlays.map(overlay => entry(overlay.label, overlay.color)).join('')}
+        </div>`;
+}
+
+/**
+ * Overlay hour closest to a timestamp, if one is within half an hour
+ */
+function findOverlayHour(overlayHours, time) {
+    let best = null;
+    overlayHours.forEach(h => {
+        const diff = Math.abs(h.time - time);
+        if (diff <= 1800 && (!best || diff < Math.abs(best.time - time))) best = h;
+    });
+    return best;
 }
 
 function shouldShowMarker(i, total, stride) {
@@ -189,17 +264,16 @@ function smoothPath(pts) {
     return d;
 }
 
-function wireInteractions(container, hours, points, tempsDisplay, metric, tzForLabels) {
+function wireInteractions(container, hours, points, tempsDisplay, tempSuffix, tzForLabels, spreadsDisplay = null, overlays = []) {
     const root = container.querySelector('.hourly-curve');
     if (!root) return;
     const marker = root.querySelector('.hourly-curve-marker');
     const tipTime = marker?.querySelector('.hourly-curve-tooltip-time');
     const tipTemp = marker?.querySelector('.hourly-curve-tooltip-temp');
     const tipPrecip = marker?.querySelector('.hourly-curve-tooltip-precip');
+    const tipOverlays = marker?.querySelector('.hourly-curve-tooltip-overlays');
     if (!marker) return;
 
-    const tempSuffix = metric ? '°C' : '°F';
-
     const showMarker = (index) => {
         if (index < 0 || index >= hours.length) return;
         const p = points[index];
@@ -213,8 +287,28 @@ function wireInteractions(container, hours, points, tempsDisplay, metric, tzForL
         const timeString = formatHourLabel(hour.time, tzForLabels);
         tipTime.textContent = timeString;
         tipTemp.textContent = `${Math.round(tempsDisplay[index])}${tempSuffix}`;
+        if (spreadsDisplay && hour.temperatureSpread) {
+            const spread = spreadsDisplay[index];
+            tipTemp.textContent += ` (${Math.round(spread.min)}–${Math.round(spread.max)}°)`;
+        }
         const chance = hour.precipChance != null ? hour.precipChance : 0;
         tipPrecip.textContent = chance > 0 ? `${chance}% precip` : 'No precip';
+        if (hour.precipChanceSpread && hour.precipChanceSpread.max > hour.precipChanceSpread.min) {
+            tipPrecip.textContent += ` (${Math.round(hour.precipChanceSpread.min)}–${Math.round(hour.precipChanceSpread.max)}%)`;
+        }
+
+        if (tipOverlays) {
+            // One line per overlay with a reading at this hour
+            tipOverlays.textContent = '';
+            overlays.forEach(overlay => {
+                const match = findOverlayHour(overlay.hours, hour.time);
+                if (!match) return;
+                const row = document.createElement('div');
+                row.textContent = `${overlay.label}: ${Math.round(convertTemperature(match.temperature))}${tempSuffix}`;
+                row.style.color = overlay.color;
+                tipOverlays.appendChild(row);
+            });
+        }
 
         marker.classList.toggle('flip-left', xPct > 70);
         marker.classList.toggle('flip-right', xPct < 30);
@@ -0,0 +1,255 @@
+/**
+ * Hourly Details UI Component
+ * Horizontally scrolling 48-hour chart (or as many hours as the provider
+ * gives) with a selector for the plotted variable
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { loadComponentCSS } from '../../utils/cssLoader.js';
+import {
+    convertTemperature,
+    convertWindSpeed,
+    convertPressure,
+    convertDistance,
+    convertPrecipitation,
+    getUnitLabel,
+    getUnitPreference
+} from '../../utils/units.js';
+import { isDerived } from '../../utils/derivedMetrics.js';
+
+// Hours shown, counted from the current hour
+const DETAIL_HOURS = 48;
+
+// Remembers the selected variable between visits
+const HOURLY_VARIABLE_STORAGE = 'weather_app_hourly_variable';
+
+/**
+ * Variables the chart can plot. `value` reads an hour in display units,
+ * `secondary` an optional second value drawn as a marker (gusts), and
+ * `zeroBased` anchors the bars at zero instead of the series minimum.
+ */
+const HOURLY_VARIABLES = [
+    {
+        id: 'temperature', label: 'Temperature',
+        value: h => num(h.temperature, convertTemperature),
+        unit: () => getUnitLabel('temperature'), decimals: 0
+    },
+    {
+        id: 'apparentTemperature', label: 'Feels like',
+        value: h => num(h.apparentTemperature, convertTemperature),
+        unit: () => getUnitLabel('temperature'), decimals: 0
+    },
+    {
+        id: 'precipChance', label: 'Precip chance',
+        value: h => num(h.precipChance),
+        unit: () => '%', decimals: 0, zeroBased: true, max: 100
+    },
+    {
+        id: 'precipIntensity', label: 'Precip amount',
+        value: h => num(h.precipIntensity, convertPrecipitation),
+        unit: () => getUnitLabel('precipitation'),
+        decimals: () => getUnitPreference('precipitation') === 'in' ? 2 : 1, zeroBased: true
+    },
+    {
+        id: 'wind', label: 'Wind & gusts',
+        value: h => num(h.windSpeed, convertWindSpeed),
+        secondary: h => num(h.windGust, convertWindSpeed),
+        direction: h => num(h.windDirection),
+        unit: () => getUnitLabel('wind'), decimals: 0, zeroBased: true
+    },
+    {
+        id: 'humidity', label: 'Humidity',
+        value: h => num(h.humidity, v => v * 100),
+        unit: () => '%', decimals: 0, zeroBased: true, max: 100
+    },
+    {
+        id: 'dewPoint', label: 'Dew point',
+        value: h => num(h.dewPoint, convertTemperature),
+        unit: () => getUnitLabel('temperature'), decimals: 0
+    },
+    {
+        id: 'pressure', label: 'Pressure',
+        value: h => num(h.pressure, convertPressure),
+        unit: () => getUnitLabel('pressure'),
+        decimals: () => ({ inHg: 2, kPa: 1 })[getUnitPreference('pressure')] || 0
+    },
+    {
+        id: 'cloudCover', label: 'Cloud cover',
+        value: h => num(h.cloudCover),
+        unit: () => '%', decimals: 0, zeroBased: true, max: 100
+    },
+    {
+        id: 'uvIndex', label: 'UV',
+        value: h => num(h.uvIndex),
+        unit: () => '', decimals: 0, zeroBased: true
+    },
+    {
+        id: 'visibility', label: 'Visibility',
+        value: h => num(h.visibility, convertDistance),
+        unit: () => getUnitLabel('distance'), decimals: 0, zeroBased: true
+    }
+];
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Display the scrollable hourly details card
+ * @param {Array} hourly - hourly.data of the standardized weather data
+ * @param {string} [timezone] - IANA timezone of the location, for hour labels
+ */
+export function displayHourlyDetails(hourly, timezone) {
+    const container = document.getElementById('hourly-details-container');
+    if (!container) return;
+
+    const hours = selectHours(hourly);
+    if (hours.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+
+    loadComponentCSS('./styles/hourlyDetails.css').catch(error => console.warn('Failed to load hourly details styles:', error));
+
+    // Only offer variables the provider actually fills in
+    const variables = HOURLY_VARIABLES.filter(variable =>
+        hours.some(hour => variable.value(hour) !== null));
+
+    const saved = localStorage.getItem(HOURLY_VARIABLE_STORAGE);
+    const selected = variables.find(variable => variable.id === saved) || variables[0];
+
+    const chips = variables.map(variable => `
+        <button type="button" class="hourly-variable-chip${variable === selected ? ' active' : ''}" data-variable="${variable.id}">
+            ${variable.label}
+        </button>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="hourly-details-section">
+            <h3>Next ${Math.round((hours[hours.length - 1].time - hours[0].time) / 3600) + 1} Hours</h3>
+            <div class="hourly-variable-chips">${chips}</div>
+            <div class="hourly-details-scroll">
+                <div class="hourly-details-chart"></div>
+            </div>
+        </div>
+    `;
+
+    const chart = container.querySelector('.hourly-details-chart');
+    renderChart(chart, hours, selected, timezone);
+
+    container.querySelectorAll('.hourly-variable-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const variable = variables.find(v => v.id === chip.dataset.variable);
+            if (!variable) return;
+
+            localStorage.setItem(HOURLY_VARIABLE_STORAGE, variable.id);
+            container.querySelectorAll('.hourly-variable-chip').forEach(other =>
+                other.classList.toggle('active', other === chip));
+            renderChart(chart, hours, variable, timezone);
+        });
+    });
+
+    container.style.display = 'block';
+}
+
+//==============================================================================
+// 3. PRIVATE FUNCTIONS
+//==============================================================================
+
+/**
+ * Hours from the current hour on, up to DETAIL_HOURS ahead
+ * @param {Array} hourly - Standardized hourly items
+ * @returns {Array} Hours to show
+ */
+function selectHours(hourly) {
+    if (!Array.isArray(hourly)) return [];
+
+    // Open-Meteo's series starts at local midnight, the others at the current hour
+    const nowSec = Date.now() / 1000;
+    const end = nowSec + DETAIL_HOURS * 3600;
+    return hourly.filter(hour => hour.time >= nowSec - 1800 && hour.time < end);
+}
+
+/**
+ * Render one column per hour: value label, bar and hour label
+ * @param {HTMLElement} chart - Chart element (contents are replaced)
+ * @param {Array} hours - Hours to plot
+ * @param {Object} variable - Entry of HOURLY_VARIABLES
+ * @param {string} [timezone] - IANA timezone of the location
+ */
+function renderChart(chart, hours, variable, timezone) {
+    const values = hours.map(hour => variable.value(hour));
+    const secondaries = variable.secondary ? hours.map(hour => variable.secondary(hour)) : [];
+    const numbers = [...values, ...secondaries].filter(v => v !== null);
+
+    // Bars need some height at the minimum, so pad the range below it
+    let low = variable.zeroBased ? 0 : Math.min(...numbers);
+    let high = variable.max ?? Math.max(...numbers);
+    if (!variable.zeroBased) low -= (high - low) * 0.25 || 1;
+    if (high <= low) high = low + 1;
+    const scale = value => ((value - low) / (high - low)) * 100;
+
+    const decimals = typeof variable.decimals === 'function' ? variable.decimals() : variable.decimals;
+    const unit = variable.unit();
+
+    chart.innerHTML = hours.map((hour, i) => {
+        const value = values[i];
+        const gust = secondaries[i] ?? null;
+        const direction = variable.direction ? variable.direction(hour) : null;
+        const startsDay = i === 0 || formatDay(hour.time, timezone) !== formatDay(hours[i - 1].time, timezone);
+        const label = value !== null ? value.toFixed(decimals) : '--';
+        // Feels like, dew point and humidity may be calculated rather than forecast
+        const derived = isDerived(hour, variable.id);
+
+        return `
+            <div class="hourly-details-column${startsDay ? ' day-start' : ''}"
+                 title="${formatDay(hour.time, timezone)} ${formatHour(hour.time, timezone)}: ${label}${unit ? ` ${unit}` : ''}${gust !== null ? `, gusts ${gust.toFixed(decimals)}` : ''}${derived ? ' (calculated)' : ''}">
+                <span class="hourly-details-day">${startsDay ? formatDay(hour.time, timezone) : ''}</span>
+                <span class="hourly-details-value">${label}</span>
+                <div class="hourly-details-bar-area">
+                    ${gust !== null ? `<span class="hourly-details-gust" style="bottom: ${scale(gust)}%"></span>` : ''}
+                    ${value !== null ? `<span class="hourly-details-bar hourly-bar-${variable.id}${derived ? ' derived-value' : ''}" style="height: ${scale(value)}%"></span>` : ''}
+                </div>
+                ${direction !== null
+                    // Wind direction says where it comes from, the arrow shows where it goes
+                    ? `<i class="bi bi-arrow-up hourly-details-direction" style="transform: rotate(${direction + 180}deg)"></i>`
+                    : ''}
+                <span class="hourly-details-hour">${formatHour(hour.time, timezone)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Read a numeric field, optionally converting it
+ * @returns {number|null} null when the field is missing
+ */
+function num(value, convert) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return null;
+    return convert ? convert(value) : value;
+}
+
+function formatHour(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { hour: 'numeric' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleTimeString('en-US', opts);
+    } catch (e) {
+        return date.toLocaleTimeString('en-US', { hour: 'numeric' });
+    }
+}
+
+function formatDay(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { weekday: 'short' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleDateString('en-US', opts);
+    } catch (e) {
+        return date.toLocaleDateString('en-US', { weekday: 'short' });
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Marine UI Component
+ * Shows current waves, swell and sea temperature for coastal locations,
+ * with an hourly swell chart
+ */
+
+//==============================================================================
+// 1. IMPORTS AND CONFIGURATION
+//==============================================================================
+
+import { loadComponentCSS } from '../../utils/cssLoader.js';
+import { formatTemperature, formatWaveHeight } from '../../utils/units.js';
+
+// Hours shown in the swell chart
+const CHART_HOURS = 48;
+
+// Draw a direction arrow every this many hours
+const ARROW_INTERVAL = 3;
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Display marine data in the UI
+ * @param {Object} marine - marine section of the standardized weather data
+ * @param {string} [timezone] - IANA timezone of the location, for chart labels
+ */
+export function displayMarine(marine, timezone) {
+    const container = document.getElementById('marine-container');
+    if (!container) return;
+
+    // Inland locations have no marine data, hide the card
+    if (!marine || !marine.available || typeof marine.current?.waveHeight !== 'number') {
+        container.style.display = 'none';
+        return;
+    }
+
+    loadComponentCSS('./styles/marine.css').catch(error => console.warn('Failed to load marine styles:', error));
+
+    const current = marine.current;
+
+    const attribution = marine.attribution?.name
+        ? `<div class="marine-attribution">Marine data by <a href="${marine.attribution.url}" target="_blank" class="attribution-link">${marine.attribution.name}</a></div>`
+        : '';
+
+    container.innerHTML = `
+        <div class="marine-section">
+            <h3>Marine</h3>
+            <div class="marine-current">
+                <div class="marine-headline">
+                    <span class="marine-wave-height">${formatWaveHeight(current.waveHeight)}</span>
+                    <span class="marine-wave-detail">
+                        ${formatPeriod(current.wavePeriod)}
+                        ${formatDirection(current.waveDirection)}
+                    </span>
+                </div>
+                <div class="marine-components">
+                    ${renderComponent('Swell', current.swellHeight, current.swellPeriod, current.swellDirection)}
+                    ${renderComponent('Wind waves', current.windWaveHeight, current.windWavePeriod, current.windWaveDirection)}
+                    ${typeof current.seaSurfaceTemperature === 'number' ? `
+                        <div class="marine-component">
+                            <span class="marine-component-label">Sea temperature</span>
+                            <span class="marine-component-value">${formatTemperature(current.seaSurfaceTemperature)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+            <div class="marine-chart">
+                <div class="marine-chart-title">
+                    Swell, next ${CHART_HOURS} hours
+                    <span class="marine-chart-legend">
+                        <span class="marine-legend-swatch marine-swell"></span>Swell
+                        <span class="marine-legend-swatch marine-wind-wave"></span>Wind waves
+                    </span>
+                </div>
+                <div class="marine-chart-arrows"></div>
+                <div class="marine-chart-bars"></div>
+                <div class="marine-chart-labels"></div>
+            </div>
+            ${attribution}
+        </div>
+    `;
+
+    renderSwellChart(marine.hourly || [], container, timezone);
+    container.style.display = 'block';
+}
+
+//==============================================================================
+// 3. PRIVATE FUNCTIONS
+//==============================================================================
+
+/**
+ * One swell / wind wave component line
+ * @returns {string} HTML (empty if the component has no height)
+ */
+function renderComponent(label, height, period, direction) {
+    if (typeof height !== 'number') return '';
+
+    return `
+        <div class="marine-component">
+            <span class="marine-component-label">${label}</span>
+            <span class="marine-component-value">
+                ${formatWaveHeight(height)} ${formatPeriod(period)} ${formatDirection(direction)}
+            </span>
+        </div>
+    `;
+}
+
+/**
+ * Render the hourly swell chart: stacked swell and wind wave bars with
+ * direction arrows above them
+ * @param {Array} hourly - Hourly marine items
+ * @param {HTMLElement} container - Marine card
+ * @param {string} [timezone] - IANA timezone of the location
+ */
+function renderSwellChart(hourly, container, timezone) {
+    const chart = container.querySelector('.marine-chart');
+    const arrows = container.querySelector('.marine-chart-arrows');
+    const bars = container.querySelector('.marine-chart-bars');
+    const labels = container.querySelector('.marine-chart-labels');
+
+    const hours = hourly
+        .filter(hour => typeof hour.waveHeight === 'number')
+        .slice(0, CHART_HOURS);
+
+    if (hours.length < 2) {
+        chart.style.display = 'none';
+        return;
+    }
+
+    const scaleMax = Math.max(0.5, ...hours.map(hour => hour.waveHeight));
+
+    hours.forEach((hour, index) => {
+        const swell = hour.swellHeight || 0;
+        const windWave = hour.windWaveHeight || 0;
+
+        const bar = document.createElement('div');
+        bar.className = 'marine-chart-bar';
+        bar.title = `${formatHour(hour.time, timezone)}: ${formatWaveHeight(hour.waveHeight)}` +
+            (typeof hour.swellHeight === 'number'
+                ? `, swell ${formatWaveHeight(hour.swellHeight)} ${formatPeriod(hour.swellPeriod)}`
+                : '');
+
+        // Swell and wind waves don't add up linearly to the combined height,
+        // so scale the stack to the combined height and split it by share
+        const total = swell + windWave;
+        const height = (hour.waveHeight / scaleMax) * 100;
+        const swellShare = total > 0 ? swell / total : 1;
+
+        const windSegment = document.createElement('div');
+        windSegment.className = 'marine-bar-segment marine-wind-wave';
+        windSegment.style.height = `${height * (1 - swellShare)}%`;
+
+        const swellSegment = document.createElement('div');
+        swellSegment.className = 'marine-bar-segment marine-swell';
+        swellSegment.style.height = `${height * swellShare}%`;
+
+        bar.appendChild(windSegment);
+        bar.appendChild(swellSegment);
+        bars.appendChild(bar);
+
+        const position = `${((index + 0.5) / hours.length) * 100}%`;
+
+        const direction = hour.swellDirection ?? hour.waveDirection;
+        if (index % ARROW_INTERVAL === 0 && typeof direction === 'number') {
+            const arrow = document.createElement('i');
+            arrow.className = 'bi bi-arrow-up marine-chart-arrow';
+            arrow.style.left = position;
+            // Directions say where waves come from, the arrow shows where they go
+            arrow.style.transform = `translateX(-50%) rotate(${direction + 180}deg)`;
+            arrows.appendChild(arrow);
+        }
+
+        if (index % 6 === 0) {
+            const label = document.createElement('span');
+            label.className = 'marine-chart-label';
+            label.style.left = position;
+            label.textContent = formatHour(hour.time, timezone);
+            labels.appendChild(label);
+        }
+    });
+}
+
+function formatPeriod(seconds) {
+    return typeof seconds === 'number' ? `@ ${Math.round(seconds)}s` : '';
+}
+
+function formatDirection(degrees) {
+    if (typeof degrees !== 'number') return '';
+    return `from ${degreesToCardinal(degrees)}`;
+}
+
+function degreesToCardinal(deg) {
+    const dirs = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+                  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return dirs[Math.round(deg / 22.5) % 16];
+}
+
+function formatHour(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { weekday: 'short', hour: 'numeric' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleString('en-US', opts);
+    } catch (e) {
+        return date.toLocaleString('en-US', { weekday: 'short', hour: 'numeric' });
+    }
+}
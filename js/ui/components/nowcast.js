@@ -8,7 +8,7 @@
 //==============================================================================
 
 import { loadComponentCSS } from '../../utils/cssLoader.js';
-import { getDisplayUnits } from '../../utils/units.js';
+import { formatPrecipitationRate } from '../../utils/units.js';
 import { PRECIP_INTENSITY } from '../../standardWeatherFormat.js';
 
 //==============================================================================
@@ -220,18 +220,10 @@ function renderNowcastChart(nowcastData, chartElement, timelineElement) {
         const probPercent = Math.round(point.precipProbability * 100);
 
         // Format the precipitation intensity based on current units
-        const units = getDisplayUnits();
         let intensityDisplay = '';
 
         if (point.precipIntensity > 0) {
-            if (units === 'metric') {
-                // Display in mm/h for metric
-                intensityDisplay = `, ${point.precipIntensity.toFixed(2)} mm/h`;
-            } else {
-                // Convert to inches/h for imperial
-                const inchesPerHour = point.precipIntensity / 25.4;
-                intensityDisplay = `, ${inchesPerHour.toFixed(2)} in/h`;
-            }
+            intensityDisplay = `, ${formatPrecipitationRate(point.precipIntensity)}`;
 
             // Add precipitation type if available
             if (point.precipType && point.precipType !== 'none' && point.precipType !== 'rain') {
@@ -335,15 +327,8 @@ function updateNowcastInfoPanel(point, index, isInitialSelection = false, isComb
     probabilityEl.innerHTML = `<i class="bi bi-percent"></i> ${probPercent}% chance`;
 
     // Update intensity if available
-    const units = getDisplayUnits();
     if (point.precipIntensity > 0) {
-        let intensityText;
-        if (units === 'metric') {
-            intensityText = `${point.precipIntensity.toFixed(2)} mm/h`;
-        } else {
-            const inchesPerHour = point.precipIntensity / 25.4;
-            intensityText = `${inchesPerHour.toFixed(2)} in/h`;
-        }
+        const intensityText = formatPrecipitationRate(point.precipIntensity);
         const labelWord = point.intensityLabel && point.intensityLabel !== 'none'
             ? `${point.intensityLabel.charAt(0).toUpperCase() + point.intensityLabel.slice(1)} `
             : '';
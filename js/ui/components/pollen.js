@@ -0,0 +1,156 @@
+/**
+ * Pollen UI Component
+ * Shows today's level for each pollen species, the hour pollen peaks today
+ * and a multi-day outlook
+ */
+
+//==============================================================================
+// 1. IMPORTS
+//==============================================================================
+
+import { loadComponentCSS } from '../../utils/cssLoader.js';
+import { getPollenLevel, POLLEN_SPECIES } from '../../api/pollenApi.js';
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Display pollen data in the UI
+ * @param {Object} pollen - pollen section of the standardized weather data
+ * @param {string} [timezone] - IANA timezone of the location
+ */
+export function displayPollen(pollen, timezone) {
+    const container = document.getElementById('pollen-container');
+    if (!container) return;
+
+    // Pollen is only modelled for some regions, hide the card everywhere else
+    if (!pollen || !pollen.available || !Array.isArray(pollen.daily) || pollen.daily.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    loadComponentCSS('./styles/pollen.css').catch(error => console.warn('Failed to load pollen styles:', error));
+
+    // Only list species the model covers here (olive, for one, is regional)
+    const species = Object.keys(POLLEN_SPECIES).filter(name =>
+        pollen.daily.some(day => typeof day[name] === 'number'));
+
+    const today = pollen.daily[0];
+
+    const rows = species.map(name => {
+        const level = getPollenLevel(name, today[name]);
+        return `
+            <div class="pollen-species">
+                <span class="pollen-species-name">${POLLEN_SPECIES[name]}</span>
+                <span class="pollen-level-meter">
+                    <span class="pollen-level-fill" style="width: ${(level?.index || 0) * 25}%; background-color: ${level?.color || 'transparent'}"></span>
+                </span>
+                <span class="pollen-level-label">${level ? level.label : '--'}</span>
+            </div>
+        `;
+    }).join('');
+
+    const attribution = pollen.attribution?.name
+        ? `<div class="pollen-attribution">Pollen by <a href="${pollen.attribution.url}" target="_blank" class="attribution-link">${pollen.attribution.name}</a></div>`
+        : '';
+
+    container.innerHTML = `
+        <div class="pollen-section">
+            <h3>Pollen</h3>
+            ${renderPeak(today, timezone)}
+            <div class="pollen-species-list">${rows}</div>
+            ${renderOutlook(pollen.daily, species, timezone)}
+            ${attribution}
+        </div>
+    `;
+
+    container.style.display = 'block';
+}
+
+//==============================================================================
+// 3. PRIVATE FUNCTIONS
+//==============================================================================
+
+/**
+ * "Peak hour today" line
+ * @param {Object} today - First daily pollen item
+ * @param {string} [timezone] - IANA timezone of the location
+ * @returns {string} HTML
+ */
+function renderPeak(today, timezone) {
+    if (today.peakTime == null || !today.peakSpecies) {
+        return '<div class="pollen-peak">No significant pollen expected today</div>';
+    }
+
+    const level = getPollenLevel(today.peakSpecies, today[today.peakSpecies]);
+    const isPast = today.peakTime + 3600 <= Date.now() / 1000;
+
+    return `
+        <div class="pollen-peak">
+            <i class="bi bi-clock"></i>
+            ${isPast ? 'Peaked' : 'Peak'} today around <strong>${formatHour(today.peakTime, timezone)}</strong>:
+            ${POLLEN_SPECIES[today.peakSpecies]} <span class="pollen-peak-level" style="color: ${level.color}">${level.label}</span>
+        </div>
+    `;
+}
+
+/**
+ * Multi-day outlook: the worst level of each day, per species
+ * @param {Array} daily - Daily pollen items
+ * @param {Array<string>} species - Species to show
+ * @param {string} [timezone] - IANA timezone of the location
+ * @returns {string} HTML
+ */
+function renderOutlook(daily, species, timezone) {
+    if (daily.length < 2) return '';
+
+    const days = daily.map(day => {
+        const levels = species
+            .map(name => ({ name, level: getPollenLevel(name, day[name]) }))
+            .filter(entry => entry.level);
+        const worst = levels.reduce((top, entry) =>
+            !top || entry.level.index > top.level.index ? entry : top, null);
+
+        const dots = levels.map(({ name, level }) =>
+            `<span class="pollen-dot" style="background-color: ${level.color}" title="${POLLEN_SPECIES[name]}: ${level.label}"></span>`
+        ).join('');
+
+        return `
+            <div class="pollen-day">
+                <div class="pollen-day-name">${formatDay(day.time, timezone)}</div>
+                <div class="pollen-day-level" style="color: ${worst ? worst.level.color : 'inherit'}">${worst ? worst.level.label : '--'}</div>
+                <div class="pollen-day-dots">${dots}</div>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="pollen-outlook">
+            <div class="pollen-outlook-title">Outlook</div>
+            <div class="pollen-days">${days}</div>
+        </div>
+    `;
+}
+
+function formatHour(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { hour: 'numeric' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleTimeString('en-US', opts);
+    } catch (e) {
+        return date.toLocaleTimeString('en-US', { hour: 'numeric' });
+    }
+}
+
+function formatDay(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { weekday: 'short' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleDateString('en-US', opts);
+    } catch (e) {
+        return date.toLocaleDateString('en-US', { weekday: 'short' });
+    }
+}
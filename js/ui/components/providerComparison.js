@@ -0,0 +1,398 @@
+/**
+ * Provider Comparison Modal
+ *
+ * Fetches the current location from every registered source and lines them
+ * up side by side: current conditions, the next 24 hours as overlaid
+ * temperature curves, and 7-day highs, lows and precipitation chances.
+ * Meant for users deciding which source to trust where they live.
+ */
+
+import { loadComponentCSS } from '../../utils/cssLoader.js';
+import { formatTemperatureBare, formatWindSpeed, formatPressure } from '../../utils/units.js';
+import { renderHourlyCurve } from './hourlyCurve.js';
+import { getAllProviders, readLocationMetadata } from '../../api.js';
+import { validateWeatherData } from '../../standardWeatherFormat.js';
+import { getCachedLocation } from '../../utils/geo.js';
+import { recordForecast } from '../../utils/forecastVerification.js';
+import { log, warn, error as logError } from '../../utils/logger.js';
+import { escapeHtml } from '../../utils/formatting.js';
+
+const MODAL_STATE_ID = 'weather_provider_comparison_modal_open';
+
+// Hours in the overlaid curve and days in the table
+const COMPARE_HOURS = 24;
+const COMPARE_DAYS = 7;
+
+// One color per source; the first matches the main curve color in hourlyCurve.js
+const SERIES_COLORS = ['#ffa726', '#29b6f6', '#66bb6a', '#ab47bc', '#ef5350', '#26a69a', '#8d6e63', '#78909c'];
+
+let modalEl, backdropEl, contentEl, subtitleEl, backBtnEl;
+let isOpen = false;
+let historyStateAdded = false;
+let cssLoaded = false;
+let activeController = null;
+
+export function initProviderComparison() {
+    modalEl = document.getElementById('provider-comparison-modal');
+    backdropEl = document.getElementById('provider-comparison-backdrop');
+    contentEl = document.getElementById('provider-comparison-content');
+    subtitleEl = document.getElementById('provider-comparison-subtitle');
+    backBtnEl = document.getElementById('provider-comparison-back-button');
+    const openBtnEl = document.getElementById('compare-sources-button');
+
+    if (!modalEl || !backdropEl || !contentEl) {
+        logError('Provider comparison modal elements not found');
+        return;
+    }
+
+    if (openBtnEl) openBtnEl.addEventListener('click', () => openProviderComparison());
+    if (backBtnEl) backBtnEl.addEventListener('click', () => closeProviderComparison());
+    backdropEl.addEventListener('click', () => closeProviderComparison());
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && isOpen) closeProviderComparison();
+    });
+
+    window.addEventListener('popstate', () => {
+        if (isOpen) closeProviderComparison(true);
+    });
+}
+
+export function openProviderComparison() {
+    if (!cssLoaded) {
+        loadComponentCSS('./styles/providerComparison.css').catch(err =>
+            warn('Failed to load provider comparison styles:', err));
+        cssLoaded = true;
+    }
+
+    const location = getCachedLocation();
+    subtitleEl.textContent = location?.locationName || '';
+
+    if (location) {
+        contentEl.innerHTML = `
+            <div class="comparison-loading">
+                <div class="comparison-spinner"></div>
+                Asking every source for this location...
+            </div>`;
+        loadComparison(location);
+    } else {
+        contentEl.innerHTML = '<div class="comparison-message">Choose a location first.</div>';
+    }
+
+    isOpen = true;
+    modalEl.style.display = 'block';
+    backdropEl.style.display = 'block';
+    document.body.classList.add('modal-open');
+
+    // Defer the class toggle one frame so the CSS transition runs
+    requestAnimationFrame(() => {
+        modalEl.classList.add('open');
+        backdropEl.classList.add('open');
+    });
+
+    try {
+        history.pushState({ modalId: MODAL_STATE_ID }, document.title, window.location.href);
+        historyStateAdded = true;
+    } catch (e) {
+        logError('Failed to push history state:', e);
+    }
+}
+
+export function closeProviderComparison(fromPopState = false) {
+    if (!isOpen) return;
+
+    if (historyStateAdded && !fromPopState) {
+        historyStateAdded = false;
+        history.back();
+        return;
+    }
+
+    historyStateAdded = false;
+    isOpen = false;
+
+    // Nobody is looking at the results any more
+    if (activeController) {
+        activeController.abort();
+        activeController = null;
+    }
+
+    modalEl.classList.remove('open');
+    backdropEl.classList.remove('open');
+    document.body.classList.remove('modal-open');
+
+    setTimeout(() => {
+        if (!isOpen) {
+            modalEl.style.display = 'none';
+            backdropEl.style.display = 'none';
+        }
+    }, 250);
+}
+
+//==============================================================================
+// DATA LOADING
+//==============================================================================
+
+/**
+ * Fetch every eligible source in parallel and render the comparison
+ * once they have all answered
+ * @param {{lat: number, lon: number, locationName: string}} location
+ */
+async function loadComparison(location) {
+    if (activeController) activeController.abort();
+    const controller = new AbortController();
+    activeController = controller;
+
+    const { countryCode } = readLocationMetadata();
+    const region = countryCode || 'global';
+
+    // Consensus is built from the other sources, so it isn't one to compare
+    const providers = getAllProviders().filter(provider => !provider.isAggregate);
+    const skipped = [];
+    const candidates = providers.filter(provider => {
+        const reason = skipReason(provider, region);
+        if (reason) skipped.push({ name: provider.name, reason });
+        return !reason;
+    });
+
+    const results = await Promise.allSettled(candidates.map(provider =>
+        provider.fetchWeather(location.lat, location.lon, location.locationName, true, controller.signal)));
+
+    if (controller.signal.aborted) return;
+    activeController = null;
+
+    const sources = [];
+    results.forEach((result, i) => {
+        const provider = candidates[i];
+        if (result.status === 'fulfilled' && validateWeatherData(result.value)) {
+            sources.push({ id: provider.id, name: provider.name, data: result.value });
+            // Every source answered, so every source gets scored
+            recordForecast(provider.id, location.lat, location.lon, result.value);
+        } else {
+            const reason = result.status === 'rejected'
+                ? (result.reason?.message || String(result.reason))
+                : 'Invalid weather data';
+            warn(`Comparison: ${provider.name} failed:`, reason);
+            skipped.push({ name: provider.name, reason: `Failed: ${reason}` });
+        }
+    });
+
+    log(`Comparing ${sources.map(source => source.name).join(', ')}`);
+    renderComparison(sources, skipped);
+}
+
+/**
+ * Why a source can't be asked for this location, or null if it can
+ * @param {Object} provider - Registered provider
+ * @param {string} region - Region code of the location
+ * @returns {string|null}
+ */
+function skipReason(provider, region) {
+    if (!provider.supportsRegion(region)) return 'Does not cover this location';
+    if (provider.requiresApiKey && !provider.hasApiKey()) return 'Needs an API key (see Settings)';
+    if (!provider.isAvailable()) return 'Paused after repeated failures';
+    return null;
+}
+
+//==============================================================================
+// CONTENT BUILDERS
+//==============================================================================
+
+function renderComparison(sources, skipped) {
+    if (sources.length === 0) {
+        contentEl.innerHTML = `
+            <div class="comparison-message">No source returned data for this location.</div>
+            ${buildSkipped(skipped)}`;
+        return;
+    }
+
+    // Labels use the timezone of the first source; they all describe the same place
+    const timezone = sources.find(source => source.data.timezone && source.data.timezone !== 'auto')?.data.timezone;
+
+    const series = sources
+        .map(source => ({ source, hours: selectHours(source.data.hourly?.data) }))
+        .filter(entry => entry.hours.length >= 2);
+
+    // The source with the most hours is the chart's main series (so 3-hourly
+    // sources become overlays) and takes the curve's own color
+    const main = series.length > 0
+        ? series.reduce((best, entry) => entry.hours.length > best.hours.length ? entry : best).source
+        : null;
+    [main, ...sources.filter(source => source !== main)].filter(Boolean).forEach((source, i) => {
+        source.color = SERIES_COLORS[i % SERIES_COLORS.length];
+    });
+
+    contentEl.innerHTML = [
+        buildCurrentTable(sources),
+        buildChartSection(),
+        buildDailyTable(sources, timezone),
+        buildSkipped(skipped)
+    ].join('');
+
+    renderChart(series, main, timezone);
+}
+
+function buildCurrentTable(sources) {
+    const rows = sources.map(source => {
+        const c = source.data.currently || {};
+        const wind = c.windSpeed != null
+            ? `${formatWindSpeed(c.windSpeed)}${c.windGust != null ? `, gusts ${formatWindSpeed(c.windGust)}` : ''}`
+            : '--';
+        return `
+            <tr>
+                ${sourceCell(source)}
+                <td>${c.temperature != null ? formatTemperatureBare(c.temperature) : '--'}</td>
+                <td>${c.apparentTemperature != null ? formatTemperatureBare(c.apparentTemperature) : '--'}</td>
+                <td>${c.humidity != null ? `${Math.round(c.humidity * 100)}%` : '--'}</td>
+                <td>${wind}</td>
+                <td>${c.pressure != null ? formatPressure(c.pressure) : '--'}</td>
+                <td class="comparison-summary">${escapeHtml(c.summary || '--')}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <div class="comparison-section">
+            <h4>Current Conditions</h4>
+            <div class="comparison-table-wrap">
+                <table class="comparison-table">
+                    <thead>
+                        <tr>
+                            <th>Source</th><th>Temp</th><th>Feels</th><th>Humidity</th>
+                            <th>Wind</th><th>Pressure</th><th>Conditions</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        </div>`;
+}
+
+function buildChartSection() {
+    // Placeholder; renderHourlyCurve fills it in after innerHTML is set.
+    return `
+        <div class="comparison-section">
+            <h4>Next ${COMPARE_HOURS} Hours</h4>
+            <div class="comparison-chart-slot"></div>
+        </div>`;
+}
+
+/**
+ * Overlay every source's next 24 hours on one temperature curve
+ */
+function renderChart(series, main, timezone) {
+    const chartSlot = contentEl.querySelector('.comparison-chart-slot');
+    if (!chartSlot) return;
+
+    if (!main) {
+        chartSlot.innerHTML = '<div class="comparison-message">No hourly forecasts to compare.</div>';
+        return;
+    }
+
+    renderHourlyCurve(chartSlot, series.find(entry => entry.source === main).hours, {
+        iconStride: 3,
+        idPrefix: 'comparison-curve',
+        timezone,
+        label: main.name,
+        precipBars: false,
+        overlays: series
+            .filter(entry => entry.source !== main)
+            .map(entry => ({ label: entry.source.name, color: entry.source.color, hours: entry.hours }))
+    });
+}
+
+function buildDailyTable(sources, timezone) {
+    // Days keyed by local date so sources with different day boundaries line up
+    const todayKey = dayKey(Date.now() / 1000, timezone);
+    const daysBySource = sources.map(source => {
+        const days = new Map();
+        (source.data.daily?.data || []).forEach(day => {
+            const key = dayKey(day.time, source.data.timezone || timezone);
+            if (key >= todayKey && !days.has(key)) days.set(key, day);
+        });
+        return days;
+    });
+
+    const keys = [...new Set(daysBySource.flatMap(days => [...days.keys()]))].sort().slice(0, COMPARE_DAYS);
+    if (keys.length === 0) return '';
+
+    const header = keys.map((key, i) => `<th>${i === 0 ? 'Today' : formatWeekday(key)}</th>`).join('');
+
+    const rows = sources.map((source, i) => {
+        const cells = keys.map(key => {
+            const day = daysBySource[i].get(key);
+            if (!day) return '<td class="comparison-missing">--</td>';
+            return `
+                <td>
+                    <div class="comparison-temps">
+                        <span class="temp-high">${formatTemperatureBare(day.temperatureHigh)}</span>
+                        <span class="temp-low">${formatTemperatureBare(day.temperatureLow)}</span>
+                    </div>
+                    <div class="comparison-precip">${Math.round(day.precipChance ?? 0)}%</div>
+                </td>`;
+        }).join('');
+        return `<tr>${sourceCell(source)}${cells}</tr>`;
+    }).join('');
+
+    return `
+        <div class="comparison-section">
+            <h4>${keys.length}-Day Forecast</h4>
+            <div class="comparison-table-wrap">
+                <table class="comparison-table comparison-daily">
+                    <thead><tr><th>Source</th>${header}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="comparison-note">High, low and chance of precipitation</div>
+        </div>`;
+}
+
+function buildSkipped(skipped) {
+    if (skipped.length === 0) return '';
+    const items = skipped.map(item => `
+        <li><span class="comparison-skipped-name">${escapeHtml(item.name)}</span> ${escapeHtml(item.reason)}</li>`).join('');
+    return `
+        <div class="comparison-section comparison-skipped">
+            <h4>Not Compared</h4>
+            <ul>${items}</ul>
+        </div>`;
+}
+
+function sourceCell(source) {
+    return `
+        <th scope="row" class="comparison-source">
+            <span class="comparison-swatch" style="background-color: ${source.color};"></span>
+            ${escapeHtml(source.name)}
+        </th>`;
+}
+
+//==============================================================================
+// HELPERS
+//==============================================================================
+
+/**
+ * Hours from the current hour on, up to COMPARE_HOURS ahead
+ */
+function selectHours(hourly) {
+    if (!Array.isArray(hourly)) return [];
+    const nowSec = Date.now() / 1000;
+    const end = nowSec + COMPARE_HOURS * 3600;
+    return hourly.filter(hour => typeof hour.temperature === 'number' && hour.time >= nowSec - 1800 && hour.time < end);
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of a timestamp
+ */
+function dayKey(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+    try {
+        return date.toLocaleDateString('en-CA', opts);
+    } catch (e) {
+        return date.toLocaleDateString('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit' });
+    }
+}
+
+function formatWeekday(key) {
+    // Noon UTC keeps the date the same in every timezone
+    return new Date(`${key}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+}
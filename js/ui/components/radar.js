@@ -2,6 +2,7 @@
 
 import { loadComponentCSS } from '../../utils/cssLoader.js';
 import { log, warn, error as logError } from '../../utils/logger.js';
+import { fetchResource } from '../../utils/network.js';
 
 const MODAL_STATE_ID = 'weather_radar_modal_open';
 
@@ -45,6 +46,8 @@ class RadarController {
         this.labelsOverlay = null;
         this.cachedGlobalAlerts = null;
         this.alertRefreshTimer = null;
+        this.waveLayer = null;
+        this.waveFetchController = null;
     }
 
     isNowcastFrame(position) {
@@ -232,6 +235,7 @@ class RadarController {
 
             this.fetchRadarData();
             this.fetchAlerts(true);
+            this.updateWaveArrows();
 
             // Labels overlay may have been cleaned up on close; re-add if needed
             this.addLabelsOverlay();
@@ -332,6 +336,7 @@ class RadarController {
                     });
 
                     this.fetchRadarData();
+                    this.updateWaveArrows();
 
                     // Labels overlay loads asynchronously — non-blocking
                     this.addLabelsOverlay();
@@ -348,6 +353,7 @@ class RadarController {
 
                         if (this.radarModalOpen) {
                             this.fetchAlerts();
+                            this.updateWaveArrows();
                         }
                     }, 500));
 
@@ -760,6 +766,62 @@ class RadarController {
         });
     }
 
+    /**
+     * Draw wave direction arrows over the sea for coastal locations.
+     * Skipped inland (no marine data) so those users never pay for the fetch.
+     */
+    async updateWaveArrows() {
+        if (!this.modalMap) return;
+
+        if (!window.currentWeatherData?.marine?.available) {
+            this.clearWaveArrows();
+            return;
+        }
+
+        // Only the latest view matters
+        if (this.waveFetchController) this.waveFetchController.abort();
+        const controller = new AbortController();
+        this.waveFetchController = controller;
+
+        const bounds = this.modalMap.getBounds();
+
+        try {
+            const { fetchWaveField } = await import('../../api/marineApi.js');
+            const points = await fetchWaveField({
+                north: bounds.getNorth(),
+                south: bounds.getSouth(),
+                east: bounds.getEast(),
+                west: bounds.getWest()
+            }, { signal: controller.signal });
+
+            if (controller.signal.aborted || !this.modalMap) return;
+
+            this.clearWaveArrows();
+            this.waveLayer = L.layerGroup(points.map(point => L.marker([point.lat, point.lon], {
+                interactive: false,
+                keyboard: false,
+                icon: L.divIcon({
+                    className: 'wave-arrow-icon',
+                    // Directions say where waves come from, the arrow shows where they go
+                    html: `<i class="bi bi-arrow-up" style="transform: rotate(${point.waveDirection + 180}deg)"></i>`,
+                    iconSize: [24, 24],
+                    iconAnchor: [12, 12]
+                })
+            }))).addTo(this.modalMap);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                warn('Could not load wave directions:', err);
+            }
+        }
+    }
+
+    clearWaveArrows() {
+        if (this.waveLayer && this.modalMap) {
+            this.modalMap.removeLayer(this.waveLayer);
+        }
+        this.waveLayer = null;
+    }
+
     clearAlertLayers() {
         this.alertLayers.forEach(layer => {
             if (this.modalMap) this.modalMap.removeLayer(layer);
@@ -786,7 +848,7 @@ class RadarController {
         this._tileCacheBuster = Date.now();
         const urlWithTimestamp = `${RAINVIEWER_API_URL}?t=${this._tileCacheBuster}`;
 
-        fetch(urlWithTimestamp, { cache: 'no-store' })
+        fetchResource(urlWithTimestamp, { cache: 'no-store' })
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`HTTP error! Status: ${response.status}`);
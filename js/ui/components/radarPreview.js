@@ -3,6 +3,7 @@
 
 import { loadComponentCSS } from '../../utils/cssLoader.js';
 import { log, warn, error as logError } from '../../utils/logger.js';
+import { fetchResource } from '../../utils/network.js';
 import {
     RADAR_API_URL,
     RAINVIEWER_API_URL,
@@ -178,7 +179,7 @@ async function fetchPreviewRadarData() {
 
     try {
         const cacheBuster = Date.now();
-        const response = await fetch(`${RAINVIEWER_API_URL}?t=${cacheBuster}`, { cache: 'no-store' });
+        const response = await fetchResource(`${RAINVIEWER_API_URL}?t=${cacheBuster}`, { cache: 'no-store' });
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
         const data = await response.json();
@@ -9,6 +9,7 @@
 //==============================================================================
 
 import { showLoading } from '../states/loading.js';
+import { fetchResource } from '../../utils/network.js';
 
 //==============================================================================
 // 2. DOM REFERENCES
@@ -53,7 +54,7 @@ export function searchLocation() {
     // Use OpenStreetMap Nominatim API for geocoding
     const geocodingUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(location)}`;
 
-    fetch(geocodingUrl)
+    fetchResource(geocodingUrl)
         .then(response => response.json())
         .then(data => {
             if (data.length === 0) {
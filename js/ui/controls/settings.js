@@ -13,8 +13,24 @@ import {
     hasRegionSpecificProviders,
     getProvidersByRegion,
     getProviderById,
-    getAllProviders
+    getAllProviders,
+    getAutomaticProviderForRegion,
+    addCustomProvider,
+    removeCustomProvider
 } from '../../api.js';
+import { getProviderHealth, resetProviderHealth } from '../../api/providerHealth.js';
+import { UNIT_OPTIONS, getUnitPreference, setUnitPreference } from '../../utils/units.js';
+import { clearCachedWeather } from '../../utils/weatherCache.js';
+import { getAccuracyScores, clearVerificationLog } from '../../utils/forecastVerification.js';
+import { getCachedLocation } from '../../utils/geo.js';
+import {
+    getNotificationSettings,
+    updateNotificationSettings,
+    watchLocation,
+    unwatchLocation,
+    requestNotificationPermission,
+    syncBackgroundAlertCheck
+} from '../../utils/alertNotifications.js';
 
 // DOM elements
 let apiSettingsModal, apiSettingsBackdrop, openSettingsBtn;
@@ -26,12 +42,19 @@ let isSettingsModalOpen = false;
 // New DOM elements for dynamic API key handling
 let apiKeysSection, noApiKeysNeeded;
 let dataSourcesContainer;
+let providerStatusContainer;
+let forecastAccuracyContainer;
 
 // Local storage keys
 const UNITS_STORAGE = 'weather_app_units';
 const ACTIVE_SETTINGS_TAB = 'weather_app_settings_tab';
 const GLOBAL_PROVIDER_STORAGE = 'weather_app_weather_provider';
 const NOWCAST_MODE_STORAGE = 'weather_app_nowcast_mode';
+const FORECAST_LENGTH_STORAGE = 'weather_app_forecast_length';
+
+// Daily forecast lengths. Days past the standard range are lower confidence.
+export const STANDARD_FORECAST_DAYS = 7;
+export const EXTENDED_FORECAST_DAYS = 16;
 
 /**
  * Initialize API settings functionality
@@ -53,6 +76,8 @@ export function initApiSettings() {
 
     // Data sources container
     dataSourcesContainer = document.getElementById('data-sources-container');
+    providerStatusContainer = document.getElementById('provider-status-container');
+    forecastAccuracyContainer = document.getElementById('forecast-accuracy-container');
 
     // Unit settings
     imperialUnitsRadio = document.getElementById('imperial-units');
@@ -61,6 +86,9 @@ export function initApiSettings() {
     // Nowcast mode setting
     const nowcastModeSelect = document.getElementById('nowcast-mode-select');
 
+    // Forecast length setting
+    const forecastLengthSelect = document.getElementById('forecast-length-select');
+
     // Get tab elements
     settingsTabButtons = document.querySelectorAll('.settings-tab-btn');
     settingsTabContents = document.querySelectorAll('.settings-tab-content');
@@ -82,6 +110,60 @@ export function initApiSettings() {
         nowcastModeSelect.addEventListener('change', updateNowcastMode);
     }
 
+    // Forecast length setting
+    if (forecastLengthSelect) {
+        forecastLengthSelect.addEventListener('change', updateForecastLength);
+    }
+
+    // Custom source import
+    const addCustomProviderBtn = document.getElementById('add-custom-provider');
+    const importCustomProviderBtn = document.getElementById('import-custom-provider');
+    const customProviderFile = document.getElementById('custom-provider-file');
+    if (addCustomProviderBtn) {
+        addCustomProviderBtn.addEventListener('click', () => {
+            const textarea = document.getElementById('custom-provider-json');
+            if (importCustomProviderDefinition(textarea.value)) {
+                textarea.value = '';
+            }
+        });
+    }
+    if (importCustomProviderBtn && customProviderFile) {
+        importCustomProviderBtn.addEventListener('click', () => customProviderFile.click());
+        customProviderFile.addEventListener('change', () => {
+            const file = customProviderFile.files[0];
+            if (!file) return;
+            file.text().then(importCustomProviderDefinition);
+            customProviderFile.value = '';
+        });
+    }
+
+    // Provider health reset
+    const resetProviderStatusBtn = document.getElementById('reset-provider-status');
+    if (resetProviderStatusBtn) {
+        resetProviderStatusBtn.addEventListener('click', () => {
+            resetProviderHealth();
+            renderProviderStatus();
+        });
+    }
+
+    // Forecast verification log reset
+    const clearForecastAccuracyBtn = document.getElementById('clear-forecast-accuracy');
+    if (clearForecastAccuracyBtn) {
+        clearForecastAccuracyBtn.addEventListener('click', () => {
+            clearVerificationLog().then(renderForecastAccuracy);
+        });
+    }
+
+    // Alert notifications
+    const alertNotifySelect = document.getElementById('alert-notify-select');
+    if (alertNotifySelect) {
+        alertNotifySelect.addEventListener('change', updateAlertNotifications);
+    }
+    const watchLocationBtn = document.getElementById('watch-current-location');
+    if (watchLocationBtn) {
+        watchLocationBtn.addEventListener('click', watchCurrentLocation);
+    }
+
     // Tab event listeners
     settingsTabButtons.forEach(button => {
         button.addEventListener('click', () => {
@@ -95,7 +177,9 @@ export function initApiSettings() {
 
     // Load saved preferences
     loadSavedUnits();
+    initUnitSelects();
     loadSavedNowcastMode();
+    loadSavedForecastLength();
 }
 
 /**
@@ -216,6 +300,12 @@ function populateProviderOptions(selectElement, region) {
         }
     } else {
         automaticOption.textContent = 'Same as Global Setting';
+
+        // When the global setting is automatic, this region uses its dedicated provider
+        const regionalProvider = getAutomaticProviderForRegion(region);
+        if (regionalProvider) {
+            automaticOption.textContent = `Same as Global Setting (Automatic: ${regionalProvider.name})`;
+        }
     }
 
     selectElement.appendChild(automaticOption);
@@ -225,25 +315,12 @@ function populateProviderOptions(selectElement, region) {
 
     // Add options for each provider
     providers.forEach(provider => {
+        // Keyed providers stay hidden until a valid key has been saved
+        if (provider.requiresApiKey && !provider.hasApiKey()) return;
+
         const option = document.createElement('option');
         option.value = provider.id;
-
-        let displayText = provider.name;
-
-        // Check if the provider requires an API key
-        if (provider.requiresApiKey) {
-            // Use the provider's hasApiKey method if available
-            const hasKey = typeof provider.hasApiKey === 'function' ?
-                provider.hasApiKey() :
-                !!localStorage.getItem(provider.apiKeyConfig?.storageKey || `weather_app_${provider.id}_api_key`);
-
-            // Show additional info based on API key status
-            if (!hasKey) {
-                displayText += ' (requires API key)';
-            }
-        }
-
-        option.textContent = displayText;
+        option.textContent = provider.name;
         selectElement.appendChild(option);
     });
 
@@ -262,13 +339,23 @@ function populateProviderOptions(selectElement, region) {
     try {
         if (selectElement.id === 'weather-provider') {
             const savedValue = localStorage.getItem(GLOBAL_PROVIDER_STORAGE) || 'automatic';
-            selectElement.value = savedValue;
+            selectElement.value = hasOption(selectElement, savedValue) ? savedValue : 'automatic';
         }
     } catch (error) {
         console.warn('Error setting initial dropdown value:', error);
     }
 }
 
+/**
+ * Check whether a select element currently offers a given value
+ * @param {HTMLSelectElement} selectElement - The select element to check
+ * @param {string} value - Option value to look for
+ * @returns {boolean} True if an option with this value exists
+ */
+function hasOption(selectElement, value) {
+    return Array.from(selectElement.options).some(option => option.value === value);
+}
+
 /**
  * Initialize a region-specific dropdown with saved settings
  * @param {string} region - Region code
@@ -282,9 +369,9 @@ function initRegionDropdown(region, selectId) {
     const storageKey = `weather_app_${region}_weather_provider`;
     const savedValue = localStorage.getItem(storageKey) || 'automatic';
 
-    // Set the saved value
+    // Set the saved value, falling back to automatic if that provider is hidden
     try {
-        selectElement.value = savedValue;
+        selectElement.value = hasOption(selectElement, savedValue) ? savedValue : 'automatic';
     } catch (e) {
         console.warn(`Could not set value ${savedValue} for ${region} dropdown`);
     }
@@ -347,37 +434,13 @@ function updateRegionWeatherProvider(region) {
  * Update API key section based on current provider selections
  */
 function updateApiKeySection() {
-    // Collect all selected providers
-    const selectedProviders = new Set();
-
-    // Add global provider if not automatic
-    const globalProviderElement = document.getElementById('weather-provider');
-    if (globalProviderElement && globalProviderElement.value !== 'automatic') {
-        selectedProviders.add(globalProviderElement.value);
-    }
-
-    // Add region-specific providers
-    const regions = getAvailableRegions();
-    regions.forEach(region => {
-        if (region === 'global') return;
-
-        const selectId = `${region}-weather-provider`;
-        const selectElement = document.getElementById(selectId);
-        if (selectElement && selectElement.value !== 'automatic') {
-            selectedProviders.add(selectElement.value);
-        }
-    });
-
-    // Get a set of all providers that need API keys
-    const providersNeedingKeys = new Set();
-
-    // Check which selected providers need API keys
-    selectedProviders.forEach(providerId => {
-        const provider = getProviderById(providerId);
-        if (provider && provider.requiresApiKey) {
-            providersNeedingKeys.add(providerId);
-        }
-    });
+    // Every provider that requires a key gets a field. Keyed providers stay hidden
+    // from the dropdowns until a valid key is saved, so the field can't wait for a selection.
+    const providersNeedingKeys = new Set(
+        getAllProviders()
+            .filter(provider => provider.requiresApiKey)
+            .map(provider => provider.id)
+    );
 
     // If no providers need keys, hide the section
     if (providersNeedingKeys.size === 0) {
@@ -447,6 +510,12 @@ function updateApiKeySection() {
         const apiKeyInfo = document.createElement('div');
         apiKeyInfo.className = 'api-key-info';
 
+        // Note whether the saved key unlocks the provider in the dropdowns
+        const keyStatus = document.createElement('span');
+        keyStatus.className = 'api-key-state';
+        keyStatus.textContent = provider.hasApiKey() ? 'Key saved' : 'Add a key to enable this source';
+        apiKeyInfo.appendChild(keyStatus);
+
         // Add "Get a free key" link if URL is available
         if (provider.apiKeyUrl) {
             const link = document.createElement('a');
@@ -494,6 +563,315 @@ function updateApiKeySection() {
     }
 }
 
+/**
+ * Parse, register and save a custom provider definition
+ * @param {string} jsonText - JSON definition pasted or imported by the user
+ * @returns {boolean} True if the provider was added
+ */
+function importCustomProviderDefinition(jsonText) {
+    let definition;
+    try {
+        definition = JSON.parse(jsonText);
+    } catch (e) {
+        showApiKeyStatus(`Invalid JSON: ${e.message}`, 'status-error');
+        return false;
+    }
+
+    const errors = addCustomProvider(definition);
+    if (errors.length > 0) {
+        showApiKeyStatus(errors[0], 'status-error');
+        console.warn('Custom source definition problems:', errors);
+        return false;
+    }
+
+    showApiKeyStatus(`${definition.name} added`, 'status-success');
+
+    // The new source may need a key and should show up in the dropdowns
+    initDataSourcesSection();
+    renderCustomProviders();
+    renderProviderStatus();
+    return true;
+}
+
+/**
+ * List installed custom providers with a remove button each
+ */
+function renderCustomProviders() {
+    const list = document.getElementById('custom-providers-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    getAllProviders()
+        .filter(provider => provider.isCustom)
+        .forEach(provider => {
+            const row = document.createElement('div');
+            row.className = 'custom-provider-row';
+
+            const name = document.createElement('span');
+            name.textContent = provider.name;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'settings-btn settings-btn-danger';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                removeCustomProvider(provider.id);
+                showApiKeyStatus(`${provider.name} removed`, 'status-info');
+
+                // Selections pointing at the removed source fall back to Automatic
+                initDataSourcesSection();
+                renderCustomProviders();
+                renderProviderStatus();
+                refreshWeatherData();
+            });
+
+            row.appendChild(name);
+            row.appendChild(removeBtn);
+            list.appendChild(row);
+        });
+}
+
+/**
+ * Render the health of every provider (status, latency, last error)
+ */
+function renderProviderStatus() {
+    if (!providerStatusContainer) return;
+
+    providerStatusContainer.innerHTML = '';
+
+    getAllProviders()
+        .filter(provider => !provider.isAggregate)
+        .forEach(provider => {
+            const health = getProviderHealth(provider.id);
+            const { label, className } = describeProviderHealth(health);
+
+            const row = document.createElement('div');
+            row.className = 'provider-status-row';
+
+            const header = document.createElement('div');
+            header.className = 'provider-status-header';
+
+            const name = document.createElement('span');
+            name.textContent = provider.name;
+
+            const badge = document.createElement('span');
+            badge.className = `provider-status-badge ${className}`;
+            badge.textContent = label;
+
+            header.appendChild(name);
+            header.appendChild(badge);
+            row.appendChild(header);
+
+            // Only show details once the provider has actually been called
+            if (health.successCount + health.failureCount > 0) {
+                const details = [];
+                if (health.lastLatency != null) {
+                    details.push(`Last ${health.lastLatency} ms, avg ${health.avgLatency} ms`);
+                }
+                if (health.lastStatus != null) {
+                    details.push(`HTTP ${health.lastStatus}`);
+                }
+                details.push(`${health.successCount} ok / ${health.failureCount} failed`);
+
+                const detailsEl = document.createElement('div');
+                detailsEl.className = 'provider-status-details';
+                detailsEl.textContent = details.join(' · ');
+                row.appendChild(detailsEl);
+
+                if (health.lastError) {
+                    const errorEl = document.createElement('div');
+                    errorEl.className = 'provider-status-details';
+                    errorEl.textContent = `Last error: ${health.lastError}`;
+                    row.appendChild(errorEl);
+                }
+            }
+
+            providerStatusContainer.appendChild(row);
+        });
+}
+
+/**
+ * Show the alert notification threshold and the watched locations
+ */
+async function renderAlertNotifications() {
+    const select = document.getElementById('alert-notify-select');
+    const list = document.getElementById('alert-watch-list');
+    if (!select || !list) return;
+
+    const settings = await getNotificationSettings();
+    select.value = settings.threshold || 'off';
+
+    list.innerHTML = '';
+    settings.locations.forEach(location => {
+        const row = document.createElement('div');
+        row.className = 'custom-provider-row';
+
+        const name = document.createElement('span');
+        name.textContent = location.name;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'settings-btn settings-btn-danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            unwatchLocation(location).then(renderAlertNotifications);
+        });
+
+        row.appendChild(name);
+        row.appendChild(removeBtn);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Save the chosen notification threshold, asking for permission first
+ */
+async function updateAlertNotifications() {
+    const select = document.getElementById('alert-notify-select');
+    const threshold = select.value === 'off' ? null : select.value;
+
+    if (threshold && !(await requestNotificationPermission())) {
+        select.value = 'off';
+        showAlertNotifyStatus('Notifications are blocked for this site. Allow them in your browser settings to get alerts.');
+        return;
+    }
+
+    showAlertNotifyStatus('');
+    await updateNotificationSettings({ threshold });
+    syncBackgroundAlertCheck(!!threshold);
+}
+
+/**
+ * Add the location on screen to the watched locations
+ */
+function watchCurrentLocation() {
+    const location = getCachedLocation();
+    if (!location) {
+        showAlertNotifyStatus('Choose a location first.');
+        return;
+    }
+
+    showAlertNotifyStatus('');
+    watchLocation({ lat: location.lat, lon: location.lon, name: location.locationName })
+        .then(renderAlertNotifications);
+}
+
+function showAlertNotifyStatus(message) {
+    const status = document.getElementById('alert-notify-status');
+    if (!status) return;
+    status.textContent = message;
+    status.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Render the accuracy scoreboard for the current location, most accurate
+ * source first
+ */
+async function renderForecastAccuracy() {
+    if (!forecastAccuracyContainer) return;
+
+    const location = getCachedLocation();
+    const scores = location ? await getAccuracyScores(location.lat, location.lon) : [];
+
+    forecastAccuracyContainer.innerHTML = '';
+
+    if (scores.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'provider-status-details';
+        empty.textContent = 'No forecasts logged for this location yet.';
+        forecastAccuracyContainer.appendChild(empty);
+        return;
+    }
+
+    // Errors are stored in °F; a difference converts without the offset
+    const metric = getUnitPreference('temperature') === 'C';
+    const degrees = (value, signed = false) => {
+        const converted = metric ? value * 5 / 9 : value;
+        const sign = signed && converted > 0 ? '+' : '';
+        return `${sign}${converted.toFixed(1)}°`;
+    };
+    const points = (value, signed = false) => `${signed && value > 0 ? '+' : ''}${Math.round(value)}`;
+
+    scores.forEach((score, index) => {
+        const provider = getProviderById(score.providerId);
+        const { temperature, precipChance, high, low } = score.variables;
+
+        const row = document.createElement('div');
+        row.className = 'provider-status-row';
+
+        const header = document.createElement('div');
+        header.className = 'provider-status-header';
+
+        const name = document.createElement('span');
+        name.textContent = provider?.name || score.providerId;
+        header.appendChild(name);
+
+        // Ranked by hourly temperature error, see getAccuracyScores
+        if (temperature) {
+            const best = index === 0 && scores.length > 1;
+            const badge = document.createElement('span');
+            badge.className = `provider-status-badge${best ? '' : ' unused'}`;
+            badge.textContent = best ? 'Most accurate' : `#${index + 1}`;
+            header.appendChild(badge);
+        }
+        row.appendChild(header);
+
+        const details = [];
+        if (temperature) {
+            details.push(`Hourly temperature off by ${degrees(temperature.mae)} on average, bias ${degrees(temperature.bias, true)} (${temperature.count} hours)`);
+            if (temperature.byLead.length > 1) {
+                details.push(`By lead time: ${temperature.byLead.map(lead => `${lead.label} ${degrees(lead.mae)}`).join(' · ')}`);
+            }
+        }
+        if (high || low) {
+            const parts = [];
+            if (high) parts.push(`high off by ${degrees(high.mae)} (bias ${degrees(high.bias, true)})`);
+            if (low) parts.push(`low off by ${degrees(low.mae)} (bias ${degrees(low.bias, true)})`);
+            details.push(`Next-day ${parts.join(', ')} over ${Math.max(high?.count || 0, low?.count || 0)} forecasts`);
+        }
+        if (precipChance) {
+            details.push(`Precipitation chance off by ${points(precipChance.mae)} points on average, bias ${points(precipChance.bias, true)}`);
+        }
+        if (details.length === 0) {
+            details.push(`${score.forecasts} forecasts logged, waiting for observations to check them against`);
+        }
+
+        details.forEach(text => {
+            const detailsEl = document.createElement('div');
+            detailsEl.className = 'provider-status-details';
+            detailsEl.textContent = text;
+            row.appendChild(detailsEl);
+        });
+
+        forecastAccuracyContainer.appendChild(row);
+    });
+}
+
+/**
+ * Summarize a provider health record as a short label
+ * @param {Object} health - Record from getProviderHealth
+ * @returns {{label: string, className: string}}
+ */
+function describeProviderHealth(health) {
+    if (health.openUntil > Date.now()) {
+        const until = new Date(health.openUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        return {
+            label: health.rateLimited ? `Rate limited until ${until}` : `Paused until ${until}`,
+            className: 'paused'
+        };
+    }
+    if (health.trips > 0) {
+        // Cooling-off period is over, the next call is a trial
+        return { label: 'Retrying', className: 'failing' };
+    }
+    if (health.consecutiveFailures > 0) {
+        return { label: 'Failing', className: 'failing' };
+    }
+    if (health.successCount === 0 && health.failureCount === 0) {
+        return { label: 'Not used yet', className: 'unused' };
+    }
+    return { label: 'OK', className: '' };
+}
+
 /**
  * Save all API keys to local storage
  */
@@ -508,8 +886,8 @@ function saveAllApiKeys() {
         const key = input.value.trim();
         if (!key) return; // Skip empty inputs
 
-        // Get provider ID from input ID
-        const providerId = input.id.split('-api-key')[0];
+        // Get provider ID from input ID (custom IDs may contain "-api-key" themselves)
+        const providerId = input.id.slice(0, -'-api-key'.length);
         const provider = getProviderById(providerId);
 
         if (!provider) {
@@ -580,8 +958,8 @@ function removeAllApiKeys() {
     const apiKeyInputs = document.querySelectorAll('input[id$="-api-key"]');
 
     apiKeyInputs.forEach(input => {
-        // Get provider ID from input ID
-        const providerId = input.id.split('-api-key')[0];
+        // Get provider ID from input ID (custom IDs may contain "-api-key" themselves)
+        const providerId = input.id.slice(0, -'-api-key'.length);
         const provider = getProviderById(providerId);
 
         if (!provider) {
@@ -775,6 +1153,51 @@ function loadSavedNowcastMode() {
     nowcastModeSelect.value = savedMode;
 }
 
+/**
+ * Get the number of daily forecast days the user wants to see
+ * @returns {number} - STANDARD_FORECAST_DAYS or EXTENDED_FORECAST_DAYS
+ */
+export function getForecastDays() {
+    return localStorage.getItem(FORECAST_LENGTH_STORAGE) === 'extended'
+        ? EXTENDED_FORECAST_DAYS
+        : STANDARD_FORECAST_DAYS;
+}
+
+/**
+ * Update the forecast length preference
+ */
+function updateForecastLength() {
+    const forecastLengthSelect = document.getElementById('forecast-length-select');
+    if (!forecastLengthSelect) return;
+
+    const length = forecastLengthSelect.value;
+    localStorage.setItem(FORECAST_LENGTH_STORAGE, length);
+
+    showApiKeyStatus(
+        length === 'extended'
+            ? `Showing up to ${EXTENDED_FORECAST_DAYS} days where the source supports it`
+            : `Showing ${STANDARD_FORECAST_DAYS} days`,
+        'status-success'
+    );
+
+    // Cached forecasts were fetched for the old length, so drop them before refreshing
+    clearCachedWeather().then(() => {
+        if (document.getElementById('weather-data').style.display !== 'none') {
+            refreshWeatherData();
+        }
+    });
+}
+
+/**
+ * Load saved forecast length preference
+ */
+function loadSavedForecastLength() {
+    const forecastLengthSelect = document.getElementById('forecast-length-select');
+    if (!forecastLengthSelect) return;
+
+    forecastLengthSelect.value = localStorage.getItem(FORECAST_LENGTH_STORAGE) || 'standard';
+}
+
 /**
  * Get the selected weather provider
  * @returns {string} - Provider ID or 'automatic'
@@ -810,7 +1233,7 @@ function updateUnits() {
         refreshWeatherDisplay();
     }
 
-    showApiKeyStatus(`Units changed to ${units === 'metric' ? 'Metric (°C)' : 'Imperial (°F)'}`, 'status-success');
+    showApiKeyStatus(`Temperature units changed to ${units === 'metric' ? '°C' : '°F'}`, 'status-success');
 }
 
 /**
@@ -895,6 +1318,38 @@ function loadSavedUnits() {
     }
 }
 
+/**
+ * Fill the per-quantity unit dropdowns and listen for changes
+ */
+function initUnitSelects() {
+    document.querySelectorAll('select[data-quantity]').forEach(select => {
+        const quantity = select.dataset.quantity;
+        const options = UNIT_OPTIONS[quantity];
+        if (!options) return;
+
+        select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = getUnitPreference(quantity);
+
+        select.addEventListener('change', () => {
+            setUnitPreference(quantity, select.value);
+
+            // If weather data is currently displayed, refresh it to show the new units
+            if (document.getElementById('weather-data').style.display !== 'none') {
+                refreshWeatherDisplay();
+            }
+
+            const label = options.find(o => o.value === select.value)?.label || select.value;
+            showApiKeyStatus(`${quantity.charAt(0).toUpperCase() + quantity.slice(1)} units changed to ${label}`, 'status-success');
+        });
+    });
+}
+
 /**
  * Switch between settings tabs
  * @param {string} tabName - The name of the tab to switch to
@@ -953,6 +1408,10 @@ function openApiSettings() {
 
     // Initialize data sources section when modal opens
     initDataSourcesSection();
+    renderCustomProviders();
+    renderProviderStatus();
+    renderForecastAccuracy();
+    renderAlertNotifications();
 
     // Restore the last active tab
     const lastActiveTab = localStorage.getItem(ACTIVE_SETTINGS_TAB) || 'display';
@@ -11,11 +11,19 @@
 import { initCurrentWeather } from './components/currentWeather.js';
 import { initForecasts } from './components/forecasts.js';
 import { initDailyDetail } from './components/dailyDetail.js';
+import { initProviderComparison } from './components/providerComparison.js';
+import { initForecastDiscussion } from './components/forecastDiscussion.js';
+import { initFixtureStatus } from './components/fixtureStatus.js';
 import { displayNowcast } from './components/nowcast.js';
+import { displayAirQuality } from './components/airQuality.js';
+import { displayPollen } from './components/pollen.js';
+import { displayMarine } from './components/marine.js';
 import { initAlertsDisplay } from './components/alertsDisplay.js';
+import { displayDataDiagnostics } from './components/dataDiagnostics.js';
 import { initSearchBar } from './controls/searchBar.js';
 import { initLoading, showLoading, hideLoading } from './states/loading.js';
 import { initErrors, showError, hideError } from './states/errors.js';
+import { escapeHtml } from '../utils/formatting.js';
 
 // DOM elements that are used across multiple components
 let apiIndicator;
@@ -35,6 +43,9 @@ export function initUI() {
     initCurrentWeather();
     initForecasts();
     initDailyDetail();
+    initProviderComparison();
+    initForecastDiscussion();
+    initFixtureStatus();
     initAlertsDisplay();
     initLoading();
     initErrors();
@@ -88,11 +99,25 @@ export function updateAttributionDisplay(data) {
     if (!apiIndicator) return;
     
     if (data && data.attribution && data.attribution.name) {
-        let attributionText = `Data provided by <a href="${data.attribution.url}" target="_blank" class="attribution-link">${data.attribution.name}</a>`;
+        // Custom sources supply these from user-imported JSON, so escape them
+        // and only link to http(s) URLs
+        const name = escapeHtml(data.attribution.name);
+        const url = /^https?:\/\//i.test(data.attribution.url || '') ? data.attribution.url : null;
+        let attributionText = url
+            ? `Data provided by <a href="${escapeHtml(url)}" target="_blank" rel="noopener" class="attribution-link">${name}</a>`
+            : `Data provided by ${name}`;
         
         // Add license info if available
         if (data.attribution.license) {
-            attributionText += ` (${data.attribution.license})`;
+            attributionText += ` (${escapeHtml(data.attribution.license)})`;
+        }
+
+        // Note any providers that failed before this one served the data
+        const failed = data.providerStatus?.failed;
+        if (Array.isArray(failed) && failed.length > 0) {
+            const failedNames = failed.map(provider => escapeHtml(provider.name)).join(', ');
+            const servedName = escapeHtml(data.providerStatus.servedByName || data.attribution.name);
+            attributionText += `<br><span class="attribution-fallback">${failedNames} unavailable, showing ${servedName}</span>`;
         }
         
         apiIndicator.innerHTML = attributionText;
@@ -173,6 +198,9 @@ export function displayWeatherData(data, locationName) {
         // Update API attribution
         updateAttributionDisplay(data);
 
+        // Schema check results (debug mode only)
+        displayDataDiagnostics(data);
+
         // Show weather data section
         document.getElementById('weather-data').style.display = 'block';
 
@@ -194,8 +222,17 @@ export function displayWeatherData(data, locationName) {
             console.warn("No nowcast data available");
         }
 
+        // Display air quality (hidden when unavailable)
+        displayAirQuality(data.airQuality, data.timezone);
+
+        // Display pollen (hidden where it isn't modelled)
+        displayPollen(data.pollen, data.timezone);
+
+        // Display marine conditions (hidden inland)
+        displayMarine(data.marine, data.timezone);
+
         // Display alerts if available
-        displayAlerts(data.alerts || []);
+        displayAlerts(data.alerts || [], data.endedAlerts || []);
 
         // Hide error message
         hideError();
@@ -210,4 +247,4 @@ export function displayWeatherData(data, locationName) {
 }
 
 // Export loading and error management functions
-export { showLoading, hideLoading, showError, hideError };
\ No newline at end of file
+export { showLoading, hideLoading, showError, hideError };
@@ -0,0 +1,241 @@
+/**
+ * Alert lifecycle tracking
+ *
+ * fetchAlerts returns a snapshot of the alerts in force. This module keeps
+ * the previous snapshot for each location and compares each new one with
+ * it, so alerts can be labeled new, upgraded or downgraded, extended or
+ * updated. Alerts that drop out are recorded as expired (on time) or
+ * cancelled (before their expiry) and listed for 48 hours, which answers
+ * "was that warning cancelled or did it just disappear?".
+ *
+ * An update to an alert is often issued under a new ID, and a watch is
+ * replaced by a warning, so alerts that disappear are first matched to new
+ * ones with the same event, then with the same primary hazard.
+ */
+
+import { ALERT_SEVERITY } from '../standardWeatherFormat.js';
+import { warn } from './logger.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const STORAGE_KEY = 'weather_app_alert_history';
+
+// Ended alerts are listed for this long
+export const ENDED_ALERT_WINDOW = 48 * 60 * 60 * 1000;
+
+// Changes are labeled on the alert card for this long
+export const CHANGE_LABEL_WINDOW = 6 * 60 * 60 * 1000;
+
+// Sources drop alerts a little before the expiry time they give
+const EXPIRY_TOLERANCE = 15 * 60 * 1000;
+
+// Locations kept, most recently updated first
+const MAX_LOCATIONS = 10;
+
+// Most to least severe
+const SEVERITY_ORDER = [
+    ALERT_SEVERITY.EMERGENCY,
+    ALERT_SEVERITY.EXTREME,
+    ALERT_SEVERITY.SEVERE,
+    ALERT_SEVERITY.MODERATE,
+    ALERT_SEVERITY.MINOR
+];
+
+/**
+ * Alert change types, in the order their labels are shown
+ */
+export const ALERT_CHANGE = {
+    NEW: 'new',
+    UPGRADED: 'upgraded',
+    DOWNGRADED: 'downgraded',
+    EXTENDED: 'extended',
+    UPDATED: 'updated'
+};
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Compare a fresh alert snapshot with the previous one for the location,
+ * record the result and return the alerts labeled with their changes.
+ * The first snapshot for a location has nothing to compare with, so its
+ * alerts carry no labels.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array} alerts - Standardized alerts, as returned by fetchAlerts
+ * @param {number} [now] - Current time in ms
+ * @returns {Array} The alerts, each with a lifecycle property:
+ *   { changes: string[], changedAt: number|null, previous: {title, severity, expires}|null }
+ */
+export function trackAlerts(lat, lon, alerts, now = Date.now()) {
+    const history = readHistory();
+    const key = locationKey(lat, lon);
+    const record = history[key];
+    // A snapshot from days ago can't say which alerts are new
+    const previous = record && now - record.updatedAt < ENDED_ALERT_WINDOW ? record.active : null;
+
+    const unmatched = new Map((record?.active || []).map(entry => [entry.id, entry]));
+    const matches = new Map();
+
+    // Same ID first, then the same event, then the same hazard
+    const rules = [
+        (alert, entry) => entry.id === alert.id,
+        (alert, entry) => entry.title === alert.title,
+        (alert, entry) => !!alert.primaryHazard && entry.primaryHazard === alert.primaryHazard
+    ];
+    rules.forEach(rule => {
+        alerts.forEach(alert => {
+            if (matches.has(alert)) return;
+            const entry = Array.from(unmatched.values()).find(candidate => rule(alert, candidate));
+            if (entry) {
+                matches.set(alert, entry);
+                unmatched.delete(entry.id);
+            }
+        });
+    });
+
+    const active = alerts.map(alert => {
+        const entry = matches.get(alert);
+        const changes = previous ? compareAlerts(entry, alert) : [];
+        const keepLabels = entry && changes.length === 0 && now - (entry.changedAt || 0) < CHANGE_LABEL_WINDOW;
+
+        return {
+            id: alert.id,
+            title: alert.title,
+            description: alert.description || '',
+            severity: alert.severity,
+            expires: toTime(alert.expires),
+            primaryHazard: alert.primaryHazard || null,
+            textHash: hashText(`${alert.description || ''}\n${alert.fullText || ''}`),
+            firstSeen: entry ? entry.firstSeen : now,
+            lastSeen: now,
+            changes: keepLabels ? entry.changes : changes,
+            changedAt: keepLabels ? entry.changedAt : (changes.length > 0 ? now : null),
+            previous: keepLabels
+                ? entry.previous
+                : (changes.length > 0 && entry ? { title: entry.title, severity: entry.severity, expires: entry.expires } : null)
+        };
+    });
+
+    // Whatever is left has ended
+    const ended = (record?.ended || []).filter(entry => now - entry.endedAt < ENDED_ALERT_WINDOW);
+    unmatched.forEach(entry => {
+        const expired = entry.expires != null && now >= entry.expires - EXPIRY_TOLERANCE;
+        ended.unshift({
+            id: entry.id,
+            title: entry.title,
+            description: entry.description,
+            severity: entry.severity,
+            expires: entry.expires,
+            firstSeen: entry.firstSeen,
+            lastSeen: entry.lastSeen,
+            endedAt: expired ? Math.min(now, entry.expires) : now,
+            reason: expired ? 'expired' : 'cancelled'
+        });
+    });
+
+    history[key] = { updatedAt: now, active, ended };
+    writeHistory(history);
+
+    return alerts.map((alert, i) => ({
+        ...alert,
+        lifecycle: {
+            changes: active[i].changes,
+            changedAt: active[i].changedAt,
+            previous: active[i].previous
+        }
+    }));
+}
+
+/**
+ * Alerts for a location that expired or were cancelled recently
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<{id, title, description, severity, expires, firstSeen, lastSeen, endedAt, reason}>}
+ *   Most recently ended first. reason is 'expired' or 'cancelled'; a
+ *   cancelled alert ended somewhere between lastSeen and endedAt.
+ */
+export function getEndedAlerts(lat, lon, now = Date.now()) {
+    const record = readHistory()[locationKey(lat, lon)];
+    return (record?.ended || [])
+        .filter(entry => now - entry.endedAt < ENDED_ALERT_WINDOW)
+        .sort((a, b) => b.endedAt - a.endedAt);
+}
+
+//==============================================================================
+// 3. HELPER FUNCTIONS
+//==============================================================================
+
+/**
+ * What changed between a tracked alert and its successor
+ * @param {Object|undefined} entry - Tracked alert, or undefined for a new alert
+ * @param {Object} alert - Fresh alert
+ * @returns {string[]} ALERT_CHANGE values
+ */
+function compareAlerts(entry, alert) {
+    if (!entry) return [ALERT_CHANGE.NEW];
+
+    const changes = [];
+    const before = SEVERITY_ORDER.indexOf(entry.severity);
+    const after = SEVERITY_ORDER.indexOf(alert.severity);
+    if (before !== -1 && after !== -1 && after < before) changes.push(ALERT_CHANGE.UPGRADED);
+    if (before !== -1 && after !== -1 && after > before) changes.push(ALERT_CHANGE.DOWNGRADED);
+
+    const expires = toTime(alert.expires);
+    if (expires != null && entry.expires != null && expires > entry.expires) {
+        changes.push(ALERT_CHANGE.EXTENDED);
+    }
+
+    // A new event name is news in itself (a watch upgraded to a warning at
+    // the same severity, say), so it counts as an update too
+    const textHash = hashText(`${alert.description || ''}\n${alert.fullText || ''}`);
+    if (textHash !== entry.textHash || alert.title !== entry.title) {
+        changes.push(ALERT_CHANGE.UPDATED);
+    }
+
+    return changes;
+}
+
+function readHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function writeHistory(history) {
+    const kept = Object.entries(history)
+        .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+        .slice(0, MAX_LOCATIONS);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+    } catch (e) {
+        warn('Error saving alert history:', e);
+    }
+}
+
+function locationKey(lat, lon) {
+    return `${parseFloat(lat).toFixed(2)},${parseFloat(lon).toFixed(2)}`;
+}
+
+function toTime(value) {
+    if (value == null) return null;
+    const time = new Date(value).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+// Small string hash (djb2), enough to notice a changed alert text
+function hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return hash.toString(36);
+}
@@ -0,0 +1,305 @@
+/**
+ * Severe weather alert notifications
+ *
+ * Opt-in browser notifications for new alerts at or above a chosen severity,
+ * for the location on screen and any other locations the user watches. Each
+ * alert notifies once: the IDs already notified (or already seen on screen)
+ * are remembered, so refreshes, the open app and the service worker's
+ * background checks never repeat one.
+ *
+ * Settings and notified IDs are kept in IndexedDB because the service
+ * worker's periodicsync handler (sw.js) reads them too: it can't read
+ * localStorage, and it runs its own copy of the check because it is a
+ * classic worker that can't import this module.
+ */
+
+import { ALERT_SEVERITY } from '../standardWeatherFormat.js';
+import '../api/alerts/alertRules.js';
+import { fetchAlerts } from '../api/alerts/alertsApi.js';
+import { warn } from './logger.js';
+import { idbGet, idbSet } from './idb.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const SETTINGS_KEY = 'alert-notify-settings';
+const SEEN_KEY = 'alert-notify-seen';
+
+// Periodic background sync tag the service worker listens for (see sw.js)
+export const ALERT_SYNC_TAG = 'check-alerts';
+
+// Most to least severe; a threshold includes everything before it
+export const SEVERITY_ORDER = globalThis.AlertRules.SEVERITY_ORDER;
+
+const { isSamePlace } = globalThis.AlertRules;
+
+// Browsers fire periodic syncs far less often than this; it's only a floor
+const SYNC_MIN_INTERVAL = 60 * 60 * 1000;
+
+// Alerts rarely run past a week, so older IDs can't come back
+const SEEN_RETENTION = 14 * 24 * 60 * 60 * 1000;
+
+// Watched locations are checked from the page at most this often (the
+// weather auto-update runs every 10 minutes)
+const WATCH_CHECK_INTERVAL = 10 * 60 * 1000;
+
+let lastWatchCheck = 0;
+
+const DEFAULT_SETTINGS = {
+    threshold: null,
+    current: null,
+    locations: []
+};
+
+//==============================================================================
+// 2. SETTINGS
+//==============================================================================
+
+/**
+ * Read the notification settings
+ * @returns {Promise<{threshold: string|null, current: Object|null, locations: Array<{lat: number, lon: number, name: string}>}>}
+ *   threshold is the least severe level that notifies, or null when off
+ */
+export async function getNotificationSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...(await idbGet(SETTINGS_KEY)) };
+    } catch (error) {
+        warn('Error reading alert notification settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Update the notification settings
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function updateNotificationSettings(changes) {
+    const settings = { ...(await getNotificationSettings()), ...changes };
+    await idbSet(SETTINGS_KEY, settings);
+    return settings;
+}
+
+/**
+ * Add a location to the watch list, unless it's already there
+ * @param {{lat: number, lon: number, name: string}} location
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function watchLocation(location) {
+    const settings = await getNotificationSettings();
+    if (settings.locations.some(watched => isSamePlace(watched, location))) return settings;
+
+    const entry = { lat: +location.lat, lon: +location.lon, name: location.name || formatCoordinates(location) };
+    return updateNotificationSettings({ locations: [...settings.locations, entry] });
+}
+
+/**
+ * Remove a location from the watch list
+ * @param {{lat: number, lon: number}} location
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function unwatchLocation(location) {
+    const settings = await getNotificationSettings();
+    return updateNotificationSettings({
+        locations: settings.locations.filter(watched => !isSamePlace(watched, location))
+    });
+}
+
+/**
+ * Whether an alert is severe enough to notify about
+ * @param {Object} alert - Standardized alert
+ * @param {string|null} threshold - Least severe level that notifies
+ * @returns {boolean}
+ */
+export function meetsThreshold(alert, threshold) {
+    const limit = SEVERITY_ORDER.indexOf(threshold);
+    const rank = SEVERITY_ORDER.indexOf(alert?.severity);
+    return limit !== -1 && rank !== -1 && rank <= limit;
+}
+
+//==============================================================================
+// 3. NOTIFYING
+//==============================================================================
+
+/**
+ * Notify about alerts for a location that haven't been notified or seen yet
+ * @param {Array} alerts - Standardized alerts for the location
+ * @param {{lat: number, lon: number, name: string}} location
+ * @param {Object} [options]
+ * @param {ServiceWorkerRegistration} [options.registration] - Registration to
+ *   show notifications through (required on Android)
+ * @param {boolean} [options.seenOnScreen] - The alerts are on screen already,
+ *   so remember them without notifying
+ * @returns {Promise<number>} How many notifications were shown
+ */
+export async function notifyNewAlerts(alerts, location, options = {}) {
+    const settings = await getNotificationSettings();
+    if (!settings.threshold || !Array.isArray(alerts) || alerts.length === 0) return 0;
+
+    const seen = await readSeen();
+    const fresh = alerts.filter(alert => alert?.id && !seen[alert.id] && meetsThreshold(alert, settings.threshold));
+    if (fresh.length === 0) return 0;
+
+    const now = Date.now();
+
+    if (options.seenOnScreen) {
+        fresh.forEach(alert => { seen[alert.id] = now; });
+        await saveSeen(seen);
+        return 0;
+    }
+
+    // Without permission nothing is marked, so these still notify once it's granted
+    if (!canNotify()) return 0;
+
+    const registration = options.registration || await getRegistration();
+    let shown = 0;
+
+    for (const alert of fresh) {
+        try {
+            const title = alert.title || 'Weather Alert';
+            const notification = {
+                body: [location.name, alert.description].filter(Boolean).join('\n'),
+                icon: './icons/icon-192x192.png',
+                badge: './icons/icon-monochrome-512.png',
+                tag: alert.id,
+                requireInteraction: SEVERITY_ORDER.indexOf(alert.severity) <= SEVERITY_ORDER.indexOf(ALERT_SEVERITY.EXTREME),
+                data: { alertId: alert.id, lat: location.lat, lon: location.lon }
+            };
+
+            if (registration) {
+                await registration.showNotification(title, notification);
+            } else {
+                new Notification(title, notification);
+            }
+            seen[alert.id] = now;
+            shown++;
+        } catch (error) {
+            warn('Error showing alert notification:', error);
+        }
+    }
+
+    if (shown > 0) await saveSeen(seen);
+    return shown;
+}
+
+/**
+ * Fetch alerts for every watched location other than the one on screen and
+ * notify about new ones. The page runs this on each weather refresh, so it
+ * works in every browser; the service worker's periodic sync covers the
+ * time the app is closed where the browser supports it.
+ * @param {{lat: number, lon: number}|null} onScreen - Location being shown
+ * @returns {Promise<number>} How many notifications were shown
+ */
+export async function checkWatchedLocations(onScreen = null) {
+    const settings = await getNotificationSettings();
+    if (!settings.threshold || settings.locations.length === 0) return 0;
+
+    const now = Date.now();
+    if (now - lastWatchCheck < WATCH_CHECK_INTERVAL) return 0;
+    lastWatchCheck = now;
+
+    let shown = 0;
+    for (const location of settings.locations) {
+        if (onScreen && isSamePlace(location, onScreen)) continue;
+
+        const alerts = await fetchAlerts(location.lat, location.lon);
+        if (alerts) {
+            shown += await notifyNewAlerts(alerts, location);
+        }
+    }
+    return shown;
+}
+
+//==============================================================================
+// 4. PAGE INTEGRATION
+//==============================================================================
+
+/**
+ * Ask for notification permission if it hasn't been decided
+ * @returns {Promise<boolean>} Whether notifications may be shown
+ */
+export async function requestNotificationPermission() {
+    if (typeof Notification === 'undefined') return false;
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    return Notification.permission === 'granted';
+}
+
+/**
+ * Register or drop the background alert check to match the settings.
+ * Only installed apps on Chromium browsers get periodic syncs; elsewhere
+ * the current and watched locations are checked whenever the app fetches
+ * weather, including the automatic refreshes of a background tab, and not
+ * at all while the app is closed.
+ * @param {boolean} enabled - Whether notifications are on
+ */
+export async function syncBackgroundAlertCheck(enabled) {
+    try {
+        const registration = await getRegistration();
+        if (!registration || !('periodicSync' in registration)) return;
+
+        if (!enabled) {
+            await registration.periodicSync.unregister(ALERT_SYNC_TAG);
+            return;
+        }
+
+        const state = await registration.periodicSync.permissionState();
+        if (state === 'granted') {
+            await registration.periodicSync.register(ALERT_SYNC_TAG, { minInterval: SYNC_MIN_INTERVAL });
+        }
+    } catch (error) {
+        warn('Error updating the background alert check:', error);
+    }
+}
+
+/**
+ * Remember the location on screen for background checks, notify about its
+ * new alerts and check the watched locations. Alerts the user can see right
+ * now are only marked seen.
+ * @param {Array} alerts - Alerts for the location
+ * @param {{lat: number, lon: number, name: string}} location
+ */
+export async function handleDisplayedAlerts(alerts, location) {
+    const settings = await getNotificationSettings();
+    if (!settings.threshold || !location) return;
+
+    const current = { lat: +location.lat, lon: +location.lon, name: location.name || formatCoordinates(location) };
+    if (!settings.current || !isSamePlace(settings.current, current) || settings.current.name !== current.name) {
+        await updateNotificationSettings({ current });
+    }
+
+    await notifyNewAlerts(alerts, current, { seenOnScreen: document.visibilityState === 'visible' });
+    await checkWatchedLocations(current);
+}
+
+//==============================================================================
+// 5. HELPER FUNCTIONS
+//==============================================================================
+
+function saveSeen(seen) {
+    return idbSet(SEEN_KEY, seen).catch(error => warn('Error saving notified alerts:', error));
+}
+
+async function readSeen() {
+    const seen = (await idbGet(SEEN_KEY).catch(() => null)) || {};
+    const cutoff = Date.now() - SEEN_RETENTION;
+    Object.keys(seen).forEach(id => {
+        if (seen[id] < cutoff) delete seen[id];
+    });
+    return seen;
+}
+
+function canNotify() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+async function getRegistration() {
+    if (!navigator.serviceWorker) return null;
+    return navigator.serviceWorker.getRegistration().catch(() => null);
+}
+
+function formatCoordinates(location) {
+    return `${(+location.lat).toFixed(2)}, ${(+location.lon).toFixed(2)}`;
+}
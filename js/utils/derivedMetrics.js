@@ -0,0 +1,235 @@
+/**
+ * Derived meteorological metrics
+ *
+ * Computes feels-like temperatures, dew point, humidex, wet-bulb temperature
+ * and cloud base from the basic fields every provider returns, so the UI
+ * looks the same whatever the source. Runs on the finished standard object
+ * in processWeatherData (api.js) and only fills fields the provider left
+ * empty; each item lists the fields it computed in its `derived` array so the
+ * UI can mark them.
+ *
+ * Inputs and outputs use the standard units: °F, mph and relative humidity
+ * as a 0-1 fraction. Cloud base is in feet above ground level.
+ */
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+// Heat index is only defined in warm weather, wind chill in cold and windy weather
+const HEAT_INDEX_MIN_F = 80;
+const WIND_CHILL_MAX_F = 50;
+const WIND_CHILL_MIN_MPH = 3;
+
+// Humidex is only reported from 20 °C up
+const HUMIDEX_MIN_F = 68;
+
+// Magnus formula coefficients (Alduchov and Eskridge, over water)
+const MAGNUS_B = 17.625;
+const MAGNUS_C = 243.04;
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Fill in missing derived fields on the current conditions and every hour.
+ * Values the provider supplied are left alone.
+ * @param {Object} weatherData - Standardized weather data (updated in place)
+ * @returns {Object} The same weather data
+ */
+export function applyDerivedMetrics(weatherData) {
+    if (!weatherData) return weatherData;
+
+    if (weatherData.currently) {
+        deriveItem(weatherData.currently);
+    }
+
+    if (Array.isArray(weatherData.hourly?.data)) {
+        weatherData.hourly.data.forEach(deriveItem);
+    }
+
+    return weatherData;
+}
+
+/**
+ * Heat index (NWS Rothfusz regression with its low/high humidity adjustments)
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} humidity - Relative humidity (0-1)
+ * @returns {number|null} Heat index (°F), null below 80 °F
+ */
+export function calculateHeatIndex(tempF, humidity) {
+    if (!isNumber(tempF) || !isNumber(humidity) || tempF < HEAT_INDEX_MIN_F) return null;
+
+    const rh = humidity * 100;
+
+    // The simple formula is accurate enough when it stays below 80 °F
+    const simple = 0.5 * (tempF + 61 + (tempF - 68) * 1.2 + rh * 0.094);
+    if ((simple + tempF) / 2 < 80) return simple;
+
+    let index = -42.379 + 2.04901523 * tempF + 10.14333127 * rh
+        - 0.22475541 * tempF * rh - 0.00683783 * tempF * tempF
+        - 0.05481717 * rh * rh + 0.00122874 * tempF * tempF * rh
+        + 0.00085282 * tempF * rh * rh - 0.00000199 * tempF * tempF * rh * rh;
+
+    if (rh < 13 && tempF <= 112) {
+        index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(tempF - 95)) / 17);
+    } else if (rh > 85 && tempF <= 87) {
+        index += ((rh - 85) / 10) * ((87 - tempF) / 5);
+    }
+
+    return index;
+}
+
+/**
+ * Wind chill (NWS 2001 formula)
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} windMph - Wind speed (mph)
+ * @returns {number|null} Wind chill (°F), null above 50 °F or below 3 mph
+ */
+export function calculateWindChill(tempF, windMph) {
+    if (!isNumber(tempF) || !isNumber(windMph)) return null;
+    if (tempF > WIND_CHILL_MAX_F || windMph < WIND_CHILL_MIN_MPH) return null;
+
+    const v = Math.pow(windMph, 0.16);
+    return 35.74 + 0.6215 * tempF - 35.75 * v + 0.4275 * tempF * v;
+}
+
+/**
+ * Dew point from temperature and relative humidity (Magnus formula)
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} humidity - Relative humidity (0-1)
+ * @returns {number|null} Dew point (°F)
+ */
+export function calculateDewPoint(tempF, humidity) {
+    if (!isNumber(tempF) || !isNumber(humidity) || humidity <= 0) return null;
+
+    const tempC = fahrenheitToCelsius(tempF);
+    const gamma = Math.log(Math.min(humidity, 1)) + (MAGNUS_B * tempC) / (MAGNUS_C + tempC);
+    return celsiusToFahrenheit((MAGNUS_C * gamma) / (MAGNUS_B - gamma));
+}
+
+/**
+ * Relative humidity from temperature and dew point (inverse Magnus formula)
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} dewPointF - Dew point (°F)
+ * @returns {number|null} Relative humidity (0-1)
+ */
+export function calculateRelativeHumidity(tempF, dewPointF) {
+    if (!isNumber(tempF) || !isNumber(dewPointF)) return null;
+
+    const tempC = fahrenheitToCelsius(tempF);
+    const dewC = fahrenheitToCelsius(dewPointF);
+    const ratio = Math.exp((MAGNUS_B * dewC) / (MAGNUS_C + dewC) - (MAGNUS_B * tempC) / (MAGNUS_C + tempC));
+    return Math.min(1, Math.max(0, ratio));
+}
+
+/**
+ * Humidex (Environment Canada)
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} dewPointF - Dew point (°F)
+ * @returns {number|null} Humidex as a temperature (°F), null below 20 °C
+ */
+export function calculateHumidex(tempF, dewPointF) {
+    if (!isNumber(tempF) || !isNumber(dewPointF) || tempF < HUMIDEX_MIN_F) return null;
+
+    const dewK = fahrenheitToCelsius(dewPointF) + 273.15;
+    const vapourPressure = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / dewK));
+    return celsiusToFahrenheit(fahrenheitToCelsius(tempF) + 0.5555 * (vapourPressure - 10));
+}
+
+/**
+ * Wet-bulb temperature at sea-level pressure (Stull 2011 approximation,
+ * good to about 1 °C between 5% and 99% humidity)
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} humidity - Relative humidity (0-1)
+ * @returns {number|null} Wet-bulb temperature (°F)
+ */
+export function calculateWetBulb(tempF, humidity) {
+    if (!isNumber(tempF) || !isNumber(humidity)) return null;
+
+    const t = fahrenheitToCelsius(tempF);
+    const rh = Math.min(99, Math.max(5, humidity * 100));
+
+    const wetBulbC = t * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+        + Math.atan(t + rh) - Math.atan(rh - 1.676331)
+        + 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh)
+        - 4.686035;
+
+    // Never above the air temperature, whatever the approximation says
+    return Math.min(tempF, celsiusToFahrenheit(wetBulbC));
+}
+
+/**
+ * Estimated base of convective cloud: the spread between temperature and
+ * dew point closes by about 4.4 °F per 1000 ft of lift
+ * @param {number} tempF - Air temperature (°F)
+ * @param {number} dewPointF - Dew point (°F)
+ * @returns {number|null} Cloud base height above ground (ft)
+ */
+export function calculateCloudBase(tempF, dewPointF) {
+    if (!isNumber(tempF) || !isNumber(dewPointF)) return null;
+    return Math.max(0, (tempF - dewPointF) / 4.4 * 1000);
+}
+
+/**
+ * Whether a field on an item was computed here rather than by the provider
+ * @param {Object} item - Current conditions or an hourly item
+ * @param {string} field - Field name
+ * @returns {boolean}
+ */
+export function isDerived(item, field) {
+    return Array.isArray(item?.derived) && item.derived.includes(field);
+}
+
+//==============================================================================
+// 3. PRIVATE FUNCTIONS
+//==============================================================================
+
+/**
+ * Fill the missing derived fields on one item and record which were computed.
+ * Order matters: dew point and humidity feed the metrics after them.
+ * @param {Object} item - Current conditions or an hourly item (updated in place)
+ */
+function deriveItem(item) {
+    if (!item || !isNumber(item.temperature)) return;
+
+    const derived = new Set(item.derived || []);
+    const fill = (field, compute) => {
+        if (isNumber(item[field])) return;
+        const value = compute();
+        if (isNumber(value)) {
+            item[field] = value;
+            derived.add(field);
+        }
+    };
+
+    const t = item.temperature;
+
+    fill('dewPoint', () => calculateDewPoint(t, item.humidity));
+    fill('humidity', () => calculateRelativeHumidity(t, item.dewPoint));
+    fill('heatIndex', () => calculateHeatIndex(t, item.humidity));
+    fill('windChill', () => calculateWindChill(t, item.windSpeed));
+    // Feels like the way the NWS reports it: heat index when hot, wind chill
+    // when cold and windy, the air temperature otherwise
+    fill('apparentTemperature', () => item.heatIndex ?? item.windChill ?? t);
+    fill('humidex', () => calculateHumidex(t, item.dewPoint));
+    fill('wetBulb', () => calculateWetBulb(t, item.humidity));
+    fill('cloudBase', () => calculateCloudBase(t, item.dewPoint));
+
+    if (derived.size > 0) {
+        item.derived = [...derived];
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
+
+function fahrenheitToCelsius(tempF) {
+    return (tempF - 32) * 5 / 9;
+}
+
+function celsiusToFahrenheit(tempC) {
+    return tempC * 9 / 5 + 32;
+}
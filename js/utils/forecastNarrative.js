@@ -0,0 +1,411 @@
+/**
+ * Forecast narratives
+ *
+ * Turns hourly forecast series into NWS-style text, e.g. "Mostly cloudy with
+ * a 40% chance of showers after 2pm. High near 68°. Southwest wind 10 to
+ * 15 mph, gusts to 25." Providers that write their own text (NWS) keep it;
+ * every other source gets generated text for the day, the night and the
+ * whole day.
+ *
+ * Text is built at render time rather than stored, so it always reads in the
+ * user's current units. Days past the end of the hourly data are described
+ * from the daily fields instead.
+ */
+
+import { convertTemperature, convertWindSpeed, getUnitLabel, getUnitPreference } from './units.js';
+import { WEATHER_ICONS } from '../standardWeatherFormat.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+// Local hours bounding the day part; the night runs on to the next morning
+const DAY_START_HOUR = 6;
+const NIGHT_START_HOUR = 18;
+
+// Below this chance precipitation isn't mentioned (NWS does the same)
+const MIN_PRECIP_CHANCE = 20;
+
+// Sky cover wording by mean cloud cover (NWS thresholds, in eighths)
+const SKY_COVER = [
+    { max: 12.5, day: 'Sunny', night: 'Clear' },
+    { max: 37.5, day: 'Mostly sunny', night: 'Mostly clear' },
+    { max: 62.5, day: 'Partly sunny', night: 'Partly cloudy' },
+    { max: 87.5, day: 'Mostly cloudy', night: 'Mostly cloudy' },
+    { max: Infinity, day: 'Cloudy', night: 'Cloudy' }
+];
+
+// Approximate cloud cover of each icon, for sources without a cloudCover field
+const ICON_CLOUD_COVER = {
+    [WEATHER_ICONS.CLEAR_DAY]: 5,
+    [WEATHER_ICONS.CLEAR_NIGHT]: 5,
+    [WEATHER_ICONS.WIND]: 25,
+    [WEATHER_ICONS.PARTLY_CLOUDY_DAY]: 50,
+    [WEATHER_ICONS.PARTLY_CLOUDY_NIGHT]: 50,
+    [WEATHER_ICONS.CLOUDY]: 95,
+    [WEATHER_ICONS.FOG]: 95,
+    [WEATHER_ICONS.RAIN]: 90,
+    [WEATHER_ICONS.SNOW]: 90,
+    [WEATHER_ICONS.SLEET]: 90,
+    [WEATHER_ICONS.THUNDERSTORM]: 80
+};
+
+const WIND_DIRECTIONS = ['North', 'Northeast', 'East', 'Southeast', 'South', 'Southwest', 'West', 'Northwest'];
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Narrative for one forecast day
+ * @param {Object} day - Daily forecast item
+ * @param {Array} hourly - Every hourly item (hourly.data)
+ * @param {string} [timezone] - IANA timezone of the location
+ * @returns {{text: string, parts: Array<{period: string, text: string}>, generated: boolean}}
+ *   text describes the whole day; parts hold the 'day' and 'night' text that exists
+ */
+export function getDayNarrative(day, hourly, timezone) {
+    // Forecaster-written text wins
+    if (day.narrative && (day.narrative.day || day.narrative.night)) {
+        const parts = ['day', 'night']
+            .filter(period => day.narrative[period])
+            .map(period => ({ period, text: day.narrative[period] }));
+        return { text: parts[0].text, parts, generated: false };
+    }
+
+    const hours = Array.isArray(hourly) ? hourly : [];
+    const dayKey = localDateKey(day.time, timezone);
+    // A day's item is stamped at local midnight (or 6 AM for some sources),
+    // so 30 hours on always lands on the next date
+    const nextKey = localDateKey(day.time + 30 * 3600, timezone);
+
+    // Past hours don't describe what's still to come today
+    const nowSec = Date.now() / 1000;
+    const located = hours
+        .filter(hour => hour.time >= nowSec - 1800)
+        .map(item => ({ item, ...localHourInfo(item.time, timezone) }));
+
+    const dayHours = located
+        .filter(h => h.date === dayKey && h.hour >= DAY_START_HOUR && h.hour < NIGHT_START_HOUR)
+        .map(h => h.item);
+    const nightHours = located
+        .filter(h => (h.date === dayKey && h.hour >= NIGHT_START_HOUR) || (h.date === nextKey && h.hour < DAY_START_HOUR))
+        .map(h => h.item);
+    const fullHours = located.filter(h => h.date === dayKey).map(h => h.item);
+
+    const parts = [];
+    if (dayHours.length >= 2) {
+        parts.push({ period: 'day', text: describeHours(dayHours, 'day', timezone, { high: day.temperatureHigh }) });
+    }
+    if (nightHours.length >= 2) {
+        parts.push({ period: 'night', text: describeHours(nightHours, 'night', timezone, {}) });
+    }
+
+    let text;
+    if (fullHours.length >= 2 && dayHours.length >= 2) {
+        text = describeHours(fullHours, 'day', timezone, { high: day.temperatureHigh, low: day.temperatureLow });
+    } else if (parts.length > 0) {
+        // Only the night is left of today
+        text = parts[0].text;
+    } else {
+        // Beyond the hourly data: describe the day from its daily fields
+        text = describeDailyItem(day);
+        parts.push({ period: 'day', text });
+    }
+
+    return { text, parts, generated: true };
+}
+
+//==============================================================================
+// 3. TEXT BUILDERS
+//==============================================================================
+
+/**
+ * Describe a run of hours: sky and precipitation, temperature, then wind
+ * @param {Array} hours - Chronological hourly items
+ * @param {string} period - 'day' or 'night' (sets sky wording and the temperature given)
+ * @param {string} [timezone] - IANA timezone of the location
+ * @param {{high?: number, low?: number}} temps - Daily high/low to prefer over the hourly extremes
+ * @returns {string} Narrative text
+ */
+function describeHours(hours, period, timezone, temps) {
+    const sentences = [];
+
+    const sky = describeSky(meanCloudCover(hours), period);
+    sentences.push(...describePrecipitation(hours, sky, timezone));
+
+    const temperatures = hours.map(h => h.temperature).filter(isNumber);
+    if (temperatures.length > 0) {
+        const high = isNumber(temps.high) ? temps.high : Math.max(...temperatures);
+        const low = isNumber(temps.low) ? temps.low : Math.min(...temperatures);
+        if (period === 'night') {
+            sentences.push(`Low around ${formatDegrees(low)}.`);
+        } else if (isNumber(temps.low)) {
+            sentences.push(`High near ${formatDegrees(high)}, low around ${formatDegrees(low)}.`);
+        } else {
+            sentences.push(`High near ${formatDegrees(high)}.`);
+        }
+    }
+
+    const speeds = hours.map(h => h.windSpeed).filter(isNumber);
+    if (speeds.length > 0) {
+        const gusts = hours.map(h => h.windGust).filter(isNumber);
+        sentences.push(describeWind(
+            Math.min(...speeds),
+            Math.max(...speeds),
+            gusts.length > 0 ? Math.max(...gusts) : null,
+            meanDirection(hours.map(h => h.windDirection))
+        ));
+    }
+
+    return sentences.join(' ');
+}
+
+/**
+ * Describe a day from its daily fields only (no hourly data for it)
+ * @param {Object} day - Daily forecast item
+ * @returns {string} Narrative text
+ */
+function describeDailyItem(day) {
+    const sentences = [];
+
+    const cloudCover = isNumber(day.cloudCover) ? day.cloudCover : ICON_CLOUD_COVER[day.icon];
+    const sky = isNumber(cloudCover) ? describeSky(cloudCover, 'day') : (day.summary || 'Variable clouds');
+
+    const chance = roundChance(day.precipChance);
+    if (chance >= MIN_PRECIP_CHANCE) {
+        const type = precipTypeFromIcons([day.icon], day.temperatureHigh, false);
+        sentences.push(chance >= 60
+            ? `${capitalize(type)} likely. ${sky}. Chance of precipitation is ${chance}%.`
+            : `${sky} with a ${chance}% chance of ${type}.`);
+    } else {
+        sentences.push(`${sky}.`);
+    }
+
+    if (isNumber(day.temperatureHigh) && isNumber(day.temperatureLow)) {
+        sentences.push(`High near ${formatDegrees(day.temperatureHigh)}, low around ${formatDegrees(day.temperatureLow)}.`);
+    }
+
+    if (isNumber(day.windMax)) {
+        sentences.push(describeWind(null, day.windMax, day.windGustsMax ?? null, day.windDirection ?? null));
+    }
+
+    return sentences.join(' ');
+}
+
+/**
+ * Sky and precipitation sentences, e.g. "Mostly cloudy with a 40% chance of
+ * showers after 2pm." or "Rain likely before 11am. Cloudy. Chance of
+ * precipitation is 70%."
+ * @param {Array} hours - Chronological hourly items
+ * @param {string} sky - Sky cover wording
+ * @param {string} [timezone] - IANA timezone of the location
+ * @returns {Array<string>} Sentences
+ */
+function describePrecipitation(hours, sky, timezone) {
+    const chances = hours.map(h => isNumber(h.precipChance) ? h.precipChance : 0);
+    const chance = roundChance(Math.max(...chances));
+    if (chance < MIN_PRECIP_CHANCE) return [`${sky}.`];
+
+    // Hours close to the peak chance set the type and timing
+    const threshold = Math.max(MIN_PRECIP_CHANCE, chance * 0.6);
+    const wetIndexes = chances.map((c, i) => c >= threshold ? i : -1).filter(i => i >= 0);
+    const wetHours = wetIndexes.map(i => hours[i]);
+
+    const intermittent = wetHours.length < hours.length / 2;
+    const temperatures = wetHours.map(h => h.temperature).filter(isNumber);
+    const type = precipTypeFromIcons(
+        wetHours.map(h => h.icon),
+        temperatures.length > 0 ? Math.min(...temperatures) : null,
+        intermittent
+    );
+    const timing = describeTiming(hours, wetIndexes[0], wetIndexes[wetIndexes.length - 1], timezone);
+
+    if (chance < 60) {
+        return [`${sky} with a ${chance}% chance of ${type}${timing}.`];
+    }
+
+    const lead = chance < 80 ? `${capitalize(type)} likely${timing}.` : `${capitalize(type)}${timing}.`;
+    return [lead, `${sky}.`, `Chance of precipitation is ${chance}%.`];
+}
+
+/**
+ * When precipitation falls within the hours, as " after 2pm",
+ * " before 11am", " between 2pm and 5pm", or '' for all of it
+ * @param {Array} hours - Chronological hourly items
+ * @param {number} first - Index of the first wet hour
+ * @param {number} last - Index of the last wet hour
+ * @param {string} [timezone] - IANA timezone of the location
+ * @returns {string}
+ */
+function describeTiming(hours, first, last, timezone) {
+    // Spacing of the series (hourly, or 3-hourly for some sources)
+    const step = hours.length > 1 ? hours[1].time - hours[0].time : 3600;
+    const startsLate = hours[first].time - hours[0].time >= 2 * 3600;
+    const endsEarly = hours[hours.length - 1].time - hours[last].time >= 2 * 3600;
+    const endTime = hours[last].time + step;
+
+    if (startsLate && endsEarly) {
+        return ` between ${formatClock(hours[first].time, timezone)} and ${formatClock(endTime, timezone)}`;
+    }
+    if (startsLate) return ` after ${formatClock(hours[first].time, timezone)}`;
+    if (endsEarly) return ` before ${formatClock(endTime, timezone)}`;
+    return '';
+}
+
+/**
+ * Wind sentence, e.g. "Southwest wind 10 to 15 mph, gusts to 25."
+ * @param {number|null} minMph - Lowest speed (null when only a maximum is known)
+ * @param {number} maxMph - Highest speed
+ * @param {number|null} gustMph - Highest gust
+ * @param {number|null} direction - Prevailing direction in degrees
+ * @returns {string}
+ */
+function describeWind(minMph, maxMph, gustMph, direction) {
+    if (maxMph < 5) return 'Light wind.';
+
+    const lead = isNumber(direction)
+        ? `${WIND_DIRECTIONS[Math.round(direction / 45) % 8]} wind`
+        : 'Wind';
+
+    const low = minMph !== null ? windValue(minMph) : null;
+    const high = windValue(maxMph);
+
+    let speed;
+    if (low === null) {
+        speed = `up to ${high}`;
+    } else if (low === high) {
+        speed = `around ${high}`;
+    } else {
+        speed = `${low} to ${high}`;
+    }
+
+    const beaufort = getUnitPreference('wind') === 'bft';
+    let text = beaufort
+        ? `${lead} ${speed.replace(/(\d+)/, 'force $1')}`
+        : `${lead} ${speed} ${getUnitLabel('wind')}`;
+
+    // Only worth mentioning when gusts clearly top the sustained wind
+    if (isNumber(gustMph) && gustMph >= 20 && gustMph >= maxMph + 5) {
+        text += `, gusts to ${beaufort ? 'force ' : ''}${windValue(gustMph)}`;
+    }
+
+    return `${text}.`;
+}
+
+//==============================================================================
+// 4. HELPERS
+//==============================================================================
+
+function describeSky(cloudCover, period) {
+    const level = SKY_COVER.find(entry => cloudCover < entry.max) || SKY_COVER[SKY_COVER.length - 1];
+    return level[period === 'night' ? 'night' : 'day'];
+}
+
+/**
+ * Mean cloud cover of the hours, from cloudCover or else from their icons
+ * @returns {number} 0-100
+ */
+function meanCloudCover(hours) {
+    const values = hours.map(h => isNumber(h.cloudCover) ? h.cloudCover : ICON_CLOUD_COVER[h.icon])
+        .filter(isNumber);
+    if (values.length === 0) return 50;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Precipitation wording from the icons of the wet hours
+ * @param {Array<string>} icons - Icons of the wet hours
+ * @param {number|null} tempF - Coldest wet-hour temperature, for icon-less sources
+ * @param {boolean} intermittent - Whether precipitation comes and goes (showers)
+ * @returns {string} e.g. 'showers', 'rain and snow', 'showers and thunderstorms'
+ */
+function precipTypeFromIcons(icons, tempF, intermittent) {
+    if (icons.includes(WEATHER_ICONS.THUNDERSTORM)) return 'showers and thunderstorms';
+
+    const snow = icons.includes(WEATHER_ICONS.SNOW);
+    const sleet = icons.includes(WEATHER_ICONS.SLEET);
+    const rain = icons.includes(WEATHER_ICONS.RAIN);
+
+    if (snow && rain) return 'rain and snow';
+    if (sleet) return 'sleet';
+    if (snow || (!rain && isNumber(tempF) && tempF <= 33)) return intermittent ? 'snow showers' : 'snow';
+    return intermittent ? 'showers' : 'rain';
+}
+
+/**
+ * Prevailing direction as the mean of unit vectors (so 350° and 10° give 0°)
+ * @param {Array} directions - Directions in degrees (non-numbers ignored)
+ * @returns {number|null}
+ */
+function meanDirection(directions) {
+    const valid = directions.filter(isNumber);
+    if (valid.length === 0) return null;
+
+    const x = valid.reduce((sum, d) => sum + Math.sin(d * Math.PI / 180), 0);
+    const y = valid.reduce((sum, d) => sum + Math.cos(d * Math.PI / 180), 0);
+    return (Math.atan2(x, y) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * A wind speed in display units, rounded the way forecasts quote it
+ * (to 5 in mph, km/h and knots)
+ */
+function windValue(mph) {
+    const value = convertWindSpeed(mph);
+    const unit = getUnitPreference('wind');
+    if (unit === 'bft' || unit === 'ms') return Math.round(value);
+    return Math.max(5, Math.round(value / 5) * 5);
+}
+
+function roundChance(chance) {
+    return isNumber(chance) ? Math.round(chance / 10) * 10 : 0;
+}
+
+function formatDegrees(tempF) {
+    return `${Math.round(convertTemperature(tempF))}°`;
+}
+
+/**
+ * Forecast-style clock time: "2pm", "noon", "midnight"
+ */
+function formatClock(unixSeconds, timezone) {
+    const { hour } = localHourInfo(unixSeconds, timezone);
+    if (hour === 0) return 'midnight';
+    if (hour === 12) return 'noon';
+    return `${hour % 12}${hour < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * Local date (YYYY-MM-DD) and hour (0-23) of a timestamp at the location
+ */
+function localHourInfo(unixSeconds, timezone) {
+    const opts = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23' };
+    if (timezone && timezone !== 'auto') opts.timeZone = timezone;
+
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-CA', opts).formatToParts(new Date(unixSeconds * 1000));
+    } catch (e) {
+        delete opts.timeZone;
+        parts = new Intl.DateTimeFormat('en-CA', opts).formatToParts(new Date(unixSeconds * 1000));
+    }
+
+    const get = type => parts.find(p => p.type === type)?.value;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        hour: parseInt(get('hour'), 10) % 24
+    };
+}
+
+function localDateKey(unixSeconds, timezone) {
+    return localHourInfo(unixSeconds, timezone).date;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
@@ -0,0 +1,410 @@
+/**
+ * Forecast Verification Log
+ *
+ * Keeps the forecasts each provider issued for a location (hourly
+ * temperature and precipitation chance for the next 48 hours, and the next
+ * day's high and low) in IndexedDB, together with what was actually observed,
+ * and scores every provider by mean absolute error (MAE) and bias per
+ * variable and lead time.
+ *
+ * Observations come from NWS station readings where available. Elsewhere the
+ * later analyses of the providers themselves stand in: their current
+ * conditions and the already-past hours at the start of their hourly series.
+ * A station reading is never replaced by an analysis. Analyses are kept per
+ * provider, and a provider is never scored against its own.
+ *
+ * Observations only arrive while the app is in use, one hour per refresh for
+ * station readings, so a day's observed high and low come from whatever
+ * hours were caught (see MIN_HOURS_PER_DAY).
+ *
+ * Logs live in the shared IndexedDB key-value store (see idb.js).
+ */
+
+import { warn } from './logger.js';
+import { idbGet, idbSet, idbDeleteByPrefix } from './idb.js';
+import { getFixtureMode } from './network.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const LOG_KEY_PREFIX = 'verification:';
+
+// Coordinates are rounded to this many decimals (~1.1 km at 2 decimals)
+const COORD_PRECISION = 2;
+
+// At most one logged forecast per provider and location in this window, so
+// auto-refreshes don't flood the log with near-identical forecasts
+const ISSUE_INTERVAL = 3 * 60 * 60 * 1000;
+
+// Hourly forecasts are logged this far ahead
+const HOURLY_LEAD_HOURS = 48;
+
+// Forecasts and observations older than this are pruned (scoring window plus
+// the longest lead time)
+const RETENTION = 32 * 24 * 60 * 60 * 1000;
+
+// Default scoring window
+export const VERIFICATION_DAYS = 30;
+
+// Current conditions count as the observation for the nearest forecast hour
+// when this close to it (seconds)
+const OBSERVATION_SNAP = 20 * 60;
+
+// A day's high and low count once this many hours were observed, including
+// at least one in each window below (local hours), when the low and the high
+// usually occur. Days seen only in passing read the high a little low and the
+// low a little high, but requiring most of the day would mean few are ever scored.
+const MIN_HOURS_PER_DAY = 6;
+const LOW_HOURS = { start: 3, end: 9 };
+const HIGH_HOURS = { start: 12, end: 18 };
+
+// Hourly precipitation from this amount (mm) counts as "it rained"
+const MEASURABLE_PRECIP_MM = 0.1;
+
+const PRECIP_ICONS = ['rain', 'snow', 'sleet', 'thunderstorm'];
+
+// Lead time buckets for hourly forecasts, in hours
+const LEAD_BUCKETS = [
+    { label: '0–6 h', min: 0, max: 6 },
+    { label: '6–12 h', min: 6, max: 12 },
+    { label: '12–24 h', min: 12, max: 24 },
+    { label: '24–48 h', min: 24, max: Infinity }
+];
+
+// Writes are read-modify-write on one entry per location, so run them in order
+let writeQueue = Promise.resolve();
+
+//==============================================================================
+// 2. PUBLIC API
+//==============================================================================
+
+/**
+ * Log a freshly fetched forecast and the observations it carries.
+ * Never throws; failures only cost a log entry.
+ * @param {string} providerId - Provider that issued the forecast
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} weatherData - Standardized weather data
+ * @returns {Promise<void>}
+ */
+export function recordForecast(providerId, lat, lon, weatherData) {
+    if (typeof indexedDB === 'undefined' || !providerId || !weatherData) return Promise.resolve();
+
+    // Replayed forecasts were issued long ago and would skew the scores
+    if (getFixtureMode() === 'replay') return Promise.resolve();
+
+    writeQueue = writeQueue
+        .then(() => updateLog(providerId, lat, lon, weatherData))
+        .catch(error => warn('Error writing forecast verification log:', error));
+    return writeQueue;
+}
+
+/**
+ * Score every provider logged for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} [days=VERIFICATION_DAYS] - Only forecasts valid in the last this many days
+ * @returns {Promise<Array>} One entry per provider, most accurate first:
+ *   { providerId, forecasts, variables: { temperature, precipChance, high, low } }
+ *   where each variable is { mae, bias, count, byLead: [{label, mae, bias, count}] }
+ *   in °F (percentage points for precipChance), or null without verified samples
+ */
+export async function getAccuracyScores(lat, lon, days = VERIFICATION_DAYS) {
+    if (typeof indexedDB === 'undefined') return [];
+
+    let entry;
+    try {
+        entry = await idbGet(getLogKey(lat, lon));
+    } catch (error) {
+        warn('Error reading forecast verification log:', error);
+        return [];
+    }
+    if (!entry) return [];
+
+    const nowSec = Date.now() / 1000;
+    const sinceSec = nowSec - days * 24 * 3600;
+
+    const byProvider = new Map();
+    entry.issues.forEach(issue => {
+        if (!byProvider.has(issue.providerId)) {
+            byProvider.set(issue.providerId, {
+                providerId: issue.providerId,
+                forecasts: 0,
+                observedDays: summarizeObservedDays(entry.observations, entry.timezone, issue.providerId),
+                errors: { temperature: [], precipChance: [], high: [], low: [] }
+            });
+        }
+        const scores = byProvider.get(issue.providerId);
+        scores.forecasts++;
+
+        const issuedSec = issue.issuedAt / 1000;
+        issue.hourly.forEach(([time, temperature, precipChance]) => {
+            if (time < sinceSec || time > nowSec) return;
+            const observed = observationFor(entry.observations[time], issue.providerId);
+            if (!observed) return;
+
+            const leadHours = (time - issuedSec) / 3600;
+            if (isNumber(temperature) && isNumber(observed.temperature)) {
+                scores.errors.temperature.push({ error: temperature - observed.temperature, leadHours });
+            }
+            if (isNumber(precipChance) && typeof observed.precip === 'boolean') {
+                scores.errors.precipChance.push({ error: precipChance - (observed.precip ? 100 : 0), leadHours });
+            }
+        });
+
+        const observedDay = issue.day && scores.observedDays.get(issue.day.key);
+        if (observedDay && observedDay.time >= sinceSec) {
+            if (isNumber(issue.day.high)) scores.errors.high.push({ error: issue.day.high - observedDay.high });
+            if (isNumber(issue.day.low)) scores.errors.low.push({ error: issue.day.low - observedDay.low });
+        }
+    });
+
+    const results = [...byProvider.values()].map(({ providerId, forecasts, errors }) => ({
+        providerId,
+        forecasts,
+        variables: {
+            temperature: summarizeErrors(errors.temperature, true),
+            precipChance: summarizeErrors(errors.precipChance, true),
+            high: summarizeErrors(errors.high, false),
+            low: summarizeErrors(errors.low, false)
+        }
+    }));
+
+    // Hourly temperature has by far the most samples, so it decides the ranking
+    const rank = result => result.variables.temperature?.mae ?? Infinity;
+    return results.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Delete the whole verification log
+ * @returns {Promise<void>}
+ */
+export async function clearVerificationLog() {
+    if (typeof indexedDB === 'undefined') return;
+
+    try {
+        await idbDeleteByPrefix(LOG_KEY_PREFIX);
+    } catch (error) {
+        warn('Error clearing forecast verification log:', error);
+    }
+}
+
+//==============================================================================
+// 3. PRIVATE FUNCTIONS
+//==============================================================================
+
+function getLogKey(lat, lon) {
+    const roundedLat = parseFloat(lat).toFixed(COORD_PRECISION);
+    const roundedLon = parseFloat(lon).toFixed(COORD_PRECISION);
+    return `${LOG_KEY_PREFIX}${roundedLat},${roundedLon}`;
+}
+
+/**
+ * Add one forecast issue and its observations to a location's log
+ */
+async function updateLog(providerId, lat, lon, weatherData) {
+    const key = getLogKey(lat, lon);
+    const entry = await idbGet(key) || { timezone: null, issues: [], observations: {} };
+    const now = Date.now();
+    const timezone = weatherData.timezone && weatherData.timezone !== 'auto' ? weatherData.timezone : entry.timezone;
+    entry.timezone = timezone;
+
+    recordObservations(entry.observations, providerId, weatherData, now);
+
+    const lastIssue = entry.issues.filter(issue => issue.providerId === providerId)
+        .reduce((latest, issue) => Math.max(latest, issue.issuedAt), 0);
+    if (now - lastIssue >= ISSUE_INTERVAL) {
+        const issue = buildIssue(providerId, weatherData, timezone, now);
+        if (issue.hourly.length > 0 || issue.day) entry.issues.push(issue);
+    }
+
+    // Prune what has aged out of the scoring window
+    const cutoff = now - RETENTION;
+    entry.issues = entry.issues.filter(issue => issue.issuedAt >= cutoff);
+    Object.keys(entry.observations).forEach(time => {
+        if (time * 1000 < cutoff) delete entry.observations[time];
+    });
+
+    await idbSet(key, entry);
+}
+
+/**
+ * The forecast part of the data: future hours and the next day's high/low
+ */
+function buildIssue(providerId, weatherData, timezone, now) {
+    const nowSec = now / 1000;
+    const endSec = nowSec + HOURLY_LEAD_HOURS * 3600;
+
+    const hourly = (weatherData.hourly?.data || [])
+        .filter(hour => hour.time > nowSec && hour.time <= endSec)
+        .map(hour => [hour.time, numberOrNull(hour.temperature), numberOrNull(hour.precipChance)]);
+
+    const todayKey = dayKey(nowSec, timezone);
+    const nextDay = (weatherData.daily?.data || []).find(day => dayKey(day.time, timezone) > todayKey);
+    const day = nextDay
+        ? { key: dayKey(nextDay.time, timezone), high: numberOrNull(nextDay.temperatureHigh), low: numberOrNull(nextDay.temperatureLow) }
+        : null;
+
+    return { providerId, issuedAt: now, hourly, day };
+}
+
+/**
+ * Store the observed temperature and precipitation for the hours the data
+ * covers: the current conditions and any hours already past. Hours are keyed
+ * by the provider's own hourly timestamps, which sit on the half hour in some
+ * timezones. A station reading replaces the hour; an analysis is added under
+ * the provider that made it, as { source: 'analysis', analyses: { [id]: ... } }.
+ */
+function recordObservations(observations, providerId, weatherData, now) {
+    const nowSec = now / 1000;
+    const set = (time, observation) => {
+        const existing = observations[time];
+        if (observation.source === 'station') {
+            observations[time] = observation;
+            return;
+        }
+        if (existing?.source === 'station') return;
+
+        // Entries logged before analyses were kept per provider have none to keep
+        const analyses = existing?.analyses || {};
+        analyses[providerId] = { temperature: observation.temperature, precip: observation.precip };
+        observations[time] = { source: 'analysis', analyses };
+    };
+
+    const hours = weatherData.hourly?.data || [];
+    const current = weatherData.currently;
+    if (current && isNumber(current.temperature)) {
+        // NWS and airport (METAR) current conditions are station readings with their own timestamp
+        const observedAt = weatherData.stationInfo?.observationTime;
+        const timeSec = observedAt ? Date.parse(observedAt) / 1000 : nowSec;
+        const nearest = hours.reduce((best, hour) =>
+            !best || Math.abs(hour.time - timeSec) < Math.abs(best.time - timeSec) ? hour : best, null);
+        const hour = nearest ? nearest.time : Math.round(timeSec / 3600) * 3600;
+        if (Math.abs(timeSec - hour) <= OBSERVATION_SNAP) {
+            set(hour, {
+                temperature: current.temperature,
+                precip: isNumber(current.precipIntensity)
+                    ? current.precipIntensity >= MEASURABLE_PRECIP_MM
+                    : PRECIP_ICONS.includes(current.icon),
+                source: observedAt ? 'station' : 'analysis'
+            });
+        }
+    }
+
+    // Series that start at local midnight (Open-Meteo) carry today's past hours
+    hours.forEach(hour => {
+        if (hour.time >= nowSec - 1800 || hour.time < nowSec - 24 * 3600) return;
+        if (!isNumber(hour.temperature)) return;
+        set(hour.time, {
+            temperature: hour.temperature,
+            precip: isNumber(hour.precipIntensity) ? hour.precipIntensity >= MEASURABLE_PRECIP_MM : null,
+            source: 'analysis'
+        });
+    });
+}
+
+/**
+ * The observation a provider is scored against for one hour: the station
+ * reading, or else another provider's analysis
+ * @param {Object} [entry] - Logged observation for the hour
+ * @param {string} providerId - Provider being scored
+ * @returns {Object|null} { temperature, precip }, or null if only the provider's own analysis exists
+ */
+function observationFor(entry, providerId) {
+    if (!entry) return null;
+    if (!entry.analyses) return entry;
+
+    const otherId = Object.keys(entry.analyses).find(id => id !== providerId);
+    return otherId ? entry.analyses[otherId] : null;
+}
+
+/**
+ * Observed high and low per local date, for dates observed well enough
+ * (see MIN_HOURS_PER_DAY), as seen when scoring one provider
+ * @returns {Map<string, {time: number, high: number, low: number}>}
+ */
+function summarizeObservedDays(observations, timezone, providerId) {
+    const byDay = new Map();
+    Object.entries(observations).forEach(([time, entry]) => {
+        const observation = observationFor(entry, providerId);
+        if (!observation || !isNumber(observation.temperature)) return;
+        const key = dayKey(Number(time), timezone);
+        if (!byDay.has(key)) byDay.set(key, { time: Number(time), temperatures: [], hours: [] });
+        const day = byDay.get(key);
+        day.time = Math.max(day.time, Number(time));
+        day.temperatures.push(observation.temperature);
+        day.hours.push(localHour(Number(time), timezone));
+    });
+
+    const inWindow = (hours, window) => hours.some(hour => hour >= window.start && hour < window.end);
+
+    const days = new Map();
+    byDay.forEach((day, key) => {
+        if (day.temperatures.length < MIN_HOURS_PER_DAY) return;
+        if (!inWindow(day.hours, LOW_HOURS) || !inWindow(day.hours, HIGH_HOURS)) return;
+        days.set(key, { time: day.time, high: Math.max(...day.temperatures), low: Math.min(...day.temperatures) });
+    });
+    return days;
+}
+
+/**
+ * MAE and bias of a list of errors, optionally broken down by lead time
+ * @param {Array<{error: number, leadHours?: number}>} samples
+ * @param {boolean} withLeads - Also summarize per LEAD_BUCKETS entry
+ */
+function summarizeErrors(samples, withLeads) {
+    if (samples.length === 0) return null;
+
+    const stats = list => ({
+        mae: list.reduce((sum, s) => sum + Math.abs(s.error), 0) / list.length,
+        bias: list.reduce((sum, s) => sum + s.error, 0) / list.length,
+        count: list.length
+    });
+
+    const summary = stats(samples);
+    summary.byLead = !withLeads ? [] : LEAD_BUCKETS
+        .map(bucket => ({
+            label: bucket.label,
+            samples: samples.filter(s => s.leadHours >= bucket.min && s.leadHours < bucket.max)
+        }))
+        .filter(bucket => bucket.samples.length > 0)
+        .map(bucket => ({ label: bucket.label, ...stats(bucket.samples) }));
+    return summary;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of a timestamp
+ */
+function dayKey(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    if (timezone) opts.timeZone = timezone;
+    try {
+        return date.toLocaleDateString('en-CA', opts);
+    } catch (e) {
+        return date.toLocaleDateString('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit' });
+    }
+}
+
+/**
+ * Local hour (0-23) of a timestamp
+ */
+function localHour(unixSeconds, timezone) {
+    const date = new Date(unixSeconds * 1000);
+    const opts = { hour: 'numeric', hourCycle: 'h23' };
+    if (timezone) opts.timeZone = timezone;
+    try {
+        return parseInt(date.toLocaleString('en-US', opts), 10);
+    } catch (e) {
+        return date.getHours();
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
+
+function numberOrNull(value) {
+    return isNumber(value) ? value : null;
+}
@@ -4,6 +4,8 @@
  * Utility functions for formatting text, dates, and other display values
  */
 
+import { formatTemperature } from './units.js';
+
 //==============================================================================
 // 1. DATE FORMATTING
 //==============================================================================
@@ -62,12 +64,12 @@ export function formatLocationName(locationName) {
 
 /**
  * Update page title with weather info
- * @param {number} temperature - Current temperature
+ * @param {number} temperature - Current temperature (°F)
  * @param {string} location - Location name
  */
 export function updatePageTitle(temperature, location) {
     try {
-        document.title = `${Math.round(temperature)}°F | ${location} | Variable Weather`;
+        document.title = `${formatTemperature(temperature)} | ${location} | Variable Weather`;
     } catch (error) {
         console.error('Error updating page title:', error);
         document.title = 'Variable Weather';
@@ -171,4 +173,21 @@ function calculateTimeFromLongitude(lon) {
     const period = isPM ? 'PM' : 'AM';
     
     return `${hours12}:${minutesStr} ${period}`;
-}
\ No newline at end of file
+}
+//==============================================================================
+// 5. HTML
+//==============================================================================
+
+/**
+ * Escape text for use in HTML content or a quoted attribute value
+ * @param {*} s - Text to escape (converted to a string)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(s) {
+    return String(s)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,108 @@
+/**
+ * IndexedDB key-value storage
+ *
+ * The app keeps everything that outgrows localStorage, or that the service
+ * worker also needs, in one 'kv' object store of the 'variable-weather'
+ * database: the forecast cache, forecast verification logs, network
+ * recordings and alert notification state. The connection is opened once
+ * and shared, and reopened if the browser closes it.
+ *
+ * sw.js is a classic worker and can't import this module, so it keeps its
+ * own helpers for the same store.
+ */
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const IDB_NAME = 'variable-weather';
+const IDB_VERSION = 1;
+const IDB_STORE = 'kv';
+
+let dbPromise = null;
+
+//==============================================================================
+// 2. PUBLIC API
+//==============================================================================
+
+/**
+ * Read a value
+ * @param {string} key - Key
+ * @returns {Promise<*>} The stored value, or null if there is none
+ */
+export async function idbGet(key) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(IDB_STORE, 'readonly');
+        const req = tx.objectStore(IDB_STORE).get(key);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Store a value, replacing any existing one
+ * @param {string} key - Key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export async function idbSet(key, value) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(IDB_STORE, 'readwrite');
+        tx.objectStore(IDB_STORE).put(value, key);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Delete every value whose key starts with a prefix
+ * @param {string} prefix - Key prefix (e.g. 'forecast:')
+ * @returns {Promise<void>}
+ */
+export async function idbDeleteByPrefix(prefix) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(IDB_STORE, 'readwrite');
+        const store = tx.objectStore(IDB_STORE);
+        const req = store.getAllKeys();
+        req.onsuccess = () => {
+            req.result
+                .filter(key => typeof key === 'string' && key.startsWith(prefix))
+                .forEach(key => store.delete(key));
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+//==============================================================================
+// 3. HELPER FUNCTIONS
+//==============================================================================
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+        req.onsuccess = () => {
+            const db = req.result;
+            // Let a newer version of the app (another tab, an update) upgrade
+            // the database, and open a fresh connection next time
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            db.onclose = () => { dbPromise = null; };
+            resolve(db);
+        };
+        req.onerror = () => {
+            dbPromise = null;
+            reject(req.error);
+        };
+    });
+
+    return dbPromise;
+}
@@ -0,0 +1,699 @@
+/**
+ * METAR and TAF decoder
+ *
+ * Turns raw aviation reports into structured observations and forecasts:
+ * wind, visibility, weather phenomena, cloud layers and ceiling,
+ * temperature/dew point and altimeter. Values stay in the units the report
+ * uses (knots, feet, °C, hPa) with visibility in statute miles; the text
+ * helpers describe a report in plain English.
+ *
+ * Pure string handling with no network or DOM access, so recorded reports
+ * decode the same offline, e.g.
+ *   parseMetar('EGLL 121150Z 24012G22KT 9999 -SHRA FEW018CB SCT025 12/08 Q1009',
+ *       new Date('2024-03-12T12:00:00Z'))
+ */
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const KMH_TO_KT = 0.539957;
+const MPS_TO_KT = 1.943844;
+const METERS_PER_MILE = 1609.344;
+const INHG_TO_HPA = 33.8639;
+
+const WEATHER_INTENSITY = {
+    '-': 'light',
+    '+': 'heavy'
+};
+
+const WEATHER_DESCRIPTORS = {
+    MI: 'shallow',
+    PR: 'partial',
+    BC: 'patches of',
+    DR: 'low drifting',
+    BL: 'blowing',
+    SH: 'showers',
+    TS: 'thunderstorm',
+    FZ: 'freezing'
+};
+
+const WEATHER_PHENOMENA = {
+    DZ: 'drizzle',
+    RA: 'rain',
+    SN: 'snow',
+    SG: 'snow grains',
+    IC: 'ice crystals',
+    PL: 'ice pellets',
+    GR: 'hail',
+    GS: 'small hail',
+    UP: 'unknown precipitation',
+    BR: 'mist',
+    FG: 'fog',
+    FU: 'smoke',
+    VA: 'volcanic ash',
+    DU: 'dust',
+    SA: 'sand',
+    HZ: 'haze',
+    PY: 'spray',
+    PO: 'dust whirls',
+    SQ: 'squalls',
+    FC: 'funnel cloud',
+    SS: 'sandstorm',
+    DS: 'duststorm'
+};
+
+const CLOUD_COVER = {
+    FEW: 'few',
+    SCT: 'scattered',
+    BKN: 'broken',
+    OVC: 'overcast',
+    VV: 'vertical visibility'
+};
+
+const CLOUD_TYPES = {
+    CB: 'cumulonimbus',
+    TCU: 'towering cumulus'
+};
+
+// Layers that count as a ceiling
+const CEILING_COVERS = ['BKN', 'OVC', 'VV'];
+
+const PATTERNS = {
+    station: /^[A-Z][A-Z0-9]{3}$/,
+    time: /^(\d{2})(\d{2})(\d{2})Z$/,
+    wind: /^(\d{3}|VRB|\/\/\/)(\d{2,3}|\/\/)(?:G(\d{2,3}))?(KT|MPS|KMH)$/,
+    windVariation: /^(\d{3})V(\d{3})$/,
+    visibilityMeters: /^(\d{4})(?:NDV)?$/,
+    visibilityMiles: /^([PM])?(\d+)?(?:(\d)\/(\d{1,2}))?SM$/,
+    wholeMiles: /^\d$/,
+    directionalVisibility: /^\d{4}[NSEW]{1,2}$/,
+    runwayVisualRange: /^R\d{2}[LCR]?\//,
+    weather: /^(-|\+|VC)?(MI|PR|BC|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/,
+    clouds: /^(FEW|SCT|BKN|OVC|VV)(\d{3}|\/\/\/)(CB|TCU|\/\/\/)?$/,
+    clear: /^(SKC|CLR|NSC|NCD)$/,
+    temperature: /^(M?\d{2})\/(?:(M?\d{2})|\/\/)?$/,
+    altimeterInches: /^A(\d{4})$/,
+    altimeterHpa: /^Q(\d{4})$/,
+    preciseTemperature: /^T([01])(\d{3})(?:([01])(\d{3}))?$/,
+    validPeriod: /^(\d{2})(\d{2})\/(\d{2})(\d{2})$/,
+    from: /^FM(\d{2})(\d{2})(\d{2})$/,
+    probability: /^PROB(\d{2})$/
+};
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Decode a METAR or SPECI report
+ * @param {string} raw - Raw report
+ * @param {Date} [referenceDate=new Date()] - A time shortly after the report,
+ *   used to fill in the month and year the report leaves out
+ * @returns {Object|null} Decoded report, or null if it isn't a METAR or is
+ *   a NIL (missing) report:
+ *   { raw, type, station, time (ISO string), auto, wind, visibility, cavok,
+ *     weather, clouds, clear, ceiling, temperature, dewPoint, altimeter, trend, remarks }
+ */
+export function parseMetar(raw, referenceDate = new Date()) {
+    if (typeof raw !== 'string') return null;
+
+    const tokens = tokenize(raw);
+    let type = 'METAR';
+    if (tokens[0] === 'METAR' || tokens[0] === 'SPECI') type = tokens.shift();
+    if (tokens[0] === 'COR') tokens.shift();
+
+    const station = tokens.shift();
+    if (!station || !PATTERNS.station.test(station)) return null;
+
+    const report = {
+        raw: raw.trim().replace(/\s+/g, ' '),
+        type,
+        station,
+        time: null,
+        auto: false,
+        wind: null,
+        visibility: null,
+        cavok: false,
+        weather: [],
+        clouds: [],
+        clear: false,
+        ceiling: null,
+        temperature: null,
+        dewPoint: null,
+        altimeter: null,
+        trend: null,
+        remarks: null
+    };
+
+    const timeMatch = PATTERNS.time.exec(tokens[0] || '');
+    if (timeMatch) {
+        tokens.shift();
+        report.time = resolveDayTime(+timeMatch[1], +timeMatch[2], +timeMatch[3], referenceDate).toISOString();
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token === 'RMK') {
+            report.remarks = tokens.slice(i + 1).join(' ') || null;
+            applyRemarks(report, tokens.slice(i + 1));
+            break;
+        }
+        if (token === 'TEMPO' || token === 'BECMG' || token === 'NOSIG') {
+            // Trend forecast up to the remarks
+            const end = tokens.indexOf('RMK', i);
+            report.trend = tokens.slice(i, end === -1 ? undefined : end).join(' ');
+            if (end === -1) break;
+            i = end - 1;
+            continue;
+        }
+        if (token === 'AUTO') {
+            report.auto = true;
+            continue;
+        }
+        // "KXYZ 121156Z NIL": the station sent nothing
+        if (token === 'NIL') return null;
+        if (token === 'COR') continue;
+
+        // "1 1/2SM" spreads one visibility over two tokens
+        if (PATTERNS.wholeMiles.test(token) && /^\d\/\d{1,2}SM$/.test(tokens[i + 1] || '')) {
+            report.visibility = parseVisibility(`${token} ${tokens[i + 1]}`);
+            i++;
+            continue;
+        }
+
+        parseCommonGroup(report, token) || parseMetarGroup(report, token);
+    }
+
+    report.ceiling = findCeiling(report.clouds);
+    return report;
+}
+
+/**
+ * Decode a TAF into its base forecast and change periods
+ * @param {string} raw - Raw forecast
+ * @param {Date} [referenceDate=new Date()] - A time shortly after issue
+ * @returns {Object|null} Decoded forecast, or null if it isn't a TAF:
+ *   { raw, station, issued, validFrom, validTo, periods: [{ change, probability,
+ *     from, to, wind, visibility, cavok, weather, clouds, ceiling }] }
+ *   where change is 'BASE', 'FM', 'BECMG' or 'TEMPO' and times are ISO strings
+ */
+export function parseTaf(raw, referenceDate = new Date()) {
+    if (typeof raw !== 'string') return null;
+
+    const tokens = tokenize(raw);
+    if (tokens[0] === 'TAF') tokens.shift();
+    while (tokens[0] === 'AMD' || tokens[0] === 'COR') tokens.shift();
+
+    const station = tokens.shift();
+    if (!station || !PATTERNS.station.test(station)) return null;
+
+    const forecast = {
+        raw: raw.trim().replace(/\s+/g, ' '),
+        station,
+        issued: null,
+        validFrom: null,
+        validTo: null,
+        periods: []
+    };
+
+    let reference = referenceDate;
+    const issuedMatch = PATTERNS.time.exec(tokens[0] || '');
+    if (issuedMatch) {
+        tokens.shift();
+        reference = resolveDayTime(+issuedMatch[1], +issuedMatch[2], +issuedMatch[3], referenceDate);
+        forecast.issued = reference.toISOString();
+    }
+
+    const validMatch = PATTERNS.validPeriod.exec(tokens[0] || '');
+    if (validMatch) {
+        tokens.shift();
+        const { from, to } = resolvePeriod(validMatch, reference);
+        forecast.validFrom = from;
+        forecast.validTo = to;
+    }
+
+    let period = createPeriod('BASE', forecast.validFrom, forecast.validTo);
+    const startPeriod = (change, from, to, probability = null) => {
+        finishPeriod(forecast, period);
+        period = createPeriod(change, from, to, probability);
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token === 'RMK') break;
+
+        const fromMatch = PATTERNS.from.exec(token);
+        if (fromMatch) {
+            startPeriod('FM', resolveDayTime(+fromMatch[1], +fromMatch[2], +fromMatch[3], reference).toISOString(), forecast.validTo);
+            continue;
+        }
+
+        const probabilityMatch = PATTERNS.probability.exec(token);
+        if (token === 'BECMG' || token === 'TEMPO' || probabilityMatch) {
+            let change = probabilityMatch ? 'TEMPO' : token;
+            const probability = probabilityMatch ? +probabilityMatch[1] : null;
+            // "PROB30 TEMPO 1302/1306"
+            if (probabilityMatch && tokens[i + 1] === 'TEMPO') i++;
+            if (token === 'BECMG') change = 'BECMG';
+
+            const periodMatch = PATTERNS.validPeriod.exec(tokens[i + 1] || '');
+            const { from, to } = periodMatch ? resolvePeriod(periodMatch, reference) : { from: null, to: null };
+            if (periodMatch) i++;
+            startPeriod(change, from, to, probability);
+            continue;
+        }
+
+        if (token === 'NSW') {
+            period.noSignificantWeather = true;
+            continue;
+        }
+
+        if (PATTERNS.wholeMiles.test(token) && /^\d\/\d{1,2}SM$/.test(tokens[i + 1] || '')) {
+            period.visibility = parseVisibility(`${token} ${tokens[i + 1]}`);
+            i++;
+            continue;
+        }
+
+        // Temperature (TX/TN), wind shear and other groups are left out
+        parseCommonGroup(period, token);
+    }
+    finishPeriod(forecast, period);
+
+    return forecast;
+}
+
+/**
+ * Describe a decoded METAR line by line
+ * @param {Object} report - Result of parseMetar
+ * @returns {Array<string>} e.g. ["Wind from 240° at 12 kt, gusts 22 kt", "Visibility 10 km or more", ...]
+ */
+export function describeMetar(report) {
+    if (!report) return [];
+
+    const lines = [];
+    if (report.wind) lines.push(`Wind ${describeWind(report.wind)}`);
+    if (report.cavok) {
+        lines.push('Ceiling and visibility OK');
+    } else if (report.visibility) {
+        lines.push(`Visibility ${report.visibility.text}`);
+    }
+    if (report.weather.length > 0) lines.push(capitalize(report.weather.map(w => w.text).join(', ')));
+    if (!report.cavok && (report.clear || report.clouds.length > 0)) lines.push(`Sky ${describeClouds(report.clouds)}`);
+    if (report.ceiling !== null) lines.push(`Ceiling ${formatFeet(report.ceiling)}`);
+    if (report.temperature !== null) {
+        const dewPoint = report.dewPoint !== null ? `, dew point ${formatCelsius(report.dewPoint)}` : '';
+        lines.push(`Temperature ${formatCelsius(report.temperature)}${dewPoint}`);
+    }
+    if (report.altimeter !== null) {
+        lines.push(`Altimeter ${Math.round(report.altimeter)} hPa (${(report.altimeter / INHG_TO_HPA).toFixed(2)} inHg)`);
+    }
+    if (report.trend) lines.push(`Trend ${report.trend}`);
+    return lines;
+}
+
+/**
+ * Describe a decoded TAF, one line per period
+ * @param {Object} forecast - Result of parseTaf
+ * @returns {Array<string>} e.g. ["From 12/1800Z: wind from 200° at 15 kt, 5 mi, light rain, broken 3,000 ft"]
+ */
+export function describeTaf(forecast) {
+    if (!forecast) return [];
+
+    return forecast.periods.map(period => {
+        const parts = [];
+        if (period.wind) parts.push(`wind ${describeWind(period.wind)}`);
+        if (period.cavok) {
+            parts.push('ceiling and visibility OK');
+        } else if (period.visibility) {
+            parts.push(`visibility ${period.visibility.text}`);
+        }
+        if (period.weather.length > 0) parts.push(period.weather.map(w => w.text).join(', '));
+        if (period.noSignificantWeather) parts.push('no significant weather');
+        if (period.clouds.length > 0 || period.clear) parts.push(describeClouds(period.clouds));
+
+        const label = {
+            BASE: `${formatReportTime(period.from)} to ${formatReportTime(period.to)}`,
+            FM: `From ${formatReportTime(period.from)}`,
+            BECMG: `Becoming ${formatReportTime(period.from)}–${formatReportTime(period.to)}`,
+            TEMPO: `${period.probability ? `${period.probability}% chance` : 'Temporarily'} ${formatReportTime(period.from)}–${formatReportTime(period.to)}`
+        }[period.change];
+
+        return `${label}: ${parts.join(', ') || 'no change'}`;
+    });
+}
+
+/**
+ * Short summary of the observed conditions, e.g. "Light Rain Showers" or "Partly Cloudy"
+ * @param {Object} report - Result of parseMetar
+ * @returns {string}
+ */
+export function getMetarSummary(report) {
+    const weather = report.weather.find(w => w.intensity !== 'VC');
+    if (weather) return titleCase(weather.text);
+
+    const cover = highestCover(report.clouds);
+    if (report.cavok || !cover) return 'Clear';
+    return { FEW: 'Mostly Clear', SCT: 'Partly Cloudy', BKN: 'Mostly Cloudy', OVC: 'Overcast', VV: 'Obscured' }[cover];
+}
+
+/**
+ * Standard icon code (see WEATHER_ICONS) for the observed conditions
+ * @param {Object} report - Result of parseMetar
+ * @param {boolean} isDaytime - Whether it's daytime at the station
+ * @returns {string}
+ */
+export function getMetarIcon(report, isDaytime) {
+    // Weather in the vicinity isn't happening at the station
+    const codes = report.weather.filter(w => w.intensity !== 'VC');
+    const has = (...names) => codes.some(w => names.some(name => w.phenomena.includes(name) || w.descriptor === name));
+
+    if (has('TS')) return 'thunderstorm';
+    if (has('PL', 'GR', 'GS') || codes.some(w => w.descriptor === 'FZ' && (w.phenomena.includes('RA') || w.phenomena.includes('DZ')))) return 'sleet';
+    if (has('SN', 'SG', 'IC')) return 'snow';
+    if (has('RA', 'DZ', 'UP', 'SH')) return 'rain';
+    if (has('FG', 'BR', 'HZ', 'FU', 'DU', 'SA', 'VA')) return 'fog';
+    if (has('SQ')) return 'wind';
+
+    const cover = highestCover(report.clouds);
+    if (cover === 'BKN' || cover === 'OVC' || cover === 'VV') return 'cloudy';
+    if (cover === 'FEW' || cover === 'SCT') return isDaytime ? 'partly-cloudy-day' : 'partly-cloudy-night';
+    return isDaytime ? 'clear-day' : 'clear-night';
+}
+
+//==============================================================================
+// 3. GROUP PARSERS
+//==============================================================================
+
+/**
+ * Groups shared by METARs and TAF periods: wind, visibility, CAVOK, weather
+ * and clouds. Fills the matching field of the target.
+ * @returns {boolean} Whether the token was recognized
+ */
+function parseCommonGroup(target, token) {
+    const windMatch = PATTERNS.wind.exec(token);
+    if (windMatch) {
+        target.wind = parseWind(windMatch);
+        return true;
+    }
+
+    const variationMatch = PATTERNS.windVariation.exec(token);
+    if (variationMatch) {
+        if (target.wind) {
+            target.wind.variableFrom = +variationMatch[1];
+            target.wind.variableTo = +variationMatch[2];
+        }
+        return true;
+    }
+
+    if (token === 'CAVOK') {
+        target.cavok = true;
+        target.visibility = { miles: 10000 / METERS_PER_MILE, greaterThan: true, text: '10 km or more' };
+        return true;
+    }
+
+    if (PATTERNS.visibilityMeters.test(token) || PATTERNS.visibilityMiles.test(token)) {
+        const visibility = parseVisibility(token);
+        if (visibility) {
+            target.visibility = visibility;
+            return true;
+        }
+    }
+
+    const cloudMatch = PATTERNS.clouds.exec(token);
+    if (cloudMatch) {
+        target.clouds.push({
+            cover: cloudMatch[1],
+            base: cloudMatch[2] === '///' ? null : +cloudMatch[2] * 100,
+            type: cloudMatch[3] && cloudMatch[3] !== '///' ? cloudMatch[3] : null
+        });
+        return true;
+    }
+
+    if (PATTERNS.clear.test(token)) {
+        target.clear = true;
+        return true;
+    }
+
+    const weather = parseWeather(token);
+    if (weather) {
+        target.weather.push(weather);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Groups only found in METARs: temperature/dew point and altimeter
+ */
+function parseMetarGroup(report, token) {
+    const temperatureMatch = PATTERNS.temperature.exec(token);
+    if (temperatureMatch) {
+        report.temperature = parseSignedCelsius(temperatureMatch[1]);
+        report.dewPoint = temperatureMatch[2] ? parseSignedCelsius(temperatureMatch[2]) : null;
+        return true;
+    }
+
+    const inchesMatch = PATTERNS.altimeterInches.exec(token);
+    if (inchesMatch) {
+        report.altimeter = (+inchesMatch[1] / 100) * INHG_TO_HPA;
+        return true;
+    }
+
+    const hpaMatch = PATTERNS.altimeterHpa.exec(token);
+    if (hpaMatch) {
+        report.altimeter = +hpaMatch[1];
+        return true;
+    }
+
+    // Directional visibility and runway visual range aren't decoded
+    return PATTERNS.directionalVisibility.test(token) || PATTERNS.runwayVisualRange.test(token);
+}
+
+/**
+ * North American remarks carry the temperature and dew point to a tenth of a degree
+ */
+function applyRemarks(report, tokens) {
+    tokens.forEach(token => {
+        const match = PATTERNS.preciseTemperature.exec(token);
+        if (!match) return;
+        report.temperature = (match[1] === '1' ? -1 : 1) * +match[2] / 10;
+        if (match[3]) report.dewPoint = (match[3] === '1' ? -1 : 1) * +match[4] / 10;
+    });
+}
+
+function parseWind(match) {
+    const unit = match[4];
+    const toKnots = value => {
+        if (value == null) return null;
+        if (unit === 'MPS') return Math.round(value * MPS_TO_KT);
+        if (unit === 'KMH') return Math.round(value * KMH_TO_KT);
+        return value;
+    };
+
+    const speed = match[2] === '//' ? null : toKnots(+match[2]);
+    const variable = match[1] === 'VRB';
+    return {
+        direction: variable || match[1] === '///' ? null : +match[1],
+        variable,
+        speed,
+        gust: match[3] ? toKnots(+match[3]) : null,
+        calm: speed === 0 && !variable && +match[1] === 0,
+        variableFrom: null,
+        variableTo: null
+    };
+}
+
+/**
+ * Visibility in metres ("9999", "0800") or statute miles ("P6SM", "1/2SM", "1 1/2SM")
+ * @returns {{miles: number, greaterThan: boolean, lessThan: boolean, text: string}|null}
+ */
+function parseVisibility(token) {
+    const metersMatch = PATTERNS.visibilityMeters.exec(token);
+    if (metersMatch) {
+        const meters = +metersMatch[1];
+        const greaterThan = meters === 9999;
+        return {
+            miles: (greaterThan ? 10000 : meters) / METERS_PER_MILE,
+            greaterThan,
+            lessThan: false,
+            text: greaterThan ? '10 km or more' : meters >= 5000 ? `${meters / 1000} km` : `${meters} m`
+        };
+    }
+
+    const [whole, fraction] = token.includes(' ') ? token.split(' ') : [null, token];
+    const milesMatch = PATTERNS.visibilityMiles.exec(fraction);
+    if (!milesMatch || (!milesMatch[2] && !milesMatch[3])) return null;
+
+    let miles = (whole ? +whole : 0) + (milesMatch[2] ? +milesMatch[2] : 0);
+    let text = whole || milesMatch[2] || '';
+    if (milesMatch[3]) {
+        miles += +milesMatch[3] / +milesMatch[4];
+        text = `${text ? `${text} ` : ''}${milesMatch[3]}/${milesMatch[4]}`;
+    }
+
+    const greaterThan = milesMatch[1] === 'P';
+    const lessThan = milesMatch[1] === 'M';
+    return {
+        miles,
+        greaterThan,
+        lessThan,
+        text: `${greaterThan ? 'more than ' : lessThan ? 'less than ' : ''}${text} mi`
+    };
+}
+
+/**
+ * Present weather such as "-SHRA", "+TSRA", "VCFG" or "FZDZ"
+ * @returns {{code, intensity, descriptor, phenomena: Array<string>, text}|null}
+ */
+function parseWeather(token) {
+    const match = PATTERNS.weather.exec(token);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    const intensity = match[1] || '';
+    const descriptor = match[2] || null;
+    const phenomena = match[3] ? match[3].match(/.{2}/g) : [];
+
+    let names = phenomena.map(code => WEATHER_PHENOMENA[code]).join(' and ');
+    if (intensity === '+' && phenomena.includes('FC')) names = names.replace('funnel cloud', 'tornado');
+
+    let text;
+    if (descriptor === 'TS') {
+        text = names ? `thunderstorm with ${names}` : 'thunderstorm';
+    } else if (descriptor === 'SH') {
+        text = names ? `${names} showers` : 'showers';
+    } else if (descriptor) {
+        text = `${WEATHER_DESCRIPTORS[descriptor]} ${names}`.trim();
+    } else {
+        text = names;
+    }
+
+    if (WEATHER_INTENSITY[intensity]) text = `${WEATHER_INTENSITY[intensity]} ${text}`;
+    if (intensity === 'VC') text = `${text} in the vicinity`;
+
+    return { code: token, intensity, descriptor, phenomena, text };
+}
+
+//==============================================================================
+// 4. HELPERS
+//==============================================================================
+
+function tokenize(raw) {
+    // Reports end with "=" in some feeds
+    return raw.trim().replace(/=+$/, '').split(/\s+/).filter(Boolean);
+}
+
+function createPeriod(change, from, to, probability = null) {
+    return {
+        change,
+        probability,
+        from,
+        to,
+        wind: null,
+        visibility: null,
+        cavok: false,
+        weather: [],
+        clouds: [],
+        clear: false,
+        noSignificantWeather: false,
+        ceiling: null
+    };
+}
+
+function finishPeriod(forecast, period) {
+    period.ceiling = findCeiling(period.clouds);
+    forecast.periods.push(period);
+}
+
+/**
+ * Lowest broken or overcast layer (or vertical visibility), in feet
+ */
+function findCeiling(clouds) {
+    const bases = clouds
+        .filter(layer => CEILING_COVERS.includes(layer.cover) && layer.base !== null)
+        .map(layer => layer.base);
+    return bases.length > 0 ? Math.min(...bases) : null;
+}
+
+function highestCover(clouds) {
+    const order = ['FEW', 'SCT', 'BKN', 'OVC', 'VV'];
+    return clouds.reduce((best, layer) =>
+        order.indexOf(layer.cover) > order.indexOf(best) ? layer.cover : best, null);
+}
+
+function parseSignedCelsius(value) {
+    return value.startsWith('M') ? -Number(value.slice(1)) : Number(value);
+}
+
+/**
+ * Reports give day of month and time only; take the month of the reference
+ * date, or the one before when that would put the report in the future
+ */
+function resolveDayTime(day, hour, minute, referenceDate) {
+    const ref = new Date(referenceDate);
+    let date = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), day, hour, minute));
+    // A day or more ahead of the reference means last month's report
+    if (date.getTime() - ref.getTime() > 24 * 3600 * 1000) {
+        date = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() - 1, day, hour, minute));
+    }
+    // ...and a week or more behind, next month's (TAF periods run past month end)
+    if (ref.getTime() - date.getTime() > 7 * 24 * 3600 * 1000) {
+        date = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + 1, day, hour, minute));
+    }
+    return date;
+}
+
+/**
+ * "DDHH/DDHH" validity; hour 24 is midnight at the end of the day
+ */
+function resolvePeriod(match, reference) {
+    const at = (day, hour) => new Date(resolveDayTime(day, 0, 0, reference).getTime() + hour * 3600 * 1000).toISOString();
+    return { from: at(+match[1], +match[2]), to: at(+match[3], +match[4]) };
+}
+
+function describeWind(wind) {
+    if (wind.calm) return 'calm';
+    if (wind.speed === null) return 'missing';
+
+    const from = wind.variable || wind.direction === null ? 'variable' : `from ${String(wind.direction).padStart(3, '0')}°`;
+    let text = `${from} at ${wind.speed} kt`;
+    if (wind.gust) text += `, gusts ${wind.gust} kt`;
+    if (wind.variableFrom !== null) text += ` (varying ${wind.variableFrom}°–${wind.variableTo}°)`;
+    return text;
+}
+
+function describeClouds(clouds) {
+    if (clouds.length === 0) return 'clear';
+    return clouds.map(layer => {
+        const base = layer.base !== null ? ` ${formatFeet(layer.base)}` : '';
+        const type = layer.type ? ` (${CLOUD_TYPES[layer.type]})` : '';
+        return `${CLOUD_COVER[layer.cover]}${base}${type}`;
+    }).join(', ');
+}
+
+function formatFeet(feet) {
+    return `${feet.toLocaleString('en-US')} ft`;
+}
+
+function formatCelsius(celsius) {
+    return `${Number.isInteger(celsius) ? celsius : celsius.toFixed(1)} °C`;
+}
+
+function formatReportTime(iso) {
+    if (!iso) return '?';
+    const date = new Date(iso);
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(date.getUTCDate())}/${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}Z`;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function titleCase(text) {
+    return text.split(' ')
+        .map(word => ['with', 'and', 'in', 'the', 'of'].includes(word) ? word : capitalize(word))
+        .join(' ');
+}
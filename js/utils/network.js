@@ -0,0 +1,336 @@
+/**
+ * Network layer with fixture record and replay
+ *
+ * Every request the app makes for data goes through fetchResource(), which
+ * normally just calls fetch(). Two URL parameters change that, so the app can
+ * be demoed and tested with no network:
+ *
+ *   ?record=stormday  Responses are saved to IndexedDB under "stormday" as
+ *                     they arrive, and can be downloaded as a JSON bundle.
+ *   ?replay=stormday  Responses are served from that recording (or from
+ *                     ./fixtures/stormday.json if this browser has none) and
+ *                     the clock is frozen at the moment recording started,
+ *                     so the scenario renders exactly as it did then.
+ *
+ * Requests are matched on their URL with cache busters dropped and API keys
+ * replaced by a placeholder, so bundles can be shared without leaking keys.
+ * Map tiles and radar images are loaded by the browser, not fetched, and
+ * are not recorded.
+ *
+ * Recordings live in the shared IndexedDB key-value store (see idb.js).
+ */
+
+import { log, warn } from './logger.js';
+import { idbGet, idbSet } from './idb.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const RECORDING_KEY_PREFIX = 'fixture:';
+
+// Bundles looked up for ?replay=name when this browser has no such recording
+const BUNDLE_PATH = './fixtures';
+
+// Query parameters that only defeat caches and never change the response
+const VOLATILE_PARAMS = ['t', '_', 'cacheBuster'];
+
+// Stored API keys shorter than this are too likely to match ordinary URL text
+const MIN_REDACTED_KEY_LENGTH = 8;
+
+// Recorded responses are written in batches this long after the last one
+const PERSIST_DELAY = 500;
+
+let mode = null;
+let recording = null;
+let persistTimer = null;
+let writeQueue = Promise.resolve();
+const RealDate = Date;
+
+//==============================================================================
+// 2. PUBLIC API
+//==============================================================================
+
+/**
+ * Read the record/replay URL parameters and load the recording to replay.
+ * Call before the app starts fetching; never rejects.
+ * @returns {Promise<void>}
+ */
+export async function initNetworkFixtures() {
+    const params = new URLSearchParams(window.location.search);
+    const replayName = params.get('replay');
+    const recordName = params.get('record');
+
+    try {
+        if (replayName) {
+            const loaded = await loadRecording(replayName);
+            if (!loaded) {
+                warn(`No recording named "${replayName}", using the live network`);
+                recording = { name: replayName, missing: true };
+                return;
+            }
+
+            recording = loaded;
+            mode = 'replay';
+            freezeClock(recording.recordedAt);
+            applyRecordedLocation(params);
+            log(`Replaying "${replayName}" (${Object.keys(recording.entries).length} responses)`);
+        } else if (recordName) {
+            const existing = typeof indexedDB !== 'undefined'
+                ? await idbGet(RECORDING_KEY_PREFIX + recordName).catch(() => null)
+                : null;
+
+            // Carry on with an earlier session of the same recording
+            recording = existing || {
+                name: recordName,
+                recordedAt: Date.now(),
+                location: null,
+                entries: {}
+            };
+            mode = 'record';
+            log(`Recording network responses as "${recordName}"`);
+        }
+    } catch (error) {
+        warn('Error setting up network fixtures:', error);
+        mode = null;
+    }
+}
+
+/**
+ * Fetch through the fixture layer. Same arguments and result as fetch().
+ * While replaying, requests missing from the recording get a 504 JSON
+ * response, as the service worker gives when offline.
+ * @param {RequestInfo} input - URL or Request
+ * @param {RequestInit} [init] - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function fetchResource(input, init = {}) {
+    if (mode === 'replay') {
+        return replayResponse(input, init);
+    }
+
+    const response = await fetch(input, init);
+
+    if (mode === 'record' && response.type !== 'opaque') {
+        response.clone().text()
+            .then(body => recordResponse(input, response, body))
+            .catch(error => warn('Error recording response:', error));
+    }
+
+    return response;
+}
+
+/**
+ * Current fixture mode
+ * @returns {'record'|'replay'|null}
+ */
+export function getFixtureMode() {
+    return mode;
+}
+
+/**
+ * Details of the active recording for status displays
+ * @returns {{name: string, mode: string|null, recordedAt: number|null, responses: number, missing: boolean}|null}
+ */
+export function getRecordingInfo() {
+    if (!recording) return null;
+    return {
+        name: recording.name,
+        mode,
+        recordedAt: recording.recordedAt ?? null,
+        responses: recording.entries ? Object.keys(recording.entries).length : 0,
+        missing: !!recording.missing
+    };
+}
+
+/**
+ * Download the active recording as a JSON bundle. Saved as
+ * fixtures/<name>.json next to index.html, it replays in any browser.
+ */
+export function downloadRecording() {
+    if (!recording?.entries) return;
+
+    const bundle = {
+        name: recording.name,
+        recordedAt: recording.recordedAt,
+        location: recording.location,
+        entries: recording.entries
+    };
+
+    const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${recording.name}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Reload without the record/replay parameters
+ */
+export function exitFixtureMode() {
+    const url = new URL(window.location);
+    url.searchParams.delete('record');
+    url.searchParams.delete('replay');
+    window.location.replace(url);
+}
+
+//==============================================================================
+// 3. RECORDING
+//==============================================================================
+
+function recordResponse(input, response, body) {
+    const key = requestKey(input);
+
+    // The first answer is the one the scenario showed; refreshes would mix
+    // in later conditions that don't match the frozen clock
+    if (recording.entries[key]) return;
+
+    recording.entries[key] = {
+        url: key,
+        status: response.status,
+        statusText: response.statusText,
+        contentType: response.headers.get('Content-Type'),
+        body
+    };
+
+    if (!recording.location) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('lat') && params.get('lon')) {
+            recording.location = { lat: params.get('lat'), lon: params.get('lon') };
+        }
+    }
+
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(persistRecording, PERSIST_DELAY);
+}
+
+function persistRecording() {
+    const snapshot = { ...recording, entries: { ...recording.entries } };
+    writeQueue = writeQueue
+        .then(() => idbSet(RECORDING_KEY_PREFIX + snapshot.name, snapshot))
+        .catch(error => warn('Error saving recording:', error));
+}
+
+//==============================================================================
+// 4. REPLAY
+//==============================================================================
+
+async function loadRecording(name) {
+    const stored = typeof indexedDB !== 'undefined'
+        ? await idbGet(RECORDING_KEY_PREFIX + name).catch(() => null)
+        : null;
+    if (stored?.entries) return stored;
+
+    try {
+        const response = await fetch(`${BUNDLE_PATH}/${encodeURIComponent(name)}.json`, { cache: 'no-store' });
+        if (!response.ok) return null;
+        const bundle = await response.json();
+        return bundle?.entries ? { ...bundle, name } : null;
+    } catch (error) {
+        warn(`Error loading fixture bundle "${name}":`, error);
+        return null;
+    }
+}
+
+function replayResponse(input, init) {
+    if (init.signal?.aborted) {
+        return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+    }
+
+    const entry = recording.entries[requestKey(input)];
+    if (!entry) {
+        warn('Not in the recording:', requestKey(input));
+        return Promise.resolve(new Response(
+            JSON.stringify({ error: 'not_recorded' }),
+            { status: 504, headers: { 'Content-Type': 'application/json' } }
+        ));
+    }
+
+    // These statuses can't carry a body
+    const body = [204, 205, 304].includes(entry.status) ? null : entry.body;
+
+    return Promise.resolve(new Response(body, {
+        status: entry.status,
+        statusText: entry.statusText || '',
+        headers: entry.contentType ? { 'Content-Type': entry.contentType } : {}
+    }));
+}
+
+/**
+ * Point the app at the recorded location when the replay URL names none
+ * @param {URLSearchParams} params - Current URL parameters
+ */
+function applyRecordedLocation(params) {
+    if (!recording.location || (params.get('lat') && params.get('lon'))) return;
+
+    const url = new URL(window.location);
+    url.searchParams.set('lat', recording.location.lat);
+    url.searchParams.set('lon', recording.location.lon);
+    window.history.replaceState({}, '', url);
+}
+
+/**
+ * Make Date.now() and new Date() report the given time from now on
+ * @param {number} timestamp - Milliseconds since the epoch
+ */
+function freezeClock(timestamp) {
+    class FrozenDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [timestamp]));
+        }
+
+        static now() {
+            return timestamp;
+        }
+    }
+
+    window.Date = FrozenDate;
+}
+
+//==============================================================================
+// 5. HELPER FUNCTIONS
+//==============================================================================
+
+/**
+ * Recording key for a request: its URL without cache busters and API keys
+ * @param {RequestInfo} input - URL or Request
+ * @returns {string}
+ */
+function requestKey(input) {
+    const raw = typeof input === 'string' ? input : input.url;
+    let key = raw;
+
+    try {
+        const url = new URL(raw, window.location.href);
+        VOLATILE_PARAMS.forEach(name => url.searchParams.delete(name));
+        key = url.toString();
+    } catch (e) {
+        // Not a URL we can parse, match it as written
+    }
+
+    storedApiKeys().forEach(apiKey => {
+        key = key.split(apiKey).join('{apiKey}');
+        key = key.split(encodeURIComponent(apiKey)).join('{apiKey}');
+    });
+
+    return key;
+}
+
+function storedApiKeys() {
+    const keys = [];
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const name = localStorage.key(i);
+            if (!/api_key$/.test(name)) continue;
+            const value = localStorage.getItem(name);
+            if (value && value.length >= MIN_REDACTED_KEY_LENGTH) keys.push(value);
+        }
+    } catch (e) {
+        // Storage unavailable, nothing to redact
+    }
+    return keys;
+}
@@ -0,0 +1,213 @@
+/**
+ * NWS raw gridpoint data
+ *
+ * The /gridpoints/{office}/{x},{y} resource holds the forecast grids behind
+ * the text forecasts: snowfall, ice accumulation, probability of thunder,
+ * mixing height, gusts, sky cover and more. Each layer is a list of values
+ * over ISO 8601 intervals ("2026-10-18T18:00:00+00:00/PT6H"). This module
+ * expands the intervals into hourly values in the standard units and fills
+ * the gaps the text forecasts leave in the hourly and daily data.
+ *
+ * Pure data handling, so recorded gridpoint responses parse offline.
+ */
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const HOUR = 3600;
+
+// Standard hourly field for each gridpoint layer. Accumulating layers hold a
+// total for the whole interval and are shared out evenly over its hours;
+// the rest hold a value that applies throughout the interval.
+const GRID_FIELDS = {
+    snowfall: { layer: 'snowfallAmount', accumulates: true, convert: toCentimeters },
+    iceAccumulation: { layer: 'iceAccumulation', accumulates: true, convert: toMillimeters },
+    precipIntensity: { layer: 'quantitativePrecipitation', accumulates: true, convert: toMillimeters },
+    thunderChance: { layer: 'probabilityOfThunder' },
+    windSpeed: { layer: 'windSpeed', convert: toMph },
+    windGust: { layer: 'windGust', convert: toMph },
+    windDirection: { layer: 'windDirection' },
+    cloudCover: { layer: 'skyCover' },
+    apparentTemperature: { layer: 'apparentTemperature', convert: toFahrenheit },
+    visibility: { layer: 'visibility', convert: toMiles },
+    mixingHeight: { layer: 'mixingHeight', convert: toFeet }
+};
+
+// Daily field built from the hourly values of each local day
+const DAILY_FIELDS = {
+    snowfallSum: { from: 'snowfall', combine: 'sum' },
+    iceSum: { from: 'iceAccumulation', combine: 'sum' },
+    precipSum: { from: 'precipIntensity', combine: 'sum' },
+    thunderChanceMax: { from: 'thunderChance', combine: 'max' },
+    windMax: { from: 'windSpeed', combine: 'max' },
+    windGustsMax: { from: 'windGust', combine: 'max' },
+    cloudCover: { from: 'cloudCover', combine: 'mean' },
+    mixingHeightMax: { from: 'mixingHeight', combine: 'max' }
+};
+
+//==============================================================================
+// 2. PUBLIC FUNCTIONS
+//==============================================================================
+
+/**
+ * Expand the gridpoint layers into hourly values
+ * @param {Object} gridData - /gridpoints response (the object with properties)
+ * @returns {Map<number, Object>} Hour start (Unix seconds) to the standard
+ *   fields known for that hour
+ */
+export function expandGridpoints(gridData) {
+    const properties = gridData?.properties || gridData || {};
+    const hours = new Map();
+
+    Object.entries(GRID_FIELDS).forEach(([field, definition]) => {
+        const layer = properties[definition.layer];
+        if (!Array.isArray(layer?.values)) return;
+
+        layer.values.forEach(entry => {
+            const interval = parseValidTime(entry?.validTime);
+            if (!interval || typeof entry.value !== 'number') return;
+
+            let value = definition.convert ? definition.convert(entry.value, layer.uom) : entry.value;
+            if (value === null) return;
+
+            const firstHour = Math.floor(interval.start / HOUR) * HOUR;
+            const count = Math.max(1, Math.ceil((interval.end - firstHour) / HOUR));
+            if (definition.accumulates) value /= count;
+
+            for (let i = 0; i < count; i++) {
+                const time = firstHour + i * HOUR;
+                if (!hours.has(time)) hours.set(time, {});
+                hours.get(time)[field] = value;
+            }
+        });
+    });
+
+    return hours;
+}
+
+/**
+ * Fill the hourly and daily fields the text forecasts left empty.
+ * Values already present are kept.
+ * @param {Object} weatherData - Standardized NWS weather data (updated in place)
+ * @param {Object} gridData - /gridpoints response
+ * @param {string} timeZone - IANA time zone of the location, for day boundaries
+ * @returns {Object} The same weather data
+ */
+export function mergeGridpoints(weatherData, gridData, timeZone) {
+    const hours = expandGridpoints(gridData);
+    if (hours.size === 0) return weatherData;
+
+    (weatherData.hourly?.data || []).forEach(hour => {
+        const grid = hours.get(Math.floor(hour.time / HOUR) * HOUR);
+        if (!grid) return;
+        Object.entries(grid).forEach(([field, value]) => {
+            if (hour[field] == null) hour[field] = round(value);
+        });
+    });
+
+    // Past hours don't belong in totals still to come
+    const currentHour = Math.floor(Date.now() / 1000 / HOUR) * HOUR;
+    const days = new Map();
+    hours.forEach((values, time) => {
+        if (time < currentHour) return;
+        const key = dayKey(time, timeZone);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(values);
+    });
+
+    (weatherData.daily?.data || []).forEach(day => {
+        const dayHours = days.get(dayKey(day.time, timeZone));
+        if (!dayHours) return;
+
+        Object.entries(DAILY_FIELDS).forEach(([field, { from, combine }]) => {
+            if (day[field] != null) return;
+            const values = dayHours.map(values => values[from]).filter(value => typeof value === 'number');
+            if (values.length > 0) day[field] = round(combineValues(values, combine));
+        });
+    });
+
+    return weatherData;
+}
+
+/**
+ * Parse an ISO 8601 interval with a duration, as used by the gridpoint layers
+ * @param {string} validTime - e.g. "2026-10-18T18:00:00+00:00/PT6H" or ".../P1DT3H"
+ * @returns {{start: number, end: number}|null} Unix seconds, or null if malformed
+ */
+export function parseValidTime(validTime) {
+    if (typeof validTime !== 'string') return null;
+
+    const [startText, durationText] = validTime.split('/');
+    const start = Date.parse(startText) / 1000;
+    const duration = parseDuration(durationText);
+    if (!Number.isFinite(start) || !duration) return null;
+
+    return { start, end: start + duration };
+}
+
+//==============================================================================
+// 3. HELPER FUNCTIONS
+//==============================================================================
+
+/**
+ * Length of an ISO 8601 duration such as "PT1H", "P1D" or "P2DT12H"
+ * @param {string} duration - Duration
+ * @returns {number|null} Seconds
+ */
+function parseDuration(duration) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration || '');
+    if (!match) return null;
+    const [, days = 0, hours = 0, minutes = 0] = match;
+    return +days * 86400 + +hours * HOUR + +minutes * 60 || null;
+}
+
+function combineValues(values, combine) {
+    if (combine === 'max') return Math.max(...values);
+    const sum = values.reduce((total, value) => total + value, 0);
+    return combine === 'mean' ? sum / values.length : sum;
+}
+
+function dayKey(time, timeZone) {
+    try {
+        return new Date(time * 1000).toLocaleDateString('en-CA', { timeZone });
+    } catch (e) {
+        // Unknown zone, fall back to the browser's
+        return new Date(time * 1000).toLocaleDateString('en-CA');
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Unit conversions; uom is the layer's WMO unit code, e.g. "wmoUnit:km_h-1"
+
+function toFahrenheit(value, uom) {
+    return /degC$/.test(uom || '') ? value * 9 / 5 + 32 : value;
+}
+
+function toMph(value, uom) {
+    if (/km_h-1$/.test(uom)) return value * 0.621371;
+    if (/m_s-1$/.test(uom)) return value * 2.236936;
+    if (/kn$/.test(uom)) return value * 1.150779;
+    return value;
+}
+
+function toMillimeters(value, uom) {
+    if (/:cm$/.test(uom)) return value * 10;
+    if (/:m$/.test(uom)) return value * 1000;
+    return value;
+}
+
+function toCentimeters(value, uom) {
+    return toMillimeters(value, uom) / 10;
+}
+
+function toFeet(value, uom) {
+    return /:m$/.test(uom || '') ? value * 3.28084 : value;
+}
+
+function toMiles(value, uom) {
+    return /:m$/.test(uom || '') ? value / 1609.344 : value;
+}
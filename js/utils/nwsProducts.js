@@ -0,0 +1,314 @@
+/**
+ * NWS text product parsing
+ *
+ * Splits forecast office text products (Area Forecast Discussion, Hazardous
+ * Weather Outlook and the like) into their dotted sections, marks the
+ * forecaster jargon the glossary explains, and remembers which issuance of
+ * each product the user has read so changed sections can be pointed out.
+ *
+ * Parsing is pure string handling, so recorded products decode offline.
+ */
+
+import { warn } from './logger.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const READ_STORAGE_KEY = 'weather_app_product_reads';
+
+// Products remembered before the oldest read is forgotten
+const MAX_READ_RECORDS = 30;
+
+// Section heading: ".NEAR TERM /THROUGH TONIGHT/..." with text allowed after it
+const SECTION_PATTERN = /^\.([A-Z][A-Z0-9 /,&()'+-]*?)\.\.\.\s*(.*)$/;
+
+// Transmission header lines ahead of the product title
+const WMO_HEADER_PATTERN = /^(\d{3}|[A-Z]{4}\d{2} [A-Z]{4} \d{6}( [A-Z]{3})?|[A-Z0-9]{4,6})$/;
+
+const ISSUANCE_LINE_PATTERN = /^\d{1,4} (AM|PM) [A-Z]{3,4} /;
+
+// Common forecaster shorthand. Entries with capitals only match in that
+// case, the rest in any case and with a plural "s".
+export const GLOSSARY = {
+    CAA: 'Cold air advection: wind carrying colder air into the area',
+    WAA: 'Warm air advection: wind carrying warmer air into the area',
+    QPF: 'Quantitative precipitation forecast: expected rain or melted snow amount',
+    PWAT: 'Precipitable water: total moisture in the air column if it all fell as rain',
+    PWATs: 'Precipitable water: total moisture in the air column if it all fell as rain',
+    CAPE: 'Convective available potential energy: fuel for thunderstorm updrafts',
+    CIN: 'Convective inhibition: the cap that keeps storms from forming',
+    LLJ: 'Low-level jet: a band of strong winds a few thousand feet up, often at night',
+    VFR: 'Visual flight rules: ceiling above 3,000 ft and visibility over 5 miles',
+    MVFR: 'Marginal VFR: ceiling 1,000-3,000 ft or visibility 3-5 miles',
+    IFR: 'Instrument flight rules: ceiling 500-1,000 ft or visibility 1-3 miles',
+    LIFR: 'Low IFR: ceiling below 500 ft or visibility under 1 mile',
+    TAF: 'Terminal Aerodrome Forecast: the airport forecast for pilots',
+    TAFs: 'Terminal Aerodrome Forecasts: the airport forecasts for pilots',
+    CIGs: 'Ceilings: height of the lowest broken or overcast cloud layer',
+    NBM: 'National Blend of Models: a statistical blend of many forecast models',
+    GFS: 'Global Forecast System: the main US global model',
+    ECMWF: 'European Centre global model',
+    NAM: 'North American Mesoscale model',
+    HRRR: 'High-Resolution Rapid Refresh: an hourly-updated short-range model',
+    CAMs: 'Convection-allowing models: high-resolution models that resolve individual storms',
+    MOS: 'Model output statistics: model output corrected for local biases',
+    SPC: 'Storm Prediction Center',
+    WPC: 'Weather Prediction Center',
+    MCS: 'Mesoscale convective system: an organized cluster of thunderstorms',
+    MCV: 'Mesoscale convective vortex: a spin left behind by a thunderstorm complex',
+    PoPs: 'Probabilities of precipitation',
+    RH: 'Relative humidity',
+    SCA: 'Small Craft Advisory',
+    shortwave: 'A small disturbance in the upper-level flow that can trigger clouds and precipitation',
+    trough: 'An elongated area of low pressure, usually bringing unsettled weather',
+    ridge: 'An elongated area of high pressure, usually bringing settled weather',
+    advection: 'Horizontal transport of air and its properties by the wind',
+    baroclinic: 'Having strong temperature contrasts that can fuel storm systems',
+    frontogenesis: 'Strengthening of a temperature contrast, often focusing precipitation into bands',
+    'isentropic lift': 'Air gliding up over colder air ahead of a warm front',
+    inversion: 'A layer where temperature rises with height, trapping air beneath it',
+    'lapse rate': 'How quickly temperature falls with height; steep lapse rates favor storms',
+    vorticity: 'Spin in the atmosphere; increasing vorticity aloft encourages rising air',
+    'zonal flow': 'West-to-east flow aloft, usually bringing quieter, progressive weather',
+    'cutoff low': 'An upper low cut off from the main flow, often slow-moving',
+    'omega block': 'A blocking pattern shaped like the Greek letter omega that stalls weather systems',
+    diurnal: 'Following the daily heating and cooling cycle',
+    subsidence: 'Sinking air, which warms, dries and suppresses clouds',
+    convergence: 'Air flowing together at the surface, forcing it to rise',
+    instability: 'Warm, moist air beneath cooler air, allowing storms to grow',
+    'boundary layer': 'The lowest part of the atmosphere, mixed by the ground\'s heating and friction',
+    virga: 'Precipitation that evaporates before reaching the ground',
+    'theta-e': 'Equivalent potential temperature, a measure of heat and moisture together',
+    'jet streak': 'The fastest-moving core of the jet stream',
+    upslope: 'Wind blowing up terrain, cooling the air and squeezing out moisture',
+    downslope: 'Wind blowing down terrain, warming and drying the air'
+};
+
+//==============================================================================
+// 2. PARSING
+//==============================================================================
+
+/**
+ * Split a text product into its header and sections
+ * @param {string} text - productText from api.weather.gov
+ * @returns {{title: string|null, office: string|null, issued: string|null,
+ *   sections: Array<{id: string, name: string, period: string|null, text: string, hash: string, isUpdate: boolean}>,
+ *   credits: string|null}}
+ */
+export function parseProduct(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+
+    // Segments end at "$$"; what follows the last one is the forecaster credits
+    const segments = [[]];
+    lines.forEach(line => {
+        if (line.trim() === '$$') segments.push([]);
+        else segments[segments.length - 1].push(line);
+    });
+
+    let credits = null;
+    if (segments.length > 1 && !segments[segments.length - 1].some(line => SECTION_PATTERN.test(line))) {
+        credits = segments.pop().join('\n').trim() || null;
+    }
+
+    const header = [];
+    const sections = [];
+    let current = null;
+
+    const finish = () => {
+        if (current) {
+            sections.push(finishSection(current, sections));
+            current = null;
+        }
+    };
+
+    segments.forEach(segment => {
+        segment.forEach(line => {
+            const match = SECTION_PATTERN.exec(line);
+            if (match) {
+                finish();
+                current = { heading: match[1].trim(), lines: match[2] ? [match[2]] : [] };
+            } else if (line.trim() === '&&') {
+                finish();
+            } else if (current) {
+                current.lines.push(line);
+            } else if (sections.length === 0) {
+                header.push(line);
+            }
+        });
+        finish();
+    });
+
+    const headerLines = header.map(line => line.trim()).filter(line => line && !WMO_HEADER_PATTERN.test(line));
+
+    // Products without dotted sections are shown whole, from below the issuance time
+    if (sections.length === 0) {
+        const issuedIndex = header.findIndex(line => ISSUANCE_LINE_PATTERN.test(line.trim()));
+        const body = header.slice(issuedIndex + 1).join('\n').trim();
+        if (body) {
+            sections.push(finishSection({ heading: '', lines: body.split('\n') }, sections));
+        }
+    }
+
+    return {
+        title: headerLines[0] || null,
+        office: headerLines.find(line => /^National Weather Service/i.test(line)) || null,
+        issued: headerLines.find(line => ISSUANCE_LINE_PATTERN.test(line)) || null,
+        sections,
+        credits
+    };
+}
+
+/**
+ * Find the sections that changed since the issuance the user last read
+ * @param {Object} parsed - Result of parseProduct()
+ * @param {Object|null} readRecord - Result of getReadRecord()
+ * @param {string} productId - ID of the issuance being shown
+ * @returns {Set<string>} IDs of sections to highlight
+ */
+export function findUpdatedSections(parsed, readRecord, productId) {
+    const updated = new Set();
+
+    parsed.sections.forEach(section => {
+        if (section.isUpdate) {
+            updated.add(section.id);
+        } else if (readRecord && readRecord.id !== productId && readRecord.sections?.[section.id] !== section.hash) {
+            updated.add(section.id);
+        }
+    });
+
+    return updated;
+}
+
+/**
+ * Wrap glossary terms in already-escaped product text
+ * @param {string} html - Escaped text
+ * @param {function(string, string): string} wrap - Called with the matched
+ *   text and its definition, returns the replacement
+ * @returns {string} Text with the terms wrapped
+ */
+export function markGlossaryTerms(html, wrap) {
+    return html.replace(getGlossaryPattern(), match => {
+        // Abbreviations only count in their own case ("CAPE", not "Cape Cod");
+        // lowercase keys are plain words and match however they are written
+        const lower = match.toLowerCase();
+        const definition = GLOSSARY[match]
+            || (lower in GLOSSARY ? GLOSSARY[lower] : null)
+            || GLOSSARY[lower.replace(/s$/, '')];
+        return definition ? wrap(match, definition) : match;
+    });
+}
+
+//==============================================================================
+// 3. READ TRACKING
+//==============================================================================
+
+/**
+ * Look up the issuance of a product the user last read
+ * @param {string} office - Forecast office ID (e.g. 'OKX')
+ * @param {string} productCode - Product type (e.g. 'AFD')
+ * @returns {{id: string, issuanceTime: string, readAt: number, sections: Object<string, string>}|null}
+ */
+export function getReadRecord(office, productCode) {
+    return loadReadRecords()[`${office}:${productCode}`] || null;
+}
+
+/**
+ * Remember that the user has read an issuance
+ * @param {string} office - Forecast office ID
+ * @param {string} productCode - Product type
+ * @param {{id: string, issuanceTime: string}} product - Product from the API
+ * @param {Object} parsed - Result of parseProduct() for it
+ */
+export function markProductRead(office, productCode, product, parsed) {
+    const records = loadReadRecords();
+
+    records[`${office}:${productCode}`] = {
+        id: product.id,
+        issuanceTime: product.issuanceTime,
+        readAt: Date.now(),
+        sections: Object.fromEntries(parsed.sections.map(section => [section.id, section.hash]))
+    };
+
+    // Forget the longest-unread products first
+    const keys = Object.keys(records).sort((a, b) => records[b].readAt - records[a].readAt);
+    keys.slice(MAX_READ_RECORDS).forEach(key => delete records[key]);
+
+    try {
+        localStorage.setItem(READ_STORAGE_KEY, JSON.stringify(records));
+    } catch (error) {
+        warn('Error saving product read state:', error);
+    }
+}
+
+//==============================================================================
+// 4. HELPER FUNCTIONS
+//==============================================================================
+
+let glossaryPattern = null;
+
+function getGlossaryPattern() {
+    if (!glossaryPattern) {
+        // Longest first so "lapse rate" wins over anything it contains
+        const terms = Object.keys(GLOSSARY)
+            .sort((a, b) => b.length - a.length)
+            .map(term => {
+                const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return /[A-Z]/.test(term) ? escaped : `${escaped}s?`;
+            });
+        glossaryPattern = new RegExp(`\\b(?:${terms.join('|')})\\b`, 'gi');
+    }
+    return glossaryPattern;
+}
+
+/**
+ * Turn collected section lines into a section
+ * @param {{heading: string, lines: string[]}} draft - Heading and raw lines
+ * @param {Array} previous - Sections so far, to keep IDs unique
+ * @returns {Object} Section
+ */
+function finishSection(draft, previous) {
+    // "NEAR TERM /THROUGH TONIGHT/", but not "WATCHES/WARNINGS/ADVISORIES"
+    const periodMatch = /^(.*?)\s+\/(.*)\/$/.exec(draft.heading);
+    const name = periodMatch ? periodMatch[1] : draft.heading;
+    const period = periodMatch ? periodMatch[2].trim() || null : null;
+
+    // Hazardous Weather Outlooks repeat headings once per zone group
+    const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'text';
+    const repeats = previous.filter(section => section.id === baseId || section.id.startsWith(`${baseId}-`)).length;
+
+    const text = draft.lines.join('\n').replace(/^\n+|\s+$/g, '');
+
+    return {
+        id: repeats > 0 ? `${baseId}-${repeats + 1}` : baseId,
+        name,
+        period,
+        text,
+        hash: hashText(text),
+        isUpdate: /\bUPDATE\b/.test(name)
+    };
+}
+
+/**
+ * Short hash of a section's wording, ignoring line wrapping
+ * @param {string} text - Section text
+ * @returns {string} Hash
+ */
+function hashText(text) {
+    let hash = 5381;
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    for (let i = 0; i < normalized.length; i++) {
+        hash = ((hash << 5) + hash + normalized.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+function loadReadRecords() {
+    try {
+        const records = JSON.parse(localStorage.getItem(READ_STORAGE_KEY));
+        return records && typeof records === 'object' ? records : {};
+    } catch (error) {
+        warn('Error reading product read state:', error);
+        return {};
+    }
+}
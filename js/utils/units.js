@@ -5,81 +5,303 @@
 import { setWeatherIcon } from '../ui/visuals/dynamicIcons.js';
 import { setWeatherBackground } from '../ui/visuals/dynamicBackgrounds.js';
 import { isDaytime } from './geo.js';
+import { displayNowcast } from '../ui/components/nowcast.js';
+import { displayMarine } from '../ui/components/marine.js';
+import { updateDerivedDetails } from '../ui/components/currentWeather.js';
 
-// Default to imperial units (°F)
-let currentDisplayUnits = 'imperial';
+// Storage keys
+const UNITS_STORAGE = 'weather_app_units';
+const UNIT_PREFERENCES_STORAGE = 'weather_app_unit_preferences';
+
+/**
+ * Selectable units per quantity, in the order they're offered in settings.
+ * Values are stored in the standard format's units (°F, mph, hPa, miles, mm)
+ * and converted only for display.
+ */
+export const UNIT_OPTIONS = {
+    temperature: [
+        { value: 'F', label: '°F' },
+        { value: 'C', label: '°C' }
+    ],
+    wind: [
+        { value: 'mph', label: 'mph' },
+        { value: 'kmh', label: 'km/h' },
+        { value: 'ms', label: 'm/s' },
+        { value: 'kn', label: 'knots' },
+        { value: 'bft', label: 'Beaufort' }
+    ],
+    pressure: [
+        { value: 'hPa', label: 'hPa' },
+        { value: 'inHg', label: 'inHg' },
+        { value: 'mmHg', label: 'mmHg' },
+        { value: 'kPa', label: 'kPa' }
+    ],
+    distance: [
+        { value: 'mi', label: 'mi' },
+        { value: 'km', label: 'km' }
+    ],
+    precipitation: [
+        { value: 'in', label: 'in' },
+        { value: 'mm', label: 'mm' },
+        { value: 'cm', label: 'cm' }
+    ]
+};
+
+// Defaults for users who only ever picked the old imperial/metric switch.
+// Imperial keeps hPa because the switch never changed pressure (it showed mb).
+const UNIT_PRESETS = {
+    imperial: { temperature: 'F', wind: 'mph', pressure: 'hPa', distance: 'mi', precipitation: 'in' },
+    metric: { temperature: 'C', wind: 'kmh', pressure: 'hPa', distance: 'km', precipitation: 'mm' }
+};
+
+// Upper wind speed (mph) of Beaufort forces 0-11; anything above is force 12
+const BEAUFORT_LIMITS_MPH = [1, 3, 7, 12, 18, 24, 31, 38, 46, 54, 63, 72];
+
+let unitPreferences = { ...UNIT_PRESETS.imperial };
 
 // Initialize the units system
 export function initUnits() {
-    // Load saved units from localStorage if available
-    const savedUnits = localStorage.getItem('weather_app_units') || 'imperial';
-    currentDisplayUnits = savedUnits;
+    unitPreferences = loadUnitPreferences();
 
-    // Make the setter available globally so it can be called from settings
+    // Make the setters available globally so they can be called from settings
     window.setDisplayUnits = setDisplayUnits;
+    window.setUnitPreference = setUnitPreference;
     window.refreshWeatherWithCurrentUnits = refreshWeatherWithCurrentUnits;
 }
 
 /**
- * Set the display units for the app
+ * Read saved per-quantity preferences, filling gaps from the legacy
+ * imperial/metric setting
+ * @returns {Object} Preferences keyed by quantity
+ */
+function loadUnitPreferences() {
+    const legacy = localStorage.getItem(UNITS_STORAGE) === 'metric' ? 'metric' : 'imperial';
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(UNIT_PREFERENCES_STORAGE) || '{}') || {};
+    } catch (e) {
+        console.warn('Invalid unit preferences, using defaults:', e);
+    }
+
+    const preferences = { ...UNIT_PRESETS[legacy] };
+    Object.keys(UNIT_OPTIONS).forEach(quantity => {
+        if (UNIT_OPTIONS[quantity].some(option => option.value === saved[quantity])) {
+            preferences[quantity] = saved[quantity];
+        }
+    });
+    return preferences;
+}
+
+/**
+ * Set the display unit for one quantity and persist it
+ * @param {string} quantity - 'temperature', 'wind', 'pressure', 'distance' or 'precipitation'
+ * @param {string} unit - One of the values in UNIT_OPTIONS[quantity]
+ */
+export function setUnitPreference(quantity, unit) {
+    if (!UNIT_OPTIONS[quantity]?.some(option => option.value === unit)) {
+        console.warn(`Unknown ${quantity} unit: ${unit}`);
+        return;
+    }
+
+    unitPreferences[quantity] = unit;
+    localStorage.setItem(UNIT_PREFERENCES_STORAGE, JSON.stringify(unitPreferences));
+
+    // Keep the legacy switch in step with the temperature choice
+    if (quantity === 'temperature') {
+        localStorage.setItem(UNITS_STORAGE, unit === 'C' ? 'metric' : 'imperial');
+    }
+}
+
+/**
+ * Get the display unit for one quantity
+ * @param {string} quantity - Quantity name (see UNIT_OPTIONS)
+ * @returns {string} Unit value
+ */
+export function getUnitPreference(quantity) {
+    return unitPreferences[quantity];
+}
+
+/**
+ * Set the temperature units from the °F/°C switch
+ * @param {string} units - 'imperial' or 'metric'
  */
 export function setDisplayUnits(units) {
-    currentDisplayUnits = units;
-    //console.log(`Display units set to: ${units}`);
+    setUnitPreference('temperature', units === 'metric' ? 'C' : 'F');
 }
 
 /**
- * Get the current display units
+ * Get the temperature unit system ('imperial' for °F, 'metric' for °C)
  */
 export function getDisplayUnits() {
-    return currentDisplayUnits;
+    return unitPreferences.temperature === 'C' ? 'metric' : 'imperial';
 }
 
+//==============================================================================
+// CONVERSIONS
+//==============================================================================
+
 /**
- * Convert temperature from F to C if needed
+ * Convert a temperature from °F to the display unit
+ * @param {number} tempF - Temperature in °F
+ * @returns {number} Unrounded temperature in the display unit
  */
-export function formatTemperature(tempF) {
-    if (currentDisplayUnits === 'metric') {
-        // Convert F to C
-        const tempC = (tempF - 32) * (5 / 9);
-        return `${Math.round(tempC)}°C`;
+export function convertTemperature(tempF) {
+    return unitPreferences.temperature === 'C' ? (tempF - 32) * (5 / 9) : tempF;
+}
+
+/**
+ * Convert a wind speed from mph to the display unit
+ * @param {number} speedMph - Wind speed in mph
+ * @returns {number} Unrounded speed (Beaufort force when Beaufort is selected)
+ */
+export function convertWindSpeed(speedMph) {
+    switch (unitPreferences.wind) {
+        case 'kmh': return speedMph * 1.60934;
+        case 'ms': return speedMph * 0.44704;
+        case 'kn': return speedMph * 0.868976;
+        case 'bft': {
+            const force = BEAUFORT_LIMITS_MPH.findIndex(limit => speedMph < limit);
+            return force === -1 ? 12 : force;
+        }
+        default: return speedMph;
+    }
+}
+
+/**
+ * Convert a pressure from hPa to the display unit
+ * @param {number} pressureHpa - Pressure in hPa (mb)
+ * @returns {number} Unrounded pressure in the display unit
+ */
+export function convertPressure(pressureHpa) {
+    switch (unitPreferences.pressure) {
+        case 'inHg': return pressureHpa * 0.0295300;
+        case 'mmHg': return pressureHpa * 0.750062;
+        case 'kPa': return pressureHpa / 10;
+        default: return pressureHpa;
+    }
+}
+
+/**
+ * Convert a distance from miles to the display unit
+ * @param {number} miles - Distance in miles
+ * @returns {number} Unrounded distance in the display unit
+ */
+export function convertDistance(miles) {
+    return unitPreferences.distance === 'km' ? miles * 1.60934 : miles;
+}
+
+/**
+ * Convert a precipitation amount from mm to the display unit
+ * @param {number} mm - Precipitation in mm
+ * @returns {number} Unrounded amount in the display unit
+ */
+export function convertPrecipitation(mm) {
+    switch (unitPreferences.precipitation) {
+        case 'in': return mm / 25.4;
+        case 'cm': return mm / 10;
+        default: return mm;
     }
-    return `${Math.round(tempF)}°F`;
+}
+
+//==============================================================================
+// FORMATTERS
+//==============================================================================
+
+/**
+ * Format a temperature with its unit, e.g. "72°F"
+ */
+export function formatTemperature(tempF) {
+    return `${Math.round(convertTemperature(tempF))}°${unitPreferences.temperature}`;
 }
 
 /**
- * Format wind speed in appropriate units
+ * Format a temperature with just a degree sign, e.g. "72°"
+ */
+export function formatTemperatureBare(tempF) {
+    return `${Math.round(convertTemperature(tempF))}°`;
+}
+
+/**
+ * Format wind speed in the selected units
  */
 export function formatWindSpeed(speedMph) {
-    if (currentDisplayUnits === 'metric') {
-        // Convert mph to km/h
-        const speedKmh = speedMph * 1.60934;
-        return `${Math.round(speedKmh)} km/h`;
+    const value = convertWindSpeed(speedMph);
+    if (unitPreferences.wind === 'bft') {
+        return `Force ${value}`;
     }
-    return `${Math.round(speedMph)} mph`;
+    const decimals = unitPreferences.wind === 'ms' ? 1 : 0;
+    return `${value.toFixed(decimals)} ${getUnitLabel('wind')}`;
 }
 
 /**
- * Format pressure in appropriate units
+ * Format pressure in the selected units
  */
 export function formatPressure(pressureMb) {
-    if (currentDisplayUnits === 'metric') {
-        // Display in hPa (same as mb, just different label)
-        return `${Math.round(pressureMb)} hPa`;
-    }
-    return `${Math.round(pressureMb)} mB`;
+    const decimals = { inHg: 2, kPa: 1 }[unitPreferences.pressure] || 0;
+    return `${convertPressure(pressureMb).toFixed(decimals)} ${getUnitLabel('pressure')}`;
+}
+
+/**
+ * Format a distance given in miles
+ * @param {number} miles - Distance in miles
+ * @param {number} [decimals=0] - Decimal places
+ */
+export function formatDistance(miles, decimals = 0) {
+    return `${convertDistance(miles).toFixed(decimals)} ${getUnitLabel('distance')}`;
 }
 
 /**
- * Format visibility in appropriate units
+ * Format a wave height given in metres: feet alongside miles, metres alongside km
+ * @param {number} meters - Wave height in metres
+ */
+export function formatWaveHeight(meters) {
+    return unitPreferences.distance === 'km'
+        ? `${meters.toFixed(1)} m`
+        : `${(meters * 3.28084).toFixed(1)} ft`;
+}
+
+/**
+ * Format a cloud base height given in feet: feet alongside miles, metres alongside km
+ * @param {number} feet - Height above ground in feet
+ */
+export function formatCloudBase(feet) {
+    return unitPreferences.distance === 'km'
+        ? `${Math.round(feet * 0.3048 / 50) * 50} m`
+        : `${Math.round(feet / 100) * 100} ft`;
+}
+
+/**
+ * Format visibility in the selected distance units
  */
 export function formatVisibility(visibilityMi) {
-    if (currentDisplayUnits === 'metric') {
-        // Convert miles to kilometers
-        const visibilityKm = visibilityMi * 1.60934;
-        return `${Math.round(visibilityKm)} km`;
-    }
-    return `${Math.round(visibilityMi)} mi`;
+    return formatDistance(visibilityMi);
+}
+
+/**
+ * Format a precipitation amount given in mm
+ * @param {number} mm - Precipitation in mm
+ */
+export function formatPrecipitation(mm) {
+    const decimals = unitPreferences.precipitation === 'in' ? 2 : 1;
+    return `${convertPrecipitation(mm).toFixed(decimals)} ${getUnitLabel('precipitation')}`;
+}
+
+/**
+ * Format a precipitation rate given in mm/h
+ * @param {number} mmPerHour - Intensity in mm/h
+ */
+export function formatPrecipitationRate(mmPerHour) {
+    return `${convertPrecipitation(mmPerHour).toFixed(2)} ${getUnitLabel('precipitation')}/h`;
+}
+
+/**
+ * Get the display label of the selected unit for a quantity
+ * @param {string} quantity - Quantity name (see UNIT_OPTIONS)
+ * @returns {string} Label such as 'km/h' or 'inHg'
+ */
+export function getUnitLabel(quantity) {
+    const option = UNIT_OPTIONS[quantity]?.find(o => o.value === unitPreferences[quantity]);
+    return option ? option.label : '';
 }
 
 /**
@@ -115,6 +337,11 @@ export function refreshWeatherWithCurrentUnits() {
             visibilityElement.textContent = formatVisibility(data.currently.visibility);
         }
 
+        // Feels like, dew point, wet bulb and cloud base
+        if (data.currently) {
+            updateDerivedDetails(data.currently);
+        }
+
         if (weatherIconElement && data.currently) {
             // Get current coordinates from URL
             const urlParams = new URLSearchParams(window.location.search);
@@ -143,38 +370,29 @@ export function refreshWeatherWithCurrentUnits() {
 
         // Update forecast if available
         updateForecastUnits(data.daily?.data);
+
+        // Nowcast tooltips and summary show precipitation rates
+        if (data.nowcast) {
+            displayNowcast(data.nowcast);
+        }
+
+        // Marine card shows wave heights and sea temperature
+        if (data.marine) {
+            displayMarine(data.marine, data.timezone);
+        }
     }
 }
 
 /**
- * Updates the 7-day forecast cards with the appropriate units
+ * Re-render the daily forecast cards with the current units.
+ * Cards now carry more than one unit-dependent line (temperatures, the
+ * consensus spread), so regenerating them beats patching each element.
  */
 function updateForecastUnits(forecastData) {
     if (!forecastData) return;
-
-    const forecastContainer = document.getElementById('forecast-container');
-    const forecastCards = forecastContainer.querySelectorAll('.forecast-card');
-
-    forecastCards.forEach((card, index) => {
-        if (index < forecastData.length) {
-            const tempElement = card.querySelector('.temp');
-            if (tempElement) {
-                const highTemp = forecastData[index].temperatureHigh;
-                const lowTemp = forecastData[index].temperatureLow;
-            
-                if (currentDisplayUnits === 'metric') {
-                    const highTempC = (highTemp - 32) * (5 / 9);
-                    const lowTempC = (lowTemp - 32) * (5 / 9);
-                    tempElement.textContent = `${Math.round(highTempC)}° / ${Math.round(lowTempC)}°`;
-                } else {
-                    tempElement.textContent = `${Math.round(highTemp)}° / ${Math.round(lowTemp)}°`;
-                }
-            }
-            
-            // Precipitation chance doesn't need to be updated since it's a percentage
-            // and the same in both unit systems
-        }
-    });
+    if (typeof window.handleForecastDisplay !== 'function') return;
+    if (!window.currentWeatherData) return;
+    window.handleForecastDisplay(window.currentWeatherData);
 }
 
 /**
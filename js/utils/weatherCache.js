@@ -0,0 +1,142 @@
+/**
+ * Persistent Forecast Cache
+ *
+ * Stores standardized weather objects in IndexedDB so repeat visits and
+ * location switches can render instantly instead of waiting on the provider.
+ * Entries are keyed by provider plus coordinates rounded to ~1 km, and each
+ * section (current, hourly, nowcast, alerts, air quality, pollen, marine) carries its own timestamp so it
+ * can expire on its own schedule.
+ *
+ * Entries live in the shared IndexedDB key-value store (see idb.js), next
+ * to the service worker's background-sync bookkeeping (see sw.js).
+ */
+
+import { warn } from './logger.js';
+import { idbGet, idbSet, idbDeleteByPrefix } from './idb.js';
+import { getFixtureMode } from './network.js';
+
+//==============================================================================
+// 1. CONFIGURATION
+//==============================================================================
+
+const CACHE_KEY_PREFIX = 'forecast:';
+
+// Coordinates are rounded to this many decimals (~1.1 km at 2 decimals)
+const COORD_PRECISION = 2;
+
+// How long each section stays fresh, in milliseconds
+export const CACHE_TTL = {
+    currently: 5 * 60 * 1000,
+    hourly: 30 * 60 * 1000,
+    nowcast: 5 * 60 * 1000,
+    alerts: 2 * 60 * 1000,
+    airQuality: 30 * 60 * 1000,
+    pollen: 60 * 60 * 1000,
+    marine: 30 * 60 * 1000
+};
+
+// Entries older than this are too stale to show even while revalidating
+const CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+//==============================================================================
+// 2. PUBLIC API
+//==============================================================================
+
+/**
+ * Build the cache key for a provider and location
+ * @param {string} providerId - Provider ID (e.g., 'open-meteo')
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Cache key
+ */
+export function getCacheKey(providerId, lat, lon) {
+    const roundedLat = parseFloat(lat).toFixed(COORD_PRECISION);
+    const roundedLon = parseFloat(lon).toFixed(COORD_PRECISION);
+    return `${CACHE_KEY_PREFIX}${providerId}:${roundedLat},${roundedLon}`;
+}
+
+/**
+ * Read cached weather for a provider and location
+ * @param {string} providerId - Provider ID
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} { data, sectionTimes, fresh: {currently, hourly, nowcast, alerts} }
+ *   or null if nothing usable is cached
+ */
+export async function readCachedWeather(providerId, lat, lon) {
+    if (typeof indexedDB === 'undefined') return null;
+
+    // Recordings need every request to reach the network, and replays must
+    // show the recorded responses rather than whatever is cached now
+    if (getFixtureMode()) return null;
+
+    try {
+        const entry = await idbGet(getCacheKey(providerId, lat, lon));
+        if (!entry || !entry.data || !entry.sectionTimes) return null;
+
+        const now = Date.now();
+        if (now - entry.sectionTimes.currently > CACHE_MAX_AGE) return null;
+
+        const fresh = {};
+        Object.keys(CACHE_TTL).forEach(section => {
+            const storedAt = entry.sectionTimes[section] || 0;
+            fresh[section] = now - storedAt < CACHE_TTL[section];
+        });
+
+        return { data: entry.data, sectionTimes: entry.sectionTimes, fresh };
+    } catch (error) {
+        warn('Error reading forecast cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Store weather data in the cache
+ * @param {string} providerId - Provider the data was requested from (the head of the
+ *   fallback chain), which may differ from the one that served it
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} data - Standardized weather data
+ * @param {Object} [sectionTimes] - Per-section timestamps to keep; sections
+ *   not listed are stamped with the current time
+ * @returns {Promise<void>}
+ */
+export async function storeCachedWeather(providerId, lat, lon, data, sectionTimes = {}) {
+    if (typeof indexedDB === 'undefined' || !providerId || !data) return;
+    if (getFixtureMode() === 'replay') return;
+
+    const now = Date.now();
+    const times = {};
+    Object.keys(CACHE_TTL).forEach(section => {
+        times[section] = sectionTimes[section] || now;
+    });
+
+    try {
+        await idbSet(getCacheKey(providerId, lat, lon), { data, sectionTimes: times });
+    } catch (error) {
+        warn('Error writing forecast cache:', error);
+    }
+}
+
+/**
+ * Check whether every cached section is still fresh
+ * @param {Object} cached - Result of readCachedWeather
+ * @returns {boolean} True if nothing needs revalidating
+ */
+export function isCacheFullyFresh(cached) {
+    return !!cached && Object.values(cached.fresh).every(Boolean);
+}
+
+/**
+ * Drop every cached forecast, e.g. after a setting changes what gets fetched
+ * @returns {Promise<void>}
+ */
+export async function clearCachedWeather() {
+    if (typeof indexedDB === 'undefined') return;
+
+    try {
+        await idbDeleteByPrefix(CACHE_KEY_PREFIX);
+    } catch (error) {
+        warn('Error clearing forecast cache:', error);
+    }
+}
@@ -1,7 +1,7 @@
 // Service Worker for Variable Weather with update support
 
 // App version - keep this in sync with the main app version
-const SW_VERSION = '2.9.9';
+const SW_VERSION = '2.10.0';
 const CACHE_NAME = `variable-weather-cache-v${SW_VERSION}`;
 
 /*
@@ -11,6 +11,7 @@ const API_URLs = [
   'api.weather.gov',
   'api.pirateweather.net',
   'api.open-meteo.com',
+  'api.openweathermap.org',
   'nominatim.openstreetmap.org',
   'api.librewxr.net'
 ]
@@ -25,13 +26,19 @@ const ASSETS = [
   './manifest.json',
   
   // CSS Files
+  './styles/airQuality.css',
   './styles/alerts.css',
   './styles/animations.css',
   './styles/astronomical.css',
   './styles/base-layout.css',
   './styles/dailyDetail.css',
+  './styles/forecastDiscussion.css',
+  './styles/hourlyDetails.css',
+  './styles/marine.css',
   './styles/modals.css',
   './styles/nowcast.css',
+  './styles/pollen.css',
+  './styles/providerComparison.css',
   './styles/radar.css',
   './styles/weather-displays.css',
   
@@ -46,13 +53,21 @@ const ASSETS = [
   
   // UI core and components
   './js/ui/core.js',
+  './js/ui/components/airQuality.js',
   './js/ui/components/alertsDisplay.js',
   './js/ui/components/astronomical.js',
   './js/ui/components/currentWeather.js',
   './js/ui/components/dailyDetail.js',
+  './js/ui/components/dataDiagnostics.js',
+  './js/ui/components/fixtureStatus.js',
+  './js/ui/components/forecastDiscussion.js',
   './js/ui/components/forecasts.js',
   './js/ui/components/hourlyCurve.js',
+  './js/ui/components/hourlyDetails.js',
+  './js/ui/components/marine.js',
   './js/ui/components/nowcast.js',
+  './js/ui/components/pollen.js',
+  './js/ui/components/providerComparison.js',
   './js/ui/components/radar.js',
   './js/ui/components/radarPreview.js',
   
@@ -69,20 +84,42 @@ const ASSETS = [
   './js/ui/visuals/dynamicBackgrounds.js',
   
   // Utils
+  './js/utils/alertLifecycle.js',
+  './js/utils/alertNotifications.js',
   './js/utils/astroCalc.js',
   './js/utils/autoUpdate.js',
   './js/utils/cssLoader.js',
+  './js/utils/derivedMetrics.js',
+  './js/utils/forecastNarrative.js',
+  './js/utils/forecastVerification.js',
   './js/utils/formatting.js',
   './js/utils/geo.js',
+  './js/utils/idb.js',
   './js/utils/logger.js',
+  './js/utils/metar.js',
+  './js/utils/network.js',
+  './js/utils/nwsGridpoints.js',
+  './js/utils/nwsProducts.js',
   './js/utils/time.js',
   './js/utils/units.js',
+  './js/utils/weatherCache.js',
   
   // API modules
+  './js/api/airQualityApi.js',
+  './js/api/consensusApi.js',
+  './js/api/customProviders.js',
+  './js/api/marineApi.js',
+  './js/api/metarApi.js',
+  './js/api/nwsApi.js',
+  './js/api/nwsProductsApi.js',
   './js/api/openMeteoApi.js',
+  './js/api/openWeatherMapApi.js',
   './js/api/pirateWeatherApi.js',
+  './js/api/pollenApi.js',
+  './js/api/providerHealth.js',
 
   // Alert API module
+  './js/api/alerts/alertRules.js',
   './js/api/alerts/alertsApi.js',
   
   // Resources - keep only essential ones that are needed for offline functionality
@@ -161,19 +198,39 @@ const ASSETS = [
 * The SW can't read localStorage, so we record the API URLs the page
 * fetches here, then replay them from the periodicsync handler to keep
 * the weather cache fresh when the app is closed.
+* The page's modules use the same store through js/utils/idb.js, which
+* this classic worker can't import, so it opens its own (single, shared)
+* connection here.
 */
 const IDB_NAME = 'variable-weather';
 const IDB_STORE = 'kv';
 const BG_SYNC_KEY = 'bg-sync-urls';
 const BG_SYNC_MAX_URLS = 12;
 
+let idbPromise = null;
+
 function idbOpen() {
-  return new Promise((resolve, reject) => {
+  if (idbPromise) return idbPromise;
+
+  idbPromise = new Promise((resolve, reject) => {
     const req = indexedDB.open(IDB_NAME, 1);
     req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => {
+        db.close();
+        idbPromise = null;
+      };
+      db.onclose = () => { idbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => {
+      idbPromise = null;
+      reject(req.error);
+    };
   });
+
+  return idbPromise;
 }
 
 async function idbGet(key) {
@@ -377,6 +434,110 @@ self.addEventListener('fetch', event => {
   );
 });
 
+/*
+* Background alert check. It reads the settings and notified IDs that
+* js/utils/alertNotifications.js keeps in IndexedDB, fetches alerts for the
+* last location on screen and every watched one, and notifies once about
+* each new alert at or above the chosen severity. Alert IDs, severities and
+* place matching come from js/api/alerts/alertRules.js, the same plain
+* script the page's alert modules use.
+*/
+importScripts('./js/api/alerts/alertRules.js');
+
+const ALERT_SYNC_TAG = 'check-alerts';
+const ALERTS_ENDPOINT = 'https://api.librewxr.net/v2/alerts';
+const ALERT_SETTINGS_KEY = 'alert-notify-settings';
+const ALERT_SEEN_KEY = 'alert-notify-seen';
+const ALERT_SEEN_RETENTION = 14 * 24 * 60 * 60 * 1000;
+const { SEVERITY_ORDER: ALERT_SEVERITY_ORDER, alertId, eventFromTitle, alertSeverity, isSamePlace } = self.AlertRules;
+
+/**
+ * Notify about new alerts for every location the user follows.
+ * Resolves to the number of notifications shown.
+ */
+async function checkWatchedLocations() {
+  const settings = await idbGet(ALERT_SETTINGS_KEY);
+  const limit = settings ? ALERT_SEVERITY_ORDER.indexOf(settings.threshold) : -1;
+  if (limit === -1) return 0;
+  if (self.Notification && self.Notification.permission !== 'granted') return 0;
+
+  const places = settings.current ? [settings.current] : [];
+  (settings.locations || []).forEach(location => {
+    if (!places.some(place => isSamePlace(place, location))) places.push(location);
+  });
+
+  const seen = (await idbGet(ALERT_SEEN_KEY)) || {};
+  let shown = 0;
+
+  for (const place of places) {
+    let alerts;
+    try {
+      alerts = await fetchPlaceAlerts(place);
+    } catch (e) {
+      console.warn('[Service Worker] alert fetch failed:', place.name, e);
+      continue;
+    }
+
+    for (const alert of alerts) {
+      const rank = ALERT_SEVERITY_ORDER.indexOf(alert.severity);
+      if (seen[alert.id] || rank === -1 || rank > limit) continue;
+
+      // Only mark alerts that were really shown, so a missing permission
+      // doesn't swallow them
+      try {
+        await self.registration.showNotification(alert.title, {
+          body: [place.name, alert.description].filter(Boolean).join('\n'),
+          icon: './icons/icon-192x192.png',
+          badge: './icons/icon-monochrome-512.png',
+          tag: alert.id,
+          requireInteraction: rank <= ALERT_SEVERITY_ORDER.indexOf('extreme'),
+          data: { alertId: alert.id, lat: place.lat, lon: place.lon }
+        });
+        seen[alert.id] = Date.now();
+        shown++;
+      } catch (e) {
+        console.warn('[Service Worker] could not show alert notification:', e);
+      }
+    }
+  }
+
+  if (shown > 0) {
+    const cutoff = Date.now() - ALERT_SEEN_RETENTION;
+    Object.keys(seen).forEach(id => {
+      if (seen[id] < cutoff) delete seen[id];
+    });
+    await idbSet(ALERT_SEEN_KEY, seen);
+  }
+  return shown;
+}
+
+/**
+ * Fetch the alerts for a place, reduced to what a notification needs.
+ * IDs and titles match what alertsApi.js gives the page, so an alert
+ * notified here is never notified again by the open app.
+ */
+async function fetchPlaceAlerts(place) {
+  const response = await fetch(`${ALERTS_ENDPOINT}?lat=${place.lat}&lon=${place.lon}`, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`LibreWRX alerts responded with status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (Array.isArray(data.features) ? data.features : [])
+    .filter(feature => feature && feature.properties)
+    .map(feature => {
+      const props = feature.properties;
+      const event = eventFromTitle(props.title || 'Weather Alert');
+
+      return {
+        id: alertId(props),
+        title: event,
+        description: props.title || '',
+        severity: alertSeverity(event, props.title || '', props.description || '')
+      };
+    });
+}
+
 // Periodic background sync — re-fetches the API URLs the page recorded so
 // the weather cache stays fresh even when the app is closed. Android Chrome
 // only (fine for the TWA target). The browser enforces minInterval as a
@@ -385,6 +546,15 @@ self.addEventListener('periodicsync', event => {
   if (event.tag === 'refresh-weather') {
     event.waitUntil(refreshWeatherCache());
   }
+
+  // Registered by the page while alert notifications are on
+  if (event.tag === ALERT_SYNC_TAG) {
+    event.waitUntil(
+      checkWatchedLocations()
+        .then(shown => console.log('[Service Worker] alert check complete,', shown, 'new alerts'))
+        .catch(e => console.warn('[Service Worker] alert check failed:', e))
+    );
+  }
 });
 
 /**
@@ -423,3 +593,38 @@ async function refreshWeatherCache() {
 
   console.log('[Service Worker] periodic sync complete');
 }
+
+// Tapping an alert notification opens the app on that alert's location with
+// the alert expanded (main.js handles the ?alert= parameter)
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  const { alertId, lat, lon } = event.notification.data || {};
+  const url = new URL('./', self.location);
+  if (lat != null && lon != null) {
+    url.searchParams.set('lat', lat);
+    url.searchParams.set('lon', lon);
+  }
+  if (alertId) url.searchParams.set('alert', alertId);
+
+  event.waitUntil(openAppWindow(url.href));
+});
+
+/**
+ * Reuse an open app window if there is one, otherwise open a new one.
+ */
+async function openAppWindow(url) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windows.find(client => client.url.startsWith(self.registration.scope));
+
+  if (existing) {
+    try {
+      const focused = await existing.focus();
+      return await focused.navigate(url);
+    } catch (e) {
+      console.warn('[Service Worker] could not reuse window, opening a new one:', e);
+    }
+  }
+
+  return self.clients.openWindow(url);
+}